@@ -31,6 +31,24 @@ const filesToCopy = [
     'src/wordCounter.js',
     'src/parallelProcessor.js',
     'src/worker.js',
+    'src/workerPool.js',
+    'src/tokenizer.js',
+    'src/stopwords',
+    'src/report.js',
+    'src/sketch.js',
+    'src/compression.js',
+    'src/encoding.js',
+    'src/extractors',
+    'src/checkpoint.js',
+    'src/compare.js',
+    'src/lexicalStats.js',
+    'src/readability.js',
+    'src/concordance.js',
+    'src/collocations.js',
+    'src/stemmer.js',
+    'src/jobs.js',
+    'src/corpus.js',
+    'src/fileWalker.js',
     'package.json',
     'data'
 ];
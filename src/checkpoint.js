@@ -0,0 +1,214 @@
+/**
+ * Checkpoint - Estado reanudable de un procesamiento paralelo
+ * 
+ * Una corrida de varias horas guarda todo su progreso en memoria: si el
+ * proceso muere, se pierde. Con checkpoints, processFilesInParallel guarda
+ * cada tanto en un JSON:
+ * 
+ * - las opciones de conteo y la lista de archivos de la corrida
+ * - las tareas (archivos o rangos de bytes [start, end)) y cuáles terminaron
+ * - los conteos acumulados por archivo (Map o sketch en modo aproximado)
+ * - tamaño y fecha de modificación de cada archivo al empezar
+ * 
+ * Al reanudar solo se procesan las tareas pendientes, así que nada se cuenta
+ * dos veces. Un archivo que cambió desde el checkpoint se vuelve a contar
+ * desde cero.
+ * 
+ * La escritura es atómica (archivo temporal + rename): un corte durante el
+ * guardado deja el checkpoint anterior intacto.
+ * 
+ * @module checkpoint
+ */
+
+const fs = require('fs');
+const { mapToObject, objectToMap, mergeMaps } = require('./wordCounter');
+const { deserializeFrequencySketch } = require('./sketch');
+const { getSourcePath } = require('./compression');
+
+/**
+ * Versión del formato; un checkpoint de otra versión se rechaza
+ */
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Intervalo mínimo entre guardados por defecto (30 segundos)
+ */
+const DEFAULT_CHECKPOINT_INTERVAL = 30 * 1000;
+
+/**
+ * Convierte los typed arrays de un sketch serializado a base64 para JSON
+ */
+function encodeSketch(data) {
+    return {
+        ...data,
+        table: Buffer.from(data.table.buffer, data.table.byteOffset, data.table.byteLength).toString('base64'),
+        registers: Buffer.from(data.registers.buffer, data.registers.byteOffset, data.registers.byteLength).toString('base64')
+    };
+}
+
+/**
+ * Inverso de encodeSketch
+ */
+function decodeSketch(data) {
+    // Copia a un ArrayBuffer propio: el de Buffer.from puede no estar alineado a 4 bytes
+    const table = new Uint8Array(Buffer.from(data.table, 'base64'));
+    const registers = new Uint8Array(Buffer.from(data.registers, 'base64'));
+    return deserializeFrequencySketch({
+        ...data,
+        table: new Uint32Array(table.buffer),
+        registers
+    });
+}
+
+/**
+ * Tamaño y fecha de modificación de un archivo, para detectar cambios al reanudar
+ * 
+ * @param {string} filePath - Ruta del archivo (o entrada de .zip: se usa el .zip)
+ * @returns {{size: number, mtimeMs: number}|null} null si no se puede leer
+ */
+function getFileStamp(filePath) {
+    try {
+        const { size, mtimeMs } = fs.statSync(getSourcePath(filePath));
+        return { size, mtimeMs };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Indica si un archivo cambió respecto de la marca guardada
+ * 
+ * @param {string} filePath - Ruta del archivo
+ * @param {{size: number, mtimeMs: number}|null} stamp - Marca del checkpoint
+ * @returns {boolean}
+ */
+function hasFileChanged(filePath, stamp) {
+    const current = getFileStamp(filePath);
+    if (!current || !stamp) {
+        return current !== stamp;
+    }
+    return current.size !== stamp.size || current.mtimeMs !== stamp.mtimeMs;
+}
+
+/**
+ * Serializa el resultado parcial de un archivo
+ * 
+ * @param {Object} partial - Resultado parcial de processFilesInParallel
+ * @returns {Object} Objeto apto para JSON
+ */
+function serializePartial(partial) {
+    const { maps, sketch, ...rest } = partial;
+    return {
+        ...rest,
+        error: undefined,
+        wordMap: sketch ? undefined : mapToObject(maps.length === 1 ? maps[0] : mergeMaps(maps)),
+        sketch: sketch ? encodeSketch(sketch.serialize()) : undefined
+    };
+}
+
+/**
+ * Reconstruye el resultado parcial de un archivo
+ * 
+ * @param {Object} data - Resultado de serializePartial
+ * @returns {Object} Resultado parcial con maps y sketch
+ */
+function deserializePartial(data) {
+    const { wordMap, sketch, ...rest } = data;
+    return {
+        ...rest,
+        maps: wordMap ? [objectToMap(wordMap)] : [],
+        sketch: sketch ? decodeSketch(sketch) : null,
+        error: null
+    };
+}
+
+/**
+ * Lee y valida un checkpoint
+ * 
+ * @param {string} checkpointPath - Ruta del checkpoint
+ * @returns {Object} Estado guardado: { version, countOptions, files, fileStamps, tasks, partials, complete, ... }
+ */
+function loadCheckpoint(checkpointPath) {
+    if (!fs.existsSync(checkpointPath)) {
+        throw new Error(`ENOENT: El checkpoint no existe: ${checkpointPath}`);
+    }
+
+    let state;
+    try {
+        state = JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Checkpoint corrupto: ${checkpointPath} (${error.message})`);
+    }
+
+    if (!state || state.version !== CHECKPOINT_VERSION) {
+        throw new Error(`Versión de checkpoint no soportada en ${checkpointPath}: ${state && state.version} (esperada: ${CHECKPOINT_VERSION})`);
+    }
+    if (!Array.isArray(state.files) || !Array.isArray(state.tasks) || !state.partials || !state.countOptions) {
+        throw new Error(`Checkpoint incompleto: ${checkpointPath}`);
+    }
+
+    return state;
+}
+
+/**
+ * Crea el escritor de checkpoints de una corrida
+ * 
+ * @param {string} checkpointPath - Ruta del checkpoint
+ * @param {Object} options - Opciones
+ * @param {number} options.interval - Milisegundos mínimos entre guardados (default: 30s)
+ * @param {Function} options.log - Función para advertencias (default: console.warn)
+ * @param {string} options.createdAt - Fecha de inicio de la corrida original (al reanudar)
+ * @returns {{save: Function, maybeSave: Function}} save(state) guarda siempre;
+ *   maybeSave(getState) solo si pasó el intervalo desde el último guardado
+ */
+function createCheckpointWriter(checkpointPath, options = {}) {
+    const interval = options.interval ?? DEFAULT_CHECKPOINT_INTERVAL;
+    const log = options.log ?? console.warn;
+    const createdAt = options.createdAt ?? new Date().toISOString();
+    let lastSave = Date.now();
+
+    if (!Number.isFinite(interval) || interval < 0) {
+        throw new Error(`Intervalo de checkpoint inválido: ${options.interval} (debe ser >= 0 ms)`);
+    }
+
+    function save(state) {
+        lastSave = Date.now();
+        const tmpPath = `${checkpointPath}.tmp`;
+
+        try {
+            fs.writeFileSync(tmpPath, JSON.stringify({
+                version: CHECKPOINT_VERSION,
+                createdAt,
+                ...state,
+                updatedAt: new Date().toISOString()
+            }));
+            fs.renameSync(tmpPath, checkpointPath);
+            return true;
+        } catch (error) {
+            // Un checkpoint fallido (disco lleno, permisos) no debe abortar horas de trabajo
+            log(`⚠️ No se pudo guardar el checkpoint ${checkpointPath}: ${error.message}`);
+            return false;
+        }
+    }
+
+    return {
+        save,
+        maybeSave(getState) {
+            if (Date.now() - lastSave < interval) {
+                return false;
+            }
+            return save(getState());
+        }
+    };
+}
+
+module.exports = {
+    loadCheckpoint,
+    createCheckpointWriter,
+    serializePartial,
+    deserializePartial,
+    getFileStamp,
+    hasFileChanged,
+    CHECKPOINT_VERSION,
+    DEFAULT_CHECKPOINT_INTERVAL
+};
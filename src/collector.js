@@ -0,0 +1,199 @@
+/**
+ * Collector - Conteo y búsqueda secuenciales en el hilo principal
+ * 
+ * Cuenta (o busca en) una serie de inputs uno tras otro y agrega los
+ * resultados con la misma forma que processFilesInParallel y
+ * searchFilesInParallel, para que report.js los trate igual. Lo usan la CLI
+ * (sin --parallel o con stdin) y el servidor HTTP para los cuerpos que llegan
+ * en stream, que no se pueden pasar a un worker sin guardarlos antes.
+ * 
+ * Los inputs pueden ser rutas o cualquier objeto con `name`, y llegar de un
+ * iterable asíncrono: el siguiente se pide recién cuando terminó el anterior.
+ * 
+ * @module collector
+ */
+
+const { mergeMaps } = require('./wordCounter');
+const { computeLexicalStats, mergeLexicalData } = require('./lexicalStats');
+const { computeReadability, mergeReadabilityData } = require('./readability');
+const { computeCollocations, mergeCollocationData } = require('./collocations');
+const { validateConcordanceOptions } = require('./concordance');
+const { mergeForms } = require('./stemmer');
+
+/**
+ * Obtiene timestamp formateado para logs
+ * @returns {string} Timestamp en formato [YYYY-MM-DD HH:MM:SS]
+ */
+function getTimestamp() {
+    const now = new Date();
+    return now.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/**
+ * Nombre de un input: la ruta o el `name` de un input en memoria o en stream
+ */
+function getInputName(input) {
+    return typeof input === 'string' ? input : input.name;
+}
+
+/**
+ * Cuenta inputs secuencialmente y agrega los resultados con la misma forma
+ * que processFilesInParallel (para los formatos de salida)
+ * 
+ * @param {Iterable|AsyncIterable} inputs - Rutas u objetos { name, ... }
+ * @param {Object} countOptions - Opciones de conteo (tokenizer, stopwords, stem...)
+ * @param {Object} options - Opciones
+ * @param {Function} options.count - (input) => Promise con el resultado de countWords / countStream
+ * @param {Function} options.log - Función para mensajes de progreso (default: console.error)
+ * @param {boolean} options.keepFileMaps - Conservar el Map de cada archivo (para compare)
+ * @returns {Promise<Object>} Resultados agregados
+ */
+async function collectSequentially(inputs, countOptions, options) {
+    const { count, log = console.error, keepFileMaps = false } = options;
+    const startTime = Date.now();
+    const results = {
+        successful: [],
+        failed: [],
+        combinedWordMap: new Map(),
+        totalWords: 0,
+        totalUniqueWords: 0,
+        totalLinesProcessed: 0,
+        ngram: countOptions.ngram ?? 1,
+        approximate: null
+    };
+    let combinedSketch = null;
+    const lexicalData = [];
+    const readabilityData = [];
+    const collocationData = [];
+    const formsData = [];
+
+    for await (const input of inputs) {
+        const filePath = getInputName(input);
+        const fileStart = Date.now();
+        log(`[${getTimestamp()}] 🔄 Procesando: ${filePath}`);
+
+        try {
+            const fileResults = await count(input);
+
+            results.successful.push({
+                filePath,
+                duration: ((Date.now() - fileStart) / 1000).toFixed(2),
+                uniqueWords: fileResults.uniqueWords,
+                totalWords: fileResults.totalWords,
+                linesProcessed: fileResults.linesProcessed,
+                encoding: fileResults.encoding,
+                inputFormat: fileResults.inputFormat,
+                ...(fileResults.skippedRecords && { skippedRecords: fileResults.skippedRecords }),
+                ...(fileResults.lexical && {
+                    statistics: computeLexicalStats(fileResults.wordMap, fileResults.lexical, { ngram: fileResults.ngram })
+                }),
+                ...(fileResults.readability && { readability: computeReadability(fileResults.readability) }),
+                ...(fileResults.collocations && { collocations: computeCollocations(fileResults.collocations) }),
+                ...(fileResults.forms && { forms: fileResults.forms }),
+                ...(keepFileMaps && { wordMap: fileResults.wordMap })
+            });
+            lexicalData.push(fileResults.lexical);
+            readabilityData.push(fileResults.readability);
+            collocationData.push(fileResults.collocations);
+            formsData.push(fileResults.forms);
+            if (fileResults.sketch) {
+                // Modo aproximado: los heavy hitters se combinan vía sketch, no sumando Maps
+                if (combinedSketch) {
+                    combinedSketch.merge(fileResults.sketch);
+                } else {
+                    combinedSketch = fileResults.sketch;
+                }
+            } else {
+                results.combinedWordMap = mergeMaps([results.combinedWordMap, fileResults.wordMap]);
+            }
+            results.totalWords += fileResults.totalWords;
+            results.totalLinesProcessed += fileResults.linesProcessed;
+        } catch (error) {
+            log(`[${getTimestamp()}] ❌ Error procesando ${filePath}: ${error.message}`);
+            results.failed.push({
+                filePath,
+                error: { message: error.message, code: error.code || 'UNKNOWN' }
+            });
+        }
+    }
+
+    if (combinedSketch) {
+        results.combinedWordMap = combinedSketch.toMap();
+        results.totalUniqueWords = combinedSketch.uniqueEstimate();
+        const { epsilon, delta, capacity } = combinedSketch.serialize();
+        results.approximate = { epsilon, delta, capacity, errorBound: combinedSketch.errorBound() };
+    } else {
+        results.totalUniqueWords = results.combinedWordMap.size;
+    }
+    if (countOptions.lexicalStats) {
+        results.statistics = computeLexicalStats(results.combinedWordMap, mergeLexicalData(lexicalData), { ngram: results.ngram });
+    }
+    if (countOptions.readability) {
+        results.readability = computeReadability(mergeReadabilityData(readabilityData));
+    }
+    if (countOptions.collocations) {
+        results.collocations = computeCollocations(mergeCollocationData(collocationData));
+    }
+    if (countOptions.stem) {
+        results.stem = countOptions.stem;
+        results.forms = mergeForms(formsData);
+    }
+    results.totalDuration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+    return results;
+}
+
+/**
+ * Busca una palabra o frase en inputs secuencialmente, con la misma forma de
+ * resultados que searchFilesInParallel
+ * 
+ * @param {Iterable|AsyncIterable} inputs - Rutas u objetos { name, ... }
+ * @param {Object} searchOptions - Opciones de searchFile (query, context, limit, tokenizer...)
+ * @param {Object} options - Opciones
+ * @param {Function} options.search - (input) => Promise con el resultado de searchFile / searchStream
+ * @param {Function} options.log - Función para mensajes de progreso (default: console.error)
+ * @returns {Promise<Object>} Resultados agregados
+ */
+async function searchSequentially(inputs, searchOptions, options) {
+    const { search, log = console.error } = options;
+    const startTime = Date.now();
+    const { query, context } = validateConcordanceOptions(searchOptions);
+    const results = { query, context, successful: [], failed: [], totalHits: 0 };
+
+    for await (const input of inputs) {
+        const filePath = getInputName(input);
+        const fileStart = Date.now();
+        log(`[${getTimestamp()}] 🔎 Buscando en: ${filePath}`);
+
+        try {
+            const fileResults = await search(input);
+
+            results.successful.push({
+                filePath,
+                duration: ((Date.now() - fileStart) / 1000).toFixed(2),
+                hits: fileResults.hits,
+                totalHits: fileResults.totalHits,
+                truncated: fileResults.truncated,
+                linesProcessed: fileResults.linesProcessed,
+                encoding: fileResults.encoding,
+                inputFormat: fileResults.inputFormat,
+                ...(fileResults.skippedRecords && { skippedRecords: fileResults.skippedRecords })
+            });
+            results.totalHits += fileResults.totalHits;
+        } catch (error) {
+            log(`[${getTimestamp()}] ❌ Error procesando ${filePath}: ${error.message}`);
+            results.failed.push({
+                filePath,
+                error: { message: error.message, code: error.code || 'UNKNOWN' }
+            });
+        }
+    }
+    results.totalDuration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+    return results;
+}
+
+module.exports = {
+    collectSequentially,
+    searchSequentially
+};
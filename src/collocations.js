@@ -0,0 +1,307 @@
+/**
+ * Collocations - Pares de palabras que aparecen juntas más de lo esperable
+ * 
+ * Un tracker recibe las palabras contadas (sin stop words) en orden y cuenta
+ * cada par ordenado "x y" en el que y aparece hasta `window` palabras después
+ * de x, sin cruzar líneas en blanco. Con window 1 son los bigramas.
+ * 
+ * Con f(x), f(y) las frecuencias de cada palabra, f(xy) las del par, N el
+ * total de palabras y E = f(x)·f(y)·window / N las co-apariciones esperables
+ * si las palabras fueran independientes:
+ * 
+ * - PMI: log2(f(xy) / E). Mide la asociación, pero sobrevalora pares raros.
+ * - t-score: (f(xy) − E) / √f(xy). Qué tan seguro es que el par no es azar;
+ *   favorece pares frecuentes.
+ * - log-Dice: 14 + log2(2·f(xy) / (f(x) + f(y))). No depende del tamaño del
+ *   corpus; el máximo teórico es 14.
+ * 
+ * Los pares con menos de minCount apariciones no se listan. Los datos del
+ * tracker son conteos, así que se combinan entre rangos y archivos; los
+ * rangos de un archivo se cortan entre párrafos (ver splitFileIntoChunks).
+ * Las tablas viajan como { keys, counts } (dos arrays paralelos): con cientos
+ * de miles de pares, clonarlas por postMessage es mucho más barato que un
+ * objeto con una propiedad por par.
+ * 
+ * @module collocations
+ */
+
+/**
+ * Métricas calculadas, en el orden en que se muestran
+ */
+const COLLOCATION_METRICS = ['pmi', 'tScore', 'logDice'];
+
+/**
+ * Distancia máxima por defecto entre las dos palabras de un par
+ */
+const DEFAULT_COLLOCATION_WINDOW = 5;
+
+/**
+ * Distancia máxima permitida: cada palabra suma `window` pares, así que una
+ * ventana grande multiplica el trabajo y los pares distintos sin dar
+ * colocaciones más útiles
+ */
+const MAX_COLLOCATION_WINDOW = 20;
+
+/**
+ * Apariciones mínimas por defecto de un par para listarlo
+ */
+const DEFAULT_COLLOCATION_MIN_COUNT = 5;
+
+/**
+ * Pares por métrica por defecto
+ */
+const DEFAULT_COLLOCATION_TOP = 10;
+
+/**
+ * Valida las opciones de colocaciones: true o { window, minCount, topN }
+ * 
+ * @param {boolean|Object} options - Opción collocations
+ * @returns {{window: number, minCount: number, topN: number}} Opciones con valores por defecto
+ * @throws {Error} Si alguna opción es inválida
+ */
+function validateCollocationOptions(options) {
+    const given = options === true ? {} : options;
+    const window = given.window ?? DEFAULT_COLLOCATION_WINDOW;
+    const minCount = given.minCount ?? DEFAULT_COLLOCATION_MIN_COUNT;
+    const topN = given.topN ?? DEFAULT_COLLOCATION_TOP;
+
+    if (!Number.isInteger(window) || window < 1 || window > MAX_COLLOCATION_WINDOW) {
+        throw new Error(`Ventana de colocaciones inválida: ${given.window} (debe ser un entero entre 1 y ${MAX_COLLOCATION_WINDOW})`);
+    }
+    if (!Number.isInteger(minCount) || minCount < 1) {
+        throw new Error(`Frecuencia mínima de colocaciones inválida: ${given.minCount} (debe ser un entero >= 1)`);
+    }
+    if (!Number.isInteger(topN) || topN < 1) {
+        throw new Error(`Cantidad de colocaciones inválida: ${given.topN} (debe ser un entero >= 1)`);
+    }
+
+    return { window, minCount, topN };
+}
+
+/**
+ * Crea un tracker de co-apariciones para un stream
+ * 
+ * @param {boolean|Object} options - Ver validateCollocationOptions
+ * @returns {{add: Function, endParagraph: Function, result: Function}} add(word) por cada
+ *   palabra contada, endParagraph() en cada línea en blanco; result() devuelve los datos
+ *   serializables { window, minCount, topN, tokens, words, pairs } (tablas { keys, counts }
+ *   de palabras y de pares "x y")
+ */
+function createCollocationTracker(options = true) {
+    const { window, minCount, topN } = validateCollocationOptions(options);
+    const words = new Map();
+    const pairs = new Map();
+    let tokens = 0;
+    // Últimas `window` palabras del párrafo
+    let recent = [];
+
+    return {
+        add(word) {
+            tokens++;
+            words.set(word, (words.get(word) || 0) + 1);
+
+            for (const previous of recent) {
+                // Una palabra repetida no es una colocación
+                if (previous !== word) {
+                    const pair = `${previous} ${word}`;
+                    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+                }
+            }
+
+            recent.push(word);
+            if (recent.length > window) {
+                recent.shift();
+            }
+        },
+
+        endParagraph() {
+            recent = [];
+        },
+
+        result() {
+            return {
+                window,
+                minCount,
+                topN,
+                tokens,
+                words: toTable(words),
+                pairs: toTable(pairs)
+            };
+        }
+    };
+}
+
+/**
+ * Convierte un Map de conteos en una tabla { keys, counts }
+ */
+function toTable(map) {
+    return { keys: [...map.keys()], counts: [...map.values()] };
+}
+
+/**
+ * Suma los conteos de varias tablas en un Map
+ */
+function sumTables(tables) {
+    const total = new Map();
+    for (const { keys, counts } of tables) {
+        for (let i = 0; i < keys.length; i++) {
+            total.set(keys[i], (total.get(keys[i]) || 0) + counts[i]);
+        }
+    }
+    return total;
+}
+
+/**
+ * Combina los datos de varios trackers (rangos de un archivo o varios archivos)
+ * 
+ * @param {Array<Object>} items - Resultados de tracker.result() (se ignoran null/undefined)
+ * @returns {Object|null} Datos combinados, o null si no hay ninguno
+ */
+function mergeCollocationData(items) {
+    const present = items.filter(Boolean);
+    if (present.length === 0) {
+        return null;
+    }
+    if (present.length === 1) {
+        return present[0];
+    }
+
+    return {
+        window: present[0].window,
+        minCount: present[0].minCount,
+        topN: present[0].topN,
+        tokens: present.reduce((sum, item) => sum + item.tokens, 0),
+        words: toTable(sumTables(present.map(item => item.words))),
+        pairs: toTable(sumTables(present.map(item => item.pairs)))
+    };
+}
+
+/**
+ * Redondea a 4 decimales para el reporte
+ */
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Ordena por puntaje y se queda con los primeros topN (empates: más frecuentes primero)
+ */
+function pickTop(items, metric, topN) {
+    return items
+        .sort((a, b) => b[metric] - a[metric] || b.count - a.count || (a.pair < b.pair ? -1 : a.pair > b.pair ? 1 : 0))
+        .slice(0, topN)
+        .map(item => ({
+            first: item.first,
+            second: item.second,
+            count: item.count,
+            firstCount: item.firstCount,
+            secondCount: item.secondCount,
+            score: round(item[metric])
+        }));
+}
+
+/**
+ * Calcula las colocaciones más fuertes según cada métrica
+ * 
+ * @param {Object} data - Datos de tracker.result() o mergeCollocationData
+ * @returns {Object|null} { window, minCount, tokens, candidates, pmi, tScore, logDice };
+ *   cada métrica es una lista de { first, second, count, firstCount, secondCount, score }.
+ *   null sin datos
+ */
+function computeCollocations(data) {
+    if (!data) {
+        return null;
+    }
+
+    const { window, minCount, topN, tokens } = data;
+    const words = sumTables([data.words]);
+    const candidates = [];
+
+    for (let i = 0; i < data.pairs.keys.length; i++) {
+        const count = data.pairs.counts[i];
+        if (count < minCount) {
+            continue;
+        }
+
+        const pair = data.pairs.keys[i];
+        const separator = pair.indexOf(' ');
+        const first = pair.slice(0, separator);
+        const second = pair.slice(separator + 1);
+        const firstCount = words.get(first);
+        const secondCount = words.get(second);
+        const expected = firstCount * secondCount * window / tokens;
+
+        candidates.push({
+            pair,
+            first,
+            second,
+            count,
+            firstCount,
+            secondCount,
+            pmi: Math.log2(count / expected),
+            tScore: (count - expected) / Math.sqrt(count),
+            logDice: 14 + Math.log2(2 * count / (firstCount + secondCount))
+        });
+    }
+
+    return {
+        window,
+        minCount,
+        tokens,
+        // Pares con al menos minCount apariciones
+        candidates: candidates.length,
+        pmi: pickTop(candidates, 'pmi', topN),
+        tScore: pickTop(candidates, 'tScore', topN),
+        logDice: pickTop(candidates, 'logDice', topN)
+    };
+}
+
+/**
+ * Títulos de las métricas para la consola
+ */
+const METRIC_LABELS = {
+    pmi: 'PMI',
+    tScore: 't-score',
+    logDice: 'log-Dice'
+};
+
+/**
+ * Formatea las colocaciones para la consola
+ * 
+ * @param {Object} collocations - Resultado de computeCollocations
+ * @param {string} indent - Sangría de cada línea (default: 3 espacios)
+ * @returns {string[]} Líneas de texto, sin saltos de línea
+ */
+function formatCollocations(collocations, indent = '   ') {
+    const lines = [];
+
+    if (collocations.candidates === 0) {
+        lines.push(`${indent}(ningún par con ${collocations.minCount}+ apariciones a ${collocations.window} palabras o menos)`);
+        return lines;
+    }
+
+    for (const metric of COLLOCATION_METRICS) {
+        lines.push(`${indent}${METRIC_LABELS[metric]}:`);
+        collocations[metric].forEach((item, index) => {
+            const rank = (index + 1).toString().padStart(2, ' ');
+            const pair = `${item.first} ${item.second}`.padEnd(28, ' ');
+            const score = item.score.toFixed(2).padStart(8, ' ');
+            lines.push(`${indent}   ${rank}. ${pair} ${score}  (${item.count.toLocaleString()} juntas)`);
+        });
+    }
+
+    return lines;
+}
+
+module.exports = {
+    createCollocationTracker,
+    mergeCollocationData,
+    computeCollocations,
+    formatCollocations,
+    validateCollocationOptions,
+    COLLOCATION_METRICS,
+    DEFAULT_COLLOCATION_WINDOW,
+    MAX_COLLOCATION_WINDOW,
+    DEFAULT_COLLOCATION_MIN_COUNT,
+    DEFAULT_COLLOCATION_TOP
+};
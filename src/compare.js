@@ -0,0 +1,183 @@
+/**
+ * Compare - Palabras distintivas de cada archivo frente al resto del corpus
+ * 
+ * A partir de los Maps de palabras de cada archivo (ver la opción
+ * keepFileMaps de processFilesInParallel) calcula, para cada archivo, qué
+ * palabras lo distinguen del resto con tres métricas:
+ * 
+ * - tfidf: frecuencia relativa en el archivo × log(N / df), donde N es la
+ *   cantidad de archivos y df en cuántos aparece la palabra. Una palabra
+ *   presente en todos los archivos vale 0.
+ * - logLikelihood: G² de Dunning sobre la tabla 2×2 (archivo vs. resto del
+ *   corpus). Mide qué tan improbable es la diferencia de frecuencias; solo
+ *   se listan palabras sobreusadas en el archivo.
+ * - frequencyRatio: frecuencia relativa en el archivo dividida por la del
+ *   resto, con suavizado de 0.5 para palabras ausentes del resto.
+ * 
+ * Las palabras con menos de minCount apariciones en el archivo se ignoran:
+ * sin ese filtro, las palabras de una sola aparición dominan el ratio.
+ * 
+ * @module compare
+ */
+
+const { mergeMaps } = require('./wordCounter');
+const { getDisplayName } = require('./compression');
+
+/**
+ * Métricas calculadas, en el orden en que se muestran
+ */
+const COMPARE_METRICS = ['tfidf', 'logLikelihood', 'frequencyRatio'];
+
+/**
+ * Palabras distintivas por archivo y métrica por defecto
+ */
+const DEFAULT_COMPARE_TOP = 10;
+
+/**
+ * Apariciones mínimas en el archivo para considerar una palabra
+ */
+const DEFAULT_MIN_COUNT = 3;
+
+/**
+ * Suavizado del ratio para palabras que no aparecen en el resto del corpus
+ */
+const RATIO_SMOOTHING = 0.5;
+
+/**
+ * Valida las opciones del modo compare
+ * 
+ * @param {Object} options - { topN, minCount }
+ * @returns {{topN: number, minCount: number}} Opciones con valores por defecto
+ * @throws {Error} Si alguna opción es inválida
+ */
+function validateCompareOptions(options = {}) {
+    const topN = options.topN ?? DEFAULT_COMPARE_TOP;
+    const minCount = options.minCount ?? DEFAULT_MIN_COUNT;
+
+    if (!Number.isInteger(topN) || topN < 1) {
+        throw new Error(`Cantidad de palabras distintivas inválida: ${options.topN} (debe ser un entero >= 1)`);
+    }
+    if (!Number.isInteger(minCount) || minCount < 1) {
+        throw new Error(`Frecuencia mínima inválida: ${options.minCount} (debe ser un entero >= 1)`);
+    }
+
+    return { topN, minCount };
+}
+
+/**
+ * x · ln(x / expected), con 0 · ln(0) = 0
+ */
+function logLikelihoodTerm(observed, expected) {
+    return observed > 0 ? observed * Math.log(observed / expected) : 0;
+}
+
+/**
+ * Suma de los conteos de un Map
+ */
+function sumCounts(wordMap) {
+    let total = 0;
+    for (const count of wordMap.values()) {
+        total += count;
+    }
+    return total;
+}
+
+/**
+ * Ordena por puntaje y se queda con los primeros topN (empates: orden alfabético)
+ */
+function pickTop(items, topN) {
+    return items
+        .sort((a, b) => b.score - a.score || (a.word < b.word ? -1 : a.word > b.word ? 1 : 0))
+        .slice(0, topN)
+        .map(item => ({ ...item, score: Math.round(item.score * 10000) / 10000 }));
+}
+
+/**
+ * Calcula las palabras distintivas de cada archivo
+ * 
+ * @param {Array<{filePath: string, wordMap: Map<string, number>}>} files - Archivos con su Map
+ *   de conteos (ej: results.successful de processFilesInParallel con keepFileMaps)
+ * @param {Object} options - Opciones
+ * @param {number} options.topN - Palabras por archivo y métrica (default: 10)
+ * @param {number} options.minCount - Apariciones mínimas en el archivo (default: 3)
+ * @returns {{topN: number, minCount: number, files: Array<Object>}} Por archivo:
+ *   { file, words, tfidf, logLikelihood, frequencyRatio }, cada métrica una lista de
+ *   { word, count, restCount, score } de mayor a menor puntaje
+ */
+function compareFiles(files, options = {}) {
+    const { topN, minCount } = validateCompareOptions(options);
+
+    for (const file of files) {
+        if (!(file.wordMap instanceof Map)) {
+            throw new Error(`Falta el Map de palabras de ${file.filePath} (¿se usó keepFileMaps?)`);
+        }
+    }
+
+    const corpus = mergeMaps(files.map(file => file.wordMap));
+    const documentFrequency = new Map();
+    for (const file of files) {
+        for (const word of file.wordMap.keys()) {
+            documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1);
+        }
+    }
+    const corpusTotal = sumCounts(corpus);
+    const numFiles = files.length;
+
+    return {
+        topN,
+        minCount,
+        files: files.map((file) => {
+            const fileTotal = sumCounts(file.wordMap);
+            const restTotal = corpusTotal - fileTotal;
+            const scores = { tfidf: [], logLikelihood: [], frequencyRatio: [] };
+
+            // Sin resto no hay contra qué comparar: un solo archivo o los demás vacíos
+            if (restTotal > 0) {
+                for (const [word, count] of file.wordMap) {
+                    if (count < minCount) {
+                        continue;
+                    }
+
+                    const restCount = corpus.get(word) - count;
+                    const fileRate = count / fileTotal;
+                    const restRate = restCount / restTotal;
+
+                    const idf = Math.log(numFiles / documentFrequency.get(word));
+                    if (idf > 0) {
+                        scores.tfidf.push({ word, count, restCount, score: fileRate * idf });
+                    }
+
+                    // Solo palabras sobreusadas: G² también es alto para las que faltan
+                    if (fileRate > restRate) {
+                        const expectedFile = fileTotal * (count + restCount) / corpusTotal;
+                        const expectedRest = restTotal * (count + restCount) / corpusTotal;
+                        const g2 = 2 * (logLikelihoodTerm(count, expectedFile) + logLikelihoodTerm(restCount, expectedRest));
+                        scores.logLikelihood.push({ word, count, restCount, score: g2 });
+                        scores.frequencyRatio.push({
+                            word,
+                            count,
+                            restCount,
+                            score: ((count + RATIO_SMOOTHING) / fileTotal) / ((restCount + RATIO_SMOOTHING) / restTotal)
+                        });
+                    }
+                }
+            }
+
+            return {
+                file: getDisplayName(file.filePath),
+                words: fileTotal,
+                tfidf: pickTop(scores.tfidf, topN),
+                logLikelihood: pickTop(scores.logLikelihood, topN),
+                frequencyRatio: pickTop(scores.frequencyRatio, topN)
+            };
+        })
+    };
+}
+
+module.exports = {
+    compareFiles,
+    validateCompareOptions,
+    COMPARE_METRICS,
+    DEFAULT_COMPARE_TOP,
+    DEFAULT_MIN_COUNT
+};
@@ -0,0 +1,397 @@
+/**
+ * Compression - Lectura transparente de archivos comprimidos
+ * 
+ * Detecta la compresión por extensión o por los primeros bytes (magic bytes)
+ * y devuelve un stream con el contenido descomprimido:
+ * - gzip (.gz):       zlib.createGunzip
+ * - brotli (.br):     zlib.createBrotliDecompress (brotli no tiene magic bytes)
+ * - deflate (.zz):    zlib.createInflate
+ * - zip (.zip):       cada entrada se lee como un input propio con la ruta
+ *                     virtual "archivo.zip!/entrada.txt" (ver listZipEntries)
+ * - bzip2 (.bz2):     Node no lo incluye; se rechaza con un mensaje claro
+ *                     en lugar de contar bytes comprimidos como palabras
+ * 
+ * Solo usa módulos nativos de Node (zlib), sin dependencias externas.
+ * 
+ * @module compression
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline, Readable } = require('stream');
+
+/**
+ * Separador entre la ruta del .zip y el nombre de la entrada
+ */
+const ZIP_ENTRY_SEPARATOR = '!/';
+
+const EXTENSIONS = {
+    '.gz': 'gzip',
+    '.gzip': 'gzip',
+    '.br': 'brotli',
+    '.zz': 'deflate',
+    '.deflate': 'deflate',
+    '.zip': 'zip',
+    '.bz2': 'bzip2'
+};
+
+// Firmas de los primeros bytes de cada formato
+const MAGIC_BYTES = [
+    { format: 'gzip', bytes: [0x1f, 0x8b] },
+    { format: 'zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+    { format: 'bzip2', bytes: [0x42, 0x5a, 0x68] }
+];
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_CENTRAL_DIR = 0x06054b50;
+
+/**
+ * Indica si una ruta apunta a una entrada dentro de un .zip
+ * 
+ * @param {string} filePath - Ruta a revisar
+ * @returns {boolean}
+ */
+function isZipEntryPath(filePath) {
+    return filePath.includes(`.zip${ZIP_ENTRY_SEPARATOR}`);
+}
+
+/**
+ * Separa una ruta virtual "archivo.zip!/entrada" en sus partes
+ * 
+ * @param {string} filePath - Ruta virtual
+ * @returns {{archivePath: string, entryName: string}}
+ */
+function parseZipEntryPath(filePath) {
+    const index = filePath.indexOf(`.zip${ZIP_ENTRY_SEPARATOR}`) + '.zip'.length;
+    return {
+        archivePath: filePath.slice(0, index),
+        entryName: filePath.slice(index + ZIP_ENTRY_SEPARATOR.length)
+    };
+}
+
+/**
+ * Construye la ruta virtual de una entrada de un .zip
+ * 
+ * @param {string} archivePath - Ruta del .zip
+ * @param {string} entryName - Nombre de la entrada dentro del .zip
+ * @returns {string} Ruta virtual "archivo.zip!/entrada"
+ */
+function toZipEntryPath(archivePath, entryName) {
+    return `${archivePath}${ZIP_ENTRY_SEPARATOR}${entryName}`;
+}
+
+/**
+ * Ruta real en disco de un input (el .zip para entradas de un archivo)
+ * 
+ * @param {string} filePath - Ruta real o virtual
+ * @returns {string} Ruta en disco
+ */
+function getSourcePath(filePath) {
+    return isZipEntryPath(filePath) ? parseZipEntryPath(filePath).archivePath : filePath;
+}
+
+/**
+ * Nombre corto de un input para reportes: el nombre del archivo, o
+ * "archivo.zip!/entrada" para entradas de un .zip
+ * 
+ * @param {string} filePath - Ruta real o virtual
+ * @returns {string} Nombre para mostrar
+ */
+function getDisplayName(filePath) {
+    if (!isZipEntryPath(filePath)) {
+        return path.basename(filePath);
+    }
+    const { archivePath, entryName } = parseZipEntryPath(filePath);
+    return toZipEntryPath(path.basename(archivePath), entryName);
+}
+
+/**
+ * Detecta la compresión solo por la extensión de un nombre, sin leer el disco
+ * 
+ * Para contenido que no es un archivo local, como las subidas al servidor HTTP.
+ * 
+ * @param {string} name - Nombre del archivo
+ * @returns {string|null} 'gzip', 'brotli', 'deflate', 'zip', 'bzip2' o null
+ */
+function detectCompressionByName(name) {
+    return EXTENSIONS[path.extname(name).toLowerCase()] ?? null;
+}
+
+/**
+ * Detecta la compresión de un archivo por extensión y, si no la indica,
+ * por los primeros bytes
+ * 
+ * @param {string} filePath - Ruta del archivo (o ruta virtual de una entrada de .zip)
+ * @returns {string|null} 'gzip', 'brotli', 'deflate', 'zip', 'bzip2', 'zip-entry' o null si es texto plano
+ */
+function detectCompression(filePath) {
+    if (isZipEntryPath(filePath)) {
+        return 'zip-entry';
+    }
+
+    const byExtension = detectCompressionByName(filePath);
+    if (byExtension) {
+        return byExtension;
+    }
+
+    let fd;
+    try {
+        fd = fs.openSync(filePath, 'r');
+        const header = Buffer.alloc(4);
+        const bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+
+        for (const { format, bytes } of MAGIC_BYTES) {
+            if (bytesRead >= bytes.length && bytes.every((byte, i) => header[i] === byte)) {
+                return format;
+            }
+        }
+    } catch (error) {
+        // Si no se puede leer, countWords reportará el error al abrirlo
+        return null;
+    } finally {
+        if (fd !== undefined) {
+            fs.closeSync(fd);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Lee el directorio central de un .zip
+ * 
+ * Soporta entradas sin comprimir (stored) y deflate, que cubren
+ * prácticamente todos los .zip de texto. Zip64 y entradas cifradas
+ * se rechazan con un error.
+ * 
+ * @param {string} archivePath - Ruta del .zip
+ * @returns {Array<{name: string, method: number, compressedSize: number, size: number, localHeaderOffset: number}>}
+ *   Entradas de archivo (los directorios se omiten)
+ */
+function listZipEntries(archivePath) {
+    const fd = fs.openSync(archivePath, 'r');
+
+    try {
+        const { size } = fs.fstatSync(fd);
+
+        // El registro final (22 bytes + comentario de hasta 64KB) está al final del archivo
+        const tailSize = Math.min(size, 22 + 0xffff);
+        const tail = Buffer.alloc(tailSize);
+        fs.readSync(fd, tail, 0, tailSize, size - tailSize);
+
+        let eocd = -1;
+        for (let i = tailSize - 22; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === ZIP_END_OF_CENTRAL_DIR) {
+                eocd = i;
+                break;
+            }
+        }
+
+        if (eocd === -1) {
+            throw new Error(`EZIP: No es un archivo zip válido: ${archivePath}`);
+        }
+
+        const entryCount = tail.readUInt16LE(eocd + 10);
+        const directorySize = tail.readUInt32LE(eocd + 12);
+        const directoryOffset = tail.readUInt32LE(eocd + 16);
+
+        if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+            throw new Error(`EZIP: Zip64 no soportado: ${archivePath}`);
+        }
+
+        const directory = Buffer.alloc(directorySize);
+        fs.readSync(fd, directory, 0, directorySize, directoryOffset);
+
+        const entries = [];
+        let offset = 0;
+
+        for (let i = 0; i < entryCount; i++) {
+            if (directory.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER) {
+                throw new Error(`EZIP: Directorio central corrupto: ${archivePath}`);
+            }
+
+            const flags = directory.readUInt16LE(offset + 8);
+            const method = directory.readUInt16LE(offset + 10);
+            const compressedSize = directory.readUInt32LE(offset + 20);
+            const uncompressedSize = directory.readUInt32LE(offset + 24);
+            const nameLength = directory.readUInt16LE(offset + 28);
+            const extraLength = directory.readUInt16LE(offset + 30);
+            const commentLength = directory.readUInt16LE(offset + 32);
+            const localHeaderOffset = directory.readUInt32LE(offset + 42);
+            // Bit 11: nombre en UTF-8; si no, CP437 (latin1 es la mejor aproximación nativa)
+            const name = directory.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) {
+                continue;
+            }
+
+            entries.push({
+                name,
+                method,
+                encrypted: (flags & 0x1) !== 0,
+                compressedSize,
+                size: uncompressedSize,
+                localHeaderOffset
+            });
+        }
+
+        return entries;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Abre el contenido de una entrada de un .zip como stream
+ * 
+ * @param {string} archivePath - Ruta del .zip
+ * @param {string} entryName - Nombre de la entrada
+ * @returns {stream.Readable} Bytes descomprimidos de la entrada
+ */
+function openZipEntry(archivePath, entryName) {
+    const entry = listZipEntries(archivePath).find(e => e.name === entryName);
+
+    if (!entry) {
+        throw new Error(`ENOENT: La entrada '${entryName}' no existe en ${archivePath}`);
+    }
+    if (entry.encrypted) {
+        throw new Error(`EZIP: Entrada cifrada no soportada: ${entryName}`);
+    }
+    if (entry.compressedSize === 0xffffffff || entry.localHeaderOffset === 0xffffffff) {
+        throw new Error(`EZIP: Zip64 no soportado: ${archivePath}`);
+    }
+    if (entry.method !== 0 && entry.method !== 8) {
+        throw new Error(`EZIP: Método de compresión ${entry.method} no soportado en ${entryName} (solo stored y deflate)`);
+    }
+
+    // La cabecera local puede tener un campo extra distinto al del directorio central
+    const header = Buffer.alloc(30);
+    const fd = fs.openSync(archivePath, 'r');
+    try {
+        fs.readSync(fd, header, 0, 30, entry.localHeaderOffset);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    if (header.readUInt32LE(0) !== ZIP_LOCAL_HEADER) {
+        throw new Error(`EZIP: Cabecera local corrupta para ${entryName}`);
+    }
+
+    const dataStart = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+
+    if (entry.compressedSize === 0) {
+        return Readable.from([]);
+    }
+
+    const raw = fs.createReadStream(archivePath, {
+        start: dataStart,
+        end: dataStart + entry.compressedSize - 1
+    });
+
+    return entry.method === 0 ? raw : pipeline(raw, zlib.createInflateRaw(), () => {});
+}
+
+/**
+ * Descomprime un stream de bytes
+ * 
+ * @param {stream.Readable} readable - Stream comprimido
+ * @param {string|null} compression - 'gzip', 'brotli', 'deflate' o null (sin comprimir)
+ * @returns {stream.Readable} Stream con los bytes descomprimidos
+ */
+function decompressStream(readable, compression) {
+    switch (compression) {
+        case null:
+        case undefined:
+            return readable;
+        case 'gzip':
+            return pipeline(readable, zlib.createGunzip(), () => {});
+        case 'brotli':
+            return pipeline(readable, zlib.createBrotliDecompress(), () => {});
+        case 'deflate':
+            return pipeline(readable, zlib.createInflate(), () => {});
+        default:
+            throw new Error(`Compresión no soportada para streams: ${compression} (disponibles: gzip, brotli, deflate)`);
+    }
+}
+
+/**
+ * Crea un stream de bytes a partir de contenido en memoria
+ * 
+ * Sirve para contar textos recibidos por Lambda o enviados a un worker
+ * sin escribirlos antes a disco.
+ * 
+ * @param {string|Buffer|Uint8Array} content - Contenido (un string se trata como UTF-8)
+ * @param {string|null} compression - Compresión del contenido (ver decompressStream)
+ * @returns {stream.Readable} Stream con los bytes descomprimidos
+ */
+function openBufferStream(content, compression = null) {
+    // Un Buffer enviado por postMessage llega como Uint8Array: se envuelve sin copiarlo
+    const bytes = typeof content === 'string'
+        ? Buffer.from(content, 'utf8')
+        : Buffer.from(content.buffer, content.byteOffset, content.byteLength);
+    return decompressStream(Readable.from([bytes]), compression);
+}
+
+/**
+ * Abre un input como stream de bytes, descomprimiendo si hace falta
+ * 
+ * @param {string} filePath - Ruta del archivo o ruta virtual "archivo.zip!/entrada"
+ * @param {Object} options - Opciones de lectura
+ * @param {number} options.start - Byte inicial (solo texto plano)
+ * @param {number} options.end - Byte final, exclusivo (solo texto plano)
+ * @param {number} options.highWaterMark - Tamaño del buffer de lectura (default: 64KB)
+ * @returns {stream.Readable} Stream con los bytes del contenido
+ */
+function openInputStream(filePath, options = {}) {
+    const { start, end, highWaterMark = 64 * 1024 } = options;
+    const compression = detectCompression(filePath);
+
+    // Un rango de bytes solo tiene sentido sobre el archivo sin comprimir
+    if (compression && ((start || 0) !== 0 || end !== undefined)) {
+        throw new Error(`ERANGE: No se puede leer un rango de bytes de un archivo comprimido: ${filePath}`);
+    }
+
+    switch (compression) {
+        case null:
+            // Nota: `end` en createReadStream es inclusivo, el de options es exclusivo
+            return fs.createReadStream(filePath, {
+                highWaterMark,
+                start,
+                end: end !== undefined ? end - 1 : undefined
+            });
+        case 'gzip':
+        case 'brotli':
+        case 'deflate':
+            return decompressStream(fs.createReadStream(filePath, { highWaterMark }), compression);
+        case 'zip-entry': {
+            const { archivePath, entryName } = parseZipEntryPath(filePath);
+            return openZipEntry(archivePath, entryName);
+        }
+        case 'zip':
+            throw new Error(`EZIP: ${filePath} es un archivo zip; usa sus entradas ("${toZipEntryPath(filePath, '<entrada>')}")`);
+        case 'bzip2':
+            throw new Error(`EBZIP2: bzip2 no está soportado (Node no lo incluye); descomprime ${filePath} con bunzip2 primero`);
+        default:
+            throw new Error(`Compresión desconocida: ${compression}`);
+    }
+}
+
+module.exports = {
+    openInputStream,
+    openBufferStream,
+    decompressStream,
+    detectCompression,
+    detectCompressionByName,
+    listZipEntries,
+    openZipEntry,
+    isZipEntryPath,
+    parseZipEntryPath,
+    toZipEntryPath,
+    getSourcePath,
+    getDisplayName,
+    ZIP_ENTRY_SEPARATOR
+};
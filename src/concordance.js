@@ -0,0 +1,335 @@
+/**
+ * Concordance - Búsqueda de una palabra o frase con su contexto (KWIC)
+ * 
+ * Lee el archivo como stream, con el mismo tokenizer que el conteo, y
+ * devuelve cada aparición de la consulta ("key word in context") con su
+ * línea, su columna y las N palabras anteriores y posteriores. La consulta
+ * pasa por el mismo tokenizer que el texto, así que "Whale's" busca la
+ * frase "whale s" y, con foldAccents, "canción" encuentra "cancion".
+ * 
+ * Como en los n-gramas, una frase puede continuar en la línea siguiente pero
+ * no cruza una línea en blanco, y el contexto tampoco sale del párrafo. Las
+ * stop words no se filtran: el contexto muestra el texto tal cual.
+ * 
+ * La columna (en caracteres, desde 1) se busca en la línea original solo
+ * cuando hay una aparición; en formatos estructurados (HTML, subtítulos,
+ * JSON...) es relativa al texto extraído de la línea.
+ * 
+ * @module concordance
+ */
+
+const readline = require('readline');
+const { pipeline } = require('stream');
+const { createTokenizer, COMBINING_DIACRITICS } = require('./tokenizer');
+const { openSourceStream } = require('./wordCounter');
+const { createDecoderStream, resolveEncoding } = require('./encoding');
+const { createExtractor, validateInputFormat, parseFieldPath, AUTO_FORMAT } = require('./extractors');
+
+/**
+ * Palabras de contexto a cada lado por defecto
+ */
+const DEFAULT_CONTEXT = 5;
+
+/**
+ * Valida las opciones de búsqueda
+ * 
+ * @param {Object} options - { query, context, limit }
+ * @returns {{query: string, context: number, limit: number}} Opciones con valores por
+ *   defecto (limit Infinity si no se indica)
+ * @throws {Error} Si alguna opción es inválida
+ */
+function validateConcordanceOptions(options = {}) {
+    const { query } = options;
+    const context = options.context ?? DEFAULT_CONTEXT;
+    const limit = options.limit ?? Infinity;
+
+    if (typeof query !== 'string' || query.trim().length === 0) {
+        throw new Error('La búsqueda necesita una palabra o frase no vacía');
+    }
+    if (!Number.isInteger(context) || context < 0) {
+        throw new Error(`Contexto inválido: ${options.context} (debe ser un entero >= 0)`);
+    }
+    if (limit !== Infinity && (!Number.isInteger(limit) || limit < 1)) {
+        throw new Error(`Límite de apariciones inválido: ${options.limit} (debe ser un entero >= 1)`);
+    }
+
+    return { query, context, limit };
+}
+
+/**
+ * Crea la función que ubica las palabras de una línea en el texto original
+ * 
+ * La línea se pasa, carácter por carácter, por la misma normalización y
+ * minúsculas que el tokenizer, recordando de qué carácter original sale
+ * cada unidad; las palabras se buscan en orden en ese texto.
+ * 
+ * @param {Object} options - Opciones de tokenización (locale, normalization, foldAccents)
+ * @returns {Function} (line, words) => Array<number|null> con la columna (desde 1) de
+ *   cada palabra, o null si no se encuentra (p. ej. con un tokenizer propio)
+ */
+function createColumnLocator(options = {}) {
+    const { locale, normalization, foldAccents = false } = options;
+    // Forma descompuesta para comparar sin importar cómo vino compuesto el texto
+    const form = normalization && normalization.startsWith('NFK') ? 'NFKD' : 'NFD';
+
+    return (line, words) => {
+        let searchable = '';
+        const origin = [];
+        let column = 0;
+
+        for (const char of line) {
+            let text = char.normalize(form);
+            text = locale ? text.toLocaleLowerCase(locale) : text.toLowerCase();
+            if (foldAccents) {
+                text = text.replace(COMBINING_DIACRITICS, '');
+            }
+            searchable += text;
+            for (let i = 0; i < text.length; i++) {
+                origin.push(column);
+            }
+            column++;
+        }
+
+        let cursor = 0;
+        return words.map((word) => {
+            const key = word.normalize(form);
+            const index = searchable.indexOf(key, cursor);
+            if (index === -1) {
+                return null;
+            }
+            cursor = index + key.length;
+            return origin[index] + 1;
+        });
+    };
+}
+
+/**
+ * Crea el buscador de una frase sobre una secuencia de palabras
+ * 
+ * Guarda solo las últimas `context + frase` palabras y las apariciones que
+ * todavía esperan su contexto derecho.
+ * 
+ * @param {string[]} terms - Palabras de la consulta ya tokenizadas
+ * @param {Object} options - { context, limit, locateColumns }
+ * @returns {{add: Function, endParagraph: Function, result: Function}} add(word, line, index)
+ *   por cada palabra, con line = { number, text, words }; endParagraph() en cada línea en
+ *   blanco y al terminar
+ */
+function createConcordance(terms, options) {
+    const { context, limit, locateColumns } = options;
+    const size = terms.length;
+    let history = [];
+    let waiting = [];
+    const hits = [];
+    let totalHits = 0;
+
+    const finish = (hit) => {
+        hit.right = hit.right.join(' ');
+    };
+
+    const columnOf = ({ line, index }) => {
+        if (!line.columns) {
+            line.columns = locateColumns(line.text, line.words);
+        }
+        return line.columns[index];
+    };
+
+    return {
+        add(word, line, index) {
+            if (waiting.length > 0) {
+                for (const hit of waiting) {
+                    hit.right.push(word);
+                    if (hit.right.length === context) {
+                        finish(hit);
+                    }
+                }
+                waiting = waiting.filter(hit => typeof hit.right !== 'string');
+            }
+
+            history.push({ word, line, index });
+            if (history.length > context + size) {
+                history.shift();
+            }
+
+            const start = history.length - size;
+            if (start < 0) {
+                return;
+            }
+            for (let i = 0; i < size; i++) {
+                if (history[start + i].word !== terms[i]) {
+                    return;
+                }
+            }
+
+            totalHits++;
+            if (hits.length >= limit) {
+                return;
+            }
+
+            const first = history[start];
+            const hit = {
+                line: first.line.number,
+                column: columnOf(first),
+                left: history.slice(Math.max(0, start - context), start).map(item => item.word).join(' '),
+                match: history.slice(start).map(item => item.word).join(' '),
+                right: []
+            };
+            hits.push(hit);
+            if (context === 0) {
+                finish(hit);
+            } else {
+                waiting.push(hit);
+            }
+        },
+
+        endParagraph() {
+            waiting.forEach(finish);
+            waiting = [];
+            history = [];
+        },
+
+        result() {
+            return { hits, totalHits, truncated: totalHits > hits.length };
+        }
+    };
+}
+
+/**
+ * Prepara el tokenizer, la consulta y la codificación antes de leer, para
+ * fallar rápido si las opciones son inválidas
+ */
+function prepareSearch(options) {
+    const { query, context, limit } = validateConcordanceOptions(options);
+    const tokenize = createTokenizer(options);
+    const terms = tokenize(query);
+
+    if (terms.length === 0) {
+        throw new Error(`La búsqueda "${query}" no contiene palabras`);
+    }
+    if (options.jsonField !== undefined) {
+        parseFieldPath(options.jsonField);
+    }
+
+    return {
+        query,
+        terms,
+        context,
+        limit,
+        tokenize,
+        encoding: resolveEncoding(options.encoding),
+        inputFormat: validateInputFormat(options.inputFormat)
+    };
+}
+
+/**
+ * Recorre las líneas de un stream de bytes ya abierto
+ */
+async function consumeSearch(readable, prepared, inputFormat, options) {
+    const { onProgress, progressInterval = 10000 } = options;
+    const { terms, context, limit, tokenize, encoding } = prepared;
+    const extractor = createExtractor(inputFormat, options);
+    const concordance = createConcordance(terms, {
+        context,
+        limit,
+        locateColumns: createColumnLocator(options)
+    });
+    let linesProcessed = 0;
+
+    const decoder = createDecoderStream(encoding);
+    const textStream = pipeline(readable, decoder, () => {});
+    const rl = readline.createInterface({ input: textStream, crlfDelay: Infinity });
+
+    const searchLine = (text) => {
+        if (text.trim().length === 0) {
+            concordance.endParagraph();
+            return;
+        }
+
+        const line = { number: linesProcessed, text, words: tokenize(text), columns: null };
+        line.words.forEach((word, index) => concordance.add(word, line, index));
+    };
+
+    for await (const line of rl) {
+        linesProcessed++;
+
+        if (extractor) {
+            for (const text of extractor.push(line)) {
+                searchLine(text);
+            }
+        } else {
+            searchLine(line);
+        }
+
+        if (onProgress && linesProcessed % progressInterval === 0) {
+            onProgress({ linesProcessed, totalHits: concordance.result().totalHits });
+        }
+    }
+
+    if (extractor) {
+        for (const text of extractor.flush()) {
+            searchLine(text);
+        }
+    }
+    concordance.endParagraph();
+
+    return {
+        query: prepared.query,
+        context,
+        ...concordance.result(),
+        linesProcessed,
+        encoding: decoder.detectedEncoding,
+        inputFormat,
+        ...(extractor && extractor.skipped > 0 && { skippedRecords: extractor.skipped })
+    };
+}
+
+/**
+ * Busca una palabra o frase en un stream de bytes (stdin, contenido en memoria...)
+ * 
+ * @param {Readable} readable - Stream de bytes
+ * @param {Object} options - Opciones de tokenización, encoding, inputFormat y jsonField
+ *   (como countStream), más:
+ * @param {string} options.query - Palabra o frase a buscar
+ * @param {number} options.context - Palabras de contexto a cada lado (default: 5)
+ * @param {number} options.limit - Máximo de apariciones a devolver; las demás solo se
+ *   cuentan en totalHits (default: sin límite)
+ * @param {Function} options.onProgress - Callback de progreso ({ linesProcessed, totalHits })
+ * @param {number} options.progressInterval - Cada cuántas líneas reportar (default: 10000)
+ * @returns {Promise<{query: string, context: number, hits: Array<Object>, totalHits: number, truncated: boolean, linesProcessed: number, encoding: string, inputFormat: string}>}
+ *   Cada aparición es { line, column, left, match, right }
+ */
+async function searchStream(readable, options = {}) {
+    let prepared;
+    try {
+        prepared = prepareSearch(options);
+        if (prepared.inputFormat === 'epub') {
+            throw new Error('EEPUB: Un EPUB es un archivo zip; no se puede leer desde un stream');
+        }
+    } catch (error) {
+        readable.destroy();
+        throw error;
+    }
+
+    const inputFormat = prepared.inputFormat === AUTO_FORMAT ? 'text' : prepared.inputFormat;
+    return consumeSearch(readable, prepared, inputFormat, options);
+}
+
+/**
+ * Busca una palabra o frase en un archivo (comprimido, .zip!/entrada o EPUB incluidos)
+ * 
+ * @param {string} filePath - Ruta al archivo
+ * @param {Object} options - Opciones de searchStream
+ * @returns {Promise<Object>} Resultado de searchStream
+ */
+async function searchFile(filePath, options = {}) {
+    const prepared = prepareSearch(options);
+    const { stream, inputFormat } = openSourceStream(filePath, prepared.inputFormat);
+    return consumeSearch(stream, prepared, inputFormat, options);
+}
+
+module.exports = {
+    searchFile,
+    searchStream,
+    validateConcordanceOptions,
+    DEFAULT_CONTEXT
+};
@@ -0,0 +1,195 @@
+/**
+ * Corpus - Archivos que la API puede leer (`files` y `corpora` de /count y /jobs)
+ * 
+ * La API solo lee archivos dentro de la raíz del corpus: `data/` (o
+ * CORPUS_ROOT) de la raíz de la Lambda o del directorio de trabajo de
+ * `wordflux serve`. Las rutas de `files` siguen siendo relativas a esa base
+ * (`data/moby-dick.txt`), pero se rechazan las absolutas, las que tienen un
+ * segmento `..` y las que, resueltos los enlaces simbólicos, quedan fuera de
+ * la raíz. Una ruta rechazada o inexistente es un error de ese archivo, no
+ * de la petición.
+ * 
+ * El catálogo (`GET /corpora`) lista los libros de la raíz con un nombre
+ * corto (la ruta relativa a la raíz sin extensiones: `moby-dick`), que se
+ * puede pedir en `corpora` en lugar de la ruta.
+ * 
+ * @module corpus
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { expandPatterns } = require('./fileWalker');
+const { isTextInput, detectInputFormat } = require('./extractors');
+const {
+    getSourcePath,
+    isZipEntryPath,
+    parseZipEntryPath,
+    toZipEntryPath,
+    detectCompressionByName
+} = require('./compression');
+
+/**
+ * Raíz del corpus por defecto, relativa a la base
+ */
+const DEFAULT_CORPUS_DIR = 'data';
+
+/**
+ * Crea el error de un archivo que no se puede leer, con código estable
+ * ('PATH_NOT_ALLOWED', 'FILE_NOT_FOUND' o 'CORPUS_NOT_FOUND')
+ */
+function corpusError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Indica si `target` está dentro de `root` (sin ser la raíz misma)
+ */
+function isInside(root, target) {
+    const relative = path.relative(root, target);
+    return relative !== '' && relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative);
+}
+
+/**
+ * Arma la configuración de un corpus
+ * 
+ * @param {string} baseDir - Directorio base de las rutas de `files`
+ * @param {string} root - Raíz del corpus, relativa a baseDir o absoluta (default: 'data')
+ * @returns {{baseDir: string, root: string}} Rutas absolutas
+ */
+function createCorpusConfig(baseDir, root = DEFAULT_CORPUS_DIR) {
+    return { baseDir: path.resolve(baseDir), root: path.resolve(baseDir, root) };
+}
+
+/**
+ * Valida una ruta pedida y la resuelve dentro del corpus
+ * 
+ * Para una entrada de zip ("corpus.zip!/libro.txt") se valida el .zip.
+ * 
+ * @param {string} filePath - Ruta relativa a corpus.baseDir
+ * @param {Object} corpus - Configuración (ver createCorpusConfig)
+ * @returns {string} Ruta real del archivo (enlaces simbólicos resueltos)
+ * @throws {Error} Con code 'PATH_NOT_ALLOWED' o 'FILE_NOT_FOUND'
+ */
+function resolveCorpusPath(filePath, corpus) {
+    if (typeof filePath !== 'string' || filePath.trim() === '' || filePath.includes('\0')) {
+        throw corpusError(`Ruta inválida: ${JSON.stringify(filePath)}`, 'PATH_NOT_ALLOWED');
+    }
+    if (path.isAbsolute(filePath) || path.win32.isAbsolute(filePath)) {
+        throw corpusError(`Ruta absoluta no permitida: ${filePath}`, 'PATH_NOT_ALLOWED');
+    }
+    if (filePath.split(/[\\/]/).includes('..')) {
+        throw corpusError(`Ruta con '..' no permitida: ${filePath}`, 'PATH_NOT_ALLOWED');
+    }
+
+    const absolutePath = path.resolve(corpus.baseDir, filePath);
+    const sourcePath = getSourcePath(absolutePath);
+    const rootName = path.relative(corpus.baseDir, corpus.root) || '.';
+    if (!isInside(corpus.root, sourcePath)) {
+        throw corpusError(`Ruta fuera del corpus (${rootName}/): ${filePath}`, 'PATH_NOT_ALLOWED');
+    }
+
+    let realPath;
+    let realRoot;
+    try {
+        realRoot = fs.realpathSync(corpus.root);
+        realPath = fs.realpathSync(sourcePath);
+    } catch (error) {
+        throw corpusError(`Archivo no encontrado: ${filePath}`, 'FILE_NOT_FOUND');
+    }
+    if (!isInside(realRoot, realPath)) {
+        throw corpusError(`Enlace simbólico fuera del corpus (${rootName}/): ${filePath}`, 'PATH_NOT_ALLOWED');
+    }
+    if (!fs.statSync(realPath).isFile()) {
+        throw corpusError(`No es un archivo: ${filePath}`, 'FILE_NOT_FOUND');
+    }
+
+    // La ruta real, no la pedida: un enlace cambiado después de validar no puede salir del corpus
+    return isZipEntryPath(absolutePath)
+        ? toZipEntryPath(realPath, parseZipEntryPath(absolutePath).entryName)
+        : realPath;
+}
+
+/**
+ * Nombre corto de un libro: ruta relativa a la raíz, sin compresión ni formato
+ * (moby-dick.txt.gz → moby-dick)
+ */
+function getCorpusName(relativePath) {
+    let name = relativePath;
+    if (detectCompressionByName(name)) {
+        name = name.slice(0, -path.extname(name).length);
+    }
+    return name.slice(0, name.length - path.extname(name).length) || name;
+}
+
+/**
+ * Recorre la raíz del corpus: archivos de texto (comprimidos o no) que no
+ * salen de la raíz por un enlace simbólico
+ * 
+ * @returns {Array<{entry: Object, filePath: string}>} Entrada del catálogo y ruta real
+ */
+function scanCorpora(corpus) {
+    if (!fs.existsSync(corpus.root)) {
+        return [];
+    }
+
+    const realRoot = fs.realpathSync(corpus.root);
+    const found = expandPatterns([corpus.root], { accept: isTextInput })
+        .map(filePath => ({ filePath: fs.realpathSync(filePath), relativePath: path.relative(corpus.root, filePath) }))
+        .filter(({ filePath }) => isInside(realRoot, filePath));
+
+    // Si dos archivos dan el mismo nombre (libro.txt y libro.txt.gz) se usa la ruta completa
+    const names = found.map(({ relativePath }) => getCorpusName(relativePath.split(path.sep).join('/')));
+    return found.map(({ filePath, relativePath }, i) => {
+        const posixPath = relativePath.split(path.sep).join('/');
+        const unique = names.indexOf(names[i]) === names.lastIndexOf(names[i]);
+        return {
+            filePath,
+            entry: {
+                name: unique ? names[i] : posixPath,
+                path: path.relative(corpus.baseDir, path.join(corpus.root, relativePath)).split(path.sep).join('/'),
+                format: detectInputFormat(filePath),
+                compression: detectCompressionByName(filePath),
+                size: fs.statSync(filePath).size
+            }
+        };
+    });
+}
+
+/**
+ * Catálogo de los libros del corpus
+ * 
+ * @param {Object} corpus - Configuración (ver createCorpusConfig)
+ * @returns {Array<Object>} { name, path, format, compression, size } por libro, en orden de
+ *   ruta. `path` es relativa a la base, como se pide en `files`
+ */
+function listCorpora(corpus) {
+    return scanCorpora(corpus).map(({ entry }) => entry);
+}
+
+/**
+ * Resuelve nombres del catálogo
+ * 
+ * @param {string[]} names - Nombres pedidos en `corpora`
+ * @param {Object} corpus - Configuración (ver createCorpusConfig)
+ * @returns {Array<{name: string, filePath?: string, error?: Error}>} Ruta real de cada nombre, o
+ *   un error con code 'CORPUS_NOT_FOUND'
+ */
+function resolveCorpusNames(names, corpus) {
+    const catalog = scanCorpora(corpus);
+    return names.map((name) => {
+        const found = catalog.find(({ entry }) => entry.name === name);
+        return found
+            ? { name, filePath: found.filePath }
+            : { name, error: corpusError(`Corpus no encontrado: ${name} (ver GET /corpora)`, 'CORPUS_NOT_FOUND') };
+    });
+}
+
+module.exports = {
+    createCorpusConfig,
+    resolveCorpusPath,
+    resolveCorpusNames,
+    listCorpora,
+    DEFAULT_CORPUS_DIR
+};
@@ -0,0 +1,199 @@
+/**
+ * Encoding - Detección de codificación y decodificación en streaming
+ * 
+ * Los libros de Gutenberg más viejos vienen en Latin-1 o Windows-1252 y
+ * algunos exportes de Windows en UTF-16. Decodificarlos como UTF-8 produce
+ * caracteres de reemplazo (U+FFFD) que terminan contados como "palabras".
+ * 
+ * Orden de detección en modo 'auto':
+ * 1. BOM: EF BB BF (UTF-8), FF FE (UTF-16LE), FE FF (UTF-16BE)
+ * 2. Bytes nulos alternados en la muestra → UTF-16 sin BOM
+ * 3. La muestra es UTF-8 válido → UTF-8
+ * 4. Si no → Windows-1252 (superconjunto imprimible de Latin-1)
+ * 
+ * La decodificación usa TextDecoder en modo stream, disponible igual en el
+ * hilo principal, en workers y en Lambda.
+ * 
+ * @module encoding
+ */
+
+const fs = require('fs');
+const { Transform } = require('stream');
+
+/**
+ * Bytes que se inspeccionan para detectar la codificación (64KB)
+ */
+const SAMPLE_SIZE = 64 * 1024;
+
+/**
+ * Valor de la opción encoding que activa la detección automática
+ */
+const AUTO_ENCODING = 'auto';
+
+const BOMS = [
+    { encoding: 'utf-8', bytes: [0xef, 0xbb, 0xbf] },
+    { encoding: 'utf-16le', bytes: [0xff, 0xfe] },
+    { encoding: 'utf-16be', bytes: [0xfe, 0xff] }
+];
+
+/**
+ * Normaliza y valida un nombre de codificación
+ * 
+ * Acepta cualquier etiqueta que entienda TextDecoder (utf-8, utf-16le,
+ * latin1, windows-1252, iso-8859-15...) además de 'auto'.
+ * 
+ * @param {string} encoding - Nombre de la codificación
+ * @returns {string} Nombre canónico ('auto' o el de TextDecoder)
+ */
+function resolveEncoding(encoding) {
+    if (encoding === undefined || encoding === null || encoding === AUTO_ENCODING) {
+        return AUTO_ENCODING;
+    }
+
+    try {
+        return new TextDecoder(String(encoding)).encoding;
+    } catch (error) {
+        throw new Error(`Codificación desconocida: ${encoding} (ej: auto, utf-8, utf-16le, utf-16be, latin1, windows-1252)`);
+    }
+}
+
+/**
+ * Detecta la codificación de una muestra de bytes
+ * 
+ * @param {Buffer} sample - Primeros bytes del contenido
+ * @returns {{encoding: string, bom: boolean}} Codificación detectada y si había BOM
+ */
+function detectEncoding(sample) {
+    for (const { encoding, bytes } of BOMS) {
+        if (sample.length >= bytes.length && bytes.every((byte, i) => sample[i] === byte)) {
+            return { encoding, bom: true };
+        }
+    }
+
+    // Texto en UTF-16 de escrituras latinas: casi todos los bytes altos (o bajos) son 0
+    const pairs = Math.floor(Math.min(sample.length, 4096) / 2);
+    if (pairs > 0) {
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i < pairs; i++) {
+            if (sample[2 * i] === 0) {
+                evenZeros++;
+            }
+            if (sample[2 * i + 1] === 0) {
+                oddZeros++;
+            }
+        }
+        if (oddZeros > pairs * 0.4 && evenZeros < pairs * 0.05) {
+            return { encoding: 'utf-16le', bom: false };
+        }
+        if (evenZeros > pairs * 0.4 && oddZeros < pairs * 0.05) {
+            return { encoding: 'utf-16be', bom: false };
+        }
+    }
+
+    try {
+        // stream: true tolera una secuencia multibyte cortada al final de la muestra
+        new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+        return { encoding: 'utf-8', bom: false };
+    } catch (error) {
+        return { encoding: 'windows-1252', bom: false };
+    }
+}
+
+/**
+ * Detecta la codificación de un archivo leyendo sus primeros bytes
+ * 
+ * @param {string} filePath - Ruta del archivo (sin comprimir)
+ * @returns {{encoding: string, bom: boolean}} Codificación detectada
+ */
+function detectFileEncoding(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const sample = Buffer.alloc(SAMPLE_SIZE);
+        const bytesRead = fs.readSync(fd, sample, 0, SAMPLE_SIZE, 0);
+        return detectEncoding(sample.subarray(0, bytesRead));
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Crea un Transform que convierte bytes en texto
+ * 
+ * Con encoding 'auto' acumula los primeros SAMPLE_SIZE bytes (o todo el
+ * contenido si es menor), detecta la codificación y recién entonces empieza
+ * a emitir texto. La codificación usada queda en `stream.detectedEncoding`.
+ * 
+ * @param {string} encoding - Codificación o 'auto' (default: 'auto')
+ * @param {Object} options - Opciones
+ * @param {Function} options.onDetect - Callback ({encoding, bom}) al resolver la codificación
+ * @returns {stream.Transform} Stream de bytes a strings
+ */
+function createDecoderStream(encoding = AUTO_ENCODING, options = {}) {
+    const { onDetect } = options;
+    const requested = resolveEncoding(encoding);
+    let decoder = null;
+    let pending = [];
+    let pendingBytes = 0;
+
+    const decodeStream = new Transform({
+        transform(chunk, chunkEncoding, callback) {
+            if (decoder) {
+                callback(null, decoder.decode(chunk, { stream: true }));
+                return;
+            }
+
+            pending.push(chunk);
+            pendingBytes += chunk.length;
+            if (pendingBytes < SAMPLE_SIZE) {
+                callback();
+                return;
+            }
+
+            callback(null, start());
+        },
+        flush(callback) {
+            const text = decoder ? '' : start();
+            callback(null, text + decoder.decode());
+        }
+    });
+    decodeStream.setEncoding('utf8');
+    decodeStream.detectedEncoding = null;
+
+    // Resuelve la codificación con lo acumulado y decodifica el buffer pendiente
+    function start() {
+        const sample = Buffer.concat(pending, pendingBytes);
+        pending = null;
+
+        const detected = requested === AUTO_ENCODING
+            ? detectEncoding(sample)
+            : { encoding: requested, bom: false };
+
+        decodeStream.detectedEncoding = detected.encoding;
+        // ignoreBOM: false (default) quita el BOM del texto decodificado
+        decoder = new TextDecoder(detected.encoding);
+
+        if (onDetect) {
+            onDetect(detected);
+        }
+
+        return decoder.decode(sample, { stream: true });
+    }
+
+    // Con una codificación explícita no hace falta esperar la muestra
+    if (requested !== AUTO_ENCODING) {
+        pending = [];
+        start();
+    }
+
+    return decodeStream;
+}
+
+module.exports = {
+    createDecoderStream,
+    detectEncoding,
+    detectFileEncoding,
+    resolveEncoding,
+    AUTO_ENCODING,
+    SAMPLE_SIZE
+};
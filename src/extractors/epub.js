@@ -0,0 +1,117 @@
+/**
+ * EPUB - Capítulos de un libro electrónico en orden de lectura
+ * 
+ * Un .epub es un zip con un paquete OPF que lista los documentos XHTML
+ * (manifest) y su orden de lectura (spine). Este módulo resuelve ese orden
+ * y devuelve los capítulos concatenados como un único stream de bytes, que
+ * después pasa por el extractor HTML como cualquier página.
+ * 
+ * @module extractors/epub
+ */
+
+const path = require('path');
+const { Readable } = require('stream');
+const { listZipEntries, openZipEntry } = require('../compression');
+
+const CONTAINER_PATH = 'META-INF/container.xml';
+const CHAPTER_MEDIA_TYPES = new Set(['application/xhtml+xml', 'text/html']);
+
+/**
+ * Lee una entrada completa del zip (solo para los XML pequeños del paquete)
+ */
+async function readEntry(epubPath, entryName) {
+    const chunks = [];
+    for await (const chunk of openZipEntry(epubPath, entryName)) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Extrae los atributos de una etiqueta XML
+ */
+function parseAttributes(tag) {
+    const attributes = {};
+    for (const match of tag.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attributes[match[1]] = match[2] ?? match[3];
+    }
+    return attributes;
+}
+
+/**
+ * Obtiene las rutas de los capítulos de un EPUB en orden de lectura
+ * 
+ * @param {string} epubPath - Ruta del .epub
+ * @returns {Promise<string[]>} Nombres de las entradas XHTML según el spine
+ */
+async function listEpubChapters(epubPath) {
+    const entries = new Set(listZipEntries(epubPath).map(entry => entry.name));
+
+    if (!entries.has(CONTAINER_PATH)) {
+        throw new Error(`EEPUB: ${epubPath} no es un EPUB válido (falta ${CONTAINER_PATH})`);
+    }
+
+    const container = await readEntry(epubPath, CONTAINER_PATH);
+    const rootfile = /<(?:\w+:)?rootfile\b[^>]*>/.exec(container);
+    const opfPath = rootfile && parseAttributes(rootfile[0])['full-path'];
+    if (!opfPath || !entries.has(opfPath)) {
+        throw new Error(`EEPUB: ${epubPath} no es un EPUB válido (paquete OPF no encontrado)`);
+    }
+
+    const opf = await readEntry(epubPath, opfPath);
+    const opfDir = path.posix.dirname(opfPath);
+
+    const manifest = new Map();
+    for (const [tag] of opf.matchAll(/<(?:\w+:)?item\b[^>]*>/g)) {
+        const { id, href, 'media-type': mediaType } = parseAttributes(tag);
+        if (id && href) {
+            manifest.set(id, { href, mediaType });
+        }
+    }
+
+    const chapters = [];
+    for (const [tag] of opf.matchAll(/<(?:\w+:)?itemref\b[^>]*>/g)) {
+        const item = manifest.get(parseAttributes(tag).idref);
+        if (!item || item.mediaType && !CHAPTER_MEDIA_TYPES.has(item.mediaType)) {
+            continue;
+        }
+
+        const href = decodeURIComponent(item.href.split('#')[0]);
+        const entryName = path.posix.normalize(opfDir === '.' ? href : `${opfDir}/${href}`);
+        if (entries.has(entryName) && !chapters.includes(entryName)) {
+            chapters.push(entryName);
+        }
+    }
+
+    if (chapters.length === 0) {
+        throw new Error(`EEPUB: ${epubPath} no tiene capítulos en el spine`);
+    }
+
+    return chapters;
+}
+
+/**
+ * Abre los capítulos de un EPUB como un único stream de XHTML
+ * 
+ * Los capítulos se leen de a uno, así que la memoria no depende del
+ * tamaño del libro.
+ * 
+ * @param {string} epubPath - Ruta del .epub
+ * @returns {stream.Readable} Bytes de los capítulos concatenados
+ */
+function openEpubStream(epubPath) {
+    async function* chapters() {
+        for (const entryName of await listEpubChapters(epubPath)) {
+            yield* openZipEntry(epubPath, entryName);
+            // Un capítulo nunca continúa el párrafo del anterior
+            yield Buffer.from('\n<p>\n');
+        }
+    }
+
+    return Readable.from(chapters(), { objectMode: false });
+}
+
+module.exports = {
+    openEpubStream,
+    listEpubChapters
+};
@@ -0,0 +1,182 @@
+/**
+ * Extractor HTML - Texto visible de páginas HTML/XHTML
+ * 
+ * Procesa línea por línea con una pequeña máquina de estados, así que las
+ * etiquetas y comentarios pueden ocupar varias líneas sin cargar el documento
+ * completo en memoria. Descarta etiquetas, atributos, comentarios y el
+ * contenido de <script>, <style> y similares, y decodifica las entidades.
+ * Los elementos de bloque (<p>, <div>, <h1>...) cierran el párrafo para que
+ * los n-gramas no los crucen.
+ * 
+ * @module extractors/html
+ */
+
+// Elementos cuyo contenido no es texto del documento
+const SKIPPED_ELEMENTS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'math', 'head']);
+
+// Elementos que separan párrafos
+const BLOCK_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'body', 'dd', 'div', 'dl', 'dt',
+    'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+    'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'td', 'th',
+    'tr', 'ul'
+]);
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', shy: '',
+    ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“',
+    rdquo: '”', laquo: '«', raquo: '»', iexcl: '¡', iquest: '¿', copy: '©',
+    reg: '®', deg: '°', middot: '·', szlig: 'ß', aelig: 'æ', AElig: 'Æ',
+    oelig: 'œ', OElig: 'Œ', oslash: 'ø', Oslash: 'Ø', eth: 'ð', ETH: 'Ð',
+    thorn: 'þ', THORN: 'Þ', ordf: 'ª', ordm: 'º', euro: '€', pound: '£'
+};
+
+// &eacute; → e + acento agudo combinante, luego NFC
+const ACCENT_ENTITIES = {
+    grave: '̀', acute: '́', circ: '̂', tilde: '̃',
+    uml: '̈', ring: '̊', cedil: '̧'
+};
+
+/**
+ * Decodifica entidades HTML nombradas y numéricas
+ * 
+ * @param {string} text - Texto con entidades
+ * @returns {string} Texto decodificado (las entidades desconocidas se dejan igual)
+ */
+function decodeEntities(text) {
+    if (!text.includes('&')) {
+        return text;
+    }
+
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z][a-z0-9]*);/gi, (entity, body) => {
+        if (body[0] === '#') {
+            const code = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+        }
+
+        if (Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, body)) {
+            return NAMED_ENTITIES[body];
+        }
+
+        const accent = /^([a-z])(grave|acute|circ|tilde|uml|ring|cedil)$/i.exec(body);
+        if (accent) {
+            return (accent[1] + ACCENT_ENTITIES[accent[2]]).normalize('NFC');
+        }
+
+        return entity;
+    });
+}
+
+/**
+ * Crea un extractor de texto para HTML
+ * 
+ * @returns {{push: Function, flush: Function}} push(line) y flush() devuelven las líneas de texto
+ */
+function createHtmlExtractor() {
+    let inTag = false;
+    let inComment = false;
+    let quote = null;
+    let tag = '';
+    // Elemento cuyo contenido se está descartando (ej: 'script')
+    let skipping = null;
+
+    /**
+     * Aplica el efecto de una etiqueta completa
+     * @returns {string} Separador a insertar en el texto ('', '\n' o '\n\n')
+     */
+    function handleTag(source) {
+        const match = /^(\/?)\s*([a-zA-Z][\w:-]*)/.exec(source);
+        if (!match) {
+            // <!DOCTYPE>, <?xml?>, <![CDATA[...
+            return '';
+        }
+
+        const closing = match[1] === '/';
+        const name = match[2].toLowerCase().replace(/^.*:/, '');
+
+        if (skipping) {
+            if (closing && name === skipping) {
+                skipping = null;
+            }
+            return '';
+        }
+
+        if (!closing && SKIPPED_ELEMENTS.has(name) && !source.trimEnd().endsWith('/')) {
+            skipping = name;
+            return '';
+        }
+
+        if (name === 'br') {
+            return '\n';
+        }
+
+        return BLOCK_ELEMENTS.has(name) ? '\n\n' : '';
+    }
+
+    return {
+        push(line) {
+            let text = '';
+
+            for (let i = 0; i < line.length; i++) {
+                const char = line[i];
+
+                if (inComment) {
+                    if (line.startsWith('-->', i)) {
+                        inComment = false;
+                        i += 2;
+                    }
+                    continue;
+                }
+
+                if (inTag) {
+                    if (quote) {
+                        if (char === quote) {
+                            quote = null;
+                        }
+                    } else if (char === '"' || char === '\'') {
+                        quote = char;
+                    } else if (char === '>') {
+                        inTag = false;
+                        text += handleTag(tag);
+                    } else {
+                        tag += char;
+                    }
+                    continue;
+                }
+
+                if (char === '<') {
+                    if (line.startsWith('<!--', i)) {
+                        inComment = true;
+                        i += 3;
+                        continue;
+                    }
+                    // Un '<' suelto (ej: "a < b") no abre una etiqueta
+                    if (/[a-zA-Z/!?]/.test(line[i + 1] || '')) {
+                        inTag = true;
+                        tag = '';
+                        continue;
+                    }
+                }
+
+                if (!skipping) {
+                    text += char;
+                }
+            }
+
+            if (inTag) {
+                // El salto de línea dentro de una etiqueta separa atributos
+                tag += ' ';
+            }
+
+            return decodeEntities(text).split('\n');
+        },
+        flush() {
+            return [];
+        }
+    };
+}
+
+module.exports = {
+    createHtmlExtractor,
+    decodeEntities
+};
@@ -0,0 +1,186 @@
+/**
+ * Extractors - Texto de formatos estructurados
+ * 
+ * Cada extractor recibe las líneas crudas del archivo y devuelve las líneas
+ * de texto que se cuentan, antes de la normalización y la tokenización:
+ * 
+ *   bytes → decodificación → líneas → extractor → tokenizer → conteo
+ * 
+ * Un extractor es un objeto {push(line), flush()} donde ambos métodos
+ * devuelven un array de líneas (posiblemente vacío). Una línea '' separa
+ * párrafos, igual que en texto plano. Como trabajan línea por línea, el
+ * archivo nunca se carga entero, también dentro de los workers.
+ * 
+ * Formatos:
+ * - text: sin extractor
+ * - markdown: .md, .markdown
+ * - html: .html, .htm, .xhtml
+ * - epub: .epub (capítulos en orden del spine, extraídos como HTML)
+ * - srt: .srt, .vtt
+ * - jsonl: .jsonl, .ndjson (un campo de cada registro)
+ * 
+ * @module extractors
+ */
+
+const path = require('path');
+const { isZipEntryPath, parseZipEntryPath } = require('../compression');
+const { createHtmlExtractor } = require('./html');
+const { createMarkdownExtractor } = require('./markdown');
+const { createSubtitleExtractor } = require('./subtitles');
+const { createJsonlExtractor, parseFieldPath, DEFAULT_JSON_FIELD } = require('./jsonl');
+const { openEpubStream } = require('./epub');
+
+/**
+ * Valor de inputFormat que elige el formato por la extensión
+ */
+const AUTO_FORMAT = 'auto';
+
+/**
+ * Formatos de entrada soportados
+ */
+const INPUT_FORMATS = ['text', 'markdown', 'html', 'epub', 'srt', 'jsonl'];
+
+/**
+ * Extensión → formato
+ */
+const FORMAT_EXTENSIONS = {
+    '.txt': 'text',
+    '.text': 'text',
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.html': 'html',
+    '.htm': 'html',
+    '.xhtml': 'html',
+    '.epub': 'epub',
+    '.srt': 'srt',
+    '.vtt': 'srt',
+    '.jsonl': 'jsonl',
+    '.ndjson': 'jsonl'
+};
+
+// Formatos cuyas líneas se pueden procesar por separado (ver isChunkableFormat)
+const CHUNKABLE_FORMATS = new Set(['text', 'srt', 'jsonl']);
+
+// Extensiones de compresión que se ignoran al detectar el formato (ej: page.html.gz)
+const COMPRESSION_EXTENSIONS = new Set(['.gz', '.gzip', '.br', '.zz', '.deflate']);
+
+/**
+ * Extensiones de compresión que se aceptan sobre un .txt (ej: libro.txt.gz)
+ */
+const COMPRESSED_SUFFIXES = ['.gz', '.gzip', '.br', '.zz', '.deflate', '.bz2'];
+
+/**
+ * Indica si un nombre de archivo es un input de texto, comprimido o no:
+ * .txt o un formato con extractor (.md, .html, .epub, .srt, .jsonl...)
+ * @param {string} name - Nombre o ruta del archivo
+ * @returns {boolean}
+ */
+function isTextInput(name) {
+    const lower = name.toLowerCase();
+    const suffix = COMPRESSED_SUFFIXES.find(ext => lower.endsWith(ext));
+    const plain = suffix ? lower.slice(0, -suffix.length) : lower;
+    return Object.prototype.hasOwnProperty.call(FORMAT_EXTENSIONS, path.extname(plain));
+}
+
+/**
+ * Detecta el formato de un archivo por su extensión
+ * 
+ * Para entradas de .zip usa el nombre de la entrada, y salta la extensión
+ * de compresión (notas.md.gz → markdown).
+ * 
+ * @param {string} filePath - Ruta del archivo
+ * @returns {string} Formato ('text' si la extensión no es conocida)
+ */
+function detectInputFormat(filePath) {
+    let name = isZipEntryPath(filePath) ? parseZipEntryPath(filePath).entryName : String(filePath);
+    let extension = path.extname(name).toLowerCase();
+
+    if (COMPRESSION_EXTENSIONS.has(extension)) {
+        name = name.slice(0, -extension.length);
+        extension = path.extname(name).toLowerCase();
+    }
+
+    return FORMAT_EXTENSIONS[extension] || 'text';
+}
+
+/**
+ * Valida un nombre de formato
+ * 
+ * @param {string} format - Formato pedido ('auto' o uno de INPUT_FORMATS)
+ * @returns {string} El formato validado ('auto' si no se indicó)
+ */
+function validateInputFormat(format) {
+    if (format === undefined || format === null || format === AUTO_FORMAT) {
+        return AUTO_FORMAT;
+    }
+    if (!INPUT_FORMATS.includes(format)) {
+        throw new Error(`Formato de entrada inválido: ${format} (opciones: ${AUTO_FORMAT}, ${INPUT_FORMATS.join(', ')})`);
+    }
+    return format;
+}
+
+/**
+ * Resuelve el formato de un archivo
+ * 
+ * @param {string} filePath - Ruta del archivo
+ * @param {string} format - Formato pedido (default: 'auto', por extensión)
+ * @returns {string} Formato efectivo
+ */
+function resolveInputFormat(filePath, format = AUTO_FORMAT) {
+    const requested = validateInputFormat(format);
+    return requested === AUTO_FORMAT ? detectInputFormat(filePath) : requested;
+}
+
+/**
+ * Indica si un formato se puede dividir en chunks por rango de bytes
+ * 
+ * HTML y Markdown arrastran estado entre líneas (etiquetas abiertas,
+ * bloques de código) y EPUB es un zip, así que se procesan enteros.
+ * 
+ * @param {string} format - Formato efectivo
+ * @returns {boolean} true si cada línea se puede extraer por separado
+ */
+function isChunkableFormat(format) {
+    return CHUNKABLE_FORMATS.has(format);
+}
+
+/**
+ * Crea el extractor de un formato
+ * 
+ * @param {string} format - Formato efectivo
+ * @param {Object} options - Opciones
+ * @param {string} options.jsonField - Campo a extraer de cada registro JSONL
+ * @returns {{push: Function, flush: Function}|null} Extractor, o null para texto plano
+ */
+function createExtractor(format, options = {}) {
+    switch (format) {
+        case 'text':
+            return null;
+        case 'markdown':
+            return createMarkdownExtractor();
+        case 'html':
+        case 'epub':
+            return createHtmlExtractor();
+        case 'srt':
+            return createSubtitleExtractor();
+        case 'jsonl':
+            return createJsonlExtractor(options);
+        default:
+            throw new Error(`Formato de entrada inválido: ${format}`);
+    }
+}
+
+module.exports = {
+    createExtractor,
+    detectInputFormat,
+    resolveInputFormat,
+    validateInputFormat,
+    isChunkableFormat,
+    isTextInput,
+    openEpubStream,
+    parseFieldPath,
+    AUTO_FORMAT,
+    INPUT_FORMATS,
+    FORMAT_EXTENSIONS,
+    DEFAULT_JSON_FIELD
+};
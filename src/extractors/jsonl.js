@@ -0,0 +1,99 @@
+/**
+ * Extractor JSONL - Un campo de texto de cada registro
+ * 
+ * Cada línea es un objeto JSON; se cuenta solo el campo indicado, que puede
+ * ser una ruta con puntos ("post.body", "messages.0.text"). Si el valor es
+ * un array se cuentan sus strings. Cada registro es un párrafo aparte, así
+ * que los n-gramas no cruzan registros.
+ * 
+ * Las líneas que no son JSON válido o no tienen el campo se saltean y se
+ * cuentan en `skipped`: un registro roto no debería abortar un volcado de
+ * millones de líneas.
+ * 
+ * @module extractors/jsonl
+ */
+
+/**
+ * Campo por defecto
+ */
+const DEFAULT_JSON_FIELD = 'text';
+
+/**
+ * Separa y valida la ruta de un campo
+ * 
+ * @param {string} field - Ruta con puntos (ej: "post.body")
+ * @returns {string[]} Segmentos de la ruta
+ */
+function parseFieldPath(field) {
+    const segments = String(field).split('.');
+    if (segments.some(segment => segment === '')) {
+        throw new Error(`Campo JSON inválido: "${field}" (ej: text, post.body, messages.0.text)`);
+    }
+    return segments;
+}
+
+/**
+ * Junta los strings de un valor (string o array anidado de strings)
+ */
+function collectStrings(value, out) {
+    if (typeof value === 'string') {
+        out.push(value);
+    } else if (Array.isArray(value)) {
+        for (const item of value) {
+            collectStrings(item, out);
+        }
+    }
+    return out;
+}
+
+/**
+ * Crea un extractor que toma un campo de cada registro JSONL
+ * 
+ * @param {Object} options - Opciones
+ * @param {string} options.jsonField - Ruta del campo (default: 'text')
+ * @returns {{push: Function, flush: Function, skipped: number}} Extractor
+ */
+function createJsonlExtractor(options = {}) {
+    const segments = parseFieldPath(options.jsonField ?? DEFAULT_JSON_FIELD);
+
+    const extractor = {
+        skipped: 0,
+        push(line) {
+            if (line.trim() === '') {
+                return [];
+            }
+
+            let value;
+            try {
+                value = JSON.parse(line);
+            } catch (error) {
+                extractor.skipped++;
+                return [];
+            }
+
+            for (const segment of segments) {
+                value = value !== null && typeof value === 'object' ? value[segment] : undefined;
+            }
+
+            const texts = collectStrings(value, []);
+            if (texts.length === 0) {
+                extractor.skipped++;
+                return [];
+            }
+
+            // Los saltos de línea del campo se respetan; el '' final cierra el registro
+            return [...texts.join('\n\n').split(/\r?\n/), ''];
+        },
+        flush() {
+            return [];
+        }
+    };
+
+    return extractor;
+}
+
+module.exports = {
+    createJsonlExtractor,
+    parseFieldPath,
+    DEFAULT_JSON_FIELD
+};
@@ -0,0 +1,109 @@
+/**
+ * Extractor Markdown - Texto de documentos Markdown
+ * 
+ * Quita la sintaxis que no es prosa: front matter YAML, bloques de código
+ * cercados, definiciones de referencias, URLs, marcadores de encabezado,
+ * listas, citas, tablas y énfasis. De los enlaces e imágenes conserva el
+ * texto visible y el texto alternativo.
+ * 
+ * @module extractors/markdown
+ */
+
+const { decodeEntities } = require('./html');
+
+const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})/;
+const REFERENCE_DEFINITION = /^\s{0,3}\[[^\]]+\]:\s*\S+/;
+const SETEXT_UNDERLINE = /^\s{0,3}(=+|-+)\s*$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Quita la sintaxis inline de una línea
+ * 
+ * @param {string} line - Línea de Markdown
+ * @returns {string} Texto de la línea
+ */
+function stripInline(line) {
+    return decodeEntities(line
+        // Imágenes y enlaces: ![alt](url) / [texto](url "título") / [texto][ref]
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/!?\[([^\]]*)\]\[[^\]]*\]/g, '$1')
+        // Notas al pie: [^1]
+        .replace(/\[\^[^\]]*\]/g, '')
+        // Autoenlaces y URLs sueltas
+        .replace(/<(?:https?:|mailto:)[^>]*>/gi, '')
+        .replace(/\b(?:https?:\/\/|www\.)\S+/gi, '')
+        // HTML inline
+        .replace(/<\/?[a-zA-Z][^>]*>/g, '')
+        // Código inline: se conserva el contenido
+        .replace(/`+/g, '')
+        // Énfasis y tachado; '_' solo en los bordes de palabra (snake_case queda igual)
+        .replace(/[*~]+/g, '')
+        .replace(/(^|[^\p{L}\p{N}])_+|_+(?=[^\p{L}\p{N}]|$)/gu, '$1'));
+}
+
+/**
+ * Crea un extractor de texto para Markdown
+ * 
+ * @returns {{push: Function, flush: Function}} push(line) y flush() devuelven las líneas de texto
+ */
+function createMarkdownExtractor() {
+    let firstLine = true;
+    let inFrontMatter = false;
+    // Marcador del bloque de código abierto (ej: '```'), o null
+    let fence = null;
+
+    return {
+        push(line) {
+            if (firstLine) {
+                firstLine = false;
+                if (/^---\s*$/.test(line)) {
+                    inFrontMatter = true;
+                    return [];
+                }
+            }
+
+            if (inFrontMatter) {
+                if (/^(---|\.\.\.)\s*$/.test(line)) {
+                    inFrontMatter = false;
+                }
+                return [];
+            }
+
+            const fenceMatch = FENCE_PATTERN.exec(line);
+            if (fence) {
+                if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+                    fence = null;
+                }
+                return [];
+            }
+            if (fenceMatch) {
+                fence = fenceMatch[1];
+                // El bloque de código corta el párrafo
+                return [''];
+            }
+
+            if (REFERENCE_DEFINITION.test(line) || TABLE_DIVIDER.test(line) && line.includes('-')) {
+                return [];
+            }
+            if (SETEXT_UNDERLINE.test(line)) {
+                return [''];
+            }
+
+            const text = line
+                .replace(/^\s{0,3}#{1,6}\s+/, '')
+                .replace(/\s+#+\s*$/, '')
+                .replace(/^\s*(>\s?)+/, '')
+                .replace(/^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?/, '')
+                .replace(/\|/g, ' ');
+
+            return [stripInline(text)];
+        },
+        flush() {
+            return [];
+        }
+    };
+}
+
+module.exports = {
+    createMarkdownExtractor
+};
@@ -0,0 +1,59 @@
+/**
+ * Extractor de subtítulos - SRT y WebVTT
+ * 
+ * Descarta los números de cue, las líneas de tiempo (00:01:02,000 --> ...),
+ * la cabecera WEBVTT y los bloques NOTE/STYLE/REGION, y quita las etiquetas
+ * de formato (<i>, <c.clase>, {\an8}). La línea en blanco entre cues se
+ * conserva como separador de párrafo.
+ * 
+ * @module extractors/subtitles
+ */
+
+const { decodeEntities } = require('./html');
+
+const TIMING_LINE = /-->/;
+const CUE_INDEX = /^\s*\d+\s*$/;
+const VTT_BLOCK = /^(WEBVTT|NOTE|STYLE|REGION)(\s|$)/;
+
+/**
+ * Crea un extractor de texto para subtítulos SRT/VTT
+ * 
+ * @returns {{push: Function, flush: Function}} push(line) y flush() devuelven las líneas de texto
+ */
+function createSubtitleExtractor() {
+    // Dentro de un bloque de metadatos VTT hasta la próxima línea en blanco
+    let inMetadata = false;
+
+    return {
+        push(line) {
+            if (line.trim() === '') {
+                inMetadata = false;
+                return [''];
+            }
+
+            if (inMetadata) {
+                return [];
+            }
+
+            if (VTT_BLOCK.test(line)) {
+                inMetadata = true;
+                return [];
+            }
+
+            if (CUE_INDEX.test(line) || TIMING_LINE.test(line)) {
+                return [];
+            }
+
+            return [decodeEntities(line
+                .replace(/<[^>]*>/g, '')
+                .replace(/\{\\[^}]*\}/g, ''))];
+        },
+        flush() {
+            return [];
+        }
+    };
+}
+
+module.exports = {
+    createSubtitleExtractor
+};
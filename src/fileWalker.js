@@ -0,0 +1,480 @@
+/**
+ * FileWalker - Expansión de globs y recorrido recursivo de directorios
+ * 
+ * Node.js no expande globs (en Windows la shell tampoco lo hace), así que
+ * este módulo implementa lo necesario sin dependencias:
+ * - Globs: `*`, `?`, `[abc]`, `**` (cualquier cantidad de directorios) y
+ *   conjuntos con llaves `{md,txt}` (anidables)
+ * - Recorrido recursivo con límite de profundidad
+ * - Filtros --include / --exclude
+ * - Archivos de ignorados con sintaxis de .gitignore (`#`, `!`, `/` final
+ *   para directorios, `/` inicial para anclar). Cada directorio recorrido
+ *   puede tener un `.wordfluxignore` que aplica a su subárbol
+ * - Protección contra ciclos de symlinks: cada directorio real se visita una vez
+ * 
+ * Un patrón sin '/' (ej: `*.md`) se compara con el nombre del archivo en
+ * cualquier nivel; con '/' (ej: `libros/*.md`) con la ruta relativa completa.
+ * 
+ * @module fileWalker
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Nombre del archivo de ignorados que se lee en cada directorio recorrido
+ */
+const IGNORE_FILE_NAME = '.wordfluxignore';
+
+// Directorios que nunca se recorren
+const ALWAYS_SKIPPED = new Set(['.git', 'node_modules']);
+
+/**
+ * Convierte separadores de Windows a '/' para comparar con los globs
+ * 
+ * @param {string} filePath - Ruta con separadores del sistema
+ * @returns {string} Ruta con '/'
+ */
+function toPosix(filePath) {
+    return path.sep === '\\' ? filePath.split(path.sep).join('/') : filePath;
+}
+
+/**
+ * Indica si un patrón contiene caracteres de glob
+ * 
+ * @param {string} pattern - Patrón a revisar
+ * @returns {boolean}
+ */
+function hasGlobChars(pattern) {
+    return /[*?[{]/.test(pattern);
+}
+
+/**
+ * Compila un glob a una expresión regular anclada
+ * 
+ * @param {string} glob - Patrón glob (con '/' como separador)
+ * @returns {RegExp} Regex que valida una ruta completa
+ */
+function globToRegExp(glob) {
+    let source = '';
+    let braceDepth = 0;
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        switch (char) {
+            case '\\':
+                // Escape: el siguiente carácter es literal
+                i++;
+                if (i < glob.length) {
+                    source += glob[i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+                }
+                break;
+            case '*':
+                if (glob[i + 1] === '*') {
+                    // `**/` coincide con cero o más directorios; `**` al final, con todo
+                    if (glob[i + 2] === '/') {
+                        source += '(?:.*/)?';
+                        i += 2;
+                    } else {
+                        source += '.*';
+                        i += 1;
+                    }
+                } else {
+                    source += '[^/]*';
+                }
+                break;
+            case '?':
+                source += '[^/]';
+                break;
+            case '[': {
+                const close = glob.indexOf(']', i + 2);
+                if (close === -1) {
+                    source += '\\[';
+                    break;
+                }
+                let set = glob.slice(i + 1, close).replace(/\\/g, '\\\\');
+                if (set.startsWith('!')) {
+                    set = `^${set.slice(1)}`;
+                }
+                source += `[${set}]`;
+                i = close;
+                break;
+            }
+            case '{':
+                braceDepth++;
+                source += '(?:';
+                break;
+            case '}':
+                if (braceDepth > 0) {
+                    braceDepth--;
+                    source += ')';
+                } else {
+                    source += '\\}';
+                }
+                break;
+            case ',':
+                source += braceDepth > 0 ? '|' : ',';
+                break;
+            default:
+                source += char.replace(/[.+^$()|\]/]/g, '\\$&');
+        }
+    }
+
+    if (braceDepth > 0) {
+        throw new Error(`Glob inválido (llave sin cerrar): ${glob}`);
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Crea una función que indica si una ruta relativa coincide con alguno de los globs
+ * 
+ * @param {string[]} patterns - Globs; sin '/' se comparan con el nombre del archivo
+ * @returns {Function} (relativePath) => boolean
+ */
+function createMatcher(patterns) {
+    const compiled = patterns.map(pattern => {
+        const glob = toPosix(pattern).replace(/^\.\//, '');
+        return { regex: globToRegExp(glob), byName: !glob.includes('/') };
+    });
+
+    return (relativePath) => {
+        const name = relativePath.slice(relativePath.lastIndexOf('/') + 1);
+        return compiled.some(({ regex, byName }) => regex.test(byName ? name : relativePath));
+    };
+}
+
+/**
+ * Parsea un archivo de ignorados con la sintaxis de .gitignore
+ * 
+ * @param {string} content - Contenido del archivo
+ * @param {string} baseDir - Directorio al que son relativos los patrones
+ * @returns {Array<{regex: RegExp, negate: boolean, dirOnly: boolean, byName: boolean, baseDir: string}>} Reglas
+ */
+function parseIgnoreFile(content, baseDir) {
+    const rules = [];
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        let line = rawLine.replace(/(?<!\\)\s+$/, '');
+        if (line.length === 0 || line.startsWith('#')) {
+            continue;
+        }
+
+        const negate = line.startsWith('!');
+        if (negate) {
+            line = line.slice(1);
+        } else if (line.startsWith('\\#') || line.startsWith('\\!')) {
+            line = line.slice(1);
+        }
+
+        const dirOnly = line.endsWith('/');
+        if (dirOnly) {
+            line = line.slice(0, -1);
+        }
+
+        // Como en git: un '/' al inicio o en medio ancla el patrón al directorio del archivo
+        const anchored = line.includes('/');
+        line = line.replace(/^\//, '');
+
+        rules.push({
+            regex: globToRegExp(line),
+            negate,
+            dirOnly,
+            byName: !anchored,
+            baseDir
+        });
+    }
+
+    return rules;
+}
+
+/**
+ * Carga las reglas de un archivo de ignorados
+ * 
+ * @param {string} filePath - Ruta del archivo
+ * @returns {Array<Object>} Reglas (ver parseIgnoreFile)
+ */
+function loadIgnoreFile(filePath) {
+    return parseIgnoreFile(fs.readFileSync(filePath, 'utf8'), path.dirname(path.resolve(filePath)));
+}
+
+/**
+ * Carga los .wordfluxignore de los directorios entre el directorio actual y
+ * `root` (sin incluirlo), para que "data/libros/*.txt" respete el de "data/"
+ * 
+ * @param {string} root - Directorio donde empieza el recorrido
+ * @returns {Array<Object>} Reglas (ver parseIgnoreFile)
+ */
+function loadAncestorIgnoreRules(root) {
+    const cwd = process.cwd();
+    const relative = path.relative(cwd, root);
+    if (relative === '' || relative.startsWith('..') || path.isAbsolute(relative)) {
+        return [];
+    }
+
+    const rules = [];
+    let directory = cwd;
+    // '' visita el propio directorio actual; el último segmento es root, que lee walk
+    for (const segment of ['', ...relative.split(path.sep).slice(0, -1)]) {
+        directory = path.join(directory, segment);
+        const ignoreFile = path.join(directory, IGNORE_FILE_NAME);
+        if (fs.existsSync(ignoreFile)) {
+            rules.push(...loadIgnoreFile(ignoreFile));
+        }
+    }
+
+    return rules;
+}
+
+/**
+ * Indica si una ruta queda ignorada; como en git, la última regla que coincide gana
+ * 
+ * @param {Array<Object>} rules - Reglas acumuladas
+ * @param {string} absolutePath - Ruta absoluta a revisar
+ * @param {boolean} isDirectory - Si la ruta es un directorio
+ * @returns {boolean}
+ */
+function isIgnored(rules, absolutePath, isDirectory) {
+    let ignored = false;
+
+    for (const rule of rules) {
+        if (rule.dirOnly && !isDirectory) {
+            continue;
+        }
+
+        const relative = toPosix(path.relative(rule.baseDir, absolutePath));
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+            continue;
+        }
+
+        const target = rule.byName ? path.basename(absolutePath) : relative;
+        if (rule.regex.test(target)) {
+            ignored = !rule.negate;
+        }
+    }
+
+    return ignored;
+}
+
+/**
+ * Recorre un directorio recursivamente
+ * 
+ * @param {string} root - Directorio raíz
+ * @param {Object} options - Opciones del recorrido
+ * @param {number} options.maxDepth - Niveles de subdirectorios a recorrer (0 = solo la raíz)
+ * @param {Array<Object>} options.ignoreRules - Reglas de ignorados iniciales
+ * @param {boolean} options.useIgnoreFiles - Leer .wordfluxignore en cada directorio
+ * @param {Function} options.excludeDirectory - (relativePath) => boolean para podar directorios
+ * @param {Function} options.onFile - (absolutePath, relativePath) => void por cada archivo
+ * @param {Function} options.onWarning - (message) => void
+ */
+function walkDirectory(root, options) {
+    const { maxDepth, useIgnoreFiles, excludeDirectory, onFile, onWarning } = options;
+    // Directorios reales ya visitados (un symlink a un ancestro no genera un ciclo)
+    const visited = new Set();
+
+    const walk = (directory, depth, inheritedRules) => {
+        let realPath;
+        try {
+            realPath = fs.realpathSync(directory);
+        } catch (error) {
+            onWarning(`no se pudo resolver '${directory}': ${error.message}`);
+            return;
+        }
+
+        if (visited.has(realPath)) {
+            onWarning(`se omite '${directory}': enlace simbólico a un directorio ya recorrido`);
+            return;
+        }
+        visited.add(realPath);
+
+        let rules = inheritedRules;
+        const ignoreFile = path.join(directory, IGNORE_FILE_NAME);
+        if (useIgnoreFiles && fs.existsSync(ignoreFile)) {
+            rules = rules.concat(loadIgnoreFile(ignoreFile));
+        }
+
+        let entries;
+        try {
+            entries = fs.readdirSync(directory, { withFileTypes: true });
+        } catch (error) {
+            onWarning(`no se pudo leer '${directory}': ${error.message}`);
+            return;
+        }
+
+        entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+        for (const entry of entries) {
+            const absolutePath = path.join(directory, entry.name);
+            const relativePath = toPosix(path.relative(root, absolutePath));
+
+            let isDirectory = entry.isDirectory();
+            let isFile = entry.isFile();
+            if (entry.isSymbolicLink()) {
+                // Seguir el enlace; uno roto se ignora
+                try {
+                    const stats = fs.statSync(absolutePath);
+                    isDirectory = stats.isDirectory();
+                    isFile = stats.isFile();
+                } catch (error) {
+                    onWarning(`se omite el enlace roto '${absolutePath}'`);
+                    continue;
+                }
+            }
+
+            if (isDirectory && ALWAYS_SKIPPED.has(entry.name)) {
+                continue;
+            }
+
+            if (isIgnored(rules, absolutePath, isDirectory)) {
+                continue;
+            }
+
+            if (isDirectory) {
+                if (depth < maxDepth && !excludeDirectory(relativePath)) {
+                    walk(absolutePath, depth + 1, rules);
+                }
+            } else if (isFile) {
+                onFile(absolutePath, relativePath);
+            }
+        }
+    };
+
+    const inherited = useIgnoreFiles ? options.ignoreRules.concat(loadAncestorIgnoreRules(root)) : options.ignoreRules;
+    walk(root, 0, inherited);
+}
+
+/**
+ * Separa un glob en el directorio fijo inicial y el resto del patrón
+ * 
+ * @param {string} pattern - Glob (ej: "data/libros/**\/*.md")
+ * @returns {{base: string, glob: string}} Ej: { base: "data/libros", glob: "**\/*.md" }
+ */
+function splitGlobBase(pattern) {
+    const segments = toPosix(pattern).split('/');
+    const firstGlob = segments.findIndex(hasGlobChars);
+    const baseSegments = segments.slice(0, firstGlob);
+
+    let base = baseSegments.join('/');
+    if (base === '' && pattern.startsWith('/')) {
+        base = '/';
+    }
+
+    return {
+        base: base || '.',
+        glob: segments.slice(firstGlob).join('/')
+    };
+}
+
+/**
+ * Expande rutas, directorios y globs en una lista de archivos
+ * 
+ * - Un archivo existente se incluye tal cual
+ * - Un directorio se recorre recursivamente; se toman los archivos que pasan
+ *   `accept` (o los que coinciden con `include`, si se indica)
+ * - Un glob se recorre desde su directorio fijo y se toman los archivos que
+ *   coinciden con él (y con `include`, si se indica)
+ * En todos los recorridos aplican `exclude`, maxDepth y los archivos de ignorados.
+ * 
+ * @param {string[]} patterns - Rutas, directorios o globs
+ * @param {Object} options - Opciones
+ * @param {string[]} options.include - Globs de archivos a incluir al recorrer (default: todos los aceptados)
+ * @param {string[]} options.exclude - Globs de archivos o directorios a excluir
+ * @param {number} options.maxDepth - Niveles de subdirectorios a recorrer (default: Infinity)
+ * @param {string[]} options.ignoreFiles - Archivos de ignorados adicionales (sintaxis .gitignore)
+ * @param {boolean} options.useIgnoreFiles - Leer .wordfluxignore de cada directorio (default: true)
+ * @param {Function} options.accept - (absolutePath) => boolean, filtro por defecto al recorrer directorios
+ * @param {Function} options.onWarning - (message) => void para patrones sin resultados o errores
+ * @returns {string[]} Rutas absolutas en orden estable y sin duplicados
+ */
+function expandPatterns(patterns, options = {}) {
+    const include = options.include ?? [];
+    const exclude = options.exclude ?? [];
+    const maxDepth = options.maxDepth ?? Infinity;
+    const useIgnoreFiles = options.useIgnoreFiles ?? true;
+    const accept = options.accept ?? (() => true);
+    const onWarning = options.onWarning ?? (() => {});
+
+    if (!(maxDepth === Infinity || (Number.isInteger(maxDepth) && maxDepth >= 0))) {
+        throw new Error(`Profundidad inválida: ${options.maxDepth} (debe ser un entero >= 0)`);
+    }
+
+    const isIncluded = include.length > 0 ? createMatcher(include) : null;
+    const isExcluded = exclude.length > 0 ? createMatcher(exclude) : () => false;
+    const ignoreRules = (options.ignoreFiles ?? []).flatMap(loadIgnoreFile);
+
+    const files = [];
+
+    for (const pattern of patterns) {
+        if (fs.existsSync(pattern)) {
+            const stats = fs.statSync(pattern);
+            if (stats.isFile()) {
+                files.push(path.resolve(pattern));
+                continue;
+            }
+
+            if (stats.isDirectory()) {
+                const root = path.resolve(pattern);
+                walkDirectory(root, {
+                    maxDepth,
+                    ignoreRules,
+                    useIgnoreFiles,
+                    excludeDirectory: isExcluded,
+                    onWarning,
+                    onFile: (absolutePath, relativePath) => {
+                        const selected = isIncluded ? isIncluded(relativePath) : accept(absolutePath);
+                        if (selected && !isExcluded(relativePath)) {
+                            files.push(absolutePath);
+                        }
+                    }
+                });
+                continue;
+            }
+        }
+
+        if (!hasGlobChars(pattern)) {
+            onWarning(`'${pattern}' no encontrado`);
+            continue;
+        }
+
+        const { base, glob } = splitGlobBase(pattern);
+        const matchesGlob = globToRegExp(glob);
+        // Sin `**` el glob fija la profundidad: no hace falta bajar más
+        const globDepth = glob.includes('**') ? Infinity : glob.split('/').length - 1;
+        const before = files.length;
+
+        if (fs.existsSync(base) && fs.statSync(base).isDirectory()) {
+            walkDirectory(path.resolve(base), {
+                maxDepth: Math.min(maxDepth, globDepth),
+                ignoreRules,
+                useIgnoreFiles,
+                excludeDirectory: isExcluded,
+                onWarning,
+                onFile: (absolutePath, relativePath) => {
+                    if (matchesGlob.test(relativePath)
+                        && (!isIncluded || isIncluded(relativePath))
+                        && !isExcluded(relativePath)) {
+                        files.push(absolutePath);
+                    }
+                }
+            });
+        }
+
+        if (files.length === before) {
+            onWarning(`'${pattern}' no coincide con ningún archivo`);
+        }
+    }
+
+    return [...new Set(files)];
+}
+
+module.exports = {
+    expandPatterns,
+    globToRegExp,
+    createMatcher,
+    parseIgnoreFile,
+    hasGlobChars,
+    IGNORE_FILE_NAME
+};
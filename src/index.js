@@ -10,6 +10,7 @@
  *   node src/index.js <archivo>              - Procesar un archivo
  *   node src/index.js <archivo1> <archivo2>  - Procesar múltiples archivos
  *   node src/index.js <archivos> --parallel  - Usar worker threads
+ *   cat libro.txt | node src/index.js -      - Leer de stdin
  *   node src/index.js --help                 - Mostrar ayuda
  * 
  * @module index
@@ -17,8 +18,48 @@
 
 const fs = require('fs');
 const path = require('path');
-const { countWords, formatResults } = require('./wordCounter');
-const { processFilesInParallel } = require('./parallelProcessor');
+const { countWords, countStream, formatResults } = require('./wordCounter');
+const { processFilesInParallel, searchFilesInParallel } = require('./parallelProcessor');
+const { pickTokenizerOptions } = require('./tokenizer');
+const { loadStopwords, BUNDLED_LANGUAGES } = require('./stopwords');
+const { buildReport, renderReport, buildConcordanceReport, renderConcordanceReport, OUTPUT_FORMATS } = require('./report');
+const { validateSketchOptions } = require('./sketch');
+const { resolveEncoding } = require('./encoding');
+const { expandPatterns } = require('./fileWalker');
+const { loadCheckpoint } = require('./checkpoint');
+const { createWordIndex, DEFAULT_INDEX_DIR, CHANGE_CHECKS } = require('./wordIndex');
+const { detectInputFormat, validateInputFormat, parseFieldPath, isTextInput, INPUT_FORMATS } = require('./extractors');
+const { validateCompareOptions, DEFAULT_COMPARE_TOP, DEFAULT_MIN_COUNT } = require('./compare');
+const { validateLexicalOptions, DEFAULT_MATTR_WINDOW } = require('./lexicalStats');
+const { validateReadabilityOptions, READABILITY_LANGUAGES } = require('./readability');
+const { searchFile, searchStream, validateConcordanceOptions, DEFAULT_CONTEXT } = require('./concordance');
+const { validateStemLanguage, STEM_LANGUAGES } = require('./stemmer');
+const { watchFiles, validateWatchOptions, DEFAULT_WATCH_INTERVAL } = require('./watcher');
+const { collectSequentially, searchSequentially } = require('./collector');
+const {
+    startServer,
+    parseSize,
+    DEFAULT_PORT,
+    DEFAULT_HOST,
+    DEFAULT_MAX_BODY_SIZE,
+    DEFAULT_MAX_UPLOAD_SIZE
+} = require('./server');
+const { createFileJobStore, DEFAULT_MAX_ACTIVE_JOBS } = require('./jobs');
+const {
+    validateCollocationOptions,
+    DEFAULT_COLLOCATION_WINDOW,
+    MAX_COLLOCATION_WINDOW,
+    DEFAULT_COLLOCATION_MIN_COUNT,
+    DEFAULT_COLLOCATION_TOP
+} = require('./collocations');
+const {
+    detectCompression,
+    listZipEntries,
+    isZipEntryPath,
+    parseZipEntryPath,
+    toZipEntryPath,
+    getSourcePath
+} = require('./compression');
 
 /**
  * Obtiene timestamp formateado para logs
@@ -45,12 +86,140 @@ DESCRIPCIÓN:
 
 USO:
   node src/index.js [opciones] <archivo(s)>
+  <comando> | node src/index.js [opciones] [-]
+
+  Con '-' (o sin archivos y con un pipe o '<' en la entrada) se lee de la
+  entrada estándar.
 
 OPCIONES:
   --help, -h        Muestra esta ayuda
   --parallel, -p    Usa worker threads para procesamiento paralelo
   --workers=N       Número máximo de workers (default: núcleos CPU)
+  --chunked         Divide archivos grandes en rangos de bytes entre workers
+                    (implica --parallel, útil para un solo archivo enorme)
   --quiet, -q       Modo silencioso (menos output)
+  --checkpoint=F    Guarda el progreso en F (conteos acumulados, archivos y
+                    rangos terminados) para poder reanudar (implica --parallel)
+  --checkpoint-interval=S  Segundos mínimos entre guardados (default: 30)
+  --resume=F        Continúa la corrida guardada en F sin contar nada dos veces;
+                    los archivos y opciones de conteo salen del checkpoint
+  --watch           No termina: revisa los archivos cada pocos segundos, cuenta
+                    de nuevo con workers solo los nuevos o modificados, resta
+                    los borrados y vuelve a mostrar el resultado. Ctrl+C sale
+  --watch-interval=S  Segundos entre revisiones (default: ${DEFAULT_WATCH_INTERVAL / 1000})
+
+ÍNDICE:
+  node src/index.js index [opciones] <archivo(s)>
+    Guarda los conteos de cada archivo en un índice en disco. Solo se
+    vuelven a contar los archivos nuevos o modificados. Acepta las mismas
+    opciones de entrada, tokenización y filtrado que el conteo normal.
+  --index=DIR       Directorio del índice (default: ${DEFAULT_INDEX_DIR})
+  --check=C         Cómo detectar cambios: mtime (default, tamaño y fecha)
+                    o hash (SHA-256 del contenido)
+  --prune           Quita del índice los archivos que ya no existen
+
+  node src/index.js query [opciones] [palabra...]
+    Consulta el índice sin volver a leer los textos.
+  palabra           Conteo de la palabra en cada archivo (también --word=W)
+  --prefix=P        Palabras que empiezan con P (ordenadas por frecuencia)
+  --top=N           Top N combinado (sin palabra ni prefijo; default: 10)
+  --files=A,B       Limita la consulta a esos archivos (ruta o nombre)
+  --list            Lista los archivos indexados
+  --format=F        table (default) o json
+
+SERVIDOR HTTP:
+  node src/index.js serve [opciones]
+    Sirve la API de Lambda (POST /count, mismo cuerpo y respuesta),
+    los trabajos asíncronos (POST /jobs, GET y DELETE /jobs/{id}) y
+    GET /health. Además de JSON, /count acepta multipart/form-data y
+    texto en stream, contados mientras llegan sin guardarlos.
+  --port=N          Puerto (default: ${DEFAULT_PORT}; 0 elige uno libre)
+  --host=H          Interfaz (default: ${DEFAULT_HOST}; 0.0.0.0 para todas)
+  --max-body=SIZE   Tamaño máximo de un cuerpo JSON (default: 10MB)
+  --max-upload=SIZE Tamaño máximo de un cuerpo en stream (default: 1GB)
+  --jobs-dir=DIR    Guardar los trabajos en DIR (default: en memoria)
+  --max-jobs=N      Trabajos en cola o en curso a la vez; más allá, POST /jobs
+                    responde 429 (default: ${DEFAULT_MAX_ACTIVE_JOBS})
+
+TOKENIZACIÓN:
+  --tokenizer=T     Estrategia: unicode (default), segmenter, legacy
+                    o ruta a un módulo .js que exporte (line) => string[]
+  --locale=L        Locale para minúsculas y segmenter (ej: tr, ja, zh)
+  --normalize=F     Normalización Unicode: NFC, NFD, NFKC, NFKD
+  --fold-accents    Quita diacríticos ("canción" y "cancion" cuentan igual)
+
+ENTRADA:
+  Los directorios se recorren recursivamente (.txt, .md, .html, .epub, .srt,
+  .jsonl, también comprimidos, y .zip).
+  Los globs se expanden sin depender de la shell: "data/**/*.txt", "*.{txt,gz}"
+  --include=G       Al recorrer, toma solo los archivos que coinciden con G
+                    (repetible; sin '/' compara el nombre: --include=*.md)
+  --exclude=G       Omite archivos y directorios que coinciden con G (repetible)
+  --max-depth=N     Niveles de subdirectorios a recorrer (0 = solo el directorio)
+  --ignore-file=F   Ignora lo indicado en F con sintaxis .gitignore (repetible).
+                    Además se respeta el .wordfluxignore de cada directorio
+  --no-ignore       No lee los .wordfluxignore
+  --encoding=E      Codificación de los archivos: auto (default), utf-8,
+                    utf-16le, utf-16be, latin1, windows-1252...
+                    auto detecta BOM, UTF-16 y UTF-8; si no, usa windows-1252
+  --format-in=F     Formato de entrada: auto (default, por extensión),
+                    ${INPUT_FORMATS.join(', ')}. Se cuenta solo el texto: sin
+                    etiquetas HTML, sintaxis Markdown ni tiempos de subtítulos
+  --json-field=C    Campo a contar de cada registro JSONL (default: text).
+                    Con puntos para campos anidados: post.body, messages.0.text
+
+SALIDA:
+  --format=F        Formato: table (default), json, ndjson, csv.
+                    json usa el mismo esquema que la respuesta de Lambda /count
+  --output=F        Escribe el resultado en el archivo F en lugar de stdout
+  --top=N           Cantidad de palabras del top (default: 10, "all" = todas)
+
+CONTEO:
+  --approximate     Conteo aproximado con memoria acotada (Count-Min Sketch +
+                    Space-Saving + HyperLogLog) para entradas gigantes
+  --epsilon=E       Error máximo relativo al total de palabras (default: 0.0001)
+  --delta=D         Probabilidad de superar ese error (default: 0.01)
+  --heavy-hitters=K Candidatos al top que se mantienen en memoria (default: 1000)
+  --ngram=N         Cuenta n-gramas de N palabras (2 = bigramas, 3 = trigramas).
+                    La ventana cruza saltos de línea dentro de un párrafo
+  --stem[=L]        Cuenta raíces en lugar de palabras (whale, whales, whaling
+                    → whale) con el stemmer Snowball del idioma L: ${STEM_LANGUAGES.join(', ')}
+                    (default: en). El top muestra las formas de cada raíz
+
+ESTADÍSTICAS:
+  --stats           Estadísticas léxicas: type-token ratio, MATTR, hapax y
+                    dis legomena, exponente de Zipf, ley de Heaps, longitud
+                    media de palabra e histograma de longitudes
+  --mattr-window=N  Palabras de la ventana móvil del MATTR (default: ${DEFAULT_MATTR_WINDOW})
+  --readability[=L] Oraciones, párrafos, palabras por oración, sílabas por
+                    palabra e índices de legibilidad: Flesch y Flesch–Kincaid
+                    en inglés, Fernández-Huerta en español. L elige el idioma:
+                    ${READABILITY_LANGUAGES.join(', ')} (default: en)
+  --collocations[=N]  Pares de palabras que aparecen juntas más de lo esperable,
+                    ordenados por PMI, t-score y log-Dice; N pares por métrica
+                    (default: ${DEFAULT_COLLOCATION_TOP}). Sin las stop words y dentro de cada párrafo
+  --collocation-window=N  Distancia máxima entre las dos palabras (default: ${DEFAULT_COLLOCATION_WINDOW}, máximo: ${MAX_COLLOCATION_WINDOW})
+  --collocation-min=N     Apariciones mínimas de un par (default: ${DEFAULT_COLLOCATION_MIN_COUNT})
+
+COMPARACIÓN:
+  --compare         Palabras distintivas de cada archivo frente al resto del
+                    corpus según TF-IDF, log-likelihood (G²) y ratio de
+                    frecuencias. Necesita al menos 2 archivos y conteo exacto
+  --compare-top=N   Palabras distintivas por archivo y métrica (default: ${DEFAULT_COMPARE_TOP})
+  --min-count=N     Apariciones mínimas en el archivo para considerar una
+                    palabra (default: ${DEFAULT_MIN_COUNT})
+
+CONCORDANCIAS:
+  --kwic=Q          Lista cada aparición de la palabra o frase Q con su
+                    archivo, línea, columna y contexto, en vez de contar.
+                    Q pasa por el mismo tokenizer que el texto
+  --context=N       Palabras de contexto a cada lado (default: ${DEFAULT_CONTEXT})
+  --kwic-limit=N    Máximo de apariciones a mostrar por archivo (default: todas)
+
+FILTRADO:
+  --stopwords=L     Excluye stop words de los idiomas indicados (ej: en,es)
+                    Idiomas incluidos: ${BUNDLED_LANGUAGES.join(', ')}
+  --stopwords-file=F  Excluye las palabras del archivo F (una por línea)
 
 EJEMPLOS:
   # Procesar un solo archivo
@@ -65,11 +234,104 @@ EJEMPLOS:
   # Limitar número de workers
   node src/index.js data/*.txt --parallel --workers=4
 
+  # Repartir un solo archivo enorme entre todos los núcleos
+  node src/index.js data/corpus.txt --chunked
+
+  # Top 10 sin artículos ni preposiciones
+  node src/index.js data/*.txt --stopwords=en,es
+
+  # Resultado en JSON para otras herramientas (los logs van a stderr)
+  node src/index.js data/*.txt --parallel --format=json > resultado.json
+
+  # Lista completa de palabras en CSV
+  node src/index.js data/libro.txt --format=csv --top=all --output=palabras.csv
+
+  # Top de un corpus enorme con memoria fija (conteos aproximados)
+  node src/index.js dump.txt --approximate --epsilon=0.00001
+
+  # Frases de dos palabras más frecuentes ("captain ahab", "said the")
+  node src/index.js data/moby-dick.txt --ngram=2
+
+  # Texto japonés o chino (segmentación de palabras con Intl.Segmenter)
+  node src/index.js data/genji.txt --tokenizer=segmenter --locale=ja
+
+  # Archivos comprimidos y todas las entradas .txt de un zip
+  node src/index.js data/libro.txt.gz corpus.zip --parallel
+
+  # Una sola entrada de un zip
+  node src/index.js "corpus.zip!/libros/moby-dick.txt"
+
+  # Todos los .txt de un árbol, sin borradores, respetando el .gitignore
+  node src/index.js "corpus/**/*.txt" --exclude=borradores --ignore-file=.gitignore
+
+  # Leer de stdin (cualquier comando que produzca texto)
+  zcat dump.gz | node src/index.js - --approximate
+
+  # Corrida larga que se puede retomar si se corta
+  node src/index.js corpus/ --chunked --checkpoint=corpus.ckpt
+  node src/index.js --resume=corpus.ckpt
+
+  # Indexar una vez y consultar sin releer los libros
+  node src/index.js index data/
+  node src/index.js query whale ahab
+  node src/index.js query --top=20 --files=moby-dick.txt,dracula.txt
+  node src/index.js query --prefix=whal
+
+  # La API de Lambda en local; un libro subido en stream, comprimido
+  node src/index.js serve --port=8080 --max-upload=2GB
+  curl -X POST -T libro.txt.gz -H 'Content-Type: text/plain' \\
+       'localhost:8080/count?name=libro.txt.gz&stopwords=en'
+
+  # Un corpus grande como trabajo: se consulta el progreso con el id
+  curl -X POST localhost:3000/jobs -H 'Content-Type: application/json' \\
+       -d '{"files": ["data/war-and-peace.txt"], "stats": true}'
+  curl localhost:3000/jobs/<id>
+
+  # Riqueza de vocabulario, Zipf y Heaps de cada libro
+  node src/index.js data/*.txt --stats --format=json
+
+  # Legibilidad de un texto en español (índice de Fernández-Huerta)
+  node src/index.js data/quijote.txt --readability=es
+
+  # Agrupar whale, whales y whaling bajo la raíz "whale"
+  node src/index.js data/moby-dick.txt --stem --stopwords=en
+
+  # Colocaciones ("white whale", "captain ahab") a 3 palabras o menos
+  node src/index.js data/moby-dick.txt --collocations --collocation-window=3 --stopwords=en
+
+  # Qué palabras distinguen a cada libro del resto
+  node src/index.js data/*.txt --parallel --compare --stopwords=en
+
+  # Cada "white whale" con 5 palabras de contexto, en todos los libros
+  node src/index.js data/*.txt --kwic="white whale" --context=5
+
+  # Mantener actualizado el top mientras llegan transcripciones nuevas
+  node src/index.js data/ --watch --stopwords=es --output=top.json --format=json
+
+  # Libro viejo de Gutenberg en Latin-1
+  node src/index.js data/quijote.txt --encoding=latin1
+
+  # Documentación en Markdown, un EPUB y subtítulos (formato por extensión)
+  node src/index.js docs/ libro.epub pelicula.srt
+
+  # Solo el cuerpo de cada registro de un volcado JSONL
+  node src/index.js posts.jsonl.gz --json-field=post.body
+
+  # HTML guardado sin extensión reconocible
+  cat pagina.dat | node src/index.js - --format-in=html
+
 NOTAS:
   - El programa usa streams para manejar archivos de cualquier tamaño
-  - Los archivos se procesan en UTF-8
+  - La codificación se detecta por archivo (ver --encoding) y se muestra
+    en el resumen de cada archivo
+  - gzip (.gz), brotli (.br) y zip se descomprimen al vuelo; cada .txt de
+    un zip se cuenta como archivo propio. bzip2 no está soportado
+  - Markdown (.md), HTML (.html, .htm), EPUB (.epub), subtítulos (.srt, .vtt)
+    y JSONL (.jsonl, .ndjson) se reconocen por extensión; los registros JSONL
+    inválidos o sin el campo se omiten y se informan en el resumen
   - Las palabras se normalizan a minúsculas
   - La puntuación se elimina antes del conteo
+  - Se reconocen letras de cualquier escritura (ß, ł, cirílico, griego...)
 `);
 }
 
@@ -82,9 +344,51 @@ function parseArgs(args) {
     const result = {
         files: [],
         parallel: false,
+        chunked: false,
         workers: null,
+        tokenizer: undefined,
+        locale: undefined,
+        normalization: undefined,
+        foldAccents: false,
+        encoding: 'auto',
+        inputFormat: 'auto',
+        jsonField: undefined,
+        ngram: 1,
+        approximate: false,
+        sketch: {},
+        stopwordLanguages: [],
+        stopwordFiles: [],
+        include: [],
+        exclude: [],
+        maxDepth: Infinity,
+        ignoreFiles: [],
+        useIgnoreFiles: true,
+        checkpoint: null,
+        checkpointInterval: 30,
+        resume: null,
+        watch: false,
+        watchInterval: DEFAULT_WATCH_INTERVAL / 1000,
+        indexDir: DEFAULT_INDEX_DIR,
+        check: 'mtime',
+        prune: false,
+        stats: false,
+        readability: null,
+        mattrWindow: DEFAULT_MATTR_WINDOW,
+        stem: null,
+        collocations: null,
+        collocationWindow: DEFAULT_COLLOCATION_WINDOW,
+        collocationMin: DEFAULT_COLLOCATION_MIN_COUNT,
+        compare: false,
+        compareTop: DEFAULT_COMPARE_TOP,
+        minCount: DEFAULT_MIN_COUNT,
+        kwic: null,
+        context: DEFAULT_CONTEXT,
+        kwicLimit: undefined,
         help: false,
-        quiet: false
+        quiet: false,
+        format: 'table',
+        output: null,
+        top: 10
     };
 
     for (const arg of args) {
@@ -92,12 +396,111 @@ function parseArgs(args) {
             result.help = true;
         } else if (arg === '--parallel' || arg === '-p') {
             result.parallel = true;
+        } else if (arg === '--chunked') {
+            result.chunked = true;
+            result.parallel = true;
+        } else if (arg === '--watch') {
+            result.watch = true;
+        } else if (arg.startsWith('--watch-interval=')) {
+            result.watchInterval = parseFloat(arg.split('=')[1]);
         } else if (arg === '--quiet' || arg === '-q') {
             result.quiet = true;
         } else if (arg.startsWith('--workers=')) {
             result.workers = parseInt(arg.split('=')[1], 10);
-        } else if (!arg.startsWith('-')) {
-            // Es un archivo
+        } else if (arg.startsWith('--tokenizer=')) {
+            result.tokenizer = arg.slice('--tokenizer='.length);
+        } else if (arg.startsWith('--locale=')) {
+            result.locale = arg.slice('--locale='.length);
+        } else if (arg.startsWith('--normalize=')) {
+            result.normalization = arg.slice('--normalize='.length).toUpperCase();
+        } else if (arg === '--fold-accents') {
+            result.foldAccents = true;
+        } else if (arg.startsWith('--encoding=')) {
+            result.encoding = arg.slice('--encoding='.length).toLowerCase();
+        } else if (arg.startsWith('--format-in=')) {
+            result.inputFormat = arg.slice('--format-in='.length).toLowerCase();
+        } else if (arg.startsWith('--json-field=')) {
+            result.jsonField = arg.slice('--json-field='.length);
+        } else if (arg.startsWith('--format=')) {
+            result.format = arg.slice('--format='.length).toLowerCase();
+        } else if (arg.startsWith('--output=')) {
+            result.output = arg.slice('--output='.length);
+        } else if (arg.startsWith('--top=')) {
+            const value = arg.slice('--top='.length);
+            result.top = value === 'all' ? Infinity : parseInt(value, 10);
+        } else if (arg === '--approximate') {
+            result.approximate = true;
+        } else if (arg.startsWith('--epsilon=')) {
+            result.sketch.epsilon = parseFloat(arg.split('=')[1]);
+        } else if (arg.startsWith('--delta=')) {
+            result.sketch.delta = parseFloat(arg.split('=')[1]);
+        } else if (arg.startsWith('--heavy-hitters=')) {
+            result.sketch.capacity = parseInt(arg.split('=')[1], 10);
+        } else if (arg.startsWith('--ngram=')) {
+            result.ngram = parseInt(arg.split('=')[1], 10);
+        } else if (arg.startsWith('--stopwords=')) {
+            result.stopwordLanguages.push(...arg.slice('--stopwords='.length).split(',').filter(Boolean));
+        } else if (arg.startsWith('--stopwords-file=')) {
+            result.stopwordFiles.push(arg.slice('--stopwords-file='.length));
+        } else if (arg.startsWith('--include=')) {
+            result.include.push(arg.slice('--include='.length));
+        } else if (arg.startsWith('--exclude=')) {
+            result.exclude.push(arg.slice('--exclude='.length));
+        } else if (arg.startsWith('--max-depth=')) {
+            result.maxDepth = parseInt(arg.split('=')[1], 10);
+        } else if (arg.startsWith('--ignore-file=')) {
+            result.ignoreFiles.push(arg.slice('--ignore-file='.length));
+        } else if (arg === '--no-ignore') {
+            result.useIgnoreFiles = false;
+        } else if (arg.startsWith('--checkpoint=')) {
+            result.checkpoint = arg.slice('--checkpoint='.length);
+            result.parallel = true;
+        } else if (arg.startsWith('--checkpoint-interval=')) {
+            result.checkpointInterval = parseFloat(arg.split('=')[1]);
+        } else if (arg.startsWith('--index=')) {
+            result.indexDir = arg.slice('--index='.length);
+        } else if (arg.startsWith('--check=')) {
+            result.check = arg.slice('--check='.length).toLowerCase();
+        } else if (arg === '--prune') {
+            result.prune = true;
+        } else if (arg === '--stats') {
+            result.stats = true;
+        } else if (arg.startsWith('--mattr-window=')) {
+            result.mattrWindow = parseInt(arg.split('=')[1], 10);
+        } else if (arg === '--readability') {
+            result.readability = 'en';
+        } else if (arg.startsWith('--readability=')) {
+            result.readability = arg.slice('--readability='.length).toLowerCase();
+        } else if (arg === '--stem') {
+            result.stem = 'en';
+        } else if (arg.startsWith('--stem=')) {
+            result.stem = arg.slice('--stem='.length).toLowerCase();
+        } else if (arg === '--collocations') {
+            result.collocations = DEFAULT_COLLOCATION_TOP;
+        } else if (arg.startsWith('--collocations=')) {
+            result.collocations = parseInt(arg.split('=')[1], 10);
+        } else if (arg.startsWith('--collocation-window=')) {
+            result.collocationWindow = parseInt(arg.split('=')[1], 10);
+        } else if (arg.startsWith('--collocation-min=')) {
+            result.collocationMin = parseInt(arg.split('=')[1], 10);
+        } else if (arg === '--compare') {
+            result.compare = true;
+        } else if (arg.startsWith('--compare-top=')) {
+            result.compareTop = parseInt(arg.split('=')[1], 10);
+        } else if (arg.startsWith('--min-count=')) {
+            result.minCount = parseInt(arg.split('=')[1], 10);
+        } else if (arg.startsWith('--kwic=')) {
+            result.kwic = arg.slice('--kwic='.length);
+        } else if (arg.startsWith('--context=')) {
+            result.context = parseInt(arg.split('=')[1], 10);
+        } else if (arg.startsWith('--kwic-limit=')) {
+            result.kwicLimit = parseInt(arg.split('=')[1], 10);
+        } else if (arg.startsWith('--resume=')) {
+            result.resume = arg.slice('--resume='.length);
+            result.checkpoint = result.resume;
+            result.parallel = true;
+        } else if (arg === STDIN_PATH || !arg.startsWith('-')) {
+            // Es un archivo (o '-' para leer de stdin)
             result.files.push(arg);
         }
     }
@@ -106,29 +509,134 @@ function parseArgs(args) {
 }
 
 /**
- * Expande patrones glob en archivos individuales
- * (Node.js no expande globs automáticamente en Windows)
- * @param {string[]} patterns - Patrones de archivos
+ * Nombre de archivo que indica leer de la entrada estándar
+ */
+const STDIN_PATH = '-';
+
+/**
+ * Indica si stdin trae datos por un pipe o una redirección (`cmd | wordflux`,
+ * `wordflux < archivo`). Un stdin abierto pero sin usar, como el de cron, CI o
+ * un proceso hijo, no cuenta: leerlo dejaría el comando esperando
+ * @returns {boolean}
+ */
+function isStdinPiped() {
+    try {
+        const stats = fs.fstatSync(0);
+        return stats.isFIFO() || stats.isFile();
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Cuenta las palabras de un input: un archivo o stdin si es '-'
+ * @param {string} filePath - Ruta del archivo o STDIN_PATH
+ * @param {Object} countOptions - Opciones para countWords / countStream
+ * @returns {Promise<Object>} Resultado de countWords
+ */
+function countInput(filePath, countOptions) {
+    return filePath === STDIN_PATH
+        ? countStream(process.stdin, countOptions)
+        : countWords(filePath, countOptions);
+}
+
+/**
+ * Indica si se usan worker threads: stdin solo se puede leer desde el hilo principal
+ * @param {Object} args - Argumentos parseados
+ * @param {string[]} files - Archivos expandidos
+ * @returns {boolean}
+ */
+function shouldUseParallel(args, files) {
+    return args.parallel && (files.length > 1 || args.chunked || args.checkpoint !== null) && !files.includes(STDIN_PATH);
+}
+
+/**
+ * Opciones de checkpoint para processFilesInParallel
+ * @param {Object} args - Argumentos parseados
+ * @returns {Object} { checkpoint, checkpointInterval, resume }
+ */
+function getCheckpointOptions(args) {
+    return {
+        checkpoint: args.checkpoint ?? undefined,
+        checkpointInterval: args.checkpointInterval * 1000,
+        resume: args.resume !== null
+    };
+}
+
+/**
+ * Lista las entradas de texto de un .zip como rutas virtuales "archivo.zip!/entrada"
+ * 
+ * Un .epub dentro de un zip se omite: su lectura necesita un archivo propio.
+ * @param {string} archivePath - Ruta del .zip
+ * @returns {string[]} Rutas virtuales de las entradas de texto
+ */
+function expandZipEntries(archivePath) {
+    try {
+        return listZipEntries(archivePath)
+            .filter(entry => isTextInput(entry.name) && detectInputFormat(entry.name) !== 'epub')
+            .map(entry => toZipEntryPath(archivePath, entry.name));
+    } catch (error) {
+        console.warn(`[${getTimestamp()}] ⚠️ Advertencia: no se pudo leer '${archivePath}': ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Opciones de recorrido de directorios para expandFiles
+ * @param {Object} args - Argumentos parseados
+ * @returns {Object} { include, exclude, maxDepth, ignoreFiles, useIgnoreFiles }
+ */
+function getWalkOptions(args) {
+    return {
+        include: args.include,
+        exclude: args.exclude,
+        maxDepth: args.maxDepth,
+        ignoreFiles: args.ignoreFiles,
+        useIgnoreFiles: args.useIgnoreFiles
+    };
+}
+
+/**
+ * Expande rutas, directorios y globs en archivos individuales
+ * (Node.js no expande globs, y en Windows la shell tampoco: ver módulo fileWalker)
+ * 
+ * Los directorios se recorren recursivamente tomando los .txt y los formatos
+ * con extractor (también comprimidos) y los .zip, salvo que se indique --include.
+ * Los .zip se expanden en sus entradas de texto, que se procesan como archivos
+ * independientes. Un .epub también es un zip, pero se cuenta como un libro.
+ * @param {string[]} patterns - Rutas, directorios o globs ("data/**\/*.{txt,gz}")
+ * @param {Object} walkOptions - Opciones de expandPatterns (include, exclude, maxDepth, ignoreFiles, useIgnoreFiles)
  * @returns {string[]} Lista de archivos existentes
  */
-function expandFiles(patterns) {
+function expandFiles(patterns, walkOptions = {}) {
     const files = [];
+    const onWarning = (message) => console.warn(`[${getTimestamp()}] ⚠️ Advertencia: ${message}`);
     
     for (const pattern of patterns) {
-        // Verificar si el archivo existe directamente
-        if (fs.existsSync(pattern)) {
-            const stats = fs.statSync(pattern);
-            if (stats.isFile()) {
-                files.push(path.resolve(pattern));
-            } else if (stats.isDirectory()) {
-                // Si es directorio, buscar archivos .txt dentro
-                const dirFiles = fs.readdirSync(pattern)
-                    .filter(f => f.endsWith('.txt'))
-                    .map(f => path.resolve(pattern, f));
-                files.push(...dirFiles);
+        if (pattern === STDIN_PATH) {
+            files.push(STDIN_PATH);
+            continue;
+        }
+
+        // Entrada concreta de un .zip: "archivo.zip!/entrada.txt"
+        if (isZipEntryPath(pattern) && fs.existsSync(getSourcePath(pattern))) {
+            const { archivePath, entryName } = parseZipEntryPath(pattern);
+            files.push(toZipEntryPath(path.resolve(archivePath), entryName));
+            continue;
+        }
+
+        const matches = expandPatterns([pattern], {
+            ...walkOptions,
+            accept: (filePath) => isTextInput(filePath) || filePath.toLowerCase().endsWith('.zip'),
+            onWarning
+        });
+
+        for (const filePath of matches) {
+            if (detectCompression(filePath) === 'zip' && detectInputFormat(filePath) !== 'epub') {
+                files.push(...expandZipEntries(filePath));
+            } else {
+                files.push(filePath);
             }
-        } else {
-            console.warn(`[${getTimestamp()}] ⚠️ Advertencia: '${pattern}' no encontrado`);
         }
     }
 
@@ -139,8 +647,10 @@ function expandFiles(patterns) {
  * Procesa un solo archivo de forma secuencial
  * @param {string} filePath - Ruta del archivo
  * @param {boolean} quiet - Modo silencioso
+ * @param {Object} countOptions - Opciones adicionales para countWords (tokenizer, etc.)
+ * @param {number} topN - Cantidad de palabras del top (default: 10)
  */
-async function processSingleFile(filePath, quiet = false) {
+async function processSingleFile(filePath, quiet = false, countOptions = {}, topN = 10) {
     const startTime = Date.now();
     
     if (!quiet) {
@@ -148,7 +658,8 @@ async function processSingleFile(filePath, quiet = false) {
     }
 
     try {
-        const results = await countWords(filePath, {
+        const results = await countInput(filePath, {
+            ...countOptions,
             onProgress: quiet ? null : (progress) => {
                 process.stdout.write(`\r[${getTimestamp()}] 📊 ${progress.linesProcessed.toLocaleString()} líneas procesadas...`);
             },
@@ -162,7 +673,7 @@ async function processSingleFile(filePath, quiet = false) {
             console.log(`[${getTimestamp()}] ✅ Completado en ${duration}s`);
         }
 
-        console.log(formatResults(results, filePath));
+        console.log(formatResults(results, filePath, topN));
 
         return { success: true, results };
 
@@ -177,8 +688,10 @@ async function processSingleFile(filePath, quiet = false) {
  * Procesa múltiples archivos secuencialmente
  * @param {string[]} files - Lista de archivos
  * @param {boolean} quiet - Modo silencioso
+ * @param {Object} countOptions - Opciones adicionales para countWords (tokenizer, etc.)
+ * @param {number} topN - Cantidad de palabras del top (default: 10)
  */
-async function processFilesSequentially(files, quiet = false) {
+async function processFilesSequentially(files, quiet = false, countOptions = {}, topN = 10) {
     const startTime = Date.now();
     const results = {
         successful: 0,
@@ -193,7 +706,7 @@ async function processFilesSequentially(files, quiet = false) {
     console.log('═'.repeat(60));
 
     for (const file of files) {
-        const result = await processSingleFile(file, quiet);
+        const result = await processSingleFile(file, quiet, countOptions, topN);
         if (result.success) {
             results.successful++;
         } else {
@@ -221,40 +734,761 @@ async function processFilesSequentially(files, quiet = false) {
     console.log('═'.repeat(60) + '\n');
 }
 
+/**
+ * Cuenta archivos secuencialmente sin imprimir tablas y agrega los resultados
+ * con la misma forma que processFilesInParallel (para los formatos de salida)
+ * @param {string[]} files - Lista de archivos
+ * @param {Object} countOptions - Opciones adicionales para countWords (tokenizer, etc.)
+ * @param {Function} log - Función para mensajes de progreso
+ * @param {boolean} keepFileMaps - Conservar el Map de cada archivo (para --compare)
+ * @returns {Promise<Object>} Resultados agregados
+ */
+function collectFilesSequentially(files, countOptions = {}, log = console.error, keepFileMaps = false) {
+    return collectSequentially(files, countOptions, {
+        count: filePath => countInput(filePath, countOptions),
+        log,
+        keepFileMaps
+    });
+}
+
+/**
+ * Genera el reporte en el formato pedido y lo escribe en stdout o en un archivo
+ * @param {Object} args - Argumentos parseados
+ * @param {string[]} files - Lista de archivos
+ * @param {Object} countOptions - Opciones adicionales para countWords
+ */
+async function writeReport(args, files, countOptions) {
+    // stdout queda reservado para el reporte: los logs van a stderr
+    const log = args.quiet ? () => {} : (...messages) => console.error(...messages);
+
+    const results = shouldUseParallel(args, files)
+        ? await processFilesInParallel(files, {
+            maxWorkers: args.workers,
+            verbose: false,
+            chunked: args.chunked,
+            log,
+            keepFileMaps: args.compare,
+            ...getCheckpointOptions(args),
+            ...countOptions
+        })
+        : await collectFilesSequentially(files, countOptions, log, args.compare);
+
+    const output = renderReport(buildReport(results, {
+        topN: args.top,
+        compare: args.compare ? { topN: args.compareTop, minCount: args.minCount } : undefined
+    }), args.format);
+
+    writeOutput(args, output, log);
+}
+
+/**
+ * Busca una palabra o frase en archivos (o stdin) en el hilo principal, con la
+ * misma forma de resultados que searchFilesInParallel
+ * @param {string[]} files - Lista de archivos
+ * @param {Object} searchOptions - Opciones de searchFile (query, context, limit, tokenizer...)
+ * @param {Function} log - Función para mensajes de progreso
+ * @returns {Promise<Object>} Resultados agregados
+ */
+function searchFilesSequentially(files, searchOptions, log = console.error) {
+    return searchSequentially(files, searchOptions, {
+        search: filePath => (filePath === STDIN_PATH
+            ? searchStream(process.stdin, searchOptions)
+            : searchFile(filePath, searchOptions)),
+        log
+    });
+}
+
+/**
+ * Modo --kwic: busca la consulta en todos los archivos (con workers salvo
+ * para stdin) y escribe las concordancias en el formato pedido
+ * @param {Object} args - Argumentos parseados
+ * @param {string[]} files - Lista de archivos
+ * @param {Object} countOptions - Opciones de tokenización, codificación y formato
+ */
+async function writeConcordance(args, files, countOptions) {
+    const log = args.quiet ? () => {} : (...messages) => console.error(...messages);
+    const searchOptions = {
+        ...countOptions,
+        query: args.kwic,
+        context: args.context,
+        limit: args.kwicLimit
+    };
+
+    // stdin solo se puede leer desde el hilo principal
+    const results = files.includes(STDIN_PATH)
+        ? await searchFilesSequentially(files, searchOptions, log)
+        : await searchFilesInParallel(files, {
+            ...searchOptions,
+            maxWorkers: args.workers,
+            verbose: false,
+            log
+        });
+
+    writeOutput(args, renderConcordanceReport(buildConcordanceReport(results), args.format), log);
+}
+
+/**
+ * Modo --watch: cuenta los archivos, los sigue revisando y vuelve a escribir
+ * el reporte cada vez que alguno se agrega, cambia o se borra
+ * @param {Object} args - Argumentos parseados
+ * @param {Object} countOptions - Opciones de conteo
+ * @returns {Promise<void>} Se resuelve tras el primer conteo; el proceso sigue vivo hasta Ctrl+C
+ */
+async function watchCorpus(args, countOptions) {
+    const log = args.quiet ? () => {} : (...messages) => console.error(...messages);
+    const describe = (count, singular, plural) => `${count} ${count === 1 ? singular : plural}`;
+
+    const watcher = await watchFiles(() => expandFiles(args.files, getWalkOptions(args)), {
+        countOptions,
+        interval: args.watchInterval * 1000,
+        maxWorkers: args.workers,
+        chunked: args.chunked,
+        log,
+        onUpdate: (results, { initial, added, changed, removed }) => {
+            if (initial) {
+                log(`[${getTimestamp()}] 👀 Vigilando ${describe(added.length, 'archivo', 'archivos')} (Ctrl+C para salir)`);
+            } else {
+                log(`[${getTimestamp()}] 🔁 ${describe(added.length, 'nuevo', 'nuevos')}, ${describe(changed.length, 'modificado', 'modificados')}, ${describe(removed.length, 'borrado', 'borrados')}`);
+                removed.forEach(filePath => log(`   - ${filePath}`));
+            }
+
+            writeOutput(args, renderReport(buildReport(results, { topN: args.top }), args.format), log);
+        },
+        onError: (error) => log(`[${getTimestamp()}] ❌ Error revisando los archivos: ${error.message}`)
+    });
+
+    process.once('SIGINT', async () => {
+        await watcher.close();
+        log(`\n[${getTimestamp()}] 👋 Fin del modo watch`);
+        process.exit(0);
+    });
+}
+
+/**
+ * Termina sin error si el consumidor cierra el pipe de stdout (ej: `| head`)
+ */
+function exitOnEpipe(error) {
+    if (error.code === 'EPIPE') {
+        process.exit(0);
+    }
+    throw error;
+}
+
+/**
+ * Escribe un reporte ya serializado en --output o en stdout
+ * @param {Object} args - Argumentos parseados
+ * @param {string} output - Reporte serializado
+ * @param {Function} log - Función para mensajes de progreso
+ */
+function writeOutput(args, output, log) {
+    if (args.output) {
+        fs.writeFileSync(args.output, output, 'utf8');
+        log(`[${getTimestamp()}] 💾 Resultado guardado en ${args.output}`);
+    } else {
+        // En --watch se escribe varias veces: el listener se agrega una sola
+        if (!process.stdout.listeners('error').includes(exitOnEpipe)) {
+            process.stdout.on('error', exitOnEpipe);
+        }
+        process.stdout.write(output);
+    }
+}
+
+/**
+ * Arma las opciones de conteo (tokenizer, codificación, formato, stop words...)
+ * a partir de los argumentos
+ * @param {Object} args - Argumentos parseados
+ * @returns {Object} Opciones para countWords / processFilesInParallel
+ * @throws {Error} Si alguna opción es inválida
+ */
+function getCountOptions(args) {
+    if (!Number.isInteger(args.ngram) || args.ngram < 1) {
+        throw new Error('--ngram debe ser un entero >= 1.');
+    }
+
+    const countOptions = pickTokenizerOptions(args);
+    countOptions.ngram = args.ngram;
+    countOptions.encoding = resolveEncoding(args.encoding);
+    countOptions.inputFormat = validateInputFormat(args.inputFormat);
+    if (args.jsonField !== undefined) {
+        parseFieldPath(args.jsonField);
+        countOptions.jsonField = args.jsonField;
+    }
+
+    if (args.approximate) {
+        validateSketchOptions(args.sketch);
+        countOptions.approximate = args.sketch;
+    }
+
+    if (args.stats) {
+        if (args.approximate) {
+            throw new Error('--stats necesita conteos exactos; no se puede combinar con --approximate.');
+        }
+        countOptions.lexicalStats = validateLexicalOptions({ window: args.mattrWindow });
+    }
+
+    if (args.readability !== null) {
+        countOptions.readability = validateReadabilityOptions(args.readability);
+    }
+
+    if (args.collocations !== null) {
+        if (args.approximate) {
+            throw new Error('--collocations necesita conteos exactos; no se puede combinar con --approximate.');
+        }
+        countOptions.collocations = validateCollocationOptions({
+            window: args.collocationWindow,
+            minCount: args.collocationMin,
+            topN: args.collocations
+        });
+    }
+
+    if (args.stem !== null) {
+        countOptions.stem = validateStemLanguage(args.stem);
+    }
+
+    if (args.stopwordLanguages.length > 0 || args.stopwordFiles.length > 0) {
+        try {
+            countOptions.stopwords = loadStopwords({
+                languages: args.stopwordLanguages,
+                files: args.stopwordFiles
+            });
+        } catch (error) {
+            throw new Error(`No se pudieron cargar las stop words: ${error.message}`);
+        }
+    }
+
+    return countOptions;
+}
+
+/**
+ * Subcomandos de la CLI: `wordflux index ...`, `wordflux query ...` y `wordflux serve`
+ */
+const INDEX_COMMAND = 'index';
+const QUERY_COMMAND = 'query';
+const SERVE_COMMAND = 'serve';
+
+/**
+ * Ruta para mostrar de un archivo del índice (relativa al directorio actual)
+ * @param {string} key - Clave absoluta del índice
+ * @returns {string}
+ */
+function toDisplayPath(key) {
+    return path.relative(process.cwd(), key) || key;
+}
+
+/**
+ * `wordflux index <archivos>`: cuenta los archivos nuevos o modificados y
+ * guarda sus conteos en el índice (ver módulo wordIndex)
+ * @param {string[]} argv - Argumentos después de 'index'
+ */
+async function runIndexCommand(argv) {
+    const args = parseArgs(argv);
+
+    if (args.help || (args.files.length === 0 && !args.prune)) {
+        showHelp();
+        process.exit(args.help ? 0 : 1);
+    }
+
+    if (!CHANGE_CHECKS.includes(args.check)) {
+        console.error(`❌ Error: --check debe ser uno de: ${CHANGE_CHECKS.join(', ')}.`);
+        process.exit(1);
+    }
+
+    let countOptions;
+    let index;
+    let files;
+    try {
+        countOptions = getCountOptions(args);
+        index = createWordIndex(args.indexDir);
+        files = expandFiles(args.files, {
+            include: args.include,
+            exclude: args.exclude,
+            maxDepth: args.maxDepth,
+            ignoreFiles: args.ignoreFiles,
+            useIgnoreFiles: args.useIgnoreFiles
+        });
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(1);
+    }
+
+    if (files.includes(STDIN_PATH)) {
+        console.error('❌ Error: stdin no se puede indexar; el índice guarda conteos por archivo.');
+        process.exit(1);
+    }
+
+    if (args.files.length > 0 && files.length === 0) {
+        console.error('❌ Error: No se encontraron archivos para indexar.');
+        process.exit(1);
+    }
+
+    if (args.prune) {
+        for (const removed of index.prune()) {
+            console.log(`[${getTimestamp()}] 🗑️  Quitado del índice (ya no existe): ${toDisplayPath(removed)}`);
+        }
+    }
+
+    const icons = { added: '➕', updated: '🔄', unchanged: '✔️ ', failed: '❌' };
+    const onFile = ({ filePath, status, error }) => {
+        if (!args.quiet || status === 'failed') {
+            const detail = error ? ` - ${error.message}` : '';
+            console.log(`[${getTimestamp()}] ${icons[status]} ${status.padEnd(9, ' ')} ${toDisplayPath(filePath)}${detail}`);
+        }
+    };
+
+    // Con solo --prune no se indexa nada (ni se comparan las opciones de conteo)
+    const summary = files.length === 0
+        ? { added: [], updated: [], unchanged: [], failed: [], reset: false }
+        : await index.update(files, countOptions, { check: args.check, onFile });
+
+    if (summary.reset) {
+        console.error(`[${getTimestamp()}] ⚠️ Advertencia: las opciones de conteo cambiaron; el índice se reconstruyó desde cero`);
+    }
+
+    console.log('\n' + '═'.repeat(60));
+    console.log(`📇 ÍNDICE: ${args.indexDir}`);
+    console.log('─'.repeat(60));
+    console.log(`   Agregados:     ${summary.added.length}`);
+    console.log(`   Actualizados:  ${summary.updated.length}`);
+    console.log(`   Sin cambios:   ${summary.unchanged.length}`);
+    console.log(`   Fallidos:      ${summary.failed.length}`);
+    console.log(`   Total en índice: ${index.files().length}`);
+    console.log('═'.repeat(60));
+
+    if (summary.failed.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Parsea los argumentos de `wordflux query`
+ * @param {string[]} argv - Argumentos después de 'query'
+ * @returns {Object} Argumentos parseados
+ */
+function parseQueryArgs(argv) {
+    const result = {
+        indexDir: DEFAULT_INDEX_DIR,
+        words: [],
+        prefix: null,
+        files: [],
+        top: null,
+        list: false,
+        format: 'table',
+        help: false
+    };
+
+    for (const arg of argv) {
+        if (arg === '--help' || arg === '-h') {
+            result.help = true;
+        } else if (arg.startsWith('--index=')) {
+            result.indexDir = arg.slice('--index='.length);
+        } else if (arg.startsWith('--word=')) {
+            result.words.push(arg.slice('--word='.length));
+        } else if (arg.startsWith('--prefix=')) {
+            result.prefix = arg.slice('--prefix='.length);
+        } else if (arg.startsWith('--files=')) {
+            result.files.push(...arg.slice('--files='.length).split(',').filter(Boolean));
+        } else if (arg.startsWith('--top=')) {
+            const value = arg.slice('--top='.length);
+            result.top = value === 'all' ? Infinity : parseInt(value, 10);
+        } else if (arg === '--list') {
+            result.list = true;
+        } else if (arg.startsWith('--format=')) {
+            result.format = arg.slice('--format='.length).toLowerCase();
+        } else if (!arg.startsWith('-')) {
+            // Palabra a consultar
+            result.words.push(arg);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Imprime una tabla de palabras con conteo al estilo de formatResults
+ */
+function printWordTable(title, items) {
+    console.log('\n' + '═'.repeat(60));
+    console.log(title);
+    console.log('─'.repeat(60));
+    if (items.length === 0) {
+        console.log('   (sin resultados)');
+    }
+    items.forEach((item, index) => {
+        const rank = (index + 1).toString().padStart(2, ' ');
+        const count = item.count.toLocaleString().padStart(12, ' ');
+        const bar = '█'.repeat(Math.min(Math.floor(item.count / items[0].count * 20), 20));
+        console.log(`   ${rank}. ${item.word.padEnd(20, ' ')} ${count}  ${bar}`);
+    });
+    console.log('═'.repeat(60));
+}
+
+/**
+ * `wordflux query`: responde desde el índice sin volver a leer los textos
+ * 
+ * - `query whale [ahab...]`: conteo de cada palabra por archivo
+ * - `query --prefix=whal`: palabras con ese prefijo
+ * - `query --top=20 --files=a.txt,b.txt`: top combinado de esos archivos
+ * - `query --list`: archivos indexados
+ * @param {string[]} argv - Argumentos después de 'query'
+ */
+function runQueryCommand(argv) {
+    const args = parseQueryArgs(argv);
+
+    if (args.help) {
+        showHelp();
+        process.exit(0);
+    }
+
+    if (!['table', 'json'].includes(args.format)) {
+        console.error('❌ Error: --format debe ser table o json en query.');
+        process.exit(1);
+    }
+
+    if (args.top !== null && !(args.top === Infinity || (Number.isInteger(args.top) && args.top > 0))) {
+        console.error('❌ Error: --top debe ser un entero > 0 o "all".');
+        process.exit(1);
+    }
+
+    let response;
+    try {
+        const index = createWordIndex(args.indexDir);
+        if (index.files().length === 0) {
+            throw new Error(`El índice ${args.indexDir} está vacío o no existe; créalo con: wordflux index <archivos>`);
+        }
+
+        if (args.list) {
+            response = {
+                files: index.files().map(entry => ({
+                    file: toDisplayPath(entry.filePath),
+                    words: entry.totalWords,
+                    unique: entry.uniqueWords,
+                    indexedAt: entry.indexedAt
+                }))
+            };
+        } else if (args.words.length > 0) {
+            response = {
+                words: args.words.map((word) => {
+                    const { term, total, files } = index.countOf(word, { files: args.files });
+                    return { word: term, total, files: files.map(f => ({ file: toDisplayPath(f.filePath), count: f.count })) };
+                })
+            };
+        } else if (args.prefix !== null) {
+            response = { prefix: args.prefix, words: index.prefix(args.prefix, { files: args.files, limit: args.top ?? 20 }) };
+        } else {
+            response = { topWords: index.top(args.top ?? 10, { files: args.files }) };
+        }
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(1);
+    }
+
+    if (args.format === 'json') {
+        process.stdout.write(JSON.stringify(response, null, 2) + '\n');
+        return;
+    }
+
+    if (response.files) {
+        console.log('\n' + '═'.repeat(60));
+        console.log(`📇 ARCHIVOS EN EL ÍNDICE (${response.files.length})`);
+        console.log('─'.repeat(60));
+        for (const file of response.files) {
+            console.log(`   ${file.file.padEnd(36, ' ')} ${file.words.toLocaleString().padStart(12, ' ')} ${file.unique.toLocaleString().padStart(10, ' ')}`);
+        }
+        console.log('═'.repeat(60));
+    } else if (response.topWords) {
+        const scope = args.files.length > 0 ? args.files.join(', ') : 'todos los archivos';
+        printWordTable(`🏆 TOP ${response.topWords.length} (${scope})`, response.topWords);
+    } else if (response.prefix !== undefined) {
+        printWordTable(`🔎 PALABRAS QUE EMPIEZAN CON "${response.prefix}"`, response.words);
+    } else {
+        for (const word of response.words) {
+            console.log('\n' + '═'.repeat(60));
+            console.log(`🔎 "${word.word}": ${word.total.toLocaleString()} en total`);
+            console.log('─'.repeat(60));
+            for (const file of word.files) {
+                console.log(`   ${file.file.padEnd(40, ' ')} ${file.count.toLocaleString().padStart(12, ' ')}`);
+            }
+            console.log('═'.repeat(60));
+        }
+    }
+}
+
+/**
+ * Parsea los argumentos de `wordflux serve`
+ * @param {string[]} argv - Argumentos después de 'serve'
+ * @returns {Object} Argumentos parseados
+ * @throws {Error} Si algún tamaño es inválido
+ */
+function parseServeArgs(argv) {
+    const result = {
+        port: DEFAULT_PORT,
+        host: DEFAULT_HOST,
+        maxBodySize: DEFAULT_MAX_BODY_SIZE,
+        maxUploadSize: DEFAULT_MAX_UPLOAD_SIZE,
+        jobsDir: null,
+        maxActiveJobs: DEFAULT_MAX_ACTIVE_JOBS,
+        quiet: false,
+        help: false
+    };
+
+    for (const arg of argv) {
+        if (arg === '--help' || arg === '-h') {
+            result.help = true;
+        } else if (arg.startsWith('--port=')) {
+            result.port = Number(arg.slice('--port='.length));
+        } else if (arg.startsWith('--host=')) {
+            result.host = arg.slice('--host='.length);
+        } else if (arg.startsWith('--max-body=')) {
+            result.maxBodySize = parseSize(arg.slice('--max-body='.length));
+        } else if (arg.startsWith('--max-upload=')) {
+            result.maxUploadSize = parseSize(arg.slice('--max-upload='.length));
+        } else if (arg.startsWith('--jobs-dir=')) {
+            result.jobsDir = arg.slice('--jobs-dir='.length);
+        } else if (arg.startsWith('--max-jobs=')) {
+            result.maxActiveJobs = Number(arg.slice('--max-jobs='.length));
+        } else if (arg === '--quiet' || arg === '-q') {
+            result.quiet = true;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * `wordflux serve`: la API `/count` de Lambda como servidor HTTP local (ver módulo server)
+ * @param {string[]} argv - Argumentos después de 'serve'
+ */
+async function runServeCommand(argv) {
+    let args;
+    try {
+        args = parseServeArgs(argv);
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(1);
+    }
+
+    if (args.help) {
+        showHelp();
+        process.exit(0);
+    }
+
+    if (!Number.isInteger(args.port) || args.port < 0 || args.port > 65535) {
+        console.error('❌ Error: --port debe ser un entero entre 0 y 65535.');
+        process.exit(1);
+    }
+
+    if (!Number.isInteger(args.maxActiveJobs) || args.maxActiveJobs < 1) {
+        console.error('❌ Error: --max-jobs debe ser un entero mayor que 0.');
+        process.exit(1);
+    }
+
+    let jobStore;
+    if (args.jobsDir) {
+        try {
+            jobStore = createFileJobStore(args.jobsDir);
+        } catch (error) {
+            console.error(`❌ Error: no se pudo usar --jobs-dir=${args.jobsDir}: ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    let server;
+    try {
+        server = await startServer({
+            port: args.port,
+            host: args.host,
+            maxBodySize: args.maxBodySize,
+            maxUploadSize: args.maxUploadSize,
+            jobStore,
+            maxActiveJobs: args.maxActiveJobs,
+            log: args.quiet ? () => {} : (...messages) => console.log(...messages)
+        });
+    } catch (error) {
+        console.error(`❌ Error: no se pudo escuchar en ${args.host}:${args.port}: ${error.message}`);
+        process.exit(1);
+    }
+
+    const { address, port } = server.address();
+    console.log(`[${getTimestamp()}] 🌐 Escuchando en http://${address.includes(':') ? `[${address}]` : address}:${port} (POST /count, /jobs, GET /health; Ctrl+C para salir)`);
+
+    process.once('SIGINT', () => {
+        server.close();
+        console.log(`\n[${getTimestamp()}] 👋 Servidor detenido`);
+        process.exit(0);
+    });
+}
+
 /**
  * Función principal
  */
 async function main() {
     // Remover 'node' y el nombre del script de los argumentos
-    const args = parseArgs(process.argv.slice(2));
+    const argv = process.argv.slice(2);
+
+    if (argv[0] === INDEX_COMMAND) {
+        await runIndexCommand(argv.slice(1));
+        return;
+    }
+    if (argv[0] === QUERY_COMMAND) {
+        runQueryCommand(argv.slice(1));
+        return;
+    }
+    if (argv[0] === SERVE_COMMAND) {
+        await runServeCommand(argv.slice(1));
+        return;
+    }
+
+    const args = parseArgs(argv);
+
+    // Al reanudar, los archivos y las opciones de conteo salen del checkpoint
+    let checkpointState = null;
+    if (args.resume !== null) {
+        try {
+            checkpointState = loadCheckpoint(args.resume);
+        } catch (error) {
+            console.error(`❌ Error: ${error.message}`);
+            process.exit(1);
+        }
+        if (args.files.length > 0) {
+            console.error(`[${getTimestamp()}] ⚠️ Advertencia: con --resume se usan los archivos del checkpoint; se ignoran los indicados`);
+        }
+    }
+
+    // Sin archivos pero con datos por pipe (ej: `zcat dump.gz | wordflux`): leer stdin
+    if (args.files.length === 0 && !checkpointState && isStdinPiped()) {
+        args.files.push(STDIN_PATH);
+    }
 
     // Mostrar ayuda si se solicita o no hay argumentos
-    if (args.help || args.files.length === 0) {
+    if (args.help || (args.files.length === 0 && !checkpointState)) {
         showHelp();
         process.exit(args.help ? 0 : 1);
     }
 
-    // Expandir archivos (manejar directorios)
-    const files = expandFiles(args.files);
+    if (!Number.isFinite(args.checkpointInterval) || args.checkpointInterval < 0) {
+        console.error('❌ Error: --checkpoint-interval debe ser un número de segundos >= 0.');
+        process.exit(1);
+    }
+
+    // Expandir archivos (directorios recursivos, globs y zips)
+    let files;
+    try {
+        files = checkpointState ? checkpointState.files : expandFiles(args.files, getWalkOptions(args));
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(1);
+    }
 
     if (files.length === 0) {
         console.error('❌ Error: No se encontraron archivos para procesar.');
         process.exit(1);
     }
 
+    if (args.checkpoint !== null && files.includes(STDIN_PATH)) {
+        console.error('❌ Error: stdin no se puede reanudar; --checkpoint necesita archivos en disco.');
+        process.exit(1);
+    }
+
+    if (args.parallel && files.includes(STDIN_PATH)) {
+        console.error(`[${getTimestamp()}] ⚠️ Advertencia: stdin se lee en el hilo principal; los archivos se procesan secuencialmente`);
+    }
+
+    if (!OUTPUT_FORMATS.includes(args.format)) {
+        console.error(`❌ Error: --format debe ser uno de: ${OUTPUT_FORMATS.join(', ')}.`);
+        process.exit(1);
+    }
+
+    if (!(args.top === Infinity || (Number.isInteger(args.top) && args.top > 0))) {
+        console.error('❌ Error: --top debe ser un entero > 0 o "all".');
+        process.exit(1);
+    }
+
+    let countOptions;
+    try {
+        countOptions = getCountOptions(args);
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(1);
+    }
+
+    if (checkpointState) {
+        // Reanudar con otras opciones mezclaría conteos incompatibles: se usan las del checkpoint
+        countOptions = { ...checkpointState.countOptions };
+    }
+
+    if (args.kwic !== null) {
+        try {
+            validateConcordanceOptions({ query: args.kwic, context: args.context, limit: args.kwicLimit });
+        } catch (error) {
+            console.error(`❌ Error: ${error.message}`);
+            process.exit(1);
+        }
+        if (args.compare || args.checkpoint !== null) {
+            console.error('❌ Error: --kwic no se puede combinar con --compare ni con checkpoints.');
+            process.exit(1);
+        }
+    }
+
+    if (args.watch) {
+        if (!Number.isFinite(args.watchInterval) || args.watchInterval <= 0) {
+            console.error('❌ Error: --watch-interval debe ser un número de segundos > 0.');
+            process.exit(1);
+        }
+        if (files.includes(STDIN_PATH) || args.kwic !== null || args.compare || args.checkpoint !== null || checkpointState) {
+            console.error('❌ Error: --watch necesita archivos en disco y no se puede combinar con --kwic, --compare ni checkpoints.');
+            process.exit(1);
+        }
+        try {
+            validateWatchOptions(countOptions);
+        } catch (error) {
+            console.error(`❌ Error: ${error.message}.`);
+            process.exit(1);
+        }
+    }
+
+    if (args.compare) {
+        try {
+            validateCompareOptions({ topN: args.compareTop, minCount: args.minCount });
+        } catch (error) {
+            console.error(`❌ Error: ${error.message}`);
+            process.exit(1);
+        }
+        if (countOptions.approximate) {
+            console.error('❌ Error: --compare necesita conteos exactos; no se puede combinar con --approximate.');
+            process.exit(1);
+        }
+        if (files.length < 2) {
+            console.error('❌ Error: --compare necesita al menos 2 archivos.');
+            process.exit(1);
+        }
+    }
+
     try {
-        if (args.parallel && files.length > 1) {
+        if (args.watch) {
+            // Conteo incremental: el proceso sigue vivo revisando los archivos
+            await watchCorpus(args, countOptions);
+        } else if (args.kwic !== null) {
+            // Concordancias en vez de conteo
+            await writeConcordance(args, files, countOptions);
+        } else if (args.format !== 'table' || args.output || args.compare) {
+            // Salida para otras herramientas (json, ndjson, csv), a archivo o con comparación
+            await writeReport(args, files, countOptions);
+        } else if (shouldUseParallel(args, files)) {
             // Procesamiento paralelo con worker threads
             await processFilesInParallel(files, {
                 maxWorkers: args.workers,
-                verbose: !args.quiet
+                verbose: !args.quiet,
+                chunked: args.chunked,
+                topN: args.top,
+                ...getCheckpointOptions(args),
+                ...countOptions
             });
         } else if (files.length === 1) {
             // Un solo archivo
-            await processSingleFile(files[0], args.quiet);
+            await processSingleFile(files[0], args.quiet, countOptions, args.top);
         } else {
             // Múltiples archivos sin flag --parallel
-            await processFilesSequentially(files, args.quiet);
+            await processFilesSequentially(files, args.quiet, countOptions, args.top);
         }
     } catch (error) {
         console.error(`\n❌ Error fatal: ${error.message}`);
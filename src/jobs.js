@@ -0,0 +1,476 @@
+/**
+ * Jobs - Trabajos de conteo asíncronos (`/jobs`)
+ * 
+ * Un trabajo se crea con el mismo cuerpo que `/count` y se procesa en segundo
+ * plano: quien lo pidió recibe un id al instante y consulta después el
+ * estado, el progreso (tareas terminadas y líneas leídas, de los mensajes de
+ * progreso de los workers) y el resultado. Así un corpus grande no choca con
+ * el límite de tiempo de una petición HTTP (30s en API Gateway).
+ * 
+ * El estado vive en un store intercambiable: cualquier objeto con `get`,
+ * `save`, `remove`, `list`, `requestCancel` e `isCancelRequested`
+ * (sincrónicos o con promesas). Se incluyen uno en memoria y uno en disco
+ * (un JSON por trabajo); este último sirve también para que un proceso cree
+ * los trabajos y otro los ejecute, si comparten el directorio.
+ * 
+ * Estados: queued → running → succeeded | failed | cancelled. Un trabajo se
+ * puede cancelar en cola o en curso: si corre en este proceso se corta al
+ * instante (ver workerPool); si corre en otro, ese proceso ve el pedido de
+ * cancelación en su siguiente guardado de progreso. El pedido se guarda
+ * aparte del trabajo para que un guardado de progreso no lo pise.
+ * 
+ * Quien ejecuta un trabajo lo guarda en cada intervalo de progreso. Uno en
+ * curso que deja de guardarse (el proceso terminó por timeout, memoria o un
+ * crash) pasa a failed con code 'JOB_STALE' cuando se lista o se lee, así no
+ * cuenta para siempre entre los activos.
+ * 
+ * @module jobs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { randomBytes } = require('crypto');
+const { EventEmitter } = require('events');
+
+/**
+ * Estados en los que un trabajo ya no cambia
+ */
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+/**
+ * Milisegundos mínimos entre guardados del progreso de un trabajo en curso
+ */
+const DEFAULT_PROGRESS_INTERVAL = 1000;
+
+/**
+ * Guardados de progreso que puede saltear un trabajo en curso antes de darlo
+ * por abandonado (ver options.staleAfter de createJobManager)
+ */
+const STALE_PROGRESS_INTERVALS = 30;
+
+/**
+ * Tiempo que se conserva un trabajo terminado antes de borrarlo (1 hora)
+ */
+const DEFAULT_JOB_TTL = 60 * 60 * 1000;
+
+/**
+ * Trabajos en cola o en curso a la vez si no se indica otro límite
+ */
+const DEFAULT_MAX_ACTIVE_JOBS = 10;
+
+/**
+ * Forma de los ids de trabajo (ver createJobId)
+ */
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Crea un id de trabajo: un UUID v4, armado con randomBytes porque
+ * crypto.randomUUID no existe antes de Node 14.17
+ * 
+ * @returns {string}
+ */
+function createJobId() {
+    const bytes = randomBytes(16);
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = bytes.toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Crea un controlador de cancelación con la parte de AbortController que usa
+ * el pool de workers (signal.aborted, add/removeEventListener('abort')), que
+ * en Node 14 no es global
+ * 
+ * @returns {{signal: Object, abort: Function}}
+ */
+function createAbortController() {
+    const emitter = new EventEmitter();
+    const signal = {
+        aborted: false,
+        addEventListener(type, listener, options = {}) {
+            emitter[options.once ? 'once' : 'on'](type, listener);
+        },
+        removeEventListener(type, listener) {
+            emitter.removeListener(type, listener);
+        }
+    };
+    return {
+        signal,
+        abort() {
+            if (!signal.aborted) {
+                signal.aborted = true;
+                emitter.emit('abort');
+            }
+        }
+    };
+}
+
+/**
+ * Crea un error que se responde con su statusCode y code (ver lambda.toErrorResponse)
+ */
+function httpError(statusCode, message, code) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+}
+
+/**
+ * Crea un store de trabajos en memoria (se pierde al terminar el proceso)
+ * 
+ * @returns {{get: Function, save: Function, remove: Function, list: Function}}
+ */
+function createMemoryJobStore() {
+    const jobs = new Map();
+    const cancelRequests = new Set();
+
+    // Copias: quien lee no debe ver los cambios que se hagan sobre el trabajo sin guardarlo
+    const copy = job => JSON.parse(JSON.stringify(job));
+
+    return {
+        get(id) {
+            return jobs.has(id) ? copy(jobs.get(id)) : null;
+        },
+        save(job) {
+            jobs.set(job.id, copy(job));
+        },
+        remove(id) {
+            jobs.delete(id);
+            cancelRequests.delete(id);
+        },
+        list() {
+            return [...jobs.values()].map(copy);
+        },
+        requestCancel(id) {
+            cancelRequests.add(id);
+        },
+        isCancelRequested(id) {
+            return cancelRequests.has(id);
+        }
+    };
+}
+
+/**
+ * Crea un store de trabajos en disco: un archivo `<id>.json` por trabajo, y
+ * `<id>.cancel` vacío para los pedidos de cancelación
+ * 
+ * La escritura es atómica (archivo temporal + rename): otro proceso que lee
+ * el trabajo nunca ve un JSON a medias.
+ * 
+ * @param {string} dir - Directorio de los trabajos (se crea si no existe)
+ * @returns {{get: Function, save: Function, remove: Function, list: Function}}
+ */
+function createFileJobStore(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    // El id llega en la URL: solo ids con la forma de createJobId, nunca rutas
+    const jobPath = (id, extension = '.json') => (JOB_ID_PATTERN.test(id) ? path.join(dir, `${id}${extension}`) : null);
+    // Un temporal por escritura: dos guardados del mismo trabajo pueden solaparse
+    let writes = 0;
+
+    // Borra un archivo que puede no existir (fs.promises.rm no existe antes de Node 14.14)
+    const unlink = async (filePath) => {
+        try {
+            await fs.promises.unlink(filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    };
+
+    const read = async (filePath) => {
+        try {
+            return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            // Borrado entre el listado y la lectura
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    };
+
+    return {
+        async get(id) {
+            const filePath = jobPath(id);
+            return filePath ? read(filePath) : null;
+        },
+        async save(job) {
+            const filePath = jobPath(job.id);
+            const tmpPath = `${filePath}.${process.pid}-${++writes}.tmp`;
+            await fs.promises.writeFile(tmpPath, JSON.stringify(job));
+            await fs.promises.rename(tmpPath, filePath);
+        },
+        async remove(id) {
+            const filePath = jobPath(id);
+            if (filePath) {
+                await unlink(filePath);
+                await unlink(jobPath(id, '.cancel'));
+            }
+        },
+        async list() {
+            const names = (await fs.promises.readdir(dir)).filter(name => name.endsWith('.json'));
+            const jobs = await Promise.all(names.map(name => read(path.join(dir, name))));
+            return jobs.filter(Boolean);
+        },
+        async requestCancel(id) {
+            await fs.promises.writeFile(jobPath(id, '.cancel'), '');
+        },
+        async isCancelRequested(id) {
+            const filePath = jobPath(id, '.cancel');
+            return Boolean(filePath) && fs.existsSync(filePath);
+        }
+    };
+}
+
+/**
+ * Progreso de un trabajo a partir del de processFilesInParallel / searchFilesInParallel
+ */
+function toJobProgress({ totalTasks, completedTasks, linesProcessed }) {
+    return {
+        totalTasks,
+        completedTasks,
+        linesProcessed,
+        percent: totalTasks > 0 ? Math.floor((completedTasks / totalTasks) * 100) : 0
+    };
+}
+
+/**
+ * Vista pública de un trabajo: todo menos el cuerpo con el que se creó
+ * 
+ * @param {Object} job - Trabajo del store
+ * @returns {Object} { id, status, createdAt, updatedAt, startedAt, finishedAt, progress, result, error }
+ */
+function toJobResponse(job) {
+    const { body, ...response } = job;
+    return response;
+}
+
+/**
+ * Crea el gestor de trabajos
+ * 
+ * @param {Object} options - Opciones
+ * @param {Object} options.store - Store de trabajos (ver createMemoryJobStore)
+ * @param {Function} options.execute - (body, { signal, onProgress }) => Promise con el
+ *   resultado. onProgress recibe el progreso de processFilesInParallel
+ * @param {Function} options.validate - (body) que lanza un error si el cuerpo es inválido,
+ *   para rechazarlo al crear el trabajo y no al ejecutarlo (default: ninguna validación)
+ * @param {Function} options.dispatch - (job) => Promise que hace ejecutar un trabajo recién
+ *   creado, por ejemplo invocando otro proceso que llame a run(id). Por defecto se ejecuta
+ *   en este proceso
+ * @param {number} options.progressInterval - Milisegundos mínimos entre guardados del
+ *   progreso (default: 1000)
+ * @param {number} options.ttl - Milisegundos que se conserva un trabajo terminado (default: 1 hora)
+ * @param {number} options.staleAfter - Milisegundos sin guardados tras los que un trabajo en
+ *   curso en otro proceso se da por abandonado (default: 30 veces progressInterval)
+ * @param {number} options.maxActiveJobs - Trabajos en cola o en curso a la vez; más allá,
+ *   submit responde 429 (default: 10)
+ * @returns {{submit: Function, get: Function, cancel: Function, run: Function}}
+ */
+function createJobManager(options) {
+    const { store, execute } = options;
+    const validate = options.validate ?? (() => {});
+    const progressInterval = options.progressInterval ?? DEFAULT_PROGRESS_INTERVAL;
+    const ttl = options.ttl ?? DEFAULT_JOB_TTL;
+    const staleAfter = options.staleAfter ?? progressInterval * STALE_PROGRESS_INTERVALS;
+    const maxActiveJobs = options.maxActiveJobs ?? DEFAULT_MAX_ACTIVE_JOBS;
+    // Controladores de los trabajos que corren en este proceso
+    const controllers = new Map();
+
+    const save = (job) => {
+        job.updatedAt = new Date().toISOString();
+        return store.save(job);
+    };
+
+    // Un trabajo terminado ya no necesita su cuerpo (hasta el tamaño máximo de una petición)
+    const finish = (job, status) => {
+        job.status = status;
+        job.finishedAt = new Date().toISOString();
+        delete job.body;
+        return save(job);
+    };
+
+    // Un trabajo en curso que nadie guarda hace más de staleAfter quedó abandonado:
+    // el proceso que lo ejecutaba ya no va a terminarlo. Los de este proceso se
+    // guardan solos mientras corren
+    const expire = async (job) => {
+        if (job && job.status === 'running' && !controllers.has(job.id) &&
+            Date.now() - Date.parse(job.updatedAt) > staleAfter) {
+            job.error = {
+                message: `El trabajo dejó de informar progreso hace más de ${Math.round(staleAfter / 1000)}s: el proceso que lo ejecutaba terminó (timeout, memoria)`,
+                code: 'JOB_STALE'
+            };
+            await finish(job, 'failed');
+        }
+        return job;
+    };
+
+    // Borra los trabajos terminados hace más de ttl y cuenta los que siguen activos
+    const prune = async () => {
+        const limit = Date.now() - ttl;
+        let active = 0;
+        for (const job of await store.list()) {
+            await expire(job);
+            if (!FINISHED_STATUSES.includes(job.status)) {
+                active++;
+            } else if (Date.parse(job.finishedAt) < limit) {
+                await store.remove(job.id);
+            }
+        }
+        return active;
+    };
+
+    /**
+     * Ejecuta un trabajo en cola; lo usan dispatch por defecto y el proceso que
+     * recibe los trabajos despachados a otro lado
+     * 
+     * @param {string} id - Id del trabajo
+     * @returns {Promise<Object|null>} Trabajo terminado, tal como quedó en el store
+     */
+    async function run(id) {
+        const job = await store.get(id);
+        // Cancelado (o ya ejecutado) antes de empezar
+        if (!job || job.status !== 'queued' || await store.isCancelRequested(id)) {
+            return job;
+        }
+
+        const controller = createAbortController();
+        controllers.set(id, controller);
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        await save(job);
+
+        // El progreso se guarda cada progressInterval, y cada guardado revisa si otro
+        // proceso pidió cancelar el trabajo
+        let syncing = Promise.resolve();
+        const sync = async () => {
+            if (await store.isCancelRequested(id)) {
+                controller.abort();
+            } else if (!controller.signal.aborted) {
+                await save(job);
+            }
+        };
+        const timer = setInterval(() => {
+            syncing = syncing.then(sync).catch(() => {});
+        }, progressInterval);
+        timer.unref();
+
+        try {
+            job.result = await execute(job.body, {
+                signal: controller.signal,
+                onProgress: (progress) => {
+                    job.progress = toJobProgress(progress);
+                }
+            });
+            job.status = 'succeeded';
+        } catch (error) {
+            if (controller.signal.aborted) {
+                job.status = 'cancelled';
+            } else {
+                job.status = 'failed';
+                job.error = { message: error.message, code: error.code || 'UNKNOWN' };
+            }
+        } finally {
+            clearInterval(timer);
+            controllers.delete(id);
+        }
+        await syncing;
+
+        // Una cancelación que llegó mientras terminaba gana sobre el resultado
+        if (job.status !== 'cancelled' && await store.isCancelRequested(id)) {
+            job.status = 'cancelled';
+            delete job.result;
+            delete job.error;
+        }
+        await finish(job, job.status);
+        return job;
+    }
+
+    const dispatch = options.dispatch ?? ((job) => {
+        run(job.id).catch(() => {});
+    });
+
+    return {
+        /**
+         * Crea un trabajo y lo despacha
+         * 
+         * @param {Object} body - Cuerpo de `/count`
+         * @returns {Promise<Object>} Trabajo creado (en cola)
+         * @throws {Error} El de options.validate si el cuerpo es inválido, o uno con statusCode
+         *   429 y code 'TOO_MANY_JOBS' si ya hay maxActiveJobs en cola o en curso
+         */
+        async submit(body) {
+            validate(body);
+            if (await prune() >= maxActiveJobs) {
+                throw httpError(429, `Hay ${maxActiveJobs} trabajos en cola o en curso; espera a que termine alguno`, 'TOO_MANY_JOBS');
+            }
+
+            const now = new Date().toISOString();
+            const job = {
+                id: createJobId(),
+                status: 'queued',
+                createdAt: now,
+                updatedAt: now,
+                progress: null,
+                body
+            };
+            await store.save(job);
+
+            try {
+                await dispatch(job);
+            } catch (error) {
+                job.error = { message: `No se pudo iniciar el trabajo: ${error.message}`, code: error.code || 'UNKNOWN' };
+                await finish(job, 'failed');
+                throw error;
+            }
+            return job;
+        },
+
+        /**
+         * @param {string} id - Id del trabajo
+         * @returns {Promise<Object|null>} Trabajo, o null si no existe
+         */
+        async get(id) {
+            return expire(await store.get(id));
+        },
+
+        /**
+         * Cancela un trabajo en cola o en curso
+         * 
+         * @param {string} id - Id del trabajo
+         * @returns {Promise<Object|null>} Trabajo cancelado, o null si no existe
+         * @throws {Error} Con statusCode 409 y code 'JOB_FINISHED' si el trabajo ya terminó
+         */
+        async cancel(id) {
+            const job = await expire(await store.get(id));
+            if (!job) {
+                return null;
+            }
+            if (FINISHED_STATUSES.includes(job.status)) {
+                throw httpError(409, `El trabajo ${id} ya terminó (${job.status})`, 'JOB_FINISHED');
+            }
+
+            await store.requestCancel(id);
+            controllers.get(id)?.abort();
+
+            // Un trabajo en curso lo cierra quien lo ejecuta; este guardado es para
+            // que se vea cancelado desde ya, y el de la cola no lo va a ejecutar nadie
+            await finish(job, 'cancelled');
+            return job;
+        },
+
+        run
+    };
+}
+
+module.exports = {
+    createJobManager,
+    createMemoryJobStore,
+    createFileJobStore,
+    toJobResponse,
+    FINISHED_STATUSES,
+    DEFAULT_JOB_TTL,
+    DEFAULT_MAX_ACTIVE_JOBS
+};
@@ -3,178 +3,929 @@
  * 
  * Procesa texto recibido desde API Gateway y retorna estadísticas de palabras.
  * 
+ * La validación del cuerpo y el conteo (handleCount) no dependen de API
+ * Gateway: el servidor HTTP de `wordflux serve` usa el mismo núcleo, así
+ * las dos APIs aceptan las mismas opciones y responden el mismo esquema.
+ * 
+ * `/jobs` procesa el mismo cuerpo como trabajo asíncrono (ver módulo jobs).
+ * En Lambda, jobsHandler crea el trabajo y lo despacha con una invocación
+ * asíncrona a jobRunner, que tiene su propio límite de tiempo (hasta 15
+ * minutos); los dos comparten el store en disco de JOBS_DIR.
+ * 
  * @module lambda
  */
 
-const { countWords, getTopWords, formatResults } = require('./wordCounter');
-const fs = require('fs');
+const { getSharedPool } = require('./workerPool');
+const { buildReport, buildConcordanceReport } = require('./report');
+const { pickTokenizerOptions, validatePatternTokenizer, BUILTIN_TOKENIZERS } = require('./tokenizer');
+const { loadStopwords } = require('./stopwords');
+const { validateSketchOptions } = require('./sketch');
+const { resolveEncoding } = require('./encoding');
+const { validateInputFormat, parseFieldPath } = require('./extractors');
+const { validateCompareOptions } = require('./compare');
+const { validateLexicalOptions } = require('./lexicalStats');
+const { validateReadabilityOptions } = require('./readability');
+const { validateConcordanceOptions } = require('./concordance');
+const { validateCollocationOptions } = require('./collocations');
+const { validateStemLanguage } = require('./stemmer');
+const { createJobManager, createFileJobStore, toJobResponse } = require('./jobs');
+const { createCorpusConfig, resolveCorpusPath, resolveCorpusNames, listCorpora, DEFAULT_CORPUS_DIR } = require('./corpus');
 const os = require('os');
 const path = require('path');
+const zlib = require('zlib');
+const { STATUS_CODES } = require('http');
 
 /**
- * Handler principal de Lambda
+ * Codificaciones aceptadas en `textsEncoding`
+ */
+const TEXT_ENCODINGS = ['utf8', 'base64', 'gzip-base64'];
+
+/**
+ * Modos de `/count`: conteo combinado, comparación entre archivos o
+ * concordancias (KWIC)
+ */
+const MODES = ['count', 'compare', 'kwic'];
+
+/**
+ * Apariciones devueltas por archivo en modo "kwic" si no se pide otro límite,
+ * para que la respuesta no supere el tamaño máximo de API Gateway
+ */
+const DEFAULT_KWIC_LIMIT = 1000;
+
+/**
+ * Límites de un cuerpo de `/count`, cada uno con la variable de entorno que lo
+ * cambia: textos en `texts`, bytes de los textos ya decodificados (y
+ * descomprimidos, con gzip-base64), palabras del ranking, largo de los
+ * n-gramas, palabras de contexto en modo "kwic" y ventana de MATTR. Los
+ * últimos tres multiplican el trabajo por palabra
+ */
+const DEFAULT_LIMITS = {
+    maxTexts: { env: 'MAX_TEXTS', value: 100 },
+    maxTextBytes: { env: 'MAX_TEXT_BYTES', value: 50 * 1024 * 1024 },
+    maxTopN: { env: 'MAX_TOP_N', value: 1000 },
+    maxNgram: { env: 'MAX_NGRAM', value: 5 },
+    maxKwicContext: { env: 'MAX_KWIC_CONTEXT', value: 50 },
+    maxStatsWindow: { env: 'MAX_STATS_WINDOW', value: 10000 }
+};
+
+/**
+ * Límites del modo aproximado en la API: la tabla de Count-Min de cada worker
+ * queda en unos 11MB como máximo (ver sketch.validateSketchOptions)
+ */
+const SKETCH_LIMITS = {
+    minEpsilon: 1e-5,
+    minDelta: 1e-4,
+    maxCapacity: 10000
+};
+
+/**
+ * Tipos de los campos del cuerpo de `/count`. Un campo ausente o null toma
+ * su valor por defecto; uno de otro tipo es un error de ese campo. Los
+ * campos que no están acá se ignoran. "padre.hijo" es un campo de un objeto,
+ * que se verifica solo si el padre es un objeto
+ */
+const BODY_FIELDS = {
+    files: 'string[]',
+    corpora: 'string[]',
+    texts: 'string[]',
+    text: 'string',
+    content: 'string',
+    textsEncoding: 'string',
+    mode: 'string',
+    topN: 'integer',
+    ngram: 'integer',
+    encoding: 'string',
+    inputFormat: 'string',
+    jsonField: 'string',
+    tokenizer: ['string', 'object'],
+    locale: 'string',
+    normalization: 'string',
+    foldAccents: 'boolean',
+    stopwords: ['string', 'string[]', 'object'],
+    'stopwords.languages': 'string[]',
+    'stopwords.words': 'string[]',
+    approximate: ['boolean', 'object'],
+    stats: ['boolean', 'object'],
+    readability: ['boolean', 'string', 'object'],
+    collocations: ['boolean', 'object'],
+    stem: ['boolean', 'string'],
+    compare: 'object',
+    kwic: 'object'
+};
+
+/**
+ * Verificación y descripción (para el mensaje de error) de cada tipo de BODY_FIELDS.
+ * Los enteros se aceptan también como texto ("20"), como llegan de la query string
+ */
+const FIELD_TYPES = {
+    string: { check: value => typeof value === 'string', label: 'un texto' },
+    boolean: { check: value => typeof value === 'boolean', label: 'true o false' },
+    integer: {
+        check: value => (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) && Number.isInteger(Number(value)),
+        label: 'un entero'
+    },
+    object: { check: value => typeof value === 'object' && !Array.isArray(value), label: 'un objeto' },
+    'string[]': { check: value => Array.isArray(value), label: 'una lista de textos' }
+};
+
+/**
+ * Código de los errores que no traen uno propio, según su statusCode
+ */
+const DEFAULT_ERROR_CODES = {
+    400: 'INVALID_BODY',
+    404: 'NOT_FOUND',
+    405: 'METHOD_NOT_ALLOWED',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE'
+};
+
+/**
+ * Headers de todas las respuestas (JSON y CORS)
+ */
+const RESPONSE_HEADERS = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS'
+};
+
+/**
+ * Crea el error de un cuerpo inválido, que se responde con 400
  * 
- * @param {Object} event - Evento de API Gateway
- * @param {Object} context - Contexto de Lambda
- * @returns {Promise<Object>} Respuesta para API Gateway
+ * @param {string} message - Mensaje para el cliente
+ * @param {Object} details - Campos extra del cuerpo de la respuesta (ej: example)
+ * @param {string} code - Código estable del error (default: 'INVALID_BODY')
+ * @returns {Error} Error con statusCode 400
  */
-exports.handler = async (event, context) => {
-    // Configurar timeout del contexto
-    context.callbackWaitsForEmptyEventLoop = false;
+function badRequest(message, details = undefined, code = 'INVALID_BODY') {
+    const error = new Error(message);
+    error.statusCode = 400;
+    error.code = code;
+    error.details = details;
+    return error;
+}
 
-    // Directorio temporal para archivos creados dinámicamente
-    const tmpDir = os.tmpdir();
-    const createdFiles = [];
+/**
+ * Crea el error de un cuerpo con campos inválidos: 400 con la lista de
+ * errores por campo en `errors`
+ * 
+ * @param {Array<{field: string, message: string}>} errors - Errores por campo
+ * @returns {Error} Error con statusCode 400 y code 'INVALID_BODY'
+ */
+function invalidBody(errors) {
+    return badRequest(errors.map(({ message }) => message).join('; '), { errors });
+}
 
-    try {
-        // Parsear el body del request
-        let body;
-        if (typeof event.body === 'string') {
-            body = JSON.parse(event.body);
-        } else {
-            body = event.body || {};
+/**
+ * Crea el error de un cuerpo que supera un límite (ver getRequestLimits), que
+ * se responde con 413 y los límites en `limits`
+ */
+function payloadTooLarge(message, limits) {
+    const error = new Error(message);
+    error.statusCode = 413;
+    error.code = 'PAYLOAD_TOO_LARGE';
+    error.details = { limits };
+    return error;
+}
+
+/**
+ * Límites de un cuerpo de `/count`: los de DEFAULT_LIMITS, o los de sus
+ * variables de entorno
+ * 
+ * @returns {{maxTexts: number, maxTextBytes: number, maxTopN: number, maxNgram: number,
+ *   maxKwicContext: number, maxStatsWindow: number}}
+ */
+function getRequestLimits() {
+    const limits = {};
+    for (const [name, { env, value }] of Object.entries(DEFAULT_LIMITS)) {
+        const fromEnv = Number(process.env[env]);
+        limits[name] = Number.isInteger(fromEnv) && fromEnv > 0 ? fromEnv : value;
+    }
+    return limits;
+}
+
+/**
+ * Verifica los campos del cuerpo y sus tipos (ver BODY_FIELDS)
+ * 
+ * @param {Object} body - Cuerpo ya parseado
+ * @returns {Array<{field: string, message: string}>} Un error por campo desconocido
+ *   (ej: "topn") y por campo de otro tipo; en las listas, el del primer elemento que
+ *   no es texto (ej: field "texts[2]")
+ */
+function validateBodyFields(body) {
+    const errors = [];
+    // Un campo mal escrito no se ignora: tomaría el valor por defecto sin aviso
+    const known = new Set(Object.keys(BODY_FIELDS).map(field => field.split('.')[0]));
+    for (const key of Object.keys(body)) {
+        if (!known.has(key)) {
+            const similar = [...known].find(field => field.toLowerCase() === key.toLowerCase());
+            const hint = similar ? `. ¿Quisiste decir "${similar}"?` : '';
+            errors.push({ field: key, message: `${key} no es un campo conocido${hint}` });
+        }
+    }
+    for (const [field, types] of Object.entries(BODY_FIELDS)) {
+        const [name, child] = field.split('.');
+        const parent = body[name];
+        if (child !== undefined && !FIELD_TYPES.object.check(parent ?? [])) {
+            continue;
+        }
+        const value = child === undefined ? parent : parent[child];
+        if (value === undefined || value === null) {
+            continue;
         }
 
-        const filesToProcess = [];
-        
-        // 1. Manejar archivos pre-existentes (rutas)
-        if (body.files && Array.isArray(body.files)) {
-            // Validar que los archivos existan (asumiendo rutas relativas a la raíz de la lambda)
-            // En Lambda, el código está en process.cwd() o especificado por LAMBDA_TASK_ROOT
-            const baseDir = process.env.LAMBDA_TASK_ROOT || process.cwd();
-            
-            for (const filePath of body.files) {
-                const absolutePath = path.resolve(baseDir, filePath);
-                if (fs.existsSync(absolutePath)) {
-                    filesToProcess.push(absolutePath);
-                } else {
-                    console.warn(`Archivo no encontrado: ${filePath}`);
-                }
+        const allowed = [].concat(types);
+        if (!allowed.some(type => FIELD_TYPES[type].check(value))) {
+            const expected = allowed.map(type => FIELD_TYPES[type].label).join(' o ');
+            errors.push({ field, message: `${field} debe ser ${expected}` });
+        } else if (Array.isArray(value)) {
+            const index = value.findIndex(item => typeof item !== 'string');
+            if (index !== -1) {
+                errors.push({ field: `${field}[${index}]`, message: `${field}[${index}] debe ser un texto` });
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Valida las opciones de un cuerpo de `/count`
+ * 
+ * Primero se verifican los tipos de los campos (ver BODY_FIELDS) y después
+ * sus valores; los errores se juntan para responderlos todos a la vez.
+ * 
+ * @param {Object} body - Cuerpo ya parseado
+ * @returns {Object} Pedido validado: { mode, topN, compare, countOptions, searchOptions, textsEncoding }.
+ *   countOptions sirve para processFilesInParallel / countStream y searchOptions (solo en
+ *   modo "kwic") para searchFilesInParallel / searchStream
+ * @throws {Error} Con statusCode 400, code 'INVALID_BODY' y un { field, message } por cada
+ *   campo inválido en details.errors
+ */
+function parseCountRequest(body) {
+    const errors = validateBodyFields(body);
+    // Los campos null toman su valor por defecto, y los de otro tipo ya tienen su
+    // error: se validan los demás como si esos no estuvieran
+    const fields = Object.fromEntries(Object.entries(body).filter(([, value]) => value !== null));
+    for (const { field } of errors) {
+        delete fields[field.split(/[.[]/)[0]];
+    }
+    // Valida un campo con la función dada; su error queda como error del campo
+    const check = (field, validate) => {
+        try {
+            return validate();
+        } catch (error) {
+            errors.push({ field, message: error.message });
+            return undefined;
+        }
+    };
+
+    // Opciones de tokenización. Por seguridad, en Lambda solo se aceptan
+    // los tokenizers incluidos o una regex { pattern, flags }, nunca rutas a módulos.
+    const tokenizerOptions = pickTokenizerOptions(fields);
+    const { tokenizer } = tokenizerOptions;
+    const isPatternTokenizer = tokenizer && typeof tokenizer === 'object' && typeof tokenizer.pattern === 'string';
+    if (tokenizer !== undefined && !BUILTIN_TOKENIZERS.includes(tokenizer) && !isPatternTokenizer) {
+        errors.push({ field: 'tokenizer', message: `Tokenizer inválido. Usa uno de: ${BUILTIN_TOKENIZERS.join(', ')} o { "pattern": "..." }` });
+    } else if (isPatternTokenizer) {
+        // La regex se compila acá: una inválida o con riesgo de backtracking
+        // catastrófico es un error del campo, no un 500 ni un worker trabado
+        check('tokenizer', () => validatePatternTokenizer(tokenizer));
+    }
+
+    // Stop words: "en,es", ["en", "es"] o { languages: [...], words: [...] }.
+    // Solo listas incluidas o palabras explícitas, nunca archivos del runtime.
+    let stopwords;
+    if (fields.stopwords) {
+        const spec = typeof fields.stopwords === 'string' || Array.isArray(fields.stopwords)
+            ? { languages: [].concat(fields.stopwords).join(',').split(',').filter(Boolean) }
+            : { languages: fields.stopwords.languages || [], words: fields.stopwords.words || [] };
+        stopwords = check('stopwords', () => loadStopwords(spec));
+    }
+
+    // n-gramas y palabras del ranking: entre 1 y el límite (ver getRequestLimits)
+    const { maxTopN, maxNgram, maxKwicContext, maxStatsWindow } = getRequestLimits();
+    const ngram = Number(fields.ngram ?? 1);
+    if (!Number.isInteger(ngram) || ngram < 1 || ngram > maxNgram) {
+        errors.push({ field: 'ngram', message: `ngram debe ser un entero entre 1 y ${maxNgram}` });
+    }
+
+    const topN = Number(fields.topN ?? 10);
+    if (!Number.isInteger(topN) || topN < 1 || topN > maxTopN) {
+        errors.push({ field: 'topN', message: `topN debe ser un entero entre 1 y ${maxTopN}` });
+    }
+
+    // Codificación de los archivos y textos decodificados: 'auto' (default) o una etiqueta de TextDecoder
+    const encoding = check('encoding', () => resolveEncoding(fields.encoding));
+
+    // Formato de entrada: 'auto' (por extensión de cada archivo; los textos son texto plano)
+    // o uno de INPUT_FORMATS, y el campo a contar en JSONL
+    const inputFormat = check('inputFormat', () => validateInputFormat(fields.inputFormat));
+    if (fields.jsonField !== undefined) {
+        check('jsonField', () => parseFieldPath(fields.jsonField));
+    }
+
+    // Modo aproximado: true o { epsilon, delta, capacity }
+    let approximate;
+    if (fields.approximate) {
+        approximate = fields.approximate === true ? {} : fields.approximate;
+        check('approximate', () => validateSketchOptions(approximate, SKETCH_LIMITS));
+    }
+
+    // Estadísticas léxicas (TTR, MATTR, Zipf, Heaps...): true o { window }
+    let lexicalStats;
+    if (fields.stats) {
+        lexicalStats = check('stats', () => {
+            if (approximate) {
+                throw new Error('stats necesita conteos exactos; no se puede combinar con approximate');
+            }
+            const options = validateLexicalOptions(fields.stats);
+            if (options.window > maxStatsWindow) {
+                throw new Error(`stats.window debe ser como máximo ${maxStatsWindow}`);
             }
+            return options;
+        });
+    }
+
+    // Legibilidad: true, "en", "es" o { language } (reglas de sílabas)
+    let readability;
+    if (fields.readability) {
+        readability = check('readability', () => validateReadabilityOptions(fields.readability));
+    }
+
+    // Colocaciones por PMI, t-score y log-Dice: true o { window, minCount, topN }
+    let collocations;
+    if (fields.collocations) {
+        collocations = check('collocations', () => {
+            if (approximate) {
+                throw new Error('collocations necesita conteos exactos; no se puede combinar con approximate');
+            }
+            return validateCollocationOptions(fields.collocations);
+        });
+    }
+
+    // Stemming: true, "en" o "es"; topWords trae cada raíz con sus formas
+    let stem;
+    if (fields.stem) {
+        stem = check('stem', () => validateStemLanguage(fields.stem));
+    }
+
+    // Modo "compare": palabras distintivas de cada archivo frente al resto,
+    // con `compare: { topN, minCount }` opcional. Necesita conteos exactos.
+    // Modo "kwic": apariciones de `kwic: { query, context, limit }` con su contexto
+    const mode = fields.mode || 'count';
+    let compareOptions;
+    let kwicOptions;
+    if (!MODES.includes(mode)) {
+        errors.push({ field: 'mode', message: `mode inválido. Usa uno de: ${MODES.join(', ')}` });
+    }
+    if (mode === 'compare') {
+        compareOptions = check('compare', () => {
+            if (approximate) {
+                throw new Error('mode "compare" necesita conteos exactos; no se puede combinar con approximate');
+            }
+            return validateCompareOptions(fields.compare || {});
+        });
+    }
+    if (mode === 'kwic') {
+        kwicOptions = check('kwic', () => {
+            const options = validateConcordanceOptions({ limit: DEFAULT_KWIC_LIMIT, ...fields.kwic });
+            if (options.context > maxKwicContext) {
+                throw new Error(`kwic.context debe ser como máximo ${maxKwicContext}`);
+            }
+            return options;
+        });
+    }
+
+    // Codificación de `texts`/`text`: "utf8" (default), "base64" o "gzip-base64"
+    // (texto comprimido con gzip y codificado en base64, para cuerpos grandes)
+    const textsEncoding = fields.textsEncoding || 'utf8';
+    if (!TEXT_ENCODINGS.includes(textsEncoding)) {
+        errors.push({ field: 'textsEncoding', message: `textsEncoding inválido. Usa uno de: ${TEXT_ENCODINGS.join(', ')}` });
+    }
+
+    if (errors.length > 0) {
+        throw invalidBody(errors);
+    }
+
+    return {
+        mode,
+        topN,
+        compare: compareOptions,
+        textsEncoding,
+        countOptions: {
+            ...tokenizerOptions,
+            stopwords,
+            ngram,
+            encoding,
+            inputFormat,
+            jsonField: fields.jsonField,
+            approximate,
+            lexicalStats,
+            readability,
+            collocations,
+            stem
+        },
+        searchOptions: kwicOptions && {
+            ...tokenizerOptions,
+            encoding,
+            inputFormat,
+            jsonField: fields.jsonField,
+            ...kwicOptions
         }
+    };
+}
+
+/**
+ * Corpus que puede leer la API: `data/` (o CORPUS_ROOT) de la raíz de la
+ * Lambda o, fuera de Lambda, del directorio de trabajo
+ * 
+ * @returns {{baseDir: string, root: string}} Ver corpus.createCorpusConfig
+ */
+function getCorpusConfig() {
+    return createCorpusConfig(process.env.LAMBDA_TASK_ROOT || process.cwd(), process.env.CORPUS_ROOT || DEFAULT_CORPUS_DIR);
+}
+
+/**
+ * Arma los inputs de un cuerpo de `/count`: archivos de `files` y `corpora`
+ * dentro del corpus (ver módulo corpus) y textos en memoria de `texts` (o
+ * `text`/`content`)
+ * 
+ * @param {Object} body - Cuerpo ya parseado
+ * @param {Object} request - Pedido validado (ver parseCountRequest)
+ * @returns {{inputs: Array<string|Object>, rejected: Array<Object>}} Inputs para
+ *   processFilesInParallel y los archivos que no se pueden leer, con la forma de
+ *   results.failed ({ filePath, error: { message, code } })
+ * @throws {Error} Con statusCode 400 si no hay nada para procesar o un texto no se puede
+ *   decodificar, o 413 si los textos superan los límites (ver getRequestLimits)
+ */
+function collectInputs(body, request) {
+    const limits = getRequestLimits();
+    const textLimits = { maxTexts: limits.maxTexts, maxTextBytes: limits.maxTextBytes };
+    let textBytes = 0;
+    const textsTooLarge = () => payloadTooLarge(
+        `Los textos superan el límite de ${limits.maxTextBytes} bytes (MAX_TEXT_BYTES)`,
+        textLimits
+    );
 
-        // 2. Manejar contenido de texto crudo
-        if (body.texts && Array.isArray(body.texts)) {
-            for (let i = 0; i < body.texts.length; i++) {
-                const textContent = body.texts[i];
-                if (textContent && typeof textContent === 'string') {
-                    const tempFilePath = path.join(tmpDir, `text-${Date.now()}-${i}.txt`);
-                    fs.writeFileSync(tempFilePath, textContent, 'utf8');
-                    filesToProcess.push(tempFilePath);
-                    createdFiles.push(tempFilePath);
+    // Los textos se cuentan en memoria: se envían como Buffer a los workers, sin pasar por /tmp.
+    // Con gzip-base64 se descomprimen acá, cortando apenas se pasa del límite de bytes
+    const decodeText = (text, field) => {
+        let content = request.textsEncoding === 'utf8' ? Buffer.from(text, 'utf8') : Buffer.from(text, 'base64');
+        if (request.textsEncoding === 'gzip-base64') {
+            try {
+                content = zlib.gunzipSync(content, { maxOutputLength: limits.maxTextBytes - textBytes + 1 });
+            } catch (error) {
+                if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+                    throw textsTooLarge();
                 }
+                throw invalidBody([{ field, message: `${field} no es gzip-base64 válido: ${error.message}` }]);
             }
         }
+        textBytes += content.length;
+        if (textBytes > limits.maxTextBytes) {
+            throw textsTooLarge();
+        }
+        return content;
+    };
+
+    const filesToProcess = [];
+    const rejected = [];
+    const reject = (filePath, error) => {
+        rejected.push({ filePath, error: { message: error.message, code: error.code } });
+    };
+    const corpus = getCorpusConfig();
 
-        // 3. Fallback: Manejar un solo texto (compatibilidad hacia atrás)
-        if (filesToProcess.length === 0 && (body.text || body.content)) {
-            const text = body.text || body.content;
-            const tempFilePath = path.join(tmpDir, `text-${Date.now()}-single.txt`);
-            fs.writeFileSync(tempFilePath, text, 'utf8');
-            filesToProcess.push(tempFilePath);
-            createdFiles.push(tempFilePath);
+    // 1. Archivos del corpus por ruta, relativa a la raíz de la Lambda (ej: data/libro.txt)
+    if (Array.isArray(body.files)) {
+        for (const filePath of body.files) {
+            try {
+                filesToProcess.push(resolveCorpusPath(filePath, corpus));
+            } catch (error) {
+                reject(filePath, error);
+            }
         }
+    }
 
-        // Validar que hay algo para procesar
-        if (filesToProcess.length === 0) {
-            return {
-                statusCode: 400,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*',
-                    'Access-Control-Allow-Headers': 'Content-Type',
-                    'Access-Control-Allow-Methods': 'POST, OPTIONS'
-                },
-                body: JSON.stringify({
-                    error: 'Bad Request',
-                    message: 'No se proporcionaron archivos válidos ni contenido de texto para procesar.',
-                    example: {
-                        files: ['data/archivo1.txt'],
-                        texts: ['Texto 1...', 'Texto 2...']
-                    }
-                })
-            };
+    // 2. Archivos del corpus por nombre del catálogo (ver GET /corpora)
+    if (Array.isArray(body.corpora)) {
+        for (const { name, filePath, error } of resolveCorpusNames(body.corpora, corpus)) {
+            if (error) {
+                reject(name, error);
+            } else {
+                filesToProcess.push(filePath);
+            }
         }
+    }
 
-        console.log(`Procesando ${filesToProcess.length} archivos en paralelo...`);
+    // 3. Manejar contenido de texto crudo
+    if (Array.isArray(body.texts)) {
+        if (body.texts.length > limits.maxTexts) {
+            throw payloadTooLarge(
+                `texts tiene ${body.texts.length} textos; el límite es ${limits.maxTexts} (MAX_TEXTS)`,
+                textLimits
+            );
+        }
+        for (let i = 0; i < body.texts.length; i++) {
+            if (body.texts[i]) {
+                filesToProcess.push({
+                    name: `text-${i}`,
+                    content: decodeText(body.texts[i], `texts[${i}]`)
+                });
+            }
+        }
+    }
 
-        // Procesar archivos en paralelo usando worker threads
-        // Nota: En Lambda, os.cpus() devuelve los vCPUs disponibles.
-        // Ajustamos maxWorkers si es necesario, pero parallelProcessor ya maneja defaults.
-        const { processFilesInParallel } = require('./parallelProcessor');
-        
-        const results = await processFilesInParallel(filesToProcess, {
-            verbose: true // Para ver logs en CloudWatch
+    // 4. Fallback: Manejar un solo texto (compatibilidad hacia atrás)
+    if (filesToProcess.length === 0 && (body.text || body.content)) {
+        filesToProcess.push({
+            name: 'text',
+            content: decodeText(body.text || body.content, body.text ? 'text' : 'content')
         });
+    }
 
-        // Preparar respuesta
-        const response = {
-            success: true,
-            summary: {
-                totalFiles: filesToProcess.length,
-                successful: results.successful.length,
-                failed: results.failed.length,
-                totalDuration: results.totalDuration, // parallelProcessor no devuelve esto directamente en el objeto root, lo calcularemos si falta o ajustaremos el processor
-                totalWords: results.totalWords,
-                uniqueWords: results.totalUniqueWords,
-                linesProcessed: results.totalLinesProcessed
-            },
-            results: {
-                successful: results.successful.map(r => ({
-                    file: path.basename(r.filePath),
-                    words: r.totalWords,
-                    unique: r.uniqueWords,
-                    duration: r.duration
-                })),
-                failed: results.failed.map(f => ({
-                    file: path.basename(f.filePath),
-                    error: f.error.message
-                }))
-            },
-            // Top words combinadas
-            topWords: require('./wordCounter').getTopWords(results.combinedWordMap, parseInt(body.topN || 10, 10))
+    // Validar que hay algo para procesar
+    if (filesToProcess.length === 0 && rejected.length > 0) {
+        throw badRequest('Ninguno de los archivos pedidos se puede leer.', {
+            failed: rejected.map(({ filePath, error }) => ({ file: filePath, error: error.message, code: error.code }))
+        }, 'NO_READABLE_FILES');
+    }
+    if (filesToProcess.length === 0) {
+        throw badRequest('No se proporcionaron archivos válidos ni contenido de texto para procesar.', {
+            example: {
+                files: ['data/archivo1.txt'],
+                corpora: ['moby-dick'],
+                texts: ['Texto 1...', 'Texto 2...']
+            }
+        }, 'NO_INPUT');
+    }
+    validateInputCount(request, filesToProcess.length);
+
+    return { inputs: filesToProcess, rejected };
+}
+
+/**
+ * Verifica que haya inputs suficientes para el modo pedido
+ * 
+ * @param {Object} request - Pedido validado (ver parseCountRequest)
+ * @param {number} count - Cantidad de archivos o textos
+ * @throws {Error} Con statusCode 400 si el modo "compare" recibe menos de 2
+ */
+function validateInputCount(request, count) {
+    if (request.mode === 'compare' && count < 2) {
+        throw badRequest('mode "compare" necesita al menos 2 archivos o textos.');
+    }
+}
+
+/**
+ * Arma la respuesta de `/count` (mismo esquema que `--format=json` del CLI)
+ * 
+ * @param {Object} request - Pedido validado (ver parseCountRequest)
+ * @param {Object} results - Resultados de processFilesInParallel o, en modo "kwic",
+ *   de searchFilesInParallel (o de sus equivalentes secuenciales)
+ * @returns {Object} Reporte
+ */
+function buildCountResponse(request, results) {
+    if (request.mode === 'kwic') {
+        return buildConcordanceReport(results);
+    }
+    return buildReport(results, { topN: request.topN, compare: request.compare });
+}
+
+/**
+ * Procesa un cuerpo de `/count` con el pool de workers compartido
+ * 
+ * @param {Object} body - Cuerpo ya parseado
+ * @param {Object} options - Opciones de ejecución
+ * @param {AbortSignal} options.signal - Cancela el procesamiento (ver processFilesInParallel)
+ * @param {Function} options.onProgress - Callback de progreso (ver processFilesInParallel)
+ * @param {Function} options.log - Función para mensajes de progreso (default: console.log)
+ * @param {boolean} options.verbose - Mostrar también las tablas de inicio y resumen (default: false)
+ * @returns {Promise<Object>} Reporte (ver buildCountResponse)
+ * @throws {Error} Con statusCode 400 si el cuerpo es inválido
+ */
+async function handleCount(body, options = {}) {
+    const request = parseCountRequest(body);
+    const { inputs: filesToProcess, rejected } = collectInputs(body, request);
+    const log = options.log ?? console.log;
+    const verbose = options.verbose ?? false;
+
+    if (verbose) {
+        log(`Procesando ${filesToProcess.length} archivos en paralelo...`);
+    }
+
+    // Procesar archivos en paralelo usando worker threads
+    // Nota: En Lambda, os.cpus() devuelve los vCPUs disponibles.
+    // El pool compartido vive a nivel de módulo, así las invocaciones warm
+    // reutilizan los workers ya levantados en lugar de crear nuevos.
+    const { processFilesInParallel, searchFilesInParallel } = require('./parallelProcessor');
+
+    const results = request.mode === 'kwic'
+        ? await searchFilesInParallel(filesToProcess, {
+            verbose,
+            log,
+            pool: getSharedPool(),
+            ...request.searchOptions,
+            signal: options.signal,
+            onProgress: options.onProgress
+        })
+        : await processFilesInParallel(filesToProcess, {
+            verbose,
+            log,
+            pool: getSharedPool(),
+            ...request.countOptions,
+            keepFileMaps: request.mode === 'compare',
+            signal: options.signal,
+            onProgress: options.onProgress
+        });
+    // Los archivos rechazados son errores por archivo, como los que fallan al leerse
+    results.failed.push(...rejected);
+
+    return buildCountResponse(request, results);
+}
+
+/**
+ * Catálogo del corpus (`GET /corpora`)
+ * 
+ * @returns {Object} { root, corpora }: la raíz relativa a la base y un
+ *   { name, path, format, compression, size } por libro (ver corpus.listCorpora)
+ */
+function handleCorpora() {
+    const corpus = getCorpusConfig();
+    return {
+        root: path.relative(corpus.baseDir, corpus.root) || '.',
+        corpora: listCorpora(corpus)
+    };
+}
+
+/**
+ * Crea el gestor de trabajos de `/jobs`, que procesan cuerpos de `/count`
+ * 
+ * @param {Object} options - Opciones de jobs.createJobManager (store, dispatch...)
+ * @param {Function} options.log - Función para los mensajes de los trabajos (ver handleCount)
+ * @returns {Object} Gestor de trabajos
+ */
+function createCountJobManager(options) {
+    const { log, ...managerOptions } = options;
+    return createJobManager({
+        ...managerOptions,
+        // Un cuerpo inválido se rechaza con 400 al crear el trabajo
+        validate: (body) => collectInputs(body, parseCountRequest(body)),
+        execute: (body, runOptions) => handleCount(body, { ...runOptions, log })
+    });
+}
+
+/**
+ * Atiende una petición de `/jobs` (mismas rutas en Lambda y en `wordflux serve`)
+ * 
+ * - Sin id (`POST /jobs`): crea el trabajo y responde 202 con su id
+ * - `GET /jobs/{id}`: estado, progreso y, al terminar, el resultado
+ * - `DELETE /jobs/{id}`: cancela el trabajo
+ * 
+ * @param {Object} manager - Gestor de trabajos (ver createCountJobManager)
+ * @param {Object} request - { method, id, body }
+ * @returns {Promise<{statusCode: number, headers: Object, body: Object}>}
+ * @throws {Error} Con statusCode 400 (cuerpo inválido), 404 (trabajo inexistente) o 409
+ *   (cancelar un trabajo terminado)
+ */
+async function handleJobRequest(manager, { method, id, body }) {
+    if (id === undefined) {
+        const job = await manager.submit(body);
+        return { statusCode: 202, headers: { Location: `/jobs/${job.id}` }, body: toJobResponse(job) };
+    }
+
+    const job = method === 'DELETE' ? await manager.cancel(id) : await manager.get(id);
+    if (!job) {
+        const error = new Error(`Trabajo no encontrado: ${id}`);
+        error.statusCode = 404;
+        error.code = 'JOB_NOT_FOUND';
+        throw error;
+    }
+    return { statusCode: 200, headers: {}, body: toJobResponse(job) };
+}
+
+/**
+ * Convierte un error en respuesta: el statusCode del error (400, 413...) con su
+ * mensaje, o 500
+ * 
+ * Toda respuesta de error trae un `code` estable: el del error (INVALID_BODY,
+ * INVALID_JSON, NO_INPUT, JOB_NOT_FOUND...), el de su statusCode (ver
+ * DEFAULT_ERROR_CODES) o INTERNAL_ERROR para los 500.
+ * 
+ * @param {Error} error - Error a responder
+ * @returns {{statusCode: number, body: Object}}
+ */
+function toErrorResponse(error) {
+    if (error.statusCode) {
+        return {
+            statusCode: error.statusCode,
+            body: {
+                error: STATUS_CODES[error.statusCode],
+                code: error.code || DEFAULT_ERROR_CODES[error.statusCode] || 'UNKNOWN',
+                message: error.message,
+                ...error.details
+            }
         };
+    }
+
+    return {
+        statusCode: 500,
+        body: {
+            error: 'Internal Server Error',
+            code: 'INTERNAL_ERROR',
+            message: error.message,
+            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        }
+    };
+}
+
+/**
+ * Parsea un cuerpo JSON de `/count` o `/jobs`
+ * 
+ * @param {string} text - Cuerpo como texto
+ * @returns {Object} Cuerpo parseado ({} si está vacío o es null)
+ * @throws {Error} Con statusCode 400 y code 'INVALID_JSON' si no es JSON, o
+ *   'INVALID_BODY' si no es un objeto
+ */
+function parseJsonBody(text) {
+    let body;
+    try {
+        body = text.trim() === '' ? null : JSON.parse(text);
+    } catch (error) {
+        throw badRequest(`JSON inválido: ${error.message}`, undefined, 'INVALID_JSON');
+    }
+    if (body !== null && (typeof body !== 'object' || Array.isArray(body))) {
+        throw badRequest('El cuerpo debe ser un objeto JSON con files, corpora o texts');
+    }
+    return body ?? {};
+}
 
+/**
+ * Parsea el body de un evento de API Gateway (ver parseJsonBody)
+ */
+function parseEventBody(event) {
+    if (typeof event.body === 'string') {
+        return parseJsonBody(event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body);
+    }
+    return event.body || {};
+}
+
+/**
+ * Respuesta de API Gateway para un error (ver toErrorResponse)
+ */
+function errorResult(error) {
+    if (!error.statusCode) {
+        console.error('Error en Lambda handler:', error);
+    }
+    const { statusCode, body } = toErrorResponse(error);
+
+    return {
+        statusCode,
+        headers: RESPONSE_HEADERS,
+        body: JSON.stringify(body)
+    };
+}
+
+/**
+ * Handler principal de Lambda
+ * 
+ * @param {Object} event - Evento de API Gateway
+ * @param {Object} context - Contexto de Lambda
+ * @returns {Promise<Object>} Respuesta para API Gateway
+ */
+exports.handler = async (event, context) => {
+    // Configurar timeout del contexto
+    context.callbackWaitsForEmptyEventLoop = false;
+
+    try {
         return {
             statusCode: 200,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Headers': 'Content-Type',
-                'Access-Control-Allow-Methods': 'POST, OPTIONS'
-            },
-            body: JSON.stringify(response, null, 2)
+            headers: RESPONSE_HEADERS,
+            // verbose: las tablas de inicio y resumen quedan en CloudWatch
+            body: JSON.stringify(await handleCount(parseEventBody(event), { verbose: true }), null, 2)
         };
 
     } catch (error) {
-        console.error('Error en Lambda handler:', error);
-        
+        return errorResult(error);
+    }
+};
+
+/**
+ * Handler de `GET /corpora`: los libros que se pueden pedir en `files` o `corpora`
+ * 
+ * @returns {Promise<Object>} Respuesta para API Gateway
+ */
+exports.corporaHandler = async () => {
+    try {
         return {
-            statusCode: 500,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Headers': 'Content-Type',
-                'Access-Control-Allow-Methods': 'POST, OPTIONS'
-            },
-            body: JSON.stringify({
-                error: 'Internal Server Error',
-                message: error.message,
-                stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-            })
+            statusCode: 200,
+            headers: RESPONSE_HEADERS,
+            body: JSON.stringify(handleCorpora(), null, 2)
         };
-    } finally {
-        // Limpieza de archivos temporales
-        for (const file of createdFiles) {
-            try {
-                if (fs.existsSync(file)) {
-                    fs.unlinkSync(file);
-                }
-            } catch (e) {
-                console.warn(`No se pudo eliminar archivo temporal ${file}: ${e.message}`);
-            }
+    } catch (error) {
+        return errorResult(error);
+    }
+};
+
+/**
+ * Despacha un trabajo a la función jobRunner con una invocación asíncrona.
+ * El SDK v3 viene incluido en el runtime de Node.js de Lambda
+ */
+async function invokeJobRunner(job) {
+    const { LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda');
+    await new LambdaClient({}).send(new InvokeCommand({
+        FunctionName: process.env.JOB_RUNNER_FUNCTION,
+        InvocationType: 'Event',
+        Payload: Buffer.from(JSON.stringify({ jobId: job.id }))
+    }));
+}
+
+let jobManager = null;
+
+/**
+ * Directorio del store de trabajos de Lambda (JOBS_DIR, o uno en /tmp)
+ */
+function getJobsDir() {
+    return path.resolve(process.env.JOBS_DIR || path.join(os.tmpdir(), 'wordflux-jobs'));
+}
+
+/**
+ * Gestor de trabajos de Lambda: store en disco en JOBS_DIR y, si está
+ * definida JOB_RUNNER_FUNCTION (y no es serverless-offline), ejecución en
+ * esa función. Si no, los trabajos corren en el mismo proceso. MAX_ACTIVE_JOBS
+ * cambia cuántos puede haber en cola o en curso (ver jobs.createJobManager)
+ * 
+ * @throws {Error} Con statusCode 503 y code 'JOBS_NOT_CONFIGURED' si los trabajos
+ *   se ejecutan en jobRunner pero JOBS_DIR está en /tmp, que cada instancia tiene
+ *   aparte: jobRunner no encontraría ningún trabajo
+ */
+function getJobManager() {
+    if (!jobManager) {
+        const runnerFunction = process.env.JOB_RUNNER_FUNCTION && !process.env.IS_OFFLINE;
+        const jobsDir = getJobsDir();
+        if (runnerFunction && !path.relative(os.tmpdir(), jobsDir).startsWith('..')) {
+            const error = new Error(
+                `JOBS_DIR (${jobsDir}) está en ${os.tmpdir()}, que jobs y jobRunner no comparten. ` +
+                'Configura JOBS_DIR en un directorio compartido (EFS) para usar /jobs'
+            );
+            error.statusCode = 503;
+            error.code = 'JOBS_NOT_CONFIGURED';
+            console.error(error.message);
+            throw error;
         }
+        const maxActiveJobs = Number(process.env.MAX_ACTIVE_JOBS);
+        jobManager = createCountJobManager({
+            store: createFileJobStore(jobsDir),
+            dispatch: runnerFunction ? invokeJobRunner : undefined,
+            maxActiveJobs: Number.isInteger(maxActiveJobs) && maxActiveJobs > 0 ? maxActiveJobs : undefined
+        });
+    }
+    return jobManager;
+}
+
+/**
+ * Handler de `/jobs`: POST /jobs, GET /jobs/{id} y DELETE /jobs/{id}
+ * 
+ * @param {Object} event - Evento de API Gateway
+ * @param {Object} context - Contexto de Lambda
+ * @returns {Promise<Object>} Respuesta para API Gateway
+ */
+exports.jobsHandler = async (event, context) => {
+    context.callbackWaitsForEmptyEventLoop = false;
+
+    try {
+        const id = event.pathParameters?.id;
+        const { statusCode, headers, body } = await handleJobRequest(getJobManager(), {
+            method: event.httpMethod,
+            id,
+            body: id === undefined ? parseEventBody(event) : undefined
+        });
+
+        return {
+            statusCode,
+            headers: { ...RESPONSE_HEADERS, ...headers },
+            body: JSON.stringify(body, null, 2)
+        };
+
+    } catch (error) {
+        return errorResult(error);
+    }
+};
+
+/**
+ * Ejecuta un trabajo despachado por jobsHandler (invocación asíncrona con { jobId })
+ * 
+ * @param {Object} event - { jobId }
+ * @returns {Promise<Object>} { id, status } del trabajo al terminar
+ */
+exports.jobRunner = async (event) => {
+    const job = await getJobManager().run(event.jobId);
+    // Sin el trabajo no hay nada que marcar como fallido: el error queda en los logs de la
+    // invocación (y en su destino de fallos, si tiene), en lugar de un trabajo en cola para siempre
+    if (!job) {
+        throw new Error(`Trabajo no encontrado en JOBS_DIR (${getJobsDir()}): ${event.jobId}. jobs y jobRunner tienen que compartir el directorio`);
     }
+    return { id: job.id, status: job.status };
 };
 
 /**
@@ -186,10 +937,21 @@ exports.optionsHandler = async (event, context) => {
         headers: {
             'Access-Control-Allow-Origin': '*',
             'Access-Control-Allow-Headers': 'Content-Type',
-            'Access-Control-Allow-Methods': 'POST, OPTIONS',
+            'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
             'Access-Control-Max-Age': '86400'
         },
         body: ''
     };
 };
 
+exports.handleCount = handleCount;
+exports.handleCorpora = handleCorpora;
+exports.createCountJobManager = createCountJobManager;
+exports.handleJobRequest = handleJobRequest;
+exports.parseCountRequest = parseCountRequest;
+exports.parseJsonBody = parseJsonBody;
+exports.getRequestLimits = getRequestLimits;
+exports.validateInputCount = validateInputCount;
+exports.buildCountResponse = buildCountResponse;
+exports.toErrorResponse = toErrorResponse;
+exports.RESPONSE_HEADERS = RESPONSE_HEADERS;
@@ -0,0 +1,409 @@
+/**
+ * LexicalStats - Estadísticas léxicas de un texto
+ * 
+ * La mayoría se calcula a partir del Map de conteos final:
+ * 
+ * - type-token ratio (TTR): palabras únicas / total de palabras
+ * - hapax y dis legomena: palabras que aparecen una y dos veces
+ * - exponente de Zipf: pendiente de la regresión log(frecuencia) ~ log(rango)
+ * - longitud media de palabra (por aparición y por palabra única) e histograma
+ * 
+ * Dos dependen del orden de las palabras y se siguen durante la lectura con
+ * un tracker (createLexicalTracker) que recibe cada término contado:
+ * 
+ * - MATTR: promedio del TTR de cada ventana móvil de `window` palabras. A
+ *   diferencia del TTR, no baja solo porque el texto sea más largo.
+ * - ley de Heaps (V = K·N^β): se toman muestras (N, V) del crecimiento del
+ *   vocabulario a intervalos geométricos y se ajusta una recta en escala log.
+ * 
+ * Los datos del tracker son serializables y se combinan entre archivos
+ * (mergeLexicalData) y entre rangos de un archivo (mergeLexicalRange). El
+ * MATTR combinado promedia todas las ventanas; las que cruzan el borde entre
+ * dos rangos no se cuentan. Heaps es una curva por archivo: entre archivos se
+ * ajusta sobre las muestras de todas las curvas. Un rango, en cambio, empieza
+ * su vocabulario de cero, así que sus muestras no son puntos de la curva del
+ * archivo: cada rango guarda dónde aparece por primera vez cada término y
+ * completeLexicalRanges rearma con eso las mismas muestras que una lectura
+ * secuencial.
+ * 
+ * @module lexicalStats
+ */
+
+/**
+ * Tamaño por defecto de la ventana del MATTR
+ */
+const DEFAULT_MATTR_WINDOW = 500;
+
+/**
+ * Primera muestra de Heaps y factor entre muestras consecutivas
+ * (≈ 75 muestras por cada millón de palabras)
+ */
+const HEAPS_FIRST_SAMPLE = 50;
+const HEAPS_SAMPLE_GROWTH = 1.2;
+
+/**
+ * Cantidad de términos de la muestra de Heaps que sigue a `sample`
+ */
+function nextHeapsSample(sample) {
+    return Math.max(sample + 1, Math.floor(sample * HEAPS_SAMPLE_GROWTH));
+}
+
+/**
+ * Longitudes mayores se agrupan en el último casillero del histograma
+ */
+const MAX_HISTOGRAM_LENGTH = 20;
+
+/**
+ * Valida las opciones de estadísticas: true o { window }
+ * 
+ * @param {boolean|Object} options - Opción lexicalStats
+ * @returns {{window: number}} Opciones con valores por defecto
+ * @throws {Error} Si la ventana es inválida
+ */
+function validateLexicalOptions(options) {
+    const window = (options === true ? undefined : options.window) ?? DEFAULT_MATTR_WINDOW;
+
+    if (!Number.isInteger(window) || window < 1) {
+        throw new Error(`Ventana de MATTR inválida: ${window} (debe ser un entero >= 1)`);
+    }
+
+    return { window };
+}
+
+/**
+ * Crea un tracker de MATTR y crecimiento del vocabulario para un stream
+ * 
+ * @param {boolean|Object} options - true o { window } (default: ventana de 500)
+ * @param {Object} trackOptions - Opciones del seguimiento
+ * @param {boolean} trackOptions.range - El stream es un rango de un archivo: guardar
+ *   dónde aparece por primera vez cada término (ver mergeLexicalRange) (default: false)
+ * @returns {{add: Function, result: Function}} add(term, vocabularySize) por cada término
+ *   contado, con el tamaño del vocabulario ya incluido ese término; result() devuelve
+ *   los datos serializables { window, mattrSum, mattrWindows, heapsSamples }, más
+ *   { tokens, firstSeen } en un rango
+ */
+function createLexicalTracker(options = true, trackOptions = {}) {
+    const { window } = validateLexicalOptions(options);
+    // Buffer circular con los últimos `window` términos y sus conteos
+    const ring = new Array(window);
+    const windowCounts = new Map();
+    let tokens = 0;
+    let lastVocabulary = 0;
+    let mattrSum = 0;
+    let mattrWindows = 0;
+    const heapsSamples = [];
+    let nextSample = HEAPS_FIRST_SAMPLE;
+    // [término, posición] de cada término nuevo, con la posición contada desde 1
+    const firstSeen = trackOptions.range ? [] : null;
+
+    return {
+        add(term, vocabularySize) {
+            const slot = tokens % window;
+
+            if (tokens >= window) {
+                const removed = ring[slot];
+                const count = windowCounts.get(removed);
+                if (count === 1) {
+                    windowCounts.delete(removed);
+                } else {
+                    windowCounts.set(removed, count - 1);
+                }
+            }
+            ring[slot] = term;
+            windowCounts.set(term, (windowCounts.get(term) || 0) + 1);
+            tokens++;
+            if (firstSeen && vocabularySize > lastVocabulary) {
+                firstSeen.push([term, tokens]);
+            }
+            lastVocabulary = vocabularySize;
+
+            if (tokens >= window) {
+                mattrSum += windowCounts.size / window;
+                mattrWindows++;
+            }
+
+            if (tokens === nextSample) {
+                heapsSamples.push([tokens, vocabularySize]);
+                nextSample = nextHeapsSample(nextSample);
+            }
+        },
+
+        result() {
+            // El punto final también cuenta para Heaps, aunque no caiga en una muestra
+            const samples = heapsSamples.length > 0 && heapsSamples[heapsSamples.length - 1][0] === tokens
+                ? heapsSamples
+                : [...heapsSamples, ...(tokens > 0 ? [[tokens, lastVocabulary]] : [])];
+
+            return { window, mattrSum, mattrWindows, heapsSamples: samples, ...(firstSeen && { tokens, firstSeen }) };
+        }
+    };
+}
+
+/**
+ * Combina los datos de varios trackers (rangos de un archivo o varios archivos)
+ * 
+ * @param {Array<Object>} items - Resultados de tracker.result() (se ignoran null/undefined)
+ * @returns {Object|null} Datos combinados, o null si no hay ninguno
+ */
+function mergeLexicalData(items) {
+    const present = items.filter(Boolean);
+    if (present.length === 0) {
+        return null;
+    }
+
+    return {
+        window: present[0].window,
+        mattrSum: present.reduce((sum, item) => sum + item.mattrSum, 0),
+        mattrWindows: present.reduce((sum, item) => sum + item.mattrWindows, 0),
+        heapsSamples: present.flatMap(item => item.heapsSamples)
+    };
+}
+
+/**
+ * Suma los datos de un rango de un archivo (modo chunked) a los de sus otros
+ * rangos, en el orden en que terminen. Las muestras de Heaps del resultado
+ * sirven recién después de completeLexicalRanges
+ * 
+ * @param {Object|null} merged - Datos de los rangos ya combinados (o null)
+ * @param {Object} range - Resultado de tracker.result() del rango
+ * @param {number} start - Byte inicial del rango (default: 0)
+ * @returns {Object} Datos combinados, con { start, tokens, firstSeen } de cada rango en `ranges`
+ */
+function mergeLexicalRange(merged, range, start = 0) {
+    // Unos datos combinados sin `ranges` (un checkpoint anterior) ya no se pueden rearmar
+    const ranges = merged && !merged.ranges
+        ? null
+        : [...(merged ? merged.ranges : []), { start, tokens: range.tokens, firstSeen: range.firstSeen }];
+    return { ...mergeLexicalData([merged, range]), ranges };
+}
+
+/**
+ * Rearma las muestras de Heaps de un archivo leído por rangos: la primera
+ * aparición de cada término en el archivo es la primera en el primer rango
+ * que lo tiene, corrida por los términos de los rangos anteriores
+ * 
+ * @param {Object|null} lexical - Datos de mergeLexicalRange con todos los rangos del archivo
+ * @returns {Object|null} Datos como los de una lectura secuencial del archivo
+ */
+function completeLexicalRanges(lexical) {
+    if (!lexical) {
+        return null;
+    }
+
+    const { ranges, ...data } = lexical;
+    // Sin posiciones (una sola tarea por archivo) las muestras ya son las del archivo
+    if (!ranges || !ranges.every(range => range.firstSeen)) {
+        return data;
+    }
+
+    const seen = new Set();
+    const growth = [];
+    let offset = 0;
+    for (const range of [...ranges].sort((a, b) => a.start - b.start)) {
+        for (const [term, position] of range.firstSeen) {
+            if (!seen.has(term)) {
+                seen.add(term);
+                growth.push(offset + position);
+            }
+        }
+        offset += range.tokens;
+    }
+
+    // Mismas muestras que createLexicalTracker: growth está ordenado por posición
+    const heapsSamples = [];
+    let vocabulary = 0;
+    for (let sample = HEAPS_FIRST_SAMPLE; sample <= offset; sample = nextHeapsSample(sample)) {
+        while (vocabulary < growth.length && growth[vocabulary] <= sample) {
+            vocabulary++;
+        }
+        heapsSamples.push([sample, vocabulary]);
+    }
+    if (offset > 0 && (heapsSamples.length === 0 || heapsSamples[heapsSamples.length - 1][0] !== offset)) {
+        heapsSamples.push([offset, growth.length]);
+    }
+
+    return { ...data, heapsSamples };
+}
+
+/**
+ * Regresión lineal por mínimos cuadrados
+ * 
+ * @param {Array<[number, number]>} points - Puntos [x, y]
+ * @returns {{slope: number, intercept: number, rSquared: number}|null} null con menos
+ *   de dos valores distintos de x
+ */
+function linearRegression(points) {
+    const n = points.length;
+    let sumX = 0;
+    let sumY = 0;
+    for (const [x, y] of points) {
+        sumX += x;
+        sumY += y;
+    }
+    const meanX = sumX / n;
+    const meanY = sumY / n;
+
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    for (const [x, y] of points) {
+        sxx += (x - meanX) * (x - meanX);
+        sxy += (x - meanX) * (y - meanY);
+        syy += (y - meanY) * (y - meanY);
+    }
+
+    if (n < 2 || sxx === 0) {
+        return null;
+    }
+
+    const slope = sxy / sxx;
+    return {
+        slope,
+        intercept: meanY - slope * meanX,
+        // Con y constante la recta horizontal explica todo
+        rSquared: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy)
+    };
+}
+
+/**
+ * Redondea a 4 decimales para el reporte
+ */
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Calcula las estadísticas léxicas de un Map de conteos
+ * 
+ * @param {Map<string, number>} wordMap - Conteos de términos
+ * @param {Object|null} lexical - Datos del tracker (tracker.result() o mergeLexicalData);
+ *   sin ellos mattr y heaps son null
+ * @param {Object} options - Opciones
+ * @param {number} options.ngram - Tamaño de n-grama de los términos; con n > 1 no se
+ *   calculan longitudes de palabra (default: 1)
+ * @returns {Object} { tokens, types, typeTokenRatio, mattr, hapaxLegomena, disLegomena,
+ *   hapaxRatio, zipf, heaps, averageWordLength, lengthHistogram }
+ */
+function computeLexicalStats(wordMap, lexical = null, options = {}) {
+    const ngram = options.ngram ?? 1;
+    const frequencies = [];
+    let tokens = 0;
+    let hapaxLegomena = 0;
+    let disLegomena = 0;
+    let tokenLength = 0;
+    let typeLength = 0;
+    const histogram = new Map();
+
+    for (const [word, count] of wordMap) {
+        frequencies.push(count);
+        tokens += count;
+        if (count === 1) {
+            hapaxLegomena++;
+        } else if (count === 2) {
+            disLegomena++;
+        }
+
+        if (ngram === 1) {
+            // Longitud en caracteres visibles, no en unidades UTF-16
+            const length = [...word].length;
+            tokenLength += length * count;
+            typeLength += length;
+
+            const bucket = Math.min(length, MAX_HISTOGRAM_LENGTH);
+            const entry = histogram.get(bucket) || { length: bucket, tokens: 0, types: 0 };
+            entry.tokens += count;
+            entry.types++;
+            histogram.set(bucket, entry);
+        }
+    }
+
+    const types = frequencies.length;
+
+    // Zipf: f(r) ∝ r^-s, la pendiente en escala log-log es -s
+    frequencies.sort((a, b) => b - a);
+    const zipfFit = linearRegression(frequencies.map((count, index) => [Math.log(index + 1), Math.log(count)]));
+
+    // Heaps: V = K·N^β, en escala log ln V = ln K + β·ln N
+    const heapsFit = lexical && lexical.heapsSamples.length > 0
+        ? linearRegression(lexical.heapsSamples.map(([n, v]) => [Math.log(n), Math.log(v)]))
+        : null;
+
+    const typeTokenRatio = tokens > 0 ? types / tokens : 0;
+
+    return {
+        tokens,
+        types,
+        typeTokenRatio: round(typeTokenRatio),
+        // Un texto más corto que la ventana no tiene ventanas completas: su MATTR es el TTR
+        mattr: lexical
+            ? {
+                window: lexical.window,
+                value: round(lexical.mattrWindows > 0 ? lexical.mattrSum / lexical.mattrWindows : typeTokenRatio)
+            }
+            : null,
+        hapaxLegomena,
+        disLegomena,
+        hapaxRatio: types > 0 ? round(hapaxLegomena / types) : 0,
+        zipf: zipfFit ? { exponent: round(-zipfFit.slope), rSquared: round(zipfFit.rSquared) } : null,
+        heaps: heapsFit
+            ? { k: round(Math.exp(heapsFit.intercept)), beta: round(heapsFit.slope), rSquared: round(heapsFit.rSquared) }
+            : null,
+        averageWordLength: ngram === 1 && tokens > 0
+            ? { tokens: round(tokenLength / tokens), types: round(typeLength / types) }
+            : null,
+        lengthHistogram: ngram === 1
+            ? [...histogram.values()].sort((a, b) => a.length - b.length)
+            : null
+    };
+}
+
+/**
+ * Formatea las estadísticas para la consola
+ * 
+ * @param {Object} stats - Resultado de computeLexicalStats
+ * @param {string} indent - Sangría de cada línea (default: 3 espacios)
+ * @returns {string[]} Líneas de texto, sin saltos de línea
+ */
+function formatLexicalStats(stats, indent = '   ') {
+    const lines = [];
+    const row = (label, value) => lines.push(`${indent}${label.padEnd(23, ' ')}${value}`);
+
+    row('Type-token ratio:', stats.typeTokenRatio.toFixed(4));
+    if (stats.mattr) {
+        row(`MATTR (${stats.mattr.window}):`, stats.mattr.value.toFixed(4));
+    }
+    row('Hapax legomena:', `${stats.hapaxLegomena.toLocaleString()} (${(stats.hapaxRatio * 100).toFixed(1)}% de las únicas)`);
+    row('Dis legomena:', stats.disLegomena.toLocaleString());
+    if (stats.zipf) {
+        row('Exponente de Zipf:', `${stats.zipf.exponent.toFixed(3)} (R² ${stats.zipf.rSquared.toFixed(3)})`);
+    }
+    if (stats.heaps) {
+        row('Ley de Heaps:', `V = ${stats.heaps.k.toFixed(2)}·N^${stats.heaps.beta.toFixed(3)} (R² ${stats.heaps.rSquared.toFixed(3)})`);
+    }
+
+    if (stats.averageWordLength) {
+        row('Longitud media:', `${stats.averageWordLength.tokens.toFixed(2)} (por aparición), ${stats.averageWordLength.types.toFixed(2)} (por única)`);
+        lines.push(`${indent}Longitudes (apariciones):`);
+
+        const maxTokens = Math.max(...stats.lengthHistogram.map(entry => entry.tokens));
+        for (const entry of stats.lengthHistogram) {
+            const length = `${entry.length}${entry.length === MAX_HISTOGRAM_LENGTH ? '+' : ''}`.padStart(5, ' ');
+            const count = entry.tokens.toLocaleString().padStart(12, ' ');
+            const bar = '█'.repeat(Math.round(entry.tokens / maxTokens * 20));
+            lines.push(`${indent}${length} ${count}  ${bar}`);
+        }
+    }
+
+    return lines;
+}
+
+module.exports = {
+    createLexicalTracker,
+    mergeLexicalData,
+    mergeLexicalRange,
+    completeLexicalRanges,
+    computeLexicalStats,
+    formatLexicalStats,
+    validateLexicalOptions,
+    DEFAULT_MATTR_WINDOW
+};
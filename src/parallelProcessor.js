@@ -1,16 +1,49 @@
 /**
  * ParallelProcessor - Orquestador de Worker Threads
  * 
- * Este módulo gestiona un pool de worker threads para procesar
- * múltiples archivos en paralelo, maximizando el uso de CPU.
+ * Este módulo reparte archivos (o rangos de archivos) entre un pool
+ * persistente de worker threads, maximizando el uso de CPU.
  * 
  * @module parallelProcessor
  */
 
 const { Worker } = require('worker_threads');
+const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { objectToMap, mergeMaps, getTopWords } = require('./wordCounter');
+const { objectToMap, mergeMaps, getTopWords, getTermLabel, splitFileIntoChunks } = require('./wordCounter');
+const { createWorkerPool } = require('./workerPool');
+const { createTokenizer, pickTokenizerOptions, isTokenizerModulePath } = require('./tokenizer');
+const { deserializeFrequencySketch, validateSketchOptions } = require('./sketch');
+const { detectCompression } = require('./compression');
+const { detectFileEncoding, resolveEncoding, AUTO_ENCODING } = require('./encoding');
+const { resolveInputFormat, validateInputFormat, isChunkableFormat, parseFieldPath, AUTO_FORMAT } = require('./extractors');
+const {
+    mergeLexicalData,
+    mergeLexicalRange,
+    completeLexicalRanges,
+    computeLexicalStats,
+    formatLexicalStats,
+    validateLexicalOptions
+} = require('./lexicalStats');
+const { mergeReadabilityData, computeReadability, formatReadability, validateReadabilityOptions } = require('./readability');
+const { mergeCollocationData, computeCollocations, formatCollocations, validateCollocationOptions } = require('./collocations');
+const { mergeForms, formatTermLabel, validateStemLanguage } = require('./stemmer');
+const { validateConcordanceOptions } = require('./concordance');
+const {
+    loadCheckpoint,
+    createCheckpointWriter,
+    serializePartial,
+    deserializePartial,
+    getFileStamp,
+    hasFileChanged
+} = require('./checkpoint');
+
+/**
+ * Tamaño mínimo por defecto de cada rango en modo chunked (1MB).
+ * Por debajo de esto el costo de levantar un worker supera la ganancia.
+ */
+const DEFAULT_MIN_CHUNK_SIZE = 1024 * 1024;
 
 /**
  * Obtiene timestamp formateado para logs
@@ -26,16 +59,21 @@ function getTimestamp() {
  * 
  * @param {string} filePath - Ruta del archivo a procesar
  * @param {number} workerId - ID del worker para logging
+ * @param {Object} range - Rango de bytes opcional {start, end} (modo chunked)
+ * @param {Object} countOptions - Opciones serializables para countWords (ver buildCountOptions)
  * @returns {Promise<Object>} Resultado del procesamiento
  */
-function createWorker(filePath, workerId) {
+function createWorker(filePath, workerId, range = {}, countOptions = {}) {
     return new Promise((resolve, reject) => {
         const workerPath = path.join(__dirname, 'worker.js');
         
         const worker = new Worker(workerPath, {
             workerData: {
                 filePath,
-                workerId
+                workerId,
+                start: range.start,
+                end: range.end,
+                countOptions
             }
         });
 
@@ -74,24 +112,313 @@ function createWorker(filePath, workerId) {
     });
 }
 
+/**
+ * Prepara las opciones de conteo que viajan a los workers
+ * 
+ * Las funciones no se pueden enviar por postMessage, así que un tokenizer
+ * propio debe indicarse como ruta a un módulo (que se resuelve a ruta
+ * absoluta para que el worker lo encuentre).
+ * 
+ * @param {Object} options - Opciones de processFilesInParallel
+ * @returns {Object} Opciones serializables para countWords
+ */
+function buildCountOptions(options) {
+    const countOptions = pickTokenizerOptions(options);
+
+    // Un Set se puede clonar, pero un array es más barato de enviar en cada tarea
+    if (options.stopwords) {
+        countOptions.stopwords = [...options.stopwords];
+    }
+
+    if (options.approximate) {
+        validateSketchOptions(options.approximate === true ? {} : options.approximate);
+        countOptions.approximate = options.approximate;
+    }
+
+    if (options.encoding !== undefined) {
+        countOptions.encoding = resolveEncoding(options.encoding);
+    }
+
+    // El formato se valida acá, pero cada worker lo resuelve por la extensión de su archivo
+    if (options.inputFormat !== undefined) {
+        countOptions.inputFormat = validateInputFormat(options.inputFormat);
+    }
+    if (options.jsonField !== undefined) {
+        parseFieldPath(options.jsonField);
+        countOptions.jsonField = options.jsonField;
+    }
+
+    if (options.lexicalStats) {
+        validateLexicalOptions(options.lexicalStats);
+        if (options.approximate) {
+            throw new Error('Las estadísticas léxicas necesitan conteo exacto; no se pueden combinar con el modo aproximado');
+        }
+        countOptions.lexicalStats = options.lexicalStats;
+    }
+
+    if (options.readability) {
+        countOptions.readability = validateReadabilityOptions(options.readability);
+    }
+
+    if (options.collocations) {
+        countOptions.collocations = validateCollocationOptions(options.collocations);
+        if (options.approximate) {
+            throw new Error('Las colocaciones necesitan conteo exacto; no se pueden combinar con el modo aproximado');
+        }
+    }
+
+    if (options.stem) {
+        countOptions.stem = validateStemLanguage(options.stem);
+    }
+
+    countOptions.ngram = options.ngram ?? 1;
+    if (!Number.isInteger(countOptions.ngram) || countOptions.ngram < 1) {
+        throw new Error(`Tamaño de n-grama inválido: ${options.ngram} (debe ser un entero >= 1)`);
+    }
+
+    if (typeof countOptions.tokenizer === 'function') {
+        throw new Error('Un tokenizer función no puede enviarse a los workers; usa la ruta a un módulo que lo exporte');
+    }
+
+    if (isTokenizerModulePath(countOptions.tokenizer)) {
+        countOptions.tokenizer = path.resolve(countOptions.tokenizer);
+    }
+
+    // Validar en el hilo principal para no fallar una vez por archivo
+    createTokenizer(countOptions);
+
+    return countOptions;
+}
+
+/**
+ * Construye la lista de tareas para los workers
+ * 
+ * Sin modo chunked cada archivo es una tarea. En modo chunked los archivos
+ * grandes se dividen en rangos de bytes alineados a líneas, uno por worker.
+ * Los formatos con estado entre líneas (HTML, Markdown, EPUB) no se dividen.
+ * 
+ * @param {Array<string|Object>} files - Archivos (o contenidos en memoria) a procesar
+ * @param {Object} options - Opciones de división
+ * @param {boolean} options.chunked - Dividir archivos en rangos de bytes
+ * @param {number} options.numChunks - Máximo de rangos por archivo
+ * @param {number} options.minChunkSize - Tamaño mínimo de cada rango en bytes
+ * @param {string} options.boundary - Dónde cortar: 'line' o 'paragraph' (ver splitFileIntoChunks)
+ * @param {string} options.encoding - Codificación pedida o 'auto' (default: 'auto')
+ * @param {string} options.inputFormat - Formato pedido o 'auto' (default: 'auto')
+ * @returns {Promise<Array<{filePath: string, start?: number, end?: number, encoding?: string, content?: Buffer}>>}
+ */
+async function buildTasks(files, { chunked, numChunks, minChunkSize, boundary, encoding = AUTO_ENCODING, inputFormat = AUTO_FORMAT }) {
+    const tasks = [];
+
+    for (const input of files) {
+        // Contenido en memoria: viaja entero al worker, sin pasar por disco
+        if (typeof input !== 'string') {
+            tasks.push({ filePath: input.name, content: input.content, compression: input.compression ?? null });
+            continue;
+        }
+
+        const filePath = input;
+
+        // Un archivo comprimido no se puede leer desde un byte arbitrario
+        if (!chunked || detectCompression(filePath) || !isChunkableFormat(resolveInputFormat(filePath, inputFormat))) {
+            tasks.push({ filePath });
+            continue;
+        }
+
+        let size;
+        let fileEncoding = encoding;
+        try {
+            size = (await fs.promises.stat(filePath)).size;
+            // Solo el primer rango tiene el BOM: la codificación se detecta una vez para todo el archivo
+            if (encoding === AUTO_ENCODING) {
+                fileEncoding = detectFileEncoding(filePath).encoding;
+            }
+        } catch (error) {
+            // Dejar que el worker reporte el error como en modo normal
+            tasks.push({ filePath });
+            continue;
+        }
+
+        const chunksForFile = Math.max(1, Math.min(numChunks, Math.floor(size / minChunkSize)));
+        if (chunksForFile === 1) {
+            tasks.push({ filePath });
+            continue;
+        }
+
+        // En UTF-16 el salto de línea ocupa dos bytes y los cortes de
+        // splitFileIntoChunks quedarían desalineados, así que no se divide
+        if (fileEncoding.startsWith('utf-16')) {
+            tasks.push({ filePath });
+            continue;
+        }
+
+        const ranges = await splitFileIntoChunks(filePath, chunksForFile, { boundary });
+        for (const range of ranges) {
+            tasks.push({ filePath, start: range.start, end: range.end, encoding: fileEncoding });
+        }
+    }
+
+    return tasks;
+}
+
+/**
+ * Crea el resultado parcial vacío de un archivo
+ * @returns {Object} Acumulador de los rangos de un archivo
+ */
+function createPartial() {
+    return {
+        maps: [],
+        sketch: null,
+        totalWords: 0,
+        linesProcessed: 0,
+        duration: 0,
+        encoding: null,
+        inputFormat: null,
+        skippedRecords: 0,
+        // Datos de MATTR y Heaps combinados de los rangos (solo con lexicalStats)
+        lexical: null,
+        // Oraciones, párrafos y sílabas sumados de los rangos (solo con readability)
+        readability: null,
+        // Tablas de co-apariciones sumadas de los rangos (solo con collocations)
+        collocations: null,
+        // Formas de superficie por raíz sumadas de los rangos (solo con stem, conteo exacto)
+        forms: null,
+        error: null
+    };
+}
+
+/**
+ * Verifica que un checkpoint corresponda a la corrida que se quiere reanudar
+ * 
+ * @param {Object} state - Checkpoint leído con loadCheckpoint
+ * @param {string[]} files - Archivos de la corrida
+ * @param {Object} countOptions - Opciones de conteo de la corrida (ver buildCountOptions)
+ * @param {string} checkpointPath - Ruta del checkpoint (para los mensajes)
+ */
+function validateResume(state, files, countOptions, checkpointPath) {
+    const saved = new Set(state.files);
+    if (saved.size !== new Set(files).size || files.some(file => !saved.has(file))) {
+        throw new Error(`El checkpoint ${checkpointPath} es de otra lista de archivos`);
+    }
+    // Reanudar con otro tokenizer, n-grama o stop words mezclaría conteos incompatibles
+    if (JSON.stringify(state.countOptions) !== JSON.stringify(countOptions)) {
+        throw new Error(`El checkpoint ${checkpointPath} se creó con otras opciones de conteo`);
+    }
+}
+
+/**
+ * Seguimiento del avance de una corrida para options.onProgress: tareas
+ * terminadas y líneas leídas, incluidas las que informan los workers de las
+ * tareas que siguen en curso
+ * 
+ * @param {Object} initial - { totalTasks, completedTasks, linesProcessed } al empezar
+ * @param {Function} onProgress - Callback que recibe { filePath, totalTasks, completedTasks, linesProcessed }
+ * @returns {{update: Function, complete: Function}}
+ */
+function createProgressTracker(initial, onProgress) {
+    const { totalTasks } = initial;
+    let { completedTasks, linesProcessed } = initial;
+    // Líneas informadas por cada tarea en curso
+    const running = new Map();
+
+    const report = (filePath) => {
+        let lines = linesProcessed;
+        for (const taskLines of running.values()) {
+            lines += taskLines;
+        }
+        onProgress({ filePath, totalTasks, completedTasks, linesProcessed: lines });
+    };
+
+    return {
+        update(task, lines) {
+            running.set(task, lines);
+            report(task.filePath);
+        },
+        complete(task, lines) {
+            running.delete(task);
+            completedTasks++;
+            linesProcessed += lines;
+            report(task.filePath);
+        }
+    };
+}
+
+/**
+ * Error de una corrida cortada con options.signal
+ */
+function createCancelledError() {
+    const error = new Error('Procesamiento cancelado');
+    error.code = 'CANCELLED';
+    return error;
+}
+
 /**
  * Procesa múltiples archivos en paralelo usando worker threads
  * 
- * @param {string[]} files - Array de rutas de archivos a procesar
+ * @param {Array<string|Object>} files - Rutas de archivos a procesar, o contenidos en memoria
+ *   { name, content, compression } con content string o Buffer y compression 'gzip', 'brotli' o null
  * @param {Object} options - Opciones de configuración
  * @param {number} options.maxWorkers - Máximo de workers simultáneos (default: CPUs disponibles)
  * @param {boolean} options.verbose - Mostrar logs detallados (default: true)
+ * @param {boolean} options.chunked - Dividir archivos grandes en rangos de bytes entre workers (default: false)
+ * @param {number} options.minChunkSize - Tamaño mínimo de cada rango en bytes (default: 1MB)
+ * @param {string|Object} options.tokenizer - Tokenizer: nombre, { pattern, flags } o ruta a módulo
+ * @param {string} options.locale - Locale para minúsculas y segmenter
+ * @param {string} options.normalization - Forma Unicode a aplicar (NFC, NFD, NFKC, NFKD)
+ * @param {boolean} options.foldAccents - Quitar diacríticos de las palabras
+ * @param {Set<string>|string[]} options.stopwords - Palabras a excluir del conteo
+ * @param {number} options.ngram - Contar n-gramas de este tamaño en lugar de palabras (default: 1)
+ * @param {string} options.encoding - Codificación de los archivos o 'auto' para detectarla por archivo (default: 'auto')
+ * @param {string} options.inputFormat - Formato de los archivos (text, markdown, html, epub, srt, jsonl)
+ *   o 'auto' para elegirlo por la extensión de cada archivo (default: 'auto')
+ * @param {string} options.jsonField - Campo a contar de cada registro JSONL (default: 'text')
+ * @param {boolean|Object} options.approximate - Conteo aproximado con sketches combinables:
+ *   true o { epsilon, delta, capacity } (default: false, conteo exacto)
+ * @param {number} options.topN - Cantidad de palabras en el top del resumen (default: 10)
+ * @param {Function} options.log - Función para mensajes de progreso y resumen (default: console.log)
+ * @param {Object} options.pool - Pool de workers a reutilizar (ver workerPool). Si no se
+ *   indica, se crea uno temporal que se destruye al terminar
+ * @param {string} options.checkpoint - Ruta donde guardar el progreso para poder reanudar
+ *   (ver módulo checkpoint). Solo con archivos en disco (default: sin checkpoint)
+ * @param {number} options.checkpointInterval - Milisegundos mínimos entre guardados (default: 30s)
+ * @param {boolean} options.resume - Continuar desde options.checkpoint: solo se procesan las
+ *   tareas pendientes. Los archivos y las opciones de conteo deben ser los mismos (default: false)
+ * @param {boolean} options.keepFileMaps - Conservar el Map de cada archivo en results.successful[].wordMap,
+ *   por ejemplo para compararlos (ver módulo compare). En modo aproximado es el Map de heavy
+ *   hitters del sketch (default: false)
+ * @param {boolean|Object} options.lexicalStats - Calcular estadísticas léxicas (TTR, MATTR, Zipf,
+ *   Heaps...) de cada archivo y del total: true o { window }. Quedan en
+ *   results.successful[].statistics y results.statistics (ver módulo lexicalStats)
+ * @param {boolean|string|Object} options.readability - Calcular oraciones, párrafos e índices de
+ *   legibilidad de cada archivo y del total: true, 'en', 'es' o { language }. Quedan en
+ *   results.successful[].readability y results.readability (ver módulo readability)
+ * @param {boolean|Object} options.collocations - Buscar colocaciones (PMI, t-score, log-Dice) de
+ *   cada archivo y del total: true o { window, minCount, topN }. Quedan en
+ *   results.successful[].collocations y results.collocations (ver módulo collocations)
+ * @param {boolean|string} options.stem - Contar raíces en lugar de palabras: true o 'en' (Porter2),
+ *   'es' (Snowball). Las formas de superficie de cada raíz quedan en results.successful[].forms y
+ *   results.forms, salvo en modo aproximado (ver módulo stemmer)
+ * @param {Function} options.onProgress - Callback con { filePath, totalTasks, completedTasks,
+ *   linesProcessed } al recibir progreso de un worker y al terminar cada tarea
+ * @param {AbortSignal} options.signal - Cancela la corrida: las tareas en cola se descartan, las
+ *   que están en curso se cortan y se rechaza con un error de código 'CANCELLED'. Con
+ *   options.checkpoint, lo ya contado queda guardado para reanudar
  * @returns {Promise<Object>} Resultados agregados de todos los archivos
  */
 async function processFilesInParallel(files, options = {}) {
     // Manejar null explícitamente porque null no activa valores por defecto
     const maxWorkers = options.maxWorkers ?? os.cpus().length;
     const verbose = options.verbose ?? true;
+    const log = options.log ?? console.log;
+    const topN = options.topN ?? 10;
+    const chunked = options.chunked ?? false;
+    const minChunkSize = options.minChunkSize ?? DEFAULT_MIN_CHUNK_SIZE;
+    const countOptions = buildCountOptions(options);
 
     // Validación temprana - evitar división por cero y loops infinitos
     if (!files || files.length === 0) {
         if (verbose) {
-            console.log('\n⚠️ No hay archivos para procesar.\n');
+            log('\n⚠️ No hay archivos para procesar.\n');
         }
         return {
             successful: [],
@@ -99,22 +426,70 @@ async function processFilesInParallel(files, options = {}) {
             combinedWordMap: new Map(),
             totalWords: 0,
             totalUniqueWords: 0,
-            totalLinesProcessed: 0
+            totalLinesProcessed: 0,
+            ngram: countOptions.ngram,
+            approximate: null
         };
     }
 
+    const checkpointPath = options.checkpoint ?? null;
+    if (checkpointPath && files.some(input => typeof input !== 'string')) {
+        throw new Error('Los checkpoints solo admiten archivos en disco, no contenidos en memoria');
+    }
+    const resumed = checkpointPath && options.resume ? loadCheckpoint(checkpointPath) : null;
+    if (resumed) {
+        validateResume(resumed, files, countOptions, checkpointPath);
+    }
+
     const startTime = Date.now();
     const numCPUs = os.cpus().length;
-    const effectiveWorkers = Math.max(1, Math.min(maxWorkers, files.length, numCPUs));
+    const poolSize = options.pool ? options.pool.size : Math.max(1, Math.min(maxWorkers, numCPUs));
+    // Los n-gramas, las oraciones y las co-apariciones cruzan líneas dentro de un párrafo:
+    // cortar solo entre párrafos
+    const boundary = countOptions.ngram > 1 || countOptions.readability || countOptions.collocations
+        ? 'paragraph'
+        : 'line';
+    const taskOptions = {
+        chunked,
+        numChunks: poolSize,
+        minChunkSize,
+        boundary,
+        encoding: countOptions.encoding,
+        inputFormat: countOptions.inputFormat
+    };
+
+    // Al reanudar se reusan las tareas guardadas (los rangos dependen de la cantidad
+    // de workers de la corrida original); un archivo modificado se vuelve a contar entero
+    const changedFiles = resumed ? files.filter(file => hasFileChanged(file, resumed.fileStamps[file])) : [];
+    const tasks = resumed
+        ? [
+            ...resumed.tasks.filter(task => !changedFiles.includes(task.filePath)),
+            ...await buildTasks(changedFiles, taskOptions)
+        ]
+        : await buildTasks(files, taskOptions);
+    const pendingTasks = tasks.filter(task => !task.done);
+    const effectiveWorkers = Math.min(poolSize, pendingTasks.length);
 
     if (verbose) {
-        console.log('\n' + '═'.repeat(60));
-        console.log('🚀 PROCESAMIENTO PARALELO CON WORKER THREADS');
-        console.log('─'.repeat(60));
-        console.log(`   CPUs disponibles:    ${numCPUs}`);
-        console.log(`   Workers a usar:      ${effectiveWorkers}`);
-        console.log(`   Archivos a procesar: ${files.length}`);
-        console.log('═'.repeat(60) + '\n');
+        log('\n' + '═'.repeat(60));
+        log('🚀 PROCESAMIENTO PARALELO CON WORKER THREADS');
+        log('─'.repeat(60));
+        log(`   CPUs disponibles:    ${numCPUs}`);
+        log(`   Workers a usar:      ${effectiveWorkers}`);
+        log(`   Archivos a procesar: ${files.length}`);
+        if (chunked) {
+            log(`   Rangos a procesar:   ${tasks.length}`);
+        }
+        if (resumed) {
+            log(`   Reanudando:          ${tasks.length - pendingTasks.length} de ${tasks.length} tareas ya completadas`);
+            if (changedFiles.length > 0) {
+                log(`   Modificados:         ${changedFiles.length} archivo(s), se cuentan de nuevo`);
+            }
+        }
+        if (checkpointPath) {
+            log(`   Checkpoint:          ${checkpointPath}`);
+        }
+        log('═'.repeat(60) + '\n');
     }
 
     const results = {
@@ -123,91 +498,264 @@ async function processFilesInParallel(files, options = {}) {
         combinedWordMap: new Map(),
         totalWords: 0,
         totalUniqueWords: 0,
-        totalLinesProcessed: 0
+        totalLinesProcessed: 0,
+        ngram: countOptions.ngram,
+        approximate: null
     };
 
-    // Procesar archivos en batches del tamaño del pool de workers
-    for (let i = 0; i < files.length; i += effectiveWorkers) {
-        const batch = files.slice(i, i + effectiveWorkers);
-        
-        if (verbose && files.length > effectiveWorkers) {
-            console.log(`\n[${getTimestamp()}] 📦 Procesando batch ${Math.floor(i / effectiveWorkers) + 1}/${Math.ceil(files.length / effectiveWorkers)}`);
-        }
-
-        // Crear workers para este batch en paralelo
-        const batchPromises = batch.map((file, index) => 
-            createWorker(file, i + index + 1)
-        );
-
-        // Esperar a que todos los workers del batch terminen
-        const batchResults = await Promise.all(batchPromises);
-
-        // Procesar resultados del batch
-        for (const result of batchResults) {
-            console.log(result.message);
-
-            if (result.success) {
-                results.successful.push({
-                    filePath: result.filePath,
-                    duration: result.duration,
-                    uniqueWords: result.data.uniqueWords,
-                    totalWords: result.data.totalWords,
-                    linesProcessed: result.data.linesProcessed
-                });
-
-                // Convertir objeto de vuelta a Map y agregar a los totales
-                const wordMap = objectToMap(result.data.wordMap);
-                results.combinedWordMap = mergeMaps([results.combinedWordMap, wordMap]);
-                results.totalWords += result.data.totalWords;
-                results.totalLinesProcessed += result.data.linesProcessed;
+    // Resultados parciales por archivo (un archivo puede venir en varios rangos)
+    const partials = new Map(files.map((input) => {
+        const key = typeof input === 'string' ? input : input.name;
+        const saved = resumed && !changedFiles.includes(key) && resumed.partials[key];
+        return [key, saved ? deserializePartial(saved) : createPartial()];
+    }));
+
+    // Estado guardable: tareas hechas y conteos acumulados hasta ahora
+    const fileStamps = checkpointPath
+        ? Object.fromEntries(files.map(file => [file, resumed && !changedFiles.includes(file)
+            ? resumed.fileStamps[file]
+            : getFileStamp(file)]))
+        : null;
+    const checkpointWriter = checkpointPath
+        ? createCheckpointWriter(checkpointPath, {
+            interval: options.checkpointInterval,
+            log,
+            createdAt: resumed ? resumed.createdAt : undefined
+        })
+        : null;
+    const getCheckpointState = () => ({
+        complete: tasks.every(task => task.done),
+        countOptions,
+        files,
+        fileStamps,
+        tasks: tasks.map(({ filePath, start, end, encoding, done }) => ({ filePath, start, end, encoding, done: Boolean(done) })),
+        partials: Object.fromEntries([...partials].map(([filePath, partial]) => {
+            // Compactar los rangos ya combinados para no volver a sumarlos en cada guardado
+            if (partial.maps.length > 1) {
+                partial.maps = [mergeMaps(partial.maps)];
+            }
+            return [filePath, serializePartial(partial)];
+        }))
+    });
+
+    if (checkpointWriter && !resumed) {
+        checkpointWriter.save(getCheckpointState());
+    }
+
+    const progress = createProgressTracker({
+        totalTasks: tasks.length,
+        completedTasks: tasks.length - pendingTasks.length,
+        linesProcessed: [...partials.values()].reduce((sum, partial) => sum + partial.linesProcessed, 0)
+    }, options.onProgress ?? (() => {}));
+
+    // Usar el pool recibido o crear uno temporal para esta llamada
+    const pool = options.pool || createWorkerPool(effectiveWorkers);
+
+    try {
+        // Encolar todas las tareas: cada worker toma la siguiente al terminar,
+        // así un archivo lento no bloquea a los demás
+        await Promise.all(pendingTasks.map(task =>
+            pool.run({ ...task, countOptions }, {
+                signal: options.signal,
+                onProgress: (message) => {
+                    log(message.message);
+                    progress.update(task, message.linesProcessed ?? 0);
+                }
+            }).then((result) => {
+                log(result.message);
+                progress.complete(task, result.success ? result.data.linesProcessed : 0);
+
+                const partial = partials.get(result.filePath);
+
+                if (result.success && result.data.sketch) {
+                    // Modo aproximado: combinar el sketch del rango al llegar
+                    const sketch = deserializeFrequencySketch(result.data.sketch);
+                    if (partial.sketch) {
+                        partial.sketch.merge(sketch);
+                    } else {
+                        partial.sketch = sketch;
+                    }
+                }
+
+                if (result.success) {
+                    // Convertir objeto de vuelta a Map
+                    partial.maps.push(objectToMap(result.data.wordMap));
+                    partial.totalWords += result.data.totalWords;
+                    partial.linesProcessed += result.data.linesProcessed;
+                    partial.duration = Math.max(partial.duration, parseFloat(result.duration));
+                    partial.encoding = partial.encoding || result.data.encoding;
+                    partial.inputFormat = result.data.inputFormat;
+                    partial.skippedRecords += result.data.skippedRecords || 0;
+                    partial.lexical = result.data.lexical && mergeLexicalRange(partial.lexical, result.data.lexical, task.start);
+                    partial.readability = mergeReadabilityData([partial.readability, result.data.readability]);
+                    partial.collocations = mergeCollocationData([partial.collocations, result.data.collocations]);
+                    partial.forms = mergeForms([partial.forms, result.data.forms]);
+                    task.done = true;
+
+                    if (checkpointWriter) {
+                        checkpointWriter.maybeSave(getCheckpointState);
+                    }
+                } else if (!partial.error) {
+                    partial.error = result.error;
+                }
+            })
+        ));
+    } finally {
+        // Guardar también si la corrida se interrumpe con una excepción
+        if (checkpointWriter) {
+            checkpointWriter.save(getCheckpointState());
+        }
+        if (!options.pool) {
+            await pool.destroy();
+        }
+    }
+
+    if (options.signal?.aborted) {
+        throw createCancelledError();
+    }
+
+    // Combinar los rangos de cada archivo y agregar a los totales
+    let combinedSketch = null;
+    for (const [filePath, partial] of partials) {
+        if (partial.error) {
+            results.failed.push({
+                filePath,
+                error: partial.error
+            });
+            continue;
+        }
+
+        // Los heavy hitters no se pueden sumar como Maps: se combinan los sketches
+        const wordMap = partial.sketch ? partial.sketch.toMap() : mergeMaps(partial.maps);
+        partial.lexical = completeLexicalRanges(partial.lexical);
+        results.successful.push({
+            filePath,
+            duration: partial.duration.toFixed(2),
+            uniqueWords: partial.sketch ? partial.sketch.uniqueEstimate() : wordMap.size,
+            totalWords: partial.totalWords,
+            linesProcessed: partial.linesProcessed,
+            encoding: partial.encoding,
+            inputFormat: partial.inputFormat,
+            ...(partial.skippedRecords > 0 && { skippedRecords: partial.skippedRecords }),
+            ...(countOptions.lexicalStats && {
+                statistics: computeLexicalStats(wordMap, partial.lexical, { ngram: countOptions.ngram })
+            }),
+            ...(countOptions.readability && { readability: computeReadability(partial.readability) }),
+            ...(countOptions.collocations && { collocations: computeCollocations(partial.collocations) }),
+            ...(partial.forms && { forms: partial.forms }),
+            ...(options.keepFileMaps && { wordMap })
+        });
+
+        if (partial.sketch) {
+            if (combinedSketch) {
+                combinedSketch.merge(partial.sketch);
             } else {
-                results.failed.push({
-                    filePath: result.filePath,
-                    error: result.error
-                });
+                combinedSketch = partial.sketch;
             }
+        } else {
+            results.combinedWordMap = mergeMaps([results.combinedWordMap, wordMap]);
         }
+        results.totalWords += partial.totalWords;
+        results.totalLinesProcessed += partial.linesProcessed;
     }
 
-    results.totalUniqueWords = results.combinedWordMap.size;
+    if (combinedSketch) {
+        results.combinedWordMap = combinedSketch.toMap();
+        results.totalUniqueWords = combinedSketch.uniqueEstimate();
+        const { epsilon, delta, capacity } = combinedSketch.serialize();
+        results.approximate = { epsilon, delta, capacity, errorBound: combinedSketch.errorBound() };
+    } else {
+        results.totalUniqueWords = results.combinedWordMap.size;
+    }
+
+    if (countOptions.lexicalStats) {
+        const lexical = mergeLexicalData([...partials.values()].filter(partial => !partial.error).map(partial => partial.lexical));
+        results.statistics = computeLexicalStats(results.combinedWordMap, lexical, { ngram: countOptions.ngram });
+    }
+    if (countOptions.readability) {
+        results.readability = computeReadability(mergeReadabilityData(
+            [...partials.values()].filter(partial => !partial.error).map(partial => partial.readability)
+        ));
+    }
+    if (countOptions.collocations) {
+        results.collocations = computeCollocations(mergeCollocationData(
+            [...partials.values()].filter(partial => !partial.error).map(partial => partial.collocations)
+        ));
+    }
+    if (countOptions.stem) {
+        results.stem = countOptions.stem;
+        results.forms = mergeForms([...partials.values()].filter(partial => !partial.error).map(partial => partial.forms));
+    }
 
     const totalDuration = ((Date.now() - startTime) / 1000).toFixed(2);
 
     // Mostrar resumen
     if (verbose) {
-        console.log('\n' + '═'.repeat(60));
-        console.log('📊 RESUMEN DEL PROCESAMIENTO PARALELO');
-        console.log('─'.repeat(60));
-        console.log(`   Tiempo total:          ${totalDuration}s`);
-        console.log(`   Archivos exitosos:     ${results.successful.length}`);
-        console.log(`   Archivos fallidos:     ${results.failed.length}`);
-        console.log(`   Líneas procesadas:     ${results.totalLinesProcessed.toLocaleString()}`);
-        console.log(`   Total de palabras:     ${results.totalWords.toLocaleString()}`);
-        console.log(`   Palabras únicas (combinadas): ${results.totalUniqueWords.toLocaleString()}`);
+        const label = getTermLabel(results.ngram);
+        log('\n' + '═'.repeat(60));
+        log('📊 RESUMEN DEL PROCESAMIENTO PARALELO');
+        log('─'.repeat(60));
+        log(`   Tiempo total:          ${totalDuration}s`);
+        log(`   Archivos exitosos:     ${results.successful.length}`);
+        log(`   Archivos fallidos:     ${results.failed.length}`);
+        log(`   Líneas procesadas:     ${results.totalLinesProcessed.toLocaleString()}`);
+        if (results.ngram === 1) {
+            log(`   Total de palabras:     ${results.totalWords.toLocaleString()}`);
+            log(`   Palabras únicas (combinadas): ${results.totalUniqueWords.toLocaleString()}`);
+        } else {
+            log(`   Total de ${label.toLowerCase()}:     ${results.totalWords.toLocaleString()}`);
+            log(`   ${label.charAt(0)}${label.slice(1).toLowerCase()} únicos (combinados): ${results.totalUniqueWords.toLocaleString()}`);
+        }
+        if (results.approximate) {
+            const { epsilon, delta, errorBound } = results.approximate;
+            log(`   Modo aproximado:       conteos ±${errorBound.toLocaleString()} (ε=${epsilon}, δ=${delta}), únicas estimadas`);
+        }
+        if (results.stem) {
+            log(`   Stemming:              ${results.stem} (se cuentan raíces)`);
+        }
+
+        if (results.statistics) {
+            log('\n📈 ESTADÍSTICAS LÉXICAS (COMBINADAS):');
+            log('─'.repeat(60));
+            formatLexicalStats(results.statistics).forEach(line => log(line));
+        }
+
+        if (results.readability) {
+            log('\n📖 LEGIBILIDAD (COMBINADA):');
+            log('─'.repeat(60));
+            formatReadability(results.readability).forEach(line => log(line));
+        }
+
+        if (results.collocations) {
+            log(`\n🔗 COLOCACIONES (COMBINADAS, VENTANA DE ${results.collocations.window}):`);
+            log('─'.repeat(60));
+            formatCollocations(results.collocations).forEach(line => log(line));
+        }
         
         if (results.failed.length > 0) {
-            console.log('\n⚠️  ARCHIVOS CON ERRORES:');
+            log('\n⚠️  ARCHIVOS CON ERRORES:');
             results.failed.forEach(f => {
-                console.log(`   - ${f.filePath}: ${f.error.message}`);
+                log(`   - ${f.filePath}: ${f.error.message}`);
             });
         }
 
         // Mostrar top 10 combinado
         if (results.combinedWordMap.size > 0) {
-            const topWords = getTopWords(results.combinedWordMap, 10);
-            console.log('\n🏆 TOP 10 PALABRAS MÁS FRECUENTES (COMBINADO):');
-            console.log('─'.repeat(60));
+            const topWords = getTopWords(results.combinedWordMap, topN, results.forms);
+            log(`\n🏆 TOP ${topWords.length} ${label} MÁS FRECUENTES (COMBINADO):`);
+            log('─'.repeat(60));
             
+            const width = Math.max(20, ...topWords.map(item => formatTermLabel(item).length));
             topWords.forEach((item, index) => {
                 const rank = (index + 1).toString().padStart(2, ' ');
-                const word = item.word.padEnd(20, ' ');
+                const word = formatTermLabel(item).padEnd(width, ' ');
                 const count = item.count.toLocaleString().padStart(12, ' ');
                 const bar = '█'.repeat(Math.min(Math.floor(item.count / topWords[0].count * 20), 20));
-                console.log(`   ${rank}. ${word} ${count}  ${bar}`);
+                log(`   ${rank}. ${word} ${count}  ${bar}`);
             });
         }
 
-        console.log('═'.repeat(60) + '\n');
+        log('═'.repeat(60) + '\n');
     }
 
     results.totalDuration = totalDuration;
@@ -215,8 +763,134 @@ async function processFilesInParallel(files, options = {}) {
     return results;
 }
 
+/**
+ * Busca una palabra o frase en varios archivos usando workers (modo KWIC)
+ * 
+ * Cada archivo es una tarea: la búsqueda no se divide en rangos porque el
+ * contexto y los números de línea dependen de lo leído antes.
+ * 
+ * @param {Array<string|Object>} files - Rutas o contenidos en memoria { name, content, compression }
+ * @param {Object} options - Opciones de tokenización, encoding, inputFormat, jsonField,
+ *   maxWorkers, pool, verbose, log, onProgress y signal (como processFilesInParallel), más:
+ * @param {string} options.query - Palabra o frase a buscar
+ * @param {number} options.context - Palabras de contexto a cada lado (default: 5)
+ * @param {number} options.limit - Máximo de apariciones devueltas por archivo (default: sin límite)
+ * @returns {Promise<Object>} { query, context, successful, failed, totalHits, totalDuration };
+ *   cada archivo exitoso es { filePath, hits, totalHits, truncated, linesProcessed, duration,
+ *   encoding, inputFormat } (ver concordance.searchFile)
+ */
+async function searchFilesInParallel(files, options = {}) {
+    const maxWorkers = options.maxWorkers ?? os.cpus().length;
+    const verbose = options.verbose ?? true;
+    const log = options.log ?? console.log;
+    const countOptions = buildCountOptions(options);
+    const concordance = validateConcordanceOptions(options);
+
+    // Validar la consulta en el hilo principal para no fallar una vez por archivo
+    if (createTokenizer(countOptions)(concordance.query).length === 0) {
+        throw new Error(`La búsqueda "${concordance.query}" no contiene palabras`);
+    }
+
+    const results = {
+        query: concordance.query,
+        context: concordance.context,
+        successful: [],
+        failed: [],
+        totalHits: 0
+    };
+    if (!files || files.length === 0) {
+        results.totalDuration = '0.00';
+        return results;
+    }
+
+    const startTime = Date.now();
+    const tasks = await buildTasks(files, { chunked: false });
+    const poolSize = options.pool ? options.pool.size : Math.max(1, Math.min(maxWorkers, os.cpus().length));
+    const effectiveWorkers = Math.min(poolSize, tasks.length);
+
+    if (verbose) {
+        log('\n' + '═'.repeat(60));
+        log('🔎 BÚSQUEDA EN CONTEXTO CON WORKER THREADS');
+        log('─'.repeat(60));
+        log(`   Búsqueda:            "${concordance.query}"`);
+        log(`   Workers a usar:      ${effectiveWorkers}`);
+        log(`   Archivos a procesar: ${files.length}`);
+        log('═'.repeat(60) + '\n');
+    }
+
+    const outcomes = new Map();
+    const progress = createProgressTracker(
+        { totalTasks: tasks.length, completedTasks: 0, linesProcessed: 0 },
+        options.onProgress ?? (() => {})
+    );
+    const pool = options.pool || createWorkerPool(effectiveWorkers);
+
+    try {
+        await Promise.all(tasks.map(task =>
+            pool.run({ ...task, countOptions, concordance }, {
+                signal: options.signal,
+                onProgress: (message) => {
+                    log(message.message);
+                    progress.update(task, message.linesProcessed ?? 0);
+                }
+            }).then((result) => {
+                log(result.message);
+                progress.complete(task, result.success ? result.data.linesProcessed : 0);
+                outcomes.set(result.filePath, result);
+            })
+        ));
+    } finally {
+        if (!options.pool) {
+            await pool.destroy();
+        }
+    }
+
+    if (options.signal?.aborted) {
+        throw createCancelledError();
+    }
+
+    // Mismo orden que los archivos recibidos, no el de llegada
+    for (const { filePath } of tasks) {
+        const result = outcomes.get(filePath);
+        if (!result.success) {
+            results.failed.push({ filePath, error: result.error });
+            continue;
+        }
+
+        const { query, context, ...data } = result.data;
+        results.successful.push({ filePath, duration: result.duration, ...data });
+        results.totalHits += data.totalHits;
+    }
+
+    results.totalDuration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+    if (verbose) {
+        log('\n' + '═'.repeat(60));
+        log('📊 RESUMEN DE LA BÚSQUEDA');
+        log('─'.repeat(60));
+        log(`   Tiempo total:          ${results.totalDuration}s`);
+        log(`   Archivos exitosos:     ${results.successful.length}`);
+        log(`   Archivos fallidos:     ${results.failed.length}`);
+        log(`   Apariciones:           ${results.totalHits.toLocaleString()}`);
+        results.successful.forEach(file => {
+            log(`   - ${file.filePath}: ${file.totalHits.toLocaleString()}`);
+        });
+
+        if (results.failed.length > 0) {
+            log('\n⚠️  ARCHIVOS CON ERRORES:');
+            results.failed.forEach(f => {
+                log(`   - ${f.filePath}: ${f.error.message}`);
+            });
+        }
+        log('═'.repeat(60) + '\n');
+    }
+
+    return results;
+}
+
 module.exports = {
     processFilesInParallel,
+    searchFilesInParallel,
     createWorker
 };
 
@@ -0,0 +1,315 @@
+/**
+ * Readability - Oraciones, párrafos e índices de legibilidad
+ * 
+ * Un tracker recibe las líneas de texto (ya extraídas del HTML, Markdown...)
+ * a medida que se leen y las segmenta en oraciones y párrafos sin guardar
+ * el archivo en memoria: solo queda pendiente la oración que todavía no
+ * terminó. Los párrafos se separan con líneas en blanco.
+ * 
+ * Las oraciones se cortan con Intl.Segmenter (granularidad 'sentence') si
+ * está disponible, o por reglas (. ! ? … seguidos de espacio). Las sílabas
+ * se cuentan con reglas por idioma: grupos de vocales con la 'e' muda en
+ * inglés; diptongos, hiatos y la 'u' muda de que/qui/gue/gui en español.
+ * 
+ * Índices calculados (cada fórmula está calibrada para las sílabas de su
+ * idioma: los dos primeros solo en inglés, Fernández-Huerta solo en español):
+ * 
+ * - Flesch Reading Ease: 206.835 − 1.015·(palabras/oraciones) − 84.6·(sílabas/palabras)
+ * - Flesch–Kincaid (grado escolar): 0.39·(palabras/oraciones) + 11.8·(sílabas/palabras) − 15.59
+ * - Fernández-Huerta (adaptación de Flesch al español):
+ *   206.84 − 0.60·(sílabas cada 100 palabras) − 1.02·(oraciones cada 100 palabras)
+ * 
+ * Los datos del tracker son sumas, así que se combinan entre rangos y
+ * archivos. Para que ninguna oración quede partida, los rangos de un archivo
+ * se cortan entre párrafos (ver splitFileIntoChunks).
+ * 
+ * @module readability
+ */
+
+/**
+ * Idiomas con reglas de sílabas
+ */
+const READABILITY_LANGUAGES = ['en', 'es'];
+
+/**
+ * Una "oración" sin puntuación final más larga que esto se cierra igual,
+ * para no acumular sin límite un texto sin puntos
+ */
+const MAX_PENDING_LENGTH = 10000;
+
+const ENGLISH_VOWEL_GROUPS = /[aeiouy]+/g;
+const SPANISH_STRONG_VOWELS = 'aeoáéóíú';
+const SPANISH_WEAK_VOWELS = 'iuü';
+
+/**
+ * Valida las opciones de legibilidad: true, un idioma ('en', 'es') o { language }
+ * 
+ * @param {boolean|string|Object} options - Opción readability
+ * @returns {{language: string}} Opciones con valores por defecto
+ * @throws {Error} Si el idioma no está soportado
+ */
+function validateReadabilityOptions(options) {
+    const language = (options === true
+        ? undefined
+        : typeof options === 'string' ? options : options.language) ?? 'en';
+
+    if (!READABILITY_LANGUAGES.includes(language)) {
+        throw new Error(`Idioma de legibilidad no soportado: ${language} (disponibles: ${READABILITY_LANGUAGES.join(', ')})`);
+    }
+
+    return { language };
+}
+
+/**
+ * Sílabas de una palabra en inglés (heurística de grupos de vocales)
+ * 
+ * @param {string} word - Palabra en minúsculas
+ * @returns {number} Sílabas (al menos 1)
+ */
+function countEnglishSyllables(word) {
+    let letters = word.normalize('NFD').replace(/[^a-z]/g, '');
+    if (letters.length <= 3) {
+        return 1;
+    }
+
+    // 'e' final muda (make, hoped, lives; no wanted, ended) e 'y' inicial consonante (yellow)
+    letters = letters.replace(/(?:[^laeiouy]es|[^laeiouydt]ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+    const groups = letters.match(ENGLISH_VOWEL_GROUPS);
+    return groups ? groups.length : 1;
+}
+
+/**
+ * Sílabas de una palabra en español (núcleos vocálicos con diptongos e hiatos)
+ * 
+ * @param {string} word - Palabra en minúsculas
+ * @returns {number} Sílabas (al menos 1)
+ */
+function countSpanishSyllables(word) {
+    const letters = word.normalize('NFC')
+        // La 'u' de que/qui/gue/gui no suena
+        .replace(/([qg])u(?=[eiéí])/g, '$1')
+        // 'y' final es vocal: hoy, rey, muy
+        .replace(/y$/, 'i');
+
+    let syllables = 0;
+    let previous = null;
+
+    for (const char of letters) {
+        const type = SPANISH_STRONG_VOWELS.includes(char)
+            ? 'strong'
+            : SPANISH_WEAK_VOWELS.includes(char) ? 'weak' : null;
+
+        // Nueva sílaba tras una consonante o en un hiato (dos vocales fuertes);
+        // débil + fuerte, fuerte + débil y débil + débil forman diptongo
+        if (type && (previous === null || (previous === 'strong' && type === 'strong'))) {
+            syllables++;
+        }
+        previous = type;
+    }
+
+    return Math.max(1, syllables);
+}
+
+const SYLLABLE_COUNTERS = {
+    en: countEnglishSyllables,
+    es: countSpanishSyllables
+};
+
+/**
+ * Crea la función que parte un texto en oraciones
+ * 
+ * @param {string} language - Locale para Intl.Segmenter
+ * @returns {Function} (text) => string[] con las oraciones en orden; la última
+ *   puede estar incompleta
+ */
+function createSentenceSplitter(language) {
+    if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+        const segmenter = new Intl.Segmenter(language, { granularity: 'sentence' });
+        return (text) => Array.from(segmenter.segment(text), item => item.segment);
+    }
+
+    // Sin Intl.Segmenter (Node.js < 16): cortar tras . ! ? … (y comillas o paréntesis de cierre)
+    return (text) => text.match(/[^.!?…]+(?:[.!?…]+["'”’»)\]]*\s*|$)|[.!?…]+\s*/g) || [];
+}
+
+/**
+ * Crea un tracker de oraciones, párrafos y sílabas para un stream
+ * 
+ * @param {boolean|string|Object} options - Ver validateReadabilityOptions
+ * @param {Function} tokenize - Tokenizer del conteo: (text) => string[]
+ * @returns {{push: Function, flush: Function, result: Function}} push(line) por cada línea
+ *   de texto, flush() al terminar el stream; result() devuelve los datos serializables
+ *   { language, sentences, paragraphs, words, syllables }
+ */
+function createReadabilityTracker(options, tokenize) {
+    const { language } = validateReadabilityOptions(options);
+    const splitSentences = createSentenceSplitter(language);
+    const countSyllables = SYLLABLE_COUNTERS[language];
+
+    let sentences = 0;
+    let paragraphs = 0;
+    let words = 0;
+    let syllables = 0;
+    // Oración sin terminar y si el párrafo actual ya tiene alguna palabra
+    let pending = '';
+    let paragraphHasWords = false;
+
+    const addSentence = (text) => {
+        const sentenceWords = tokenize(text);
+        if (sentenceWords.length === 0) {
+            return;
+        }
+
+        sentences++;
+        words += sentenceWords.length;
+        for (const word of sentenceWords) {
+            syllables += countSyllables(word);
+        }
+        paragraphHasWords = true;
+    };
+
+    // Fin de párrafo: lo pendiente es una oración aunque no tenga punto (títulos, versos)
+    const endParagraph = () => {
+        if (pending) {
+            addSentence(pending);
+            pending = '';
+        }
+        if (paragraphHasWords) {
+            paragraphs++;
+            paragraphHasWords = false;
+        }
+    };
+
+    return {
+        push(line) {
+            const text = line.trim();
+            if (text.length === 0) {
+                endParagraph();
+                return;
+            }
+
+            pending = pending ? `${pending} ${text}` : text;
+            const parts = splitSentences(pending);
+
+            // La última parte puede seguir en la próxima línea
+            for (let i = 0; i < parts.length - 1; i++) {
+                addSentence(parts[i]);
+            }
+            pending = parts.length > 0 ? parts[parts.length - 1].trim() : '';
+
+            if (pending.length > MAX_PENDING_LENGTH) {
+                addSentence(pending);
+                pending = '';
+            }
+        },
+
+        flush() {
+            endParagraph();
+        },
+
+        result() {
+            return { language, sentences, paragraphs, words, syllables };
+        }
+    };
+}
+
+/**
+ * Combina los datos de varios trackers (rangos de un archivo o varios archivos)
+ * 
+ * @param {Array<Object>} items - Resultados de tracker.result() (se ignoran null/undefined)
+ * @returns {Object|null} Datos combinados, o null si no hay ninguno
+ */
+function mergeReadabilityData(items) {
+    const present = items.filter(Boolean);
+    if (present.length === 0) {
+        return null;
+    }
+
+    const sum = (field) => present.reduce((total, item) => total + item[field], 0);
+    return {
+        language: present[0].language,
+        sentences: sum('sentences'),
+        paragraphs: sum('paragraphs'),
+        words: sum('words'),
+        syllables: sum('syllables')
+    };
+}
+
+/**
+ * Redondea a 2 decimales para el reporte
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Calcula promedios e índices de legibilidad
+ * 
+ * @param {Object} data - Datos de tracker.result() o mergeReadabilityData
+ * @returns {Object|null} { language, sentences, paragraphs, words, syllables,
+ *   averageSentenceLength, averageSyllablesPerWord, averageSentencesPerParagraph } más
+ *   fleschReadingEase y fleschKincaidGrade en inglés o fernandezHuerta en español;
+ *   null sin oraciones
+ */
+function computeReadability(data) {
+    if (!data || data.sentences === 0 || data.words === 0) {
+        return null;
+    }
+
+    const wordsPerSentence = data.words / data.sentences;
+    const syllablesPerWord = data.syllables / data.words;
+
+    const readability = {
+        ...data,
+        averageSentenceLength: round(wordsPerSentence),
+        averageSyllablesPerWord: round(syllablesPerWord),
+        averageSentencesPerParagraph: data.paragraphs > 0 ? round(data.sentences / data.paragraphs) : null
+    };
+    if (data.language === 'es') {
+        readability.fernandezHuerta = round(206.84 - 0.60 * (syllablesPerWord * 100) - 1.02 * (data.sentences / data.words * 100));
+    } else {
+        readability.fleschReadingEase = round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord);
+        readability.fleschKincaidGrade = round(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59);
+    }
+    return readability;
+}
+
+/**
+ * Formatea los índices para la consola
+ * 
+ * @param {Object} readability - Resultado de computeReadability
+ * @param {string} indent - Sangría de cada línea (default: 3 espacios)
+ * @returns {string[]} Líneas de texto, sin saltos de línea
+ */
+function formatReadability(readability, indent = '   ') {
+    const lines = [];
+    const row = (label, value) => lines.push(`${indent}${label.padEnd(23, ' ')}${value}`);
+    const indexes = readability.language === 'es'
+        ? [['Fernández-Huerta:', readability.fernandezHuerta.toFixed(1)]]
+        : [
+            ['Flesch Reading Ease:', readability.fleschReadingEase.toFixed(1)],
+            ['Flesch–Kincaid:', `grado ${readability.fleschKincaidGrade.toFixed(1)}`]
+        ];
+
+    row('Oraciones:', readability.sentences.toLocaleString());
+    row('Párrafos:', readability.paragraphs.toLocaleString());
+    row('Palabras por oración:', readability.averageSentenceLength.toFixed(2));
+    row('Sílabas por palabra:', `${readability.averageSyllablesPerWord.toFixed(2)} (reglas: ${readability.language})`);
+    if (readability.averageSentencesPerParagraph !== null) {
+        row('Oraciones por párrafo:', readability.averageSentencesPerParagraph.toFixed(2));
+    }
+    indexes.forEach(([label, value]) => row(label, value));
+
+    return lines;
+}
+
+module.exports = {
+    createReadabilityTracker,
+    mergeReadabilityData,
+    computeReadability,
+    formatReadability,
+    validateReadabilityOptions,
+    countEnglishSyllables,
+    countSpanishSyllables,
+    READABILITY_LANGUAGES
+};
@@ -0,0 +1,505 @@
+/**
+ * Report - Reporte serializable de resultados y formatos de salida
+ * 
+ * Construye el mismo objeto que devuelve el endpoint /count de Lambda a
+ * partir de los resultados de processFilesInParallel (o del procesamiento
+ * secuencial del CLI) y lo serializa como JSON, NDJSON, CSV o tabla. Las
+ * búsquedas en contexto (searchFilesInParallel) tienen su propio reporte.
+ * 
+ * @module report
+ */
+
+const { getTopWords, getTermLabel } = require('./wordCounter');
+const { getDisplayName } = require('./compression');
+const { compareFiles, COMPARE_METRICS } = require('./compare');
+const { formatLexicalStats } = require('./lexicalStats');
+const { formatReadability } = require('./readability');
+const { formatCollocations, COLLOCATION_METRICS } = require('./collocations');
+const { formatTermLabel } = require('./stemmer');
+
+/**
+ * Formatos de salida soportados por renderReport
+ */
+const OUTPUT_FORMATS = ['table', 'json', 'ndjson', 'csv'];
+
+/**
+ * Códigos de error por archivo que se reportan tal cual; los demás se
+ * traducen en getFailureCode
+ */
+const FAILURE_CODES = ['FILE_NOT_FOUND', 'PATH_NOT_ALLOWED', 'CORPUS_NOT_FOUND', 'WORKER_ERROR'];
+
+/**
+ * Títulos de las métricas del modo compare en la tabla
+ */
+const METRIC_LABELS = {
+    tfidf: 'TF-IDF',
+    logLikelihood: 'Log-likelihood (G²)',
+    frequencyRatio: 'Ratio de frecuencias'
+};
+
+/**
+ * Caracteres de contexto a cada lado en la tabla de concordancias
+ */
+const KWIC_CONTEXT_WIDTH = 40;
+
+/**
+ * Código estable del error de un archivo: los de FAILURE_CODES, FILE_NOT_FOUND
+ * para ENOENT y similares, READ_ERROR para otros errores de lectura o
+ * descompresión (códigos de Node E... y de zlib Z_...) y PROCESSING_ERROR
+ * para el resto
+ * 
+ * @param {Object} error - Error de results.failed ({ message, code })
+ * @returns {string} Código
+ */
+function getFailureCode(error) {
+    const { code } = error;
+    if (FAILURE_CODES.includes(code)) {
+        return code;
+    }
+    if (code === 'ENOENT' || code === 'ENOTDIR' || code === 'EISDIR') {
+        return 'FILE_NOT_FOUND';
+    }
+    return /^(E[A-Z]+|Z_[A-Z_]+)$/.test(code || '') ? 'READ_ERROR' : 'PROCESSING_ERROR';
+}
+
+/**
+ * Construye el reporte con el esquema de la respuesta de Lambda /count
+ * 
+ * @param {Object} results - Resultados con la forma de processFilesInParallel
+ * @param {Object} options - Opciones del reporte
+ * @param {number} options.topN - Cantidad de palabras a incluir; Infinity para la lista completa (default: 10)
+ * @param {Object} options.compare - Agregar `comparison` con las palabras distintivas de cada
+ *   archivo ({ topN, minCount }, ver compareFiles). Requiere results.successful[].wordMap
+ * @returns {Object} Reporte { success, summary, results, topWords, comparison? }. Con stemming,
+ *   cada elemento de topWords trae `forms` (ver getTopWords)
+ */
+function buildReport(results, options = {}) {
+    const topN = options.topN ?? 10;
+
+    return {
+        success: true,
+        summary: {
+            totalFiles: results.successful.length + results.failed.length,
+            successful: results.successful.length,
+            failed: results.failed.length,
+            totalDuration: results.totalDuration,
+            totalWords: results.totalWords,
+            uniqueWords: results.totalUniqueWords,
+            linesProcessed: results.totalLinesProcessed,
+            ngram: results.ngram ?? 1,
+            // Solo en modo aproximado: { epsilon, delta, capacity, errorBound }
+            ...(results.approximate && { approximate: results.approximate }),
+            // Solo con lexicalStats: TTR, MATTR, Zipf, Heaps... del total (ver módulo lexicalStats)
+            ...(results.statistics && { statistics: results.statistics }),
+            // Solo con readability: oraciones, párrafos e índices de legibilidad del total
+            ...(results.readability && { readability: results.readability }),
+            // Solo con collocations: pares por PMI, t-score y log-Dice del total
+            ...(results.collocations && { collocations: results.collocations }),
+            // Solo con stem: idioma del stemmer; topWords trae raíces con sus formas
+            ...(results.stem && { stem: results.stem })
+        },
+        results: {
+            successful: results.successful.map(r => ({
+                file: getDisplayName(r.filePath),
+                words: r.totalWords,
+                unique: r.uniqueWords,
+                duration: r.duration,
+                encoding: r.encoding,
+                format: r.inputFormat,
+                // Solo JSONL: registros sin JSON válido o sin el campo pedido
+                ...(r.skippedRecords && { skippedRecords: r.skippedRecords }),
+                ...(r.statistics && { statistics: r.statistics }),
+                ...(r.readability && { readability: r.readability }),
+                ...(r.collocations && { collocations: r.collocations })
+            })),
+            failed: results.failed.map(f => ({
+                file: getDisplayName(f.filePath),
+                error: f.error.message,
+                code: getFailureCode(f.error)
+            }))
+        },
+        topWords: getTopWords(results.combinedWordMap, topN, results.forms),
+        ...(options.compare && { comparison: compareFiles(results.successful, options.compare) })
+    };
+}
+
+/**
+ * Recorre las palabras distintivas del reporte en orden (archivo, métrica, puesto)
+ * 
+ * @param {Object} comparison - Campo `comparison` del reporte
+ * @param {Function} callback - (file, metric, rank, item) por cada palabra
+ */
+function forEachDistinctive(comparison, callback) {
+    for (const file of comparison.files) {
+        for (const metric of COMPARE_METRICS) {
+            file[metric].forEach((item, index) => callback(file, metric, index + 1, item));
+        }
+    }
+}
+
+/**
+ * Escapa un valor para CSV (RFC 4180)
+ * 
+ * @param {*} value - Valor a escapar
+ * @returns {string} Valor listo para una celda CSV
+ */
+function csvCell(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializa el reporte como CSV
+ * 
+ * Una sola tabla con una columna `type` que distingue las filas:
+ * summary, file, failed y word. En modo compare se agregan las columnas
+ * metric y score y una fila `distinctive` por palabra distintiva; con
+ * colocaciones, una fila `collocation` por par del total (word = "x y").
+ * Con stemming se agrega al final la columna forms: las formas de superficie
+ * de cada raíz del top, separadas por "|".
+ * 
+ * @param {Object} report - Reporte de buildReport
+ * @returns {string} CSV con encabezado
+ */
+function renderCsv(report) {
+    const columns = ['type', 'file', 'rank', 'word', 'count', 'words', 'unique', 'lines', 'duration', 'error', 'encoding'];
+    const rows = [columns];
+    const { summary, results, topWords } = report;
+    const scored = Boolean(report.comparison || summary.collocations);
+
+    if (scored) {
+        columns.push('metric', 'score');
+    }
+    if (summary.stem) {
+        columns.push('forms');
+    }
+
+    rows.push(['summary', '', '', '', '', summary.totalWords, summary.uniqueWords, summary.linesProcessed, summary.totalDuration, '', '']);
+
+    for (const file of results.successful) {
+        rows.push(['file', file.file, '', '', '', file.words, file.unique, '', file.duration, '', file.encoding]);
+    }
+
+    for (const file of results.failed) {
+        rows.push(['failed', file.file, '', '', '', '', '', '', '', file.error, '']);
+    }
+
+    topWords.forEach((item, index) => {
+        const row = ['word', '', index + 1, item.word, item.count, '', '', '', '', '', ''];
+        if (summary.stem) {
+            row.push(...(scored ? ['', ''] : []), (item.forms || []).join('|'));
+        }
+        rows.push(row);
+    });
+
+    if (summary.collocations) {
+        for (const metric of COLLOCATION_METRICS) {
+            summary.collocations[metric].forEach((item, index) => {
+                rows.push(['collocation', '', index + 1, `${item.first} ${item.second}`, item.count, '', '', '', '', '', '', metric, item.score]);
+            });
+        }
+    }
+
+    if (report.comparison) {
+        forEachDistinctive(report.comparison, (file, metric, rank, item) => {
+            rows.push(['distinctive', file.file, rank, item.word, item.count, '', '', '', '', '', '', metric, item.score]);
+        });
+    }
+
+    return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Serializa el reporte como NDJSON (un objeto JSON por línea)
+ * 
+ * @param {Object} report - Reporte de buildReport
+ * @returns {string} Líneas JSON con un campo `type` (summary, file, failed, word y,
+ *   en modo compare, distinctive)
+ */
+function renderNdjson(report) {
+    const lines = [JSON.stringify({ type: 'summary', ...report.summary })];
+
+    for (const file of report.results.successful) {
+        lines.push(JSON.stringify({ type: 'file', ...file }));
+    }
+
+    for (const file of report.results.failed) {
+        lines.push(JSON.stringify({ type: 'failed', ...file }));
+    }
+
+    report.topWords.forEach((item, index) => {
+        lines.push(JSON.stringify({ type: 'word', rank: index + 1, ...item }));
+    });
+
+    if (report.comparison) {
+        forEachDistinctive(report.comparison, (file, metric, rank, item) => {
+            lines.push(JSON.stringify({ type: 'distinctive', file: file.file, metric, rank, ...item }));
+        });
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Serializa el reporte como tabla de texto (el formato de consola)
+ * 
+ * @param {Object} report - Reporte de buildReport
+ * @returns {string} Tabla lista para imprimir o guardar
+ */
+function renderTable(report) {
+    const { summary, results, topWords } = report;
+    const label = getTermLabel(summary.ngram);
+
+    let output = '\n';
+    output += '═'.repeat(60) + '\n';
+    output += '📊 RESUMEN\n';
+    output += '─'.repeat(60) + '\n';
+    output += `   Tiempo total:          ${summary.totalDuration}s\n`;
+    output += `   Archivos exitosos:     ${summary.successful}\n`;
+    output += `   Archivos fallidos:     ${summary.failed}\n`;
+    output += `   Líneas procesadas:     ${summary.linesProcessed.toLocaleString()}\n`;
+    const uniqueLabel = `${label.charAt(0)}${label.slice(1).toLowerCase()} únic${summary.ngram === 1 ? 'as' : 'os'}:`;
+    output += `   ${`Total de ${label.toLowerCase()}:`.padEnd(23, ' ')}${summary.totalWords.toLocaleString()}\n`;
+    output += `   ${uniqueLabel.padEnd(23, ' ')}${summary.uniqueWords.toLocaleString()}\n`;
+    if (summary.approximate) {
+        output += `   ${'Modo aproximado:'.padEnd(23, ' ')}conteos ±${summary.approximate.errorBound.toLocaleString()}, únicas estimadas\n`;
+    }
+    if (summary.stem) {
+        output += `   ${'Stemming:'.padEnd(23, ' ')}${summary.stem} (se cuentan raíces)\n`;
+    }
+
+    if (summary.readability) {
+        output += '─'.repeat(60) + '\n';
+        output += '📖 LEGIBILIDAD:\n';
+        for (const line of formatReadability(summary.readability)) {
+            output += `${line}\n`;
+        }
+    }
+
+    if (summary.statistics) {
+        output += '─'.repeat(60) + '\n';
+        output += '📈 ESTADÍSTICAS LÉXICAS:\n';
+        for (const line of formatLexicalStats(summary.statistics)) {
+            output += `${line}\n`;
+        }
+    }
+
+    if (summary.collocations) {
+        output += '─'.repeat(60) + '\n';
+        output += `🔗 COLOCACIONES (ventana de ${summary.collocations.window}):\n`;
+        for (const line of formatCollocations(summary.collocations)) {
+            output += `${line}\n`;
+        }
+    }
+
+    if (results.successful.length > 0) {
+        output += '─'.repeat(60) + '\n';
+        output += '📄 ARCHIVOS:\n';
+        for (const file of results.successful) {
+            output += `   ${file.file.padEnd(30, ' ')} ${file.words.toLocaleString().padStart(12, ' ')} ${file.unique.toLocaleString().padStart(10, ' ')}  ${file.duration}s  ${file.encoding || ''}\n`;
+        }
+    }
+
+    if (results.failed.length > 0) {
+        output += '\n⚠️  ARCHIVOS CON ERRORES:\n';
+        for (const file of results.failed) {
+            output += `   - ${file.file}: ${file.error}\n`;
+        }
+    }
+
+    if (topWords.length > 0) {
+        output += '─'.repeat(60) + '\n';
+        output += `🏆 TOP ${topWords.length} ${label} MÁS FRECUENTES:\n`;
+        output += '─'.repeat(60) + '\n';
+
+        const width = Math.max(20, ...topWords.map(item => formatTermLabel(item).length));
+        topWords.forEach((item, index) => {
+            const rank = (index + 1).toString().padStart(2, ' ');
+            const word = formatTermLabel(item).padEnd(width, ' ');
+            const count = item.count.toLocaleString().padStart(12, ' ');
+            const bar = '█'.repeat(Math.min(Math.floor(item.count / topWords[0].count * 20), 20));
+            output += `   ${rank}. ${word} ${count}  ${bar}\n`;
+        });
+    }
+
+    if (report.comparison) {
+        for (const file of report.comparison.files) {
+            output += '─'.repeat(60) + '\n';
+            output += `🔍 DISTINTIVAS DE ${file.file} (vs. resto del corpus):\n`;
+
+            for (const metric of COMPARE_METRICS) {
+                output += `   ${METRIC_LABELS[metric]}:\n`;
+                if (file[metric].length === 0) {
+                    output += `      (ninguna con ${report.comparison.minCount}+ apariciones)\n`;
+                }
+                file[metric].forEach((item, index) => {
+                    const rank = (index + 1).toString().padStart(2, ' ');
+                    const word = item.word.padEnd(20, ' ');
+                    const score = item.score.toLocaleString(undefined, { maximumFractionDigits: 4 }).padStart(12, ' ');
+                    output += `      ${rank}. ${word} ${score}  (${item.count.toLocaleString()} vs. ${item.restCount.toLocaleString()})\n`;
+                });
+            }
+        }
+    }
+
+    output += '═'.repeat(60) + '\n';
+
+    return output;
+}
+
+/**
+ * Construye el reporte de una búsqueda en contexto (KWIC)
+ * 
+ * @param {Object} results - Resultados de searchFilesInParallel
+ * @returns {Object} Reporte { success, query, context, summary, results, hits }; hits
+ *   tiene todas las apariciones en orden de archivo y línea
+ */
+function buildConcordanceReport(results) {
+    return {
+        success: true,
+        query: results.query,
+        context: results.context,
+        summary: {
+            totalFiles: results.successful.length + results.failed.length,
+            successful: results.successful.length,
+            failed: results.failed.length,
+            totalDuration: results.totalDuration,
+            totalHits: results.totalHits,
+            linesProcessed: results.successful.reduce((sum, r) => sum + r.linesProcessed, 0)
+        },
+        results: {
+            successful: results.successful.map(r => ({
+                file: getDisplayName(r.filePath),
+                hits: r.totalHits,
+                // Con limit solo se devuelven las primeras; hits cuenta todas
+                ...(r.truncated && { returned: r.hits.length }),
+                lines: r.linesProcessed,
+                duration: r.duration,
+                encoding: r.encoding,
+                format: r.inputFormat,
+                ...(r.skippedRecords && { skippedRecords: r.skippedRecords })
+            })),
+            failed: results.failed.map(f => ({
+                file: getDisplayName(f.filePath),
+                error: f.error.message,
+                code: getFailureCode(f.error)
+            }))
+        },
+        hits: results.successful.flatMap(r => r.hits.map(hit => ({ file: getDisplayName(r.filePath), ...hit })))
+    };
+}
+
+/**
+ * Tabla de concordancias: contexto izquierdo alineado a la derecha, la
+ * aparición entre corchetes y el contexto derecho
+ */
+function renderConcordanceTable(report) {
+    const { summary, results, hits } = report;
+    const locations = hits.map(hit => `${hit.file}:${hit.line}${hit.column ? `:${hit.column}` : ''}`);
+    const locationWidth = Math.max(0, ...locations.map(location => location.length));
+    const clip = (text, fromStart) => (text.length <= KWIC_CONTEXT_WIDTH
+        ? text
+        : fromStart
+            ? `…${text.slice(text.length - KWIC_CONTEXT_WIDTH + 1)}`
+            : `${text.slice(0, KWIC_CONTEXT_WIDTH - 1)}…`);
+
+    let output = '\n';
+    output += '═'.repeat(60) + '\n';
+    output += `🔎 "${report.query}": ${summary.totalHits.toLocaleString()} apariciones en ${summary.successful} archivo(s)\n`;
+    output += '─'.repeat(60) + '\n';
+
+    hits.forEach((hit, index) => {
+        const left = clip(hit.left, true).padStart(KWIC_CONTEXT_WIDTH, ' ');
+        output += `   ${locations[index].padEnd(locationWidth, ' ')}  ${left} [${hit.match}] ${clip(hit.right, false)}\n`;
+    });
+
+    output += '─'.repeat(60) + '\n';
+    for (const file of results.successful) {
+        const shown = file.returned !== undefined ? ` (se muestran ${file.returned.toLocaleString()})` : '';
+        output += `   ${file.file.padEnd(30, ' ')} ${file.hits.toLocaleString().padStart(10, ' ')} apariciones${shown}  ${file.duration}s\n`;
+    }
+
+    if (results.failed.length > 0) {
+        output += '\n⚠️  ARCHIVOS CON ERRORES:\n';
+        for (const file of results.failed) {
+            output += `   - ${file.file}: ${file.error}\n`;
+        }
+    }
+
+    output += '═'.repeat(60) + '\n';
+
+    return output;
+}
+
+/**
+ * Serializa el reporte de una búsqueda en contexto en el formato indicado
+ * 
+ * En CSV hay una fila por aparición (file, line, column, left, match, right)
+ * y los errores van como filas con `error`; en NDJSON, líneas de tipo
+ * summary, file, failed y hit.
+ * 
+ * @param {Object} report - Reporte de buildConcordanceReport
+ * @param {string} format - 'table', 'json', 'ndjson' o 'csv'
+ * @returns {string} Reporte serializado
+ */
+function renderConcordanceReport(report, format = 'table') {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(report, null, 2) + '\n';
+        case 'ndjson':
+            return [
+                JSON.stringify({ type: 'summary', query: report.query, context: report.context, ...report.summary }),
+                ...report.results.successful.map(file => JSON.stringify({ type: 'file', ...file })),
+                ...report.results.failed.map(file => JSON.stringify({ type: 'failed', ...file })),
+                ...report.hits.map(hit => JSON.stringify({ type: 'hit', ...hit }))
+            ].join('\n') + '\n';
+        case 'csv': {
+            const rows = [['file', 'line', 'column', 'left', 'match', 'right', 'error']];
+            for (const hit of report.hits) {
+                rows.push([hit.file, hit.line, hit.column, hit.left, hit.match, hit.right, '']);
+            }
+            for (const file of report.results.failed) {
+                rows.push([file.file, '', '', '', '', '', file.error]);
+            }
+            return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+        }
+        case 'table':
+            return renderConcordanceTable(report);
+        default:
+            throw new Error(`Formato de salida desconocido: ${format} (disponibles: ${OUTPUT_FORMATS.join(', ')})`);
+    }
+}
+
+/**
+ * Serializa un reporte en el formato indicado
+ * 
+ * @param {Object} report - Reporte de buildReport
+ * @param {string} format - 'table', 'json', 'ndjson' o 'csv'
+ * @returns {string} Reporte serializado
+ */
+function renderReport(report, format = 'table') {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(report, null, 2) + '\n';
+        case 'ndjson':
+            return renderNdjson(report);
+        case 'csv':
+            return renderCsv(report);
+        case 'table':
+            return renderTable(report);
+        default:
+            throw new Error(`Formato de salida desconocido: ${format} (disponibles: ${OUTPUT_FORMATS.join(', ')})`);
+    }
+}
+
+module.exports = {
+    buildReport,
+    renderReport,
+    buildConcordanceReport,
+    renderConcordanceReport,
+    OUTPUT_FORMATS
+};
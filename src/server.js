@@ -0,0 +1,713 @@
+/**
+ * Servidor HTTP - La API `/count` de Lambda como servidor propio (`wordflux serve`)
+ * 
+ * Usa el mismo núcleo que el handler de Lambda (lambda.handleCount): acepta
+ * las mismas opciones y responde el mismo esquema, así un cliente puede
+ * apuntar a cualquiera de los dos. Además acepta cuerpos que no caben en un
+ * JSON de API Gateway, contados mientras llegan, sin guardarlos en memoria
+ * ni en disco:
+ * 
+ * - `application/json`: el cuerpo de Lambda (files, texts, opciones). Se lee
+ *   entero, hasta `maxBodySize`, y se cuenta con el pool de workers.
+ * - `multipart/form-data`: cada parte con archivo se cuenta como un archivo
+ *   propio (con su nombre, que indica formato y compresión). Los campos sin
+ *   archivo son opciones y van antes de los archivos: `options` con un objeto
+ *   JSON o un campo por opción (`stopwords=en`, `topN=20`...).
+ * - Cualquier otro tipo (text/plain, application/octet-stream...): el cuerpo
+ *   es un solo texto, con las opciones en la query string
+ *   (`/count?stopwords=en&name=libro.html`).
+ * 
+ * En los dos últimos casos el conteo es secuencial, en el hilo principal, a
+ * medida que llegan los bytes: un stream no se puede pasar a un worker sin
+ * guardarlo antes. La lectura respeta la contrapresión, así que un cliente
+ * más rápido que el conteo espera en lugar de llenar la memoria. Se acepta
+ * `Transfer-Encoding: chunked` y `Content-Encoding` gzip, br y deflate; los
+ * límites de tamaño se cuentan sobre los bytes ya descomprimidos.
+ * 
+ * `/jobs` procesa un cuerpo JSON de `/count` como trabajo en segundo plano
+ * (ver módulo jobs), con el store que se indique: en memoria por defecto o
+ * en disco con `--jobs-dir`.
+ * 
+ * @module server
+ */
+
+const http = require('http');
+const { Transform, Readable, PassThrough, pipeline } = require('stream');
+const {
+    handleCount,
+    parseCountRequest,
+    parseJsonBody,
+    getRequestLimits,
+    validateInputCount,
+    buildCountResponse,
+    toErrorResponse,
+    createCountJobManager,
+    handleJobRequest,
+    handleCorpora,
+    RESPONSE_HEADERS
+} = require('./lambda');
+const { createMemoryJobStore } = require('./jobs');
+const { countStream } = require('./wordCounter');
+const { searchStream } = require('./concordance');
+const { collectSequentially, searchSequentially } = require('./collector');
+const { decompressStream, detectCompressionByName } = require('./compression');
+const { resolveInputFormat } = require('./extractors');
+
+const DEFAULT_PORT = 3000;
+
+/**
+ * Por defecto solo se escucha en la máquina local: `files` lee el corpus del servidor
+ */
+const DEFAULT_HOST = '127.0.0.1';
+
+/**
+ * Tamaño máximo por defecto de un cuerpo JSON, que se lee entero (10MB, como API Gateway)
+ */
+const DEFAULT_MAX_BODY_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Tamaño máximo por defecto de un cuerpo contado en stream (1GB)
+ */
+const DEFAULT_MAX_UPLOAD_SIZE = 1024 * 1024 * 1024;
+
+/**
+ * Tamaño máximo de un campo de opciones y de los headers de una parte multipart
+ */
+const MAX_FIELD_SIZE = 64 * 1024;
+const MAX_PART_HEADER_SIZE = 16 * 1024;
+
+/**
+ * Valores de Content-Encoding aceptados y su compresión (ver compression.decompressStream)
+ */
+const CONTENT_ENCODINGS = {
+    identity: null,
+    gzip: 'gzip',
+    'x-gzip': 'gzip',
+    br: 'brotli',
+    deflate: 'deflate'
+};
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+const CRLF = Buffer.from('\r\n');
+const HEADERS_END = Buffer.from('\r\n\r\n');
+
+/**
+ * Obtiene timestamp formateado para logs
+ * @returns {string} Timestamp en formato [YYYY-MM-DD HH:MM:SS]
+ */
+function getTimestamp() {
+    const now = new Date();
+    return now.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/**
+ * Crea un error que se responde con su statusCode y code (ver lambda.toErrorResponse)
+ */
+function httpError(statusCode, message, code = undefined) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = code;
+    return error;
+}
+
+/**
+ * Parsea un tamaño en bytes: "1048576", "512KB", "10mb", "1GB"
+ * 
+ * @param {string|number} value - Tamaño, con unidad opcional (B, KB, MB, GB; base 1024)
+ * @returns {number} Bytes
+ * @throws {Error} Si el tamaño es inválido
+ */
+function parseSize(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*([kmg]?b)?$/i.exec(String(value).trim());
+    const bytes = match ? Math.floor(Number(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]) : NaN;
+    if (!Number.isFinite(bytes) || bytes <= 0) {
+        throw new Error(`Tamaño inválido: ${value} (ej: 1048576, 512KB, 10MB, 1GB)`);
+    }
+    return bytes;
+}
+
+/**
+ * Muestra un tamaño en bytes con la unidad más grande que lo deja >= 1
+ */
+function formatSize(bytes) {
+    const [unit, size] = Object.entries(SIZE_UNITS).reverse().find(([, size]) => bytes >= size) ?? ['b', 1];
+    return `${Number((bytes / size).toFixed(1))}${unit.toUpperCase()}`;
+}
+
+/**
+ * Parsea los parámetros de un header: `form-data; name="a"; filename="b.txt"`
+ * 
+ * @param {string} value - Valor del header
+ * @returns {Object} Parámetros en minúsculas. `filename*` (RFC 5987) ya decodificado
+ */
+function parseHeaderParams(value) {
+    const params = {};
+    const pattern = /;\s*([^=;\s]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+    for (const match of `;${value}`.matchAll(pattern)) {
+        const name = match[1].toLowerCase();
+        let param = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3].trim();
+        if (name.endsWith('*')) {
+            try {
+                param = decodeURIComponent(param.replace(/^[^']*'[^']*'/, ''));
+            } catch (error) {
+                continue;
+            }
+        }
+        params[name] = param;
+    }
+    return params;
+}
+
+/**
+ * Convierte el valor de un parámetro de la query string o de un campo
+ * multipart al tipo del cuerpo JSON: "20" → 20, "true" → true,
+ * '{"window":3}' → objeto. Lo que no es JSON queda como texto ("en,es")
+ */
+function parseOptionValue(value) {
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Corta un stream con 413 si supera `maxBytes`
+ * 
+ * @param {number} maxBytes - Bytes permitidos
+ * @param {string} label - Qué se limita, para el mensaje (default: 'El cuerpo')
+ * @returns {stream.Transform} Transform que deja pasar los bytes; si se supera el límite
+ *   falla y deja el error en `limitError`
+ */
+function limitBytes(maxBytes, label = 'El cuerpo') {
+    let total = 0;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            total += chunk.length;
+            if (total > maxBytes) {
+                this.limitError = httpError(413, `${label} supera el límite de ${formatSize(maxBytes)}`);
+                callback(this.limitError);
+                return;
+            }
+            callback(null, chunk);
+        }
+    });
+}
+
+/**
+ * Lee un stream entero como texto UTF-8
+ */
+async function readText(readable) {
+    const chunks = [];
+    for await (const chunk of readable) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Separa un cuerpo multipart/form-data en partes, sin leerlo entero
+ * 
+ * Es un parser por demanda: los bytes de cada parte se leen del cuerpo recién
+ * cuando se consume su stream, así que la contrapresión llega hasta el socket.
+ * Cada parte se debe consumir (o abandonar) antes de pedir la siguiente; lo que
+ * quede sin leer se descarta al avanzar.
+ * 
+ * @param {stream.Readable} readable - Cuerpo de la petición
+ * @param {string} boundary - Parámetro boundary del Content-Type
+ * @yields {{field: string, filename: string|undefined, contentType: string|null, stream: stream.Readable}}
+ *   filename es undefined en los campos sin archivo
+ * @throws {Error} Con statusCode 400 si el cuerpo no es multipart válido
+ */
+async function* parseMultipart(readable, boundary) {
+    const source = readable[Symbol.asyncIterator]();
+    const delimiter = Buffer.from(`\r\n--${boundary}`);
+    // El primer delimitador suele estar al comienzo del cuerpo, sin CRLF antes
+    let buffer = CRLF;
+    let partDone = true;
+    let reading = null;
+
+    const pull = async () => {
+        const { value, done } = await source.next();
+        if (done) {
+            throw httpError(400, 'Cuerpo multipart incompleto: falta el delimitador final');
+        }
+        buffer = buffer.length > 0 ? Buffer.concat([buffer, value]) : value;
+    };
+
+    const readUntil = async (sequence, maxBytes) => {
+        let index;
+        while ((index = buffer.indexOf(sequence)) === -1) {
+            if (buffer.length > maxBytes) {
+                throw httpError(400, 'Cuerpo multipart inválido: headers de parte demasiado largos');
+            }
+            await pull();
+        }
+        const data = buffer.subarray(0, index);
+        buffer = buffer.subarray(index + sequence.length);
+        return data;
+    };
+
+    // Siguiente trozo del cuerpo de la parte actual, o null al llegar al delimitador.
+    // Se retienen los últimos bytes por si el delimitador quedó partido entre chunks
+    const nextBodyChunk = async () => {
+        while (!partDone) {
+            const index = buffer.indexOf(delimiter);
+            if (index !== -1) {
+                const chunk = buffer.subarray(0, index);
+                buffer = buffer.subarray(index + delimiter.length);
+                partDone = true;
+                return chunk.length > 0 ? chunk : null;
+            }
+            const safe = buffer.length - delimiter.length + 1;
+            if (safe > 0) {
+                const chunk = buffer.subarray(0, safe);
+                buffer = buffer.subarray(safe);
+                return chunk;
+            }
+            await pull();
+        }
+        return null;
+    };
+
+    // Preámbulo: todo lo anterior al primer delimitador se ignora
+    let index;
+    while ((index = buffer.indexOf(delimiter)) === -1) {
+        buffer = buffer.subarray(Math.max(0, buffer.length - delimiter.length + 1));
+        await pull();
+    }
+    buffer = buffer.subarray(index + delimiter.length);
+
+    while (true) {
+        // Tras un delimitador: "--" cierra el cuerpo; si no, fin de línea y headers de la parte
+        while (buffer.length < 2) {
+            await pull();
+        }
+        if (buffer[0] === 0x2d && buffer[1] === 0x2d) {
+            // El epílogo se descarta
+            while (!(await source.next()).done);
+            return;
+        }
+        await readUntil(CRLF, MAX_PART_HEADER_SIZE);
+        while (buffer.length < CRLF.length) {
+            await pull();
+        }
+        // Una parte puede no tener headers: la línea vacía llega enseguida
+        let rawHeaders = Buffer.alloc(0);
+        if (buffer.subarray(0, CRLF.length).equals(CRLF)) {
+            buffer = buffer.subarray(CRLF.length);
+        } else {
+            rawHeaders = await readUntil(HEADERS_END, MAX_PART_HEADER_SIZE);
+        }
+
+        const headers = {};
+        for (const line of rawHeaders.toString('utf8').split('\r\n')) {
+            const colon = line.indexOf(':');
+            if (colon > 0) {
+                headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+            }
+        }
+        const disposition = parseHeaderParams((headers['content-disposition'] || '').replace(/^[^;]*/, ''));
+        if (!disposition.name) {
+            throw httpError(400, 'Cuerpo multipart inválido: parte sin Content-Disposition: form-data; name="..."');
+        }
+
+        partDone = false;
+        reading = null;
+        const stream = new Readable({
+            read() {
+                reading = nextBodyChunk().then(chunk => this.push(chunk), error => this.destroy(error));
+            }
+        });
+
+        yield {
+            field: disposition.name,
+            filename: disposition['filename*'] ?? disposition.filename,
+            contentType: headers['content-type'] || null,
+            stream
+        };
+
+        // Descartar lo que el consumidor no leyó de la parte
+        await reading;
+        while (!partDone) {
+            await nextBodyChunk();
+        }
+    }
+}
+
+/**
+ * Lee los campos de opciones de un cuerpo multipart hasta la primera parte con archivo
+ * 
+ * @param {AsyncGenerator} parts - Partes de parseMultipart
+ * @param {Object} body - Opciones de la query string; los campos se agregan encima
+ * @returns {Promise<{body: Object, uploads: AsyncGenerator|null}>} uploads da { name, stream }
+ *   por cada archivo, o es null si el cuerpo solo tenía campos
+ */
+async function readMultipartFields(parts, body) {
+    let part = await parts.next();
+    for (; !part.done && part.value.filename === undefined; part = await parts.next()) {
+        const { field, stream } = part.value;
+        const value = await readText(stream.pipe(limitBytes(MAX_FIELD_SIZE, `El campo "${field}"`)));
+        if (field === 'options') {
+            const options = parseOptionValue(value);
+            if (!options || typeof options !== 'object' || Array.isArray(options)) {
+                throw httpError(400, 'El campo "options" debe ser un objeto JSON');
+            }
+            Object.assign(body, options);
+        } else {
+            body[field] = parseOptionValue(value);
+        }
+    }
+
+    if (part.done) {
+        return { body, uploads: null };
+    }
+
+    async function* uploads() {
+        for (; !part.done; part = await parts.next()) {
+            const { field, filename, stream } = part.value;
+            if (filename === undefined) {
+                throw httpError(400, `El campo "${field}" llegó después de un archivo; las opciones van antes de los archivos`);
+            }
+            yield { name: filename || field, stream };
+        }
+    }
+
+    return { body, uploads: uploads() };
+}
+
+/**
+ * Cuenta (o busca en) archivos recibidos en stream, uno tras otro
+ * 
+ * El nombre de cada archivo indica su compresión (.gz, .br) y, con
+ * inputFormat "auto", su formato (.html, .md, .jsonl...).
+ * 
+ * @param {Object} request - Pedido validado (ver lambda.parseCountRequest)
+ * @param {AsyncIterable<{name: string, stream: stream.Readable}>} uploads - Archivos
+ * @param {Function} log - Función para mensajes de progreso
+ * @returns {Promise<Object>} Reporte (ver lambda.buildCountResponse)
+ */
+async function countUploads(request, uploads, log) {
+    const open = (upload, options) => [
+        decompressStream(upload.stream, detectCompressionByName(upload.name)),
+        { ...options, inputFormat: resolveInputFormat(upload.name, options.inputFormat) }
+    ];
+
+    const results = request.mode === 'kwic'
+        ? await searchSequentially(uploads, request.searchOptions, {
+            search: upload => searchStream(...open(upload, request.searchOptions)),
+            log
+        })
+        : await collectSequentially(uploads, request.countOptions, {
+            count: upload => countStream(...open(upload, request.countOptions)),
+            log,
+            keepFileMaps: request.mode === 'compare'
+        });
+
+    validateInputCount(request, results.successful.length + results.failed.length);
+    return buildCountResponse(request, results);
+}
+
+/**
+ * Tipo de medio del Content-Type y sus parámetros
+ * 
+ * @returns {{type: string, params: string, isJson: boolean}}
+ */
+function getContentType(req) {
+    const [mediaType, ...params] = (req.headers['content-type'] || '').split(';');
+    const type = mediaType.trim().toLowerCase();
+    return { type, params: params.join(';'), isJson: type === 'application/json' || type.endsWith('+json') };
+}
+
+/**
+ * Abre el cuerpo de una petición: descomprimido según Content-Encoding y
+ * cortado en maxBytes (el stream queda con `limitError` si se supera)
+ * 
+ * @param {http.IncomingMessage} req - Petición
+ * @param {number} maxBytes - Bytes máximos ya descomprimidos
+ * @returns {stream.Readable} Cuerpo
+ * @throws {Error} Con statusCode 413 o 415 si se puede rechazar sin leerlo
+ */
+function openBody(req, maxBytes) {
+    // Con Content-Length se rechaza antes de leer nada
+    if (Number(req.headers['content-length']) > maxBytes) {
+        throw httpError(413, `El cuerpo supera el límite de ${formatSize(maxBytes)}`);
+    }
+
+    const contentEncoding = (req.headers['content-encoding'] || 'identity').trim().toLowerCase();
+    if (!(contentEncoding in CONTENT_ENCODINGS)) {
+        throw httpError(415, `Content-Encoding no soportado: ${contentEncoding} (disponibles: ${Object.keys(CONTENT_ENCODINGS).join(', ')})`);
+    }
+    // req pasa por un PassThrough con pipe(): si la lectura falla, pipeline destruye el
+    // PassThrough y no el socket, que hace falta para responder el error
+    const input = req.pipe(new PassThrough());
+    return pipeline(decompressStream(input, CONTENT_ENCODINGS[contentEncoding]), limitBytes(maxBytes), () => {});
+}
+
+/**
+ * Lee y parsea un cuerpo JSON abierto con openBody (ver lambda.parseJsonBody)
+ * 
+ * @returns {Promise<Object>} Cuerpo parseado ({} si está vacío o es null)
+ * @throws {Error} Con statusCode 400 si no es un objeto JSON, o el error de límite del cuerpo
+ */
+async function readJsonBody(body) {
+    let text;
+    try {
+        text = await readText(body);
+    } catch (error) {
+        throw body.limitError ?? httpError(400, `Cuerpo ilegible: ${error.message}`);
+    }
+    return parseJsonBody(text);
+}
+
+/**
+ * Atiende `POST /count` según el Content-Type
+ * 
+ * @param {http.IncomingMessage} req - Petición
+ * @param {URL} url - URL de la petición
+ * @param {Object} options - Opciones del servidor (ver createServer)
+ * @returns {Promise<Object>} Reporte
+ */
+async function handleCountRequest(req, url, options) {
+    const { type, params, isJson } = getContentType(req);
+    const body = openBody(req, isJson ? options.maxBodySize : options.maxUploadSize);
+
+    // Un error del cuerpo (límite superado, gzip roto) gana sobre el error de conteo que provoca
+    try {
+        if (isJson) {
+            return await handleCount(await readJsonBody(body), { log: options.log });
+        }
+
+        const query = {};
+        for (const [key, value] of url.searchParams) {
+            if (key !== 'name') {
+                query[key] = parseOptionValue(value);
+            }
+        }
+
+        let request;
+        let uploads;
+        if (type === 'multipart/form-data') {
+            const { boundary } = parseHeaderParams(params);
+            if (!boundary) {
+                throw httpError(400, 'multipart/form-data sin boundary');
+            }
+            const fields = await readMultipartFields(parseMultipart(body, boundary), query);
+            if (!fields.uploads) {
+                // Solo campos: es un cuerpo como el JSON (files, texts...)
+                return await handleCount(fields.body, { log: options.log });
+            }
+            request = parseCountRequest(fields.body);
+            uploads = fields.uploads;
+        } else {
+            request = parseCountRequest(query);
+            uploads = [{ name: url.searchParams.get('name') || 'body', stream: body }];
+        }
+
+        const report = await countUploads(request, uploads, options.log);
+        if (body.limitError) {
+            throw body.limitError;
+        }
+        return report;
+    } catch (error) {
+        throw body.limitError ?? error;
+    }
+}
+
+/**
+ * Atiende `/jobs` y `/jobs/{id}`. Los trabajos guardan su cuerpo, así que solo
+ * se aceptan cuerpos JSON (con archivos de `files` o textos de `texts`)
+ * 
+ * @param {http.IncomingMessage} req - Petición
+ * @param {string} id - Id del trabajo, o undefined en `/jobs`
+ * @param {Object} options - Opciones del servidor (ver createServer)
+ * @returns {Promise<{statusCode: number, headers: Object, body: Object}>}
+ */
+async function handleJobsRequest(req, id, options) {
+    const allow = id === undefined ? 'POST, OPTIONS' : 'GET, HEAD, DELETE, OPTIONS';
+    const allowed = id === undefined ? ['POST'] : ['GET', 'HEAD', 'DELETE'];
+    if (!allowed.includes(req.method)) {
+        throw Object.assign(httpError(405, `Método ${req.method} no permitido en ${id === undefined ? '/jobs' : '/jobs/{id}'}`), { allow });
+    }
+
+    let body;
+    if (id === undefined) {
+        if (!getContentType(req).isJson) {
+            throw httpError(415, 'Los trabajos solo aceptan cuerpos application/json (como /count con files o texts)');
+        }
+        body = await readJsonBody(openBody(req, options.maxBodySize));
+    }
+    return handleJobRequest(options.jobs, { method: req.method, id, body });
+}
+
+/**
+ * Escribe una respuesta JSON con los headers de Lambda
+ */
+function sendJson(res, statusCode, body, headers = {}) {
+    res.writeHead(statusCode, { ...RESPONSE_HEADERS, ...headers });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Parsea la URL de una petición
+ * 
+ * @throws {Error} Con statusCode 400 si no es una URL válida (ej: `//[`)
+ */
+function parseRequestUrl(requestUrl) {
+    try {
+        return new URL(requestUrl, 'http://localhost');
+    } catch (error) {
+        throw httpError(400, `URL inválida: ${requestUrl}`, 'INVALID_URL');
+    }
+}
+
+/**
+ * Atiende una petición del servidor (ver createServer) y registra su resultado
+ * 
+ * @param {http.IncomingMessage} req - Petición
+ * @param {http.ServerResponse} res - Respuesta
+ * @param {Object} serverOptions - Opciones del servidor (ver createServer)
+ */
+async function handleRequest(req, res, serverOptions) {
+    const startTime = Date.now();
+    let pathname = req.url;
+    let statusCode = 200;
+
+    try {
+        const url = parseRequestUrl(req.url);
+        pathname = url.pathname;
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(200, {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Headers': 'Content-Type',
+                'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+                'Access-Control-Max-Age': '86400'
+            });
+            res.end();
+        } else if (url.pathname === '/health') {
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                throw Object.assign(httpError(405, `Método ${req.method} no permitido en /health`), { allow: 'GET, HEAD' });
+            }
+            sendJson(res, statusCode, {
+                status: 'ok',
+                uptime: Math.round(process.uptime()),
+                limits: { maxBodySize: serverOptions.maxBodySize, maxUploadSize: serverOptions.maxUploadSize, ...getRequestLimits() }
+            });
+        } else if (url.pathname === '/corpora') {
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                throw Object.assign(httpError(405, `Método ${req.method} no permitido en /corpora`), { allow: 'GET, HEAD' });
+            }
+            sendJson(res, statusCode, handleCorpora());
+        } else if (url.pathname === '/count') {
+            if (req.method !== 'POST') {
+                throw Object.assign(httpError(405, `Método ${req.method} no permitido en /count`), { allow: 'POST, OPTIONS' });
+            }
+            sendJson(res, statusCode, await handleCountRequest(req, url, serverOptions));
+        } else if (url.pathname === '/jobs' || url.pathname.startsWith('/jobs/')) {
+            const id = url.pathname === '/jobs' ? undefined : url.pathname.slice('/jobs/'.length);
+            const response = await handleJobsRequest(req, id, serverOptions);
+            statusCode = response.statusCode;
+            sendJson(res, statusCode, response.body, response.headers);
+        } else {
+            throw httpError(404, `Ruta no encontrada: ${url.pathname} (disponibles: POST /count, POST /jobs, GET /jobs/{id}, DELETE /jobs/{id}, GET /corpora, GET /health)`);
+        }
+    } catch (error) {
+        if (!error.statusCode) {
+            serverOptions.log(`[${getTimestamp()}] ❌ Error en ${req.method} ${pathname}: ${error.stack}`);
+        }
+        const response = toErrorResponse(error);
+        statusCode = response.statusCode;
+
+        // Si el cuerpo no se terminó de leer (ej: 413) se cierra la conexión en lugar de leerlo
+        const headers = req.complete ? {} : { Connection: 'close' };
+        if (error.allow) {
+            headers.Allow = error.allow;
+        }
+        if (res.headersSent) {
+            res.destroy();
+        } else {
+            sendJson(res, statusCode, response.body, headers);
+        }
+        if (!req.complete) {
+            res.once('finish', () => req.destroy());
+        }
+    }
+
+    serverOptions.log(`[${getTimestamp()}] ${req.method} ${pathname} ${statusCode} ${((Date.now() - startTime) / 1000).toFixed(2)}s`);
+}
+
+/**
+ * Crea el servidor HTTP (sin empezar a escuchar)
+ * 
+ * Rutas:
+ * - `POST /count`: mismo cuerpo y respuesta que el handler de Lambda, más
+ *   multipart y texto en stream (ver la descripción del módulo)
+ * - `POST /jobs`, `GET /jobs/{id}`, `DELETE /jobs/{id}`: el cuerpo JSON de
+ *   `/count` como trabajo en segundo plano (ver lambda.handleJobRequest)
+ * - `GET /corpora`: libros que se pueden pedir en `files` o `corpora` (ver módulo corpus)
+ * - `GET /health`: estado y límites del servidor
+ * - `OPTIONS`: preflight CORS, como lambda.optionsHandler
+ * 
+ * @param {Object} options - Opciones
+ * @param {number} options.maxBodySize - Bytes máximos de un cuerpo JSON (default: 10MB)
+ * @param {number} options.maxUploadSize - Bytes máximos de un cuerpo contado en stream (default: 1GB)
+ * @param {Object} options.jobStore - Store de los trabajos de `/jobs` (default: en memoria;
+ *   ver módulo jobs)
+ * @param {number} options.maxActiveJobs - Trabajos de `/jobs` en cola o en curso a la vez;
+ *   más allá, POST /jobs responde 429 (default: jobs.DEFAULT_MAX_ACTIVE_JOBS)
+ * @param {Function} options.log - Función para mensajes (default: console.log)
+ * @returns {http.Server}
+ */
+function createServer(options = {}) {
+    const log = options.log ?? console.log;
+    const serverOptions = {
+        maxBodySize: options.maxBodySize ?? DEFAULT_MAX_BODY_SIZE,
+        maxUploadSize: options.maxUploadSize ?? DEFAULT_MAX_UPLOAD_SIZE,
+        jobs: createCountJobManager({
+            store: options.jobStore ?? createMemoryJobStore(),
+            maxActiveJobs: options.maxActiveJobs,
+            log
+        }),
+        log
+    };
+
+    return http.createServer((req, res) => {
+        // Ninguna petición puede tirar el proceso: lo que escape de handleRequest cierra solo esa conexión
+        handleRequest(req, res, serverOptions).catch((error) => {
+            serverOptions.log(`[${getTimestamp()}] ❌ Error en ${req.method} ${req.url}: ${error.stack}`);
+            res.destroy();
+        });
+    });
+}
+
+/**
+ * Crea el servidor y empieza a escuchar
+ * 
+ * @param {Object} options - Opciones de createServer, más:
+ * @param {number} options.port - Puerto (default: 3000; 0 elige uno libre)
+ * @param {string} options.host - Interfaz (default: 127.0.0.1; 0.0.0.0 para todas)
+ * @returns {Promise<http.Server>} Se resuelve cuando ya escucha
+ */
+function startServer(options = {}) {
+    const server = createServer(options);
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(options.port ?? DEFAULT_PORT, options.host ?? DEFAULT_HOST, () => {
+            server.off('error', reject);
+            resolve(server);
+        });
+    });
+}
+
+module.exports = {
+    createServer,
+    startServer,
+    parseMultipart,
+    parseSize,
+    DEFAULT_PORT,
+    DEFAULT_HOST,
+    DEFAULT_MAX_BODY_SIZE,
+    DEFAULT_MAX_UPLOAD_SIZE
+};
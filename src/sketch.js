@@ -0,0 +1,504 @@
+/**
+ * Sketch - Conteo aproximado con memoria acotada
+ * 
+ * Para entradas del tamaño de un crawl web el Map exacto de wordCounter
+ * crece con cada palabra única hasta agotar el heap. Este módulo ofrece
+ * estructuras de tamaño fijo, independiente del vocabulario:
+ * 
+ * - Count-Min Sketch: estima la frecuencia de cualquier palabra.
+ *   Con probabilidad 1 - delta el error es como máximo epsilon * N.
+ * - Space-Saving: mantiene los K candidatos más frecuentes (heavy hitters).
+ *   Cualquier palabra con frecuencia > N / K está garantizada en la lista.
+ * - HyperLogLog: estima la cantidad de palabras únicas (~0.8% de error).
+ * 
+ * Todas las estructuras son combinables (merge), así los sketches de cada
+ * worker se suman en el hilo principal igual que los Maps exactos.
+ * 
+ * @module sketch
+ */
+
+const DEFAULT_EPSILON = 0.0001;
+const DEFAULT_DELTA = 0.01;
+const DEFAULT_CAPACITY = 1000;
+const DEFAULT_PRECISION = 14;
+
+/**
+ * Bytes máximos de la tabla de Count-Min (width × depth contadores de 4 bytes)
+ * por sketch. Cada worker arma el suyo, así que el total se multiplica por el pool
+ */
+const MAX_TABLE_BYTES = 1024 * 1024 * 1024;
+
+/**
+ * Hash FNV-1a de 32 bits sobre las unidades UTF-16 del string
+ * 
+ * @param {string} text - Texto a hashear
+ * @returns {number} Hash sin signo de 32 bits
+ */
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Finalizador de MurmurHash3: mezcla los bits de un hash de 32 bits
+ * 
+ * @param {number} hash - Hash de entrada
+ * @returns {number} Hash mezclado sin signo de 32 bits
+ */
+function fmix32(hash) {
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+/**
+ * Segundo hash para el doble hashing del Count-Min (impar para recorrer todas las columnas)
+ * 
+ * @param {number} h1 - Hash FNV-1a de la palabra
+ * @returns {number} Hash sin signo de 32 bits
+ */
+function secondHash(h1) {
+    return (fmix32(h1 ^ 0x9e3779b9) | 1) >>> 0;
+}
+
+/**
+ * Crea un Count-Min Sketch
+ * 
+ * Ancho = ceil(e / epsilon), profundidad = ceil(ln(1 / delta)).
+ * Dos sketches solo se pueden combinar si tienen las mismas dimensiones.
+ * 
+ * @param {Object} options - Parámetros de error
+ * @param {number} options.epsilon - Error relativo máximo sobre el total (default: 0.0001)
+ * @param {number} options.delta - Probabilidad de superar ese error (default: 0.01)
+ * @param {Uint32Array} options.table - Tabla existente (al deserializar)
+ * @returns {Object} Sketch con add, estimate, merge y serialize
+ */
+function createCountMinSketch({ epsilon = DEFAULT_EPSILON, delta = DEFAULT_DELTA, table } = {}) {
+    const width = Math.ceil(Math.E / epsilon);
+    const depth = Math.ceil(Math.log(1 / delta));
+    const counts = table || new Uint32Array(width * depth);
+
+    if (counts.length !== width * depth) {
+        throw new Error('La tabla del Count-Min Sketch no coincide con epsilon/delta');
+    }
+
+    // Doble hashing (Kirsch-Mitzenmacher): índice_i = h1 + i * h2
+    function cell(row, h1, h2) {
+        return row * width + ((h1 + Math.imul(row, h2)) >>> 0) % width;
+    }
+
+    return {
+        epsilon,
+        delta,
+        width,
+        depth,
+
+        /**
+         * Suma `by` apariciones a partir de los hashes precalculados
+         */
+        addHashed(h1, h2, by = 1) {
+            for (let row = 0; row < depth; row++) {
+                counts[cell(row, h1, h2)] += by;
+            }
+        },
+
+        /**
+         * Frecuencia estimada (nunca menor a la real)
+         */
+        estimateHashed(h1, h2) {
+            let min = Infinity;
+            for (let row = 0; row < depth; row++) {
+                const value = counts[cell(row, h1, h2)];
+                if (value < min) {
+                    min = value;
+                }
+            }
+            return min;
+        },
+
+        merge(other) {
+            if (other.width !== width || other.depth !== depth) {
+                throw new Error('No se pueden combinar Count-Min Sketches de distinto tamaño');
+            }
+            const otherCounts = other.serialize().table;
+            for (let i = 0; i < counts.length; i++) {
+                counts[i] += otherCounts[i];
+            }
+        },
+
+        serialize() {
+            return { epsilon, delta, table: counts };
+        }
+    };
+}
+
+/**
+ * Crea un resumen Space-Saving de los K elementos más frecuentes
+ * 
+ * Usa un min-heap indexado: cuando está lleno, un elemento nuevo reemplaza
+ * al de menor conteo y hereda ese conteo como error máximo.
+ * 
+ * @param {number} capacity - Cantidad de contadores K (default: 1000)
+ * @param {Array<[string, number, number]>} entries - Contadores [palabra, conteo, error] (al deserializar)
+ * @returns {Object} Resumen con add, entries, merge y serialize
+ */
+function createSpaceSaving(capacity = DEFAULT_CAPACITY, entries = []) {
+    const heap = [];
+    const index = new Map();
+
+    function swap(i, j) {
+        const a = heap[i];
+        const b = heap[j];
+        heap[i] = b;
+        heap[j] = a;
+        a.position = j;
+        b.position = i;
+    }
+
+    function siftUp(i) {
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent].count <= heap[i].count) {
+                break;
+            }
+            swap(i, parent);
+            i = parent;
+        }
+    }
+
+    function siftDown(i) {
+        for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < heap.length && heap[left].count < heap[smallest].count) {
+                smallest = left;
+            }
+            if (right < heap.length && heap[right].count < heap[smallest].count) {
+                smallest = right;
+            }
+            if (smallest === i) {
+                return;
+            }
+            swap(i, smallest);
+            i = smallest;
+        }
+    }
+
+    function add(word, by = 1, error = 0) {
+        const existing = index.get(word);
+        if (existing) {
+            existing.count += by;
+            existing.error += error;
+            siftDown(existing.position);
+            return;
+        }
+
+        if (heap.length < capacity) {
+            const entry = { word, count: by, error, position: heap.length };
+            heap.push(entry);
+            index.set(word, entry);
+            siftUp(entry.position);
+            return;
+        }
+
+        // Reemplazar al mínimo: su conteo pasa a ser el error del nuevo
+        const min = heap[0];
+        index.delete(min.word);
+        min.word = word;
+        min.error = min.count + error;
+        min.count += by;
+        index.set(word, min);
+        siftDown(0);
+    }
+
+    for (const [word, count, error] of entries) {
+        add(word, count, error);
+    }
+
+    const summary = {
+        capacity,
+        add,
+
+        /**
+         * Conteo máximo que puede tener una palabra fuera del resumen
+         */
+        minCount() {
+            return heap.length < capacity ? 0 : heap[0].count;
+        },
+
+        /**
+         * @returns {Array<[string, number, number]>} Contadores [palabra, conteo, error]
+         */
+        entries() {
+            return heap.map(entry => [entry.word, entry.count, entry.error]);
+        },
+
+        /**
+         * Combina otro resumen (Agarwal et al., "Mergeable Summaries")
+         * 
+         * Una palabra ausente en un resumen lleno pudo aparecer hasta
+         * minCount() veces allí, así que se suma como cota superior.
+         */
+        merge(other) {
+            const ownMin = summary.minCount();
+            const otherMin = other.minCount();
+            const combined = new Map();
+
+            for (const [word, count, error] of summary.entries()) {
+                combined.set(word, [count + otherMin, error + otherMin]);
+            }
+            for (const [word, count, error] of other.entries()) {
+                const current = combined.get(word);
+                if (current) {
+                    // Ya se le sumó otherMin de forma especulativa: reemplazar por el real
+                    current[0] += count - otherMin;
+                    current[1] += error - otherMin;
+                } else {
+                    combined.set(word, [count + ownMin, error + ownMin]);
+                }
+            }
+
+            const kept = Array.from(combined.entries())
+                .sort((a, b) => b[1][0] - a[1][0])
+                .slice(0, capacity);
+
+            heap.length = 0;
+            index.clear();
+            for (const [word, [count, error]] of kept) {
+                add(word, count, error);
+            }
+        },
+
+        serialize() {
+            return { capacity, entries: summary.entries() };
+        }
+    };
+
+    return summary;
+}
+
+/**
+ * Crea un HyperLogLog para estimar la cantidad de elementos distintos
+ * 
+ * @param {number} precision - Bits de índice p; usa 2^p registros (default: 14 → 16KB)
+ * @param {Uint8Array} registers - Registros existentes (al deserializar)
+ * @returns {Object} Estimador con addHashed, estimate, merge y serialize
+ */
+function createHyperLogLog(precision = DEFAULT_PRECISION, registers) {
+    const size = 1 << precision;
+    const regs = registers || new Uint8Array(size);
+    const alpha = 0.7213 / (1 + 1.079 / size);
+
+    return {
+        precision,
+
+        addHashed(hash) {
+            const slot = hash >>> (32 - precision);
+            const rest = (hash << precision) >>> 0;
+            const rank = rest === 0 ? 32 - precision + 1 : Math.clz32(rest) + 1;
+            if (rank > regs[slot]) {
+                regs[slot] = rank;
+            }
+        },
+
+        estimate() {
+            let sum = 0;
+            let zeros = 0;
+            for (let i = 0; i < size; i++) {
+                sum += 1 / (1 << regs[i]);
+                if (regs[i] === 0) {
+                    zeros++;
+                }
+            }
+
+            let estimate = alpha * size * size / sum;
+
+            // Corrección para rangos pequeños (linear counting)
+            if (estimate <= 2.5 * size && zeros > 0) {
+                estimate = size * Math.log(size / zeros);
+            } else if (estimate > 2 ** 32 / 30) {
+                // Corrección para rangos grandes con hashes de 32 bits
+                estimate = -(2 ** 32) * Math.log(1 - estimate / 2 ** 32);
+            }
+
+            return Math.round(estimate);
+        },
+
+        merge(other) {
+            if (other.precision !== precision) {
+                throw new Error('No se pueden combinar HyperLogLogs de distinta precisión');
+            }
+            const otherRegs = other.serialize().registers;
+            for (let i = 0; i < size; i++) {
+                if (otherRegs[i] > regs[i]) {
+                    regs[i] = otherRegs[i];
+                }
+            }
+        },
+
+        serialize() {
+            return { precision, registers: regs };
+        }
+    };
+}
+
+/**
+ * Crea un sketch de frecuencias completo (Count-Min + Space-Saving + HyperLogLog)
+ * 
+ * @param {Object} options - Parámetros del sketch
+ * @param {number} options.epsilon - Error del Count-Min relativo al total (default: 0.0001)
+ * @param {number} options.delta - Probabilidad de superar ese error (default: 0.01)
+ * @param {number} options.capacity - Cantidad de heavy hitters a mantener (default: 1000)
+ * @param {number} options.precision - Precisión del HyperLogLog (default: 14)
+ * @returns {Object} Sketch con add, top, toMap, uniqueEstimate, merge y serialize
+ */
+function createFrequencySketch(options = {}) {
+    const { epsilon, delta, capacity = DEFAULT_CAPACITY, precision = DEFAULT_PRECISION } = options;
+    validateSketchOptions({ epsilon, delta, capacity, precision });
+
+    const cms = createCountMinSketch({ epsilon, delta, table: options.table });
+    const heavyHitters = createSpaceSaving(capacity, options.entries);
+    const hll = createHyperLogLog(precision, options.registers);
+    let total = options.total || 0;
+
+    /**
+     * Frecuencia estimada de un heavy hitter: ambas son cotas superiores,
+     * así que la menor es la más ajustada
+     */
+    function estimateEntry(word, count) {
+        const h1 = fnv1a(word);
+        return Math.min(count, cms.estimateHashed(h1, secondHash(h1)));
+    }
+
+    const sketch = {
+        add(word) {
+            const h1 = fnv1a(word);
+            cms.addHashed(h1, secondHash(h1));
+            hll.addHashed(fmix32(h1));
+            heavyHitters.add(word);
+            total++;
+        },
+
+        /**
+         * Frecuencia estimada de cualquier palabra (cota superior)
+         */
+        estimate(word) {
+            const h1 = fnv1a(word);
+            return cms.estimateHashed(h1, secondHash(h1));
+        },
+
+        /**
+         * @returns {number} Total de palabras agregadas
+         */
+        total() {
+            return total;
+        },
+
+        uniqueEstimate() {
+            return hll.estimate();
+        },
+
+        /**
+         * Cota de error absoluto del Count-Min (epsilon * N)
+         */
+        errorBound() {
+            return Math.ceil(cms.epsilon * total);
+        },
+
+        /**
+         * Heavy hitters con su frecuencia estimada, como Map palabra → conteo
+         * (compatible con getTopWords y formatResults)
+         */
+        toMap() {
+            const entries = heavyHitters.entries()
+                .map(([word, count]) => [word, estimateEntry(word, count)])
+                .sort((a, b) => b[1] - a[1]);
+            return new Map(entries);
+        },
+
+        merge(other) {
+            const data = other.serialize();
+            cms.merge(createCountMinSketch(data));
+            hll.merge(createHyperLogLog(data.precision, data.registers));
+            heavyHitters.merge(createSpaceSaving(data.capacity, data.entries));
+            total += data.total;
+        },
+
+        /**
+         * Representación clonable por postMessage (typed arrays incluidos)
+         */
+        serialize() {
+            return {
+                ...cms.serialize(),
+                ...heavyHitters.serialize(),
+                ...hll.serialize(),
+                total
+            };
+        }
+    };
+
+    return sketch;
+}
+
+/**
+ * Reconstruye un sketch a partir de serialize()
+ * 
+ * @param {Object} data - Resultado de serialize()
+ * @returns {Object} Sketch de frecuencias
+ */
+function deserializeFrequencySketch(data) {
+    return createFrequencySketch(data);
+}
+
+/**
+ * Valida los parámetros del sketch
+ * 
+ * La tabla de Count-Min ocupa 4·⌈e/epsilon⌉·⌈ln(1/delta)⌉ bytes: se rechaza la que
+ * supera MAX_TABLE_BYTES y, con `limits`, los parámetros que piden más memoria
+ * de la que se quiere dar (ej: a quien llama por la API).
+ * 
+ * @param {Object} options - { epsilon, delta, capacity, precision }
+ * @param {Object} limits - Límites opcionales { minEpsilon, minDelta, maxCapacity }
+ * @throws {Error} Si algún parámetro está fuera de rango
+ */
+function validateSketchOptions(
+    { epsilon = DEFAULT_EPSILON, delta = DEFAULT_DELTA, capacity = DEFAULT_CAPACITY, precision = DEFAULT_PRECISION } = {},
+    limits = {}
+) {
+    const { minEpsilon = 0, minDelta = 0, maxCapacity = Infinity } = limits;
+    if (!(epsilon > 0 && epsilon < 1) || epsilon < minEpsilon) {
+        throw new Error(`epsilon inválido: ${epsilon} (debe estar entre ${minEpsilon || 0} y 1)`);
+    }
+    if (!(delta > 0 && delta < 1) || delta < minDelta) {
+        throw new Error(`delta inválido: ${delta} (debe estar entre ${minDelta || 0} y 1)`);
+    }
+    if (!Number.isInteger(capacity) || capacity < 1 || capacity > maxCapacity) {
+        const range = maxCapacity === Infinity ? '>= 1' : `entre 1 y ${maxCapacity}`;
+        throw new Error(`Capacidad de heavy hitters inválida: ${capacity} (debe ser un entero ${range})`);
+    }
+    if (!Number.isInteger(precision) || precision < 4 || precision > 18) {
+        throw new Error(`Precisión de HyperLogLog inválida: ${precision} (debe estar entre 4 y 18)`);
+    }
+
+    const tableBytes = 4 * Math.ceil(Math.E / epsilon) * Math.ceil(Math.log(1 / delta));
+    if (tableBytes > MAX_TABLE_BYTES) {
+        throw new Error(`epsilon ${epsilon} y delta ${delta} necesitan una tabla de ${Math.ceil(tableBytes / 1024 / 1024)}MB por worker (máximo ${MAX_TABLE_BYTES / 1024 / 1024}MB); usa un epsilon o delta mayor`);
+    }
+}
+
+module.exports = {
+    createFrequencySketch,
+    deserializeFrequencySketch,
+    validateSketchOptions,
+    createCountMinSketch,
+    createSpaceSaving,
+    createHyperLogLog
+};
@@ -0,0 +1,601 @@
+/**
+ * Stemmer - Reducción de palabras a su raíz (Snowball) y formas de superficie
+ * 
+ * Implementa sin dependencias los algoritmos Snowball de Martin Porter:
+ * 
+ * - en: Porter2 ("English" de Snowball), sucesor del Porter original.
+ *   whale, whales, whaling → whale; connected, connection → connect.
+ * - es: "Spanish" de Snowball. Quita pronombres enclíticos (diciéndole), sufijos
+ *   derivativos (-amiento, -idad, -mente...), terminaciones verbales y la
+ *   vocal final. ballena, ballenas → ballen; cantaba, cantando → cant.
+ * 
+ * Es stemming, no lematización: la raíz no siempre es una palabra ("happi",
+ * "ballen"). Por eso el conteo guarda, para cada raíz, las formas de la
+ * superficie que se contaron con ella (ver createFormsTracker), y el top
+ * las muestra: "whale (whale, whales, whaling)".
+ * 
+ * Las palabras llegan ya en minúsculas y tokenizadas (ver normalizeLine); el
+ * stemmer va después del filtro de stop words, que se escriben sin reducir.
+ * 
+ * @module stemmer
+ */
+
+/**
+ * Idiomas con stemmer
+ */
+const STEM_LANGUAGES = ['en', 'es'];
+
+/**
+ * Formas de superficie por raíz que se muestran en la consola
+ */
+const MAX_DISPLAYED_FORMS = 5;
+
+// ---------------------------------------------------------------------------
+// Inglés (Porter2)
+// ---------------------------------------------------------------------------
+
+const EN_VOWELS = 'aeiouy';
+
+/**
+ * Palabras con raíz fija o que no se reducen
+ */
+const EN_EXCEPTIONS = {
+    skis: 'ski',
+    skies: 'sky',
+    dying: 'die',
+    lying: 'lie',
+    tying: 'tie',
+    idly: 'idl',
+    gently: 'gentl',
+    ugly: 'ugli',
+    early: 'earli',
+    only: 'onli',
+    singly: 'singl',
+    sky: 'sky',
+    news: 'news',
+    howe: 'howe',
+    atlas: 'atlas',
+    cosmos: 'cosmos',
+    bias: 'bias',
+    andes: 'andes'
+};
+
+/**
+ * Palabras que no se tocan después del paso 1a
+ */
+const EN_EXCEPTIONS_1A = new Set(['inning', 'outing', 'canning', 'herring', 'earring', 'proceed', 'exceed', 'succeed']);
+
+/**
+ * Prefijos cuya R1 empieza justo después (generous no se reduce a gener-)
+ */
+const EN_R1_PREFIXES = ['gener', 'commun', 'arsen'];
+
+const EN_DOUBLES = ['bb', 'dd', 'ff', 'gg', 'mm', 'nn', 'pp', 'rr', 'tt'];
+const EN_LI_ENDINGS = 'cdeghkmnrt';
+
+const EN_STEP2 = [
+    ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['abli', 'able'],
+    ['entli', 'ent'], ['izer', 'ize'], ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'],
+    ['alism', 'al'], ['aliti', 'al'], ['alli', 'al'], ['fulness', 'ful'], ['ousli', 'ous'],
+    ['ousness', 'ous'], ['iveness', 'ive'], ['iviti', 'ive'], ['biliti', 'ble'], ['bli', 'ble'],
+    ['ogi', 'og'], ['fulli', 'ful'], ['lessli', 'less'], ['li', '']
+];
+
+const EN_STEP3 = [
+    ['ational', 'ate'], ['tional', 'tion'], ['alize', 'al'], ['icate', 'ic'], ['iciti', 'ic'],
+    ['ical', 'ic'], ['ful', ''], ['ness', ''], ['ative', '']
+];
+
+const EN_STEP4 = [
+    'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent',
+    'ism', 'ate', 'iti', 'ous', 'ive', 'ize', 'ion'
+];
+
+/**
+ * Sufijo más largo de la lista con el que termina la palabra
+ * 
+ * @param {string} word - Palabra
+ * @param {Array<string>|Array<[string, *]>} suffixes - Sufijos (o pares [sufijo, valor])
+ * @returns {*} El sufijo (o el par), o null si no termina con ninguno
+ */
+function findLongestSuffix(word, suffixes) {
+    let best = null;
+    let bestLength = 0;
+    for (const entry of suffixes) {
+        const suffix = typeof entry === 'string' ? entry : entry[0];
+        if (suffix.length > bestLength && word.endsWith(suffix)) {
+            best = entry;
+            bestLength = suffix.length;
+        }
+    }
+    return best;
+}
+
+/**
+ * Inicio de la región después de la primera consonante que sigue a una vocal
+ * 
+ * @param {string} word - Palabra
+ * @param {number} from - Posición desde donde buscar
+ * @param {Function} isVowel - (char) => boolean
+ * @returns {number} Posición de inicio (word.length si la región es vacía)
+ */
+function regionAfter(word, from, isVowel) {
+    for (let i = from + 1; i < word.length; i++) {
+        if (!isVowel(word[i]) && isVowel(word[i - 1])) {
+            return i + 1;
+        }
+    }
+    return word.length;
+}
+
+function isEnglishVowel(char) {
+    return EN_VOWELS.includes(char);
+}
+
+/**
+ * Sílaba corta al final de `word`: consonante + vocal + consonante (que no
+ * sea w, x ni Y), o vocal inicial + consonante
+ */
+function endsWithShortSyllable(word) {
+    const n = word.length;
+    if (n >= 3) {
+        return !isEnglishVowel(word[n - 3]) && isEnglishVowel(word[n - 2])
+            && !isEnglishVowel(word[n - 1]) && !'wxY'.includes(word[n - 1]);
+    }
+    return n === 2 && isEnglishVowel(word[0]) && !isEnglishVowel(word[1]);
+}
+
+/**
+ * Raíz Porter2 de una palabra en inglés
+ * 
+ * @param {string} input - Palabra en minúsculas
+ * @returns {string} Raíz
+ */
+function stemEnglish(input) {
+    let word = input.startsWith('\'') ? input.slice(1) : input;
+    if (word.length <= 2) {
+        return word;
+    }
+    if (Object.prototype.hasOwnProperty.call(EN_EXCEPTIONS, word)) {
+        return EN_EXCEPTIONS[word];
+    }
+
+    // 'y' consonante (inicial o tras vocal) se marca como 'Y'
+    word = word.replace(/^y/, 'Y').replace(/([aeiouy])y/g, '$1Y');
+
+    const prefix = EN_R1_PREFIXES.find(p => word.startsWith(p));
+    const r1 = prefix ? prefix.length : regionAfter(word, 0, isEnglishVowel);
+    const r2 = regionAfter(word, r1, isEnglishVowel);
+    const inR1 = (suffix) => word.length - suffix.length >= r1;
+    const inR2 = (suffix) => word.length - suffix.length >= r2;
+    const replace = (suffix, replacement) => {
+        word = word.slice(0, word.length - suffix.length) + replacement;
+    };
+    const hasVowel = (text) => /[aeiouy]/.test(text);
+
+    // Paso 0: posesivos
+    const possessive = findLongestSuffix(word, ['\'s\'', '\'s', '\'']);
+    if (possessive) {
+        replace(possessive, '');
+    }
+
+    // Paso 1a: plurales
+    const step1a = findLongestSuffix(word, ['sses', 'ied', 'ies', 'us', 'ss', 's']);
+    if (step1a === 'sses') {
+        replace('sses', 'ss');
+    } else if (step1a === 'ied' || step1a === 'ies') {
+        replace(step1a, word.length > 4 ? 'i' : 'ie');
+    } else if (step1a === 's' && hasVowel(word.slice(0, -2))) {
+        replace('s', '');
+    }
+
+    if (EN_EXCEPTIONS_1A.has(word)) {
+        return word;
+    }
+
+    // Paso 1b: -eed, -ed, -ing
+    const step1b = findLongestSuffix(word, ['eed', 'eedly', 'ed', 'edly', 'ing', 'ingly']);
+    if (step1b === 'eed' || step1b === 'eedly') {
+        if (inR1(step1b)) {
+            replace(step1b, 'ee');
+        }
+    } else if (step1b && hasVowel(word.slice(0, -step1b.length))) {
+        replace(step1b, '');
+        if (/(?:at|bl|iz)$/.test(word)) {
+            word += 'e';
+        } else if (EN_DOUBLES.some(double => word.endsWith(double))) {
+            word = word.slice(0, -1);
+        } else if (r1 >= word.length && endsWithShortSyllable(word)) {
+            word += 'e';
+        }
+    }
+
+    // Paso 1c: 'y' final tras consonante (que no sea la primera letra) → 'i'
+    if (word.length > 2 && /[yY]$/.test(word) && !isEnglishVowel(word[word.length - 2])) {
+        replace('y', 'i');
+    }
+
+    // Paso 2
+    const step2 = findLongestSuffix(word, EN_STEP2);
+    if (step2 && inR1(step2[0])) {
+        const [suffix, replacement] = step2;
+        const before = word[word.length - suffix.length - 1];
+        if (suffix === 'ogi') {
+            if (before === 'l') {
+                replace(suffix, replacement);
+            }
+        } else if (suffix === 'li') {
+            if (before && EN_LI_ENDINGS.includes(before)) {
+                replace(suffix, replacement);
+            }
+        } else {
+            replace(suffix, replacement);
+        }
+    }
+
+    // Paso 3
+    const step3 = findLongestSuffix(word, EN_STEP3);
+    if (step3 && inR1(step3[0]) && (step3[0] !== 'ative' || inR2('ative'))) {
+        replace(step3[0], step3[1]);
+    }
+
+    // Paso 4
+    const step4 = findLongestSuffix(word, EN_STEP4);
+    if (step4 && inR2(step4)) {
+        if (step4 !== 'ion' || /[st]ion$/.test(word)) {
+            replace(step4, '');
+        }
+    }
+
+    // Paso 5: 'e' y 'l' finales
+    if (word.endsWith('e')) {
+        if (inR2('e') || (inR1('e') && !endsWithShortSyllable(word.slice(0, -1)))) {
+            replace('e', '');
+        }
+    } else if (word.endsWith('ll') && inR2('l')) {
+        replace('l', '');
+    }
+
+    return word.replace(/Y/g, 'y');
+}
+
+// ---------------------------------------------------------------------------
+// Español
+// ---------------------------------------------------------------------------
+
+const ES_VOWELS = 'aeiouáéíóúü';
+
+const ES_PRONOUNS = ['me', 'se', 'sela', 'selo', 'selas', 'selos', 'la', 'le', 'lo', 'las', 'les', 'los', 'nos'];
+
+/**
+ * Terminaciones verbales antes de un pronombre enclítico, sin tilde
+ */
+const ES_PRONOUN_VERB_ENDINGS = [
+    ['iéndo', 'iendo'], ['ándo', 'ando'], ['ár', 'ar'], ['ér', 'er'], ['ír', 'ir'],
+    ['ando', 'ando'], ['iendo', 'iendo'], ['ar', 'ar'], ['er', 'er'], ['ir', 'ir'], ['yendo', 'yendo']
+];
+
+const ES_STANDARD_SUFFIXES = [
+    'anza', 'anzas', 'ico', 'ica', 'icos', 'icas', 'ismo', 'ismos', 'able', 'ables', 'ible', 'ibles',
+    'ista', 'istas', 'oso', 'osa', 'osos', 'osas', 'amiento', 'amientos', 'imiento', 'imientos',
+    'adora', 'ador', 'ación', 'adoras', 'adores', 'aciones', 'ante', 'antes', 'ancia', 'ancias',
+    'logía', 'logías', 'ución', 'uciones', 'encia', 'encias', 'amente', 'mente',
+    'idad', 'idades', 'iva', 'ivo', 'ivas', 'ivos'
+];
+
+const ES_Y_VERB_SUFFIXES = ['ya', 'ye', 'yan', 'yen', 'yeron', 'yendo', 'yo', 'yó', 'yas', 'yes', 'yais', 'yamos'];
+
+const ES_VERB_SUFFIXES_GU = ['en', 'es', 'éis', 'emos'];
+
+const ES_VERB_SUFFIXES = [
+    'arían', 'arías', 'arán', 'arás', 'aríais', 'aría', 'aréis', 'aríamos', 'aremos', 'ará', 'aré',
+    'erían', 'erías', 'erán', 'erás', 'eríais', 'ería', 'eréis', 'eríamos', 'eremos', 'erá', 'eré',
+    'irían', 'irías', 'irán', 'irás', 'iríais', 'iría', 'iréis', 'iríamos', 'iremos', 'irá', 'iré',
+    'aba', 'ada', 'ida', 'ía', 'ara', 'iera', 'ad', 'ed', 'id', 'ase', 'iese', 'aste', 'iste', 'an',
+    'aban', 'ían', 'aran', 'ieran', 'asen', 'iesen', 'aron', 'ieron', 'ado', 'ido', 'ando', 'iendo',
+    'ió', 'ar', 'er', 'ir', 'as', 'abas', 'adas', 'idas', 'ías', 'aras', 'ieras', 'ases', 'ieses',
+    'ís', 'áis', 'abais', 'íais', 'arais', 'ierais', 'aseis', 'ieseis', 'asteis', 'isteis', 'ados',
+    'idos', 'amos', 'ábamos', 'íamos', 'imos', 'áramos', 'iéramos', 'iésemos', 'ásemos',
+    ...ES_VERB_SUFFIXES_GU
+];
+
+const ES_RESIDUAL_SUFFIXES = ['os', 'a', 'o', 'á', 'í', 'ó', 'e', 'é'];
+
+const ES_ACCENTS = { á: 'a', é: 'e', í: 'i', ó: 'o', ú: 'u' };
+
+function isSpanishVowel(char) {
+    return ES_VOWELS.includes(char);
+}
+
+/**
+ * Inicio de RV: tras la siguiente vocal si la segunda letra es consonante, tras
+ * la siguiente consonante si las dos primeras son vocales, o desde la cuarta letra
+ */
+function spanishRV(word) {
+    if (word.length < 2) {
+        return word.length;
+    }
+
+    if (isSpanishVowel(word[1]) && isSpanishVowel(word[0])) {
+        for (let i = 2; i < word.length; i++) {
+            if (!isSpanishVowel(word[i])) {
+                return i + 1;
+            }
+        }
+        return word.length;
+    }
+
+    if (!isSpanishVowel(word[1])) {
+        for (let i = 2; i < word.length; i++) {
+            if (isSpanishVowel(word[i])) {
+                return i + 1;
+            }
+        }
+        return word.length;
+    }
+
+    return Math.min(3, word.length);
+}
+
+/**
+ * Raíz Snowball de una palabra en español
+ * 
+ * @param {string} input - Palabra en minúsculas
+ * @returns {string} Raíz
+ */
+function stemSpanish(input) {
+    let word = input;
+    const rv = spanishRV(word);
+    const r1 = regionAfter(word, 0, isSpanishVowel);
+    const r2 = regionAfter(word, r1, isSpanishVowel);
+    const starts = (suffix) => word.length - suffix.length;
+    const inRV = (suffix) => starts(suffix) >= rv;
+    const inR1 = (suffix) => starts(suffix) >= r1;
+    const inR2 = (suffix) => starts(suffix) >= r2;
+    const replace = (suffix, replacement) => {
+        word = word.slice(0, word.length - suffix.length) + replacement;
+    };
+    // Quita `suffix` si la palabra termina así y está en R2
+    const removeInR2 = (suffix) => {
+        if (word.endsWith(suffix) && inR2(suffix)) {
+            replace(suffix, '');
+            return true;
+        }
+        return false;
+    };
+
+    // Paso 0: pronombres enclíticos (diciéndole → diciendo, comiéndoselo → comiendo)
+    const pronoun = findLongestSuffix(word, ES_PRONOUNS);
+    if (pronoun) {
+        const stem = word.slice(0, -pronoun.length);
+        const ending = findLongestSuffix(stem, ES_PRONOUN_VERB_ENDINGS);
+        if (ending && stem.length - ending[0].length >= rv
+            && (ending[0] !== 'yendo' || stem.endsWith('uyendo'))) {
+            word = stem.slice(0, stem.length - ending[0].length) + ending[1];
+        }
+    }
+
+    // Paso 1: sufijos derivativos
+    let removed = false;
+    const standard = findLongestSuffix(word, ES_STANDARD_SUFFIXES);
+    if (standard) {
+        if (['logía', 'logías'].includes(standard)) {
+            if (inR2(standard)) {
+                replace(standard, 'log');
+                removed = true;
+            }
+        } else if (['ución', 'uciones'].includes(standard)) {
+            if (inR2(standard)) {
+                replace(standard, 'u');
+                removed = true;
+            }
+        } else if (['encia', 'encias'].includes(standard)) {
+            if (inR2(standard)) {
+                replace(standard, 'ente');
+                removed = true;
+            }
+        } else if (standard === 'amente') {
+            if (inR1(standard)) {
+                replace(standard, '');
+                removed = true;
+                if (removeInR2('iv')) {
+                    removeInR2('at');
+                } else {
+                    ['os', 'ic', 'ad'].some(removeInR2);
+                }
+            }
+        } else if (inR2(standard)) {
+            replace(standard, '');
+            removed = true;
+            if (['adora', 'ador', 'ación', 'adoras', 'adores', 'aciones', 'ante', 'antes', 'ancia', 'ancias'].includes(standard)) {
+                removeInR2('ic');
+            } else if (standard === 'mente') {
+                ['ante', 'able', 'ible'].some(removeInR2);
+            } else if (['idad', 'idades'].includes(standard)) {
+                ['abil', 'ic', 'iv'].some(removeInR2);
+            } else if (['iva', 'ivo', 'ivas', 'ivos'].includes(standard)) {
+                removeInR2('at');
+            }
+        }
+    }
+
+    if (!removed) {
+        // Paso 2a: verbos con 'y' precedida de 'u' (huyendo, construyó)
+        const ySuffix = findLongestSuffix(word, ES_Y_VERB_SUFFIXES);
+        if (ySuffix && inRV(ySuffix) && word[starts(ySuffix) - 1] === 'u') {
+            replace(ySuffix, '');
+            removed = true;
+        }
+    }
+
+    if (!removed) {
+        // Paso 2b: otras terminaciones verbales
+        const verbSuffix = findLongestSuffix(word, ES_VERB_SUFFIXES);
+        if (verbSuffix && inRV(verbSuffix)) {
+            replace(verbSuffix, '');
+            if (ES_VERB_SUFFIXES_GU.includes(verbSuffix) && word.endsWith('gu')) {
+                word = word.slice(0, -1);
+            }
+        }
+    }
+
+    // Paso 3: vocal residual
+    const residual = findLongestSuffix(word, ES_RESIDUAL_SUFFIXES);
+    if (residual && inRV(residual)) {
+        replace(residual, '');
+        if ((residual === 'e' || residual === 'é') && word.endsWith('gu') && word.length - 1 >= rv) {
+            word = word.slice(0, -1);
+        }
+    }
+
+    return word.replace(/[áéíóú]/g, char => ES_ACCENTS[char]);
+}
+
+// ---------------------------------------------------------------------------
+// API
+// ---------------------------------------------------------------------------
+
+const STEMMERS = {
+    en: stemEnglish,
+    es: stemSpanish
+};
+
+/**
+ * Valida la opción stem: true (inglés), 'en' o 'es'
+ * 
+ * @param {boolean|string} option - Opción stem
+ * @returns {string} Idioma
+ * @throws {Error} Si el idioma no tiene stemmer
+ */
+function validateStemLanguage(option) {
+    const language = option === true ? 'en' : option;
+
+    if (!STEM_LANGUAGES.includes(language)) {
+        throw new Error(`Idioma de stemming no soportado: ${option} (disponibles: ${STEM_LANGUAGES.join(', ')})`);
+    }
+
+    return language;
+}
+
+/**
+ * Crea el stemmer de un idioma, con caché de las palabras ya vistas
+ * 
+ * @param {boolean|string} option - Ver validateStemLanguage
+ * @returns {Function} (word) => raíz
+ */
+function createStemmer(option) {
+    const stem = STEMMERS[validateStemLanguage(option)];
+    const cache = new Map();
+
+    return (word) => {
+        let result = cache.get(word);
+        if (result === undefined) {
+            result = stem(word);
+            cache.set(word, result);
+        }
+        return result;
+    };
+}
+
+/**
+ * Crea el registro de formas de superficie de cada raíz
+ * 
+ * Como las tablas de colocaciones, los datos viajan como { keys, counts }
+ * (arrays paralelos, claves "raíz\tforma"): se clonan y se suman mucho más
+ * rápido que un objeto por raíz.
+ * 
+ * @returns {{add: Function, result: Function}} add(stem, surface) por cada término contado;
+ *   result() devuelve los datos serializables { keys, counts }
+ */
+function createFormsTracker() {
+    const forms = new Map();
+
+    return {
+        add(stem, surface) {
+            const key = `${stem}\t${surface}`;
+            forms.set(key, (forms.get(key) || 0) + 1);
+        },
+
+        result() {
+            return { keys: [...forms.keys()], counts: [...forms.values()] };
+        }
+    };
+}
+
+/**
+ * Combina las formas de superficie de varios conteos
+ * 
+ * @param {Array<Object>} items - Resultados de createFormsTracker().result() (se ignoran null/undefined)
+ * @returns {Object|null} Formas combinadas, o null si no hay ninguna
+ */
+function mergeForms(items) {
+    const present = items.filter(Boolean);
+    if (present.length === 0) {
+        return null;
+    }
+    if (present.length === 1) {
+        return present[0];
+    }
+
+    const total = new Map();
+    for (const { keys, counts } of present) {
+        for (let i = 0; i < keys.length; i++) {
+            total.set(keys[i], (total.get(keys[i]) || 0) + counts[i]);
+        }
+    }
+    return { keys: [...total.keys()], counts: [...total.values()] };
+}
+
+/**
+ * Formas de superficie de algunas raíces, de la más a la menos frecuente
+ * 
+ * @param {Object} forms - Formas de createFormsTracker().result() o mergeForms
+ * @param {Iterable<string>} stems - Raíces a buscar
+ * @returns {Map<string, string[]>} Formas de cada raíz (vacío si no tiene)
+ */
+function getSurfaceForms(forms, stems) {
+    const found = new Map([...stems].map(stem => [stem, []]));
+
+    for (let i = 0; forms && i < forms.keys.length; i++) {
+        const key = forms.keys[i];
+        const separator = key.indexOf('\t');
+        const entries = found.get(key.slice(0, separator));
+        if (entries) {
+            entries.push([key.slice(separator + 1), forms.counts[i]]);
+        }
+    }
+
+    for (const [stem, entries] of found) {
+        found.set(stem, entries
+            .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+            .map(([surface]) => surface));
+    }
+    return found;
+}
+
+/**
+ * Etiqueta de un término del top: "whale (whale, whales, whaling)"
+ * 
+ * @param {{word: string, forms?: string[]}} item - Elemento de getTopWords
+ * @returns {string} La raíz con sus formas, o solo la palabra si no hay formas
+ */
+function formatTermLabel(item) {
+    if (!item.forms || item.forms.length === 0) {
+        return item.word;
+    }
+
+    const shown = item.forms.slice(0, MAX_DISPLAYED_FORMS).join(', ');
+    return `${item.word} (${shown}${item.forms.length > MAX_DISPLAYED_FORMS ? ', …' : ''})`;
+}
+
+module.exports = {
+    createStemmer,
+    createFormsTracker,
+    mergeForms,
+    getSurfaceForms,
+    formatTermLabel,
+    validateStemLanguage,
+    stemEnglish,
+    stemSpanish,
+    STEM_LANGUAGES
+};
@@ -0,0 +1,77 @@
+/**
+ * StopWords - Listas de palabras vacías para filtrar del conteo
+ * 
+ * Incluye listas para inglés (en) y español (es) en este mismo directorio,
+ * una palabra por línea. Los archivos de usuario usan el mismo formato
+ * (también se aceptan palabras separadas por espacios o comas) y las
+ * líneas que empiezan con '#' se ignoran.
+ * 
+ * @module stopwords
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Idiomas con lista incluida
+ */
+const BUNDLED_LANGUAGES = fs.readdirSync(__dirname)
+    .filter(f => f.endsWith('.txt'))
+    .map(f => path.basename(f, '.txt'))
+    .sort();
+
+/**
+ * Parsea el contenido de una lista de stop words
+ * 
+ * @param {string} content - Contenido del archivo
+ * @returns {string[]} Palabras de la lista
+ */
+function parseStopwordList(content) {
+    const words = [];
+
+    for (const line of content.split(/\r?\n/)) {
+        const trimmed = line.trim();
+        if (trimmed.length === 0 || trimmed.startsWith('#')) {
+            continue;
+        }
+        words.push(...trimmed.split(/[\s,]+/).filter(word => word.length > 0));
+    }
+
+    return words;
+}
+
+/**
+ * Carga y combina listas de stop words
+ * 
+ * @param {Object} options - Qué listas cargar
+ * @param {string[]} options.languages - Códigos de idioma incluidos (ej: ['en', 'es'])
+ * @param {string[]} options.files - Rutas a listas del usuario
+ * @param {string[]} options.words - Palabras adicionales
+ * @returns {Set<string>} Conjunto de stop words (en minúsculas)
+ */
+function loadStopwords({ languages = [], files = [], words = [] } = {}) {
+    const stopwords = new Set();
+    const add = (list) => list.forEach(word => stopwords.add(word.toLowerCase()));
+
+    for (const language of languages) {
+        const code = language.trim().toLowerCase();
+        if (!BUNDLED_LANGUAGES.includes(code)) {
+            throw new Error(`No hay lista de stop words para '${language}' (disponibles: ${BUNDLED_LANGUAGES.join(', ')})`);
+        }
+        add(parseStopwordList(fs.readFileSync(path.join(__dirname, `${code}.txt`), 'utf8')));
+    }
+
+    for (const file of files) {
+        add(parseStopwordList(fs.readFileSync(file, 'utf8')));
+    }
+
+    add(words);
+
+    return stopwords;
+}
+
+module.exports = {
+    loadStopwords,
+    parseStopwordList,
+    BUNDLED_LANGUAGES
+};
@@ -0,0 +1,501 @@
+/**
+ * Tokenizer - Estrategias de tokenización y normalización Unicode
+ * 
+ * Convierte una línea de texto en una lista de palabras normalizadas.
+ * Las estrategias incluidas son:
+ * - unicode:   separa por todo lo que no sea letra, marca o número (\p{L}, \p{M}, \p{N})
+ * - segmenter: usa Intl.Segmenter para segmentar palabras (necesario para CJK)
+ * - legacy:    la regex original basada en \w y vocales acentuadas
+ * 
+ * También se puede pasar un tokenizer propio (recibe la línea ya normalizada y
+ * en minúsculas): una función (line) => string[],
+ * un objeto { pattern, flags } con la regex que define una palabra, o la ruta
+ * a un módulo que exporte dicha función (útil para workers, que no pueden
+ * recibir funciones por postMessage).
+ * 
+ * @module tokenizer
+ */
+
+const path = require('path');
+
+/**
+ * Marcas diacríticas combinantes que se eliminan al plegar acentos.
+ * Solo se usa el bloque U+0300-U+036F para no romper escrituras donde
+ * las marcas son parte de la letra (p. ej. signos vocálicos en devanagari).
+ */
+const COMBINING_DIACRITICS = /[\u0300-\u036f]/g;
+
+const NORMALIZATION_FORMS = ['NFC', 'NFD', 'NFKC', 'NFKD'];
+
+/**
+ * Estrategia original: \w más vocales acentuadas de español y francés
+ * 
+ * @param {string} line - Línea en minúsculas
+ * @returns {string[]} Palabras
+ */
+function legacyStrategy(line) {
+    return line
+        .replace(/[^\w\sáéíóúñüàèìòùâêîôûäëïöü]/gi, ' ')
+        .split(/\s+/)
+        .filter(word => word.length > 0);
+}
+
+/**
+ * Estrategia Unicode: conserva letras, marcas y números de cualquier escritura
+ * 
+ * @param {string} line - Línea en minúsculas
+ * @returns {string[]} Palabras
+ */
+function unicodeStrategy(line) {
+    return line
+        .replace(/[^\p{L}\p{M}\p{N}_\s]/gu, ' ')
+        .split(/\s+/u)
+        .filter(word => word.length > 0);
+}
+
+/**
+ * Crea la estrategia basada en Intl.Segmenter para un locale
+ * 
+ * @param {string} locale - Locale para la segmentación (p. ej. 'ja', 'zh')
+ * @returns {Function} Estrategia (line) => string[]
+ */
+function createSegmenterStrategy(locale) {
+    if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') {
+        throw new Error('El tokenizer "segmenter" requiere Intl.Segmenter (Node.js >= 16)');
+    }
+
+    const segmenter = new Intl.Segmenter(locale, { granularity: 'word' });
+
+    return (line) => {
+        const words = [];
+        for (const { segment, isWordLike } of segmenter.segment(line)) {
+            if (isWordLike) {
+                words.push(segment);
+            }
+        }
+        return words;
+    };
+}
+
+/**
+ * Crea una estrategia a partir de una regex que describe una palabra
+ * 
+ * @param {string|RegExp} pattern - Regex de una palabra
+ * @param {string} flags - Flags adicionales (siempre se añaden 'g' y 'u')
+ * @returns {Function} Estrategia (line) => string[]
+ */
+function createPatternStrategy(pattern, flags = '') {
+    const source = pattern instanceof RegExp ? pattern.source : String(pattern);
+    const allFlags = [...new Set(`${pattern instanceof RegExp ? pattern.flags : ''}${flags}gu`)].join('');
+    const regex = new RegExp(source, allFlags);
+
+    return (line) => {
+        const words = [];
+        for (const match of line.matchAll(regex)) {
+            if (match[0].length > 0) {
+                words.push(match[0]);
+            }
+        }
+        return words;
+    };
+}
+
+/**
+ * Largo máximo de la regex de un tokenizer que llega por la API (ver validatePatternTokenizer)
+ */
+const MAX_PATTERN_LENGTH = 100;
+
+/**
+ * Diferencia máxima entre el mínimo y el máximo de un cuantificador {n,m} para
+ * contarlo como acotado: \w{0,1000} se comporta como \w* (ver findUnsafeConstruct)
+ */
+const MAX_BOUNDED_SPAN = 10;
+
+/**
+ * Parsea una regex ya compilada con la flag u (la sintaxis es estricta, así que
+ * no hay que validar nada) en secuencias de átomos y grupos
+ * 
+ * @param {string} source - Fuente de la regex
+ * @returns {{alternatives: Array, backreference: string|null}} Cada alternativa es una
+ *   lista de { source } (átomo) o { alternatives } (grupo), con quantifier { min, max }
+ *   o null y zeroWidth para anclas y lookarounds
+ */
+function parsePattern(source) {
+    let i = 0;
+    let backreference = null;
+
+    const readQuantifier = () => {
+        let quantifier = null;
+        if (source[i] === '*') {
+            quantifier = { min: 0, max: Infinity };
+        } else if (source[i] === '+') {
+            quantifier = { min: 1, max: Infinity };
+        } else if (source[i] === '?') {
+            quantifier = { min: 0, max: 1 };
+        } else if (source[i] === '{') {
+            const match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i));
+            const min = Number(match[1]);
+            quantifier = { min, max: match[2] ? (match[3] ? Number(match[3]) : Infinity) : min };
+            i += match[0].length - 1;
+        }
+        if (quantifier) {
+            i++;
+            // Perezoso (*?, +?): mismo backtracking
+            if (source[i] === '?') {
+                i++;
+            }
+        }
+        return quantifier;
+    };
+
+    const readEscape = () => {
+        const next = source[i + 1];
+        if (/[1-9]/.test(next) || next === 'k') {
+            backreference = backreference || `\\${next}${next === 'k' ? '<...>' : ''}`;
+        }
+        let end = i + 2;
+        if (/[pPk]/.test(next) || (next === 'u' && source[i + 2] === '{')) {
+            end = source.indexOf(next === 'k' ? '>' : '}', i) + 1;
+        } else if (next === 'u') {
+            end = i + 6;
+        } else if (next === 'x') {
+            end = i + 4;
+        } else if (next === 'c') {
+            end = i + 3;
+        }
+        const item = { source: source.slice(i, end), zeroWidth: next === 'b' || next === 'B' };
+        i = end;
+        return item;
+    };
+
+    const parseAlternatives = () => {
+        const alternatives = [[]];
+        while (i < source.length && source[i] !== ')') {
+            const char = source[i];
+            let item;
+            if (char === '|') {
+                alternatives.push([]);
+                i++;
+                continue;
+            } else if (char === '(') {
+                // (?:, (?=, (?!, (?<=, (?<! y (?<nombre>
+                const prefix = /^\((?:\?(?::|<?[=!]|<[^>]*>))?/.exec(source.slice(i))[0];
+                i += prefix.length;
+                item = { alternatives: parseAlternatives(), zeroWidth: /[=!]$/.test(prefix) };
+                i++;
+            } else if (char === '\\') {
+                item = readEscape();
+            } else if (char === '[') {
+                // Clase de caracteres: hasta el ] sin escapar
+                const start = i;
+                for (i++; source[i] !== ']'; i++) {
+                    if (source[i] === '\\') {
+                        i++;
+                    }
+                }
+                i++;
+                item = { source: source.slice(start, i) };
+            } else {
+                const length = String.fromCodePoint(source.codePointAt(i)).length;
+                item = { source: source.slice(i, i + length), zeroWidth: char === '^' || char === '$' };
+                i += length;
+            }
+            item.quantifier = readQuantifier();
+            alternatives[alternatives.length - 1].push(item);
+        }
+        return alternatives;
+    };
+
+    return { alternatives: parseAlternatives(), backreference };
+}
+
+/**
+ * Caracteres con los que se prueba si dos átomos pueden tomar el mismo: Latin
+ * completo, una muestra del resto del plano básico, un emoji y los caracteres
+ * que nombra la regex (así entran los extremos de sus rangos)
+ * 
+ * @param {string} source - Fuente de la regex
+ * @returns {string[]}
+ */
+function getSampleCharacters(source) {
+    const codePoints = new Set([0x1F600]);
+    for (let codePoint = 0; codePoint < 0x250; codePoint++) {
+        codePoints.add(codePoint);
+    }
+    for (let codePoint = 0x250; codePoint < 0x10000; codePoint += 0x3f) {
+        codePoints.add(codePoint);
+    }
+    for (const char of source) {
+        codePoints.add(char.codePointAt(0));
+    }
+    for (const match of source.matchAll(/\\u\{([0-9a-fA-F]+)\}|\\u([0-9a-fA-F]{4})|\\x([0-9a-fA-F]{2})/g)) {
+        codePoints.add(parseInt(match[1] || match[2] || match[3], 16));
+    }
+    return [...codePoints]
+        .filter(codePoint => codePoint <= 0x10FFFF && (codePoint < 0xD800 || codePoint > 0xDFFF))
+        .map(codePoint => String.fromCodePoint(codePoint));
+}
+
+/**
+ * Busca en una regex las construcciones que pueden hacer backtracking
+ * catastrófico:
+ * 
+ * - Referencias hacia atrás (\1, \k<n>)
+ * - Un grupo repetido que ya tiene cuantificadores (también ?) o alternativas:
+ *   (a+)+, (a?a?)+, (a|ab)*. El tiempo crece de forma exponencial
+ * - Dos cuantificadores sin límite seguidos cuyos átomos pueden tomar el mismo
+ *   caracter, con solo átomos que el primero también toma (u opcionales) en el
+ *   medio: \w*\w*, \w+a\w+, \w*\s?\w*. Cada uno suma un grado al tiempo polinómico
+ * 
+ * Si dos átomos se solapan se prueba con getSampleCharacters; un átomo sin
+ * límite es *, +, {n,} o un {n,m} con más de MAX_BOUNDED_SPAN de diferencia.
+ * 
+ * @param {string} source - Fuente de la regex, ya compilada con la flag u
+ * @param {string} flags - Flags de la regex (i y s cambian qué toma cada átomo)
+ * @returns {string|null} Descripción de la primera construcción encontrada, o null
+ */
+function findUnsafeConstruct(source, flags = '') {
+    const { alternatives, backreference } = parsePattern(source);
+    if (backreference) {
+        return `referencia hacia atrás (${backreference})`;
+    }
+
+    const hasQuantifiers = groupAlternatives => groupAlternatives.length > 1 ||
+        groupAlternatives.some(sequence => sequence.some(item => item.quantifier || (item.alternatives && hasQuantifiers(item.alternatives))));
+    const findNestedRepeat = groupAlternatives => groupAlternatives.some(sequence => sequence.some(item => item.alternatives &&
+        ((item.quantifier && item.quantifier.max > 1 && hasQuantifiers(item.alternatives)) || findNestedRepeat(item.alternatives))));
+    if (findNestedRepeat(alternatives)) {
+        return 'un grupo repetido que ya tiene cuantificadores o alternativas (ej: (a+)+, (a?a?)+ o (a|ab)*)';
+    }
+
+    // Qué caracteres de muestra toma cada átomo
+    const samples = getSampleCharacters(source);
+    const atomFlags = `u${flags.replace(/[^is]/g, '')}`;
+    const sets = new Map();
+    const getSet = (atomSource) => {
+        if (!sets.has(atomSource)) {
+            const regex = new RegExp(`^(?:${atomSource})$`, atomFlags);
+            sets.set(atomSource, samples.map(sample => regex.test(sample)));
+        }
+        return sets.get(atomSource);
+    };
+    const overlaps = (a, b) => a.some((matches, index) => matches && b[index]);
+    const union = sequenceSets => sequenceSets.reduce((all, set) => all.map((matches, index) => matches || set[index]));
+    const collectSets = groupAlternatives => groupAlternatives.flat().flatMap(item => {
+        if (item.zeroWidth) {
+            return [];
+        }
+        return item.alternatives ? collectSets(item.alternatives) : [getSet(item.source)];
+    });
+    const isUnbounded = quantifier => Boolean(quantifier) &&
+        (quantifier.max === Infinity || quantifier.max - quantifier.min > MAX_BOUNDED_SPAN);
+
+    // pending: conjuntos de los átomos sin límite que todavía pueden seguir
+    // tomando caracteres; devuelve los que quedan al final de la secuencia
+    let unsafe = false;
+    const step = (pending, set, quantifier) => {
+        const min = quantifier ? quantifier.min : 1;
+        if (isUnbounded(quantifier) && pending.some(previous => overlaps(previous, set))) {
+            unsafe = true;
+        }
+        const next = pending.filter(previous => min === 0 || overlaps(previous, set));
+        return isUnbounded(quantifier) ? [...next, set] : next;
+    };
+    const walk = (sequence, pending) => sequence.reduce((current, item) => {
+        if (item.zeroWidth) {
+            if (item.alternatives) {
+                item.alternatives.forEach(lookaround => walk(lookaround, []));
+            }
+            return current;
+        }
+        if (!item.alternatives) {
+            return step(current, getSet(item.source), item.quantifier);
+        }
+        const sets = collectSets(item.alternatives);
+        if (sets.length === 0) {
+            return current;
+        }
+        // Un grupo repetido solo tiene átomos fijos: cuenta como un átomo más
+        if (item.quantifier && item.quantifier.max > 1) {
+            item.alternatives.forEach(inner => walk(inner, []));
+            return step(current, union(sets), item.quantifier);
+        }
+        const after = item.alternatives.flatMap(inner => walk(inner, current));
+        return item.quantifier && item.quantifier.min === 0 ? [...new Set([...current, ...after])] : after;
+    }, pending);
+
+    alternatives.forEach(sequence => walk(sequence, []));
+    return unsafe
+        ? 'cuantificadores sin límite seguidos que pueden tomar los mismos caracteres (ej: \\w*\\w* o \\w+a\\w+)'
+        : null;
+}
+
+/**
+ * Valida un tokenizer { pattern, flags } que llega de afuera (Lambda, servidor)
+ * y compila su regex
+ * 
+ * La regex corre sobre cada línea, así que se rechazan las que pueden tardar
+ * un tiempo exponencial o polinómico en algunas entradas: más largas que
+ * MAX_PATTERN_LENGTH o con las construcciones de findUnsafeConstruct.
+ * 
+ * @param {Object} tokenizer - { pattern, flags }
+ * @returns {Function} Estrategia (line) => string[]
+ * @throws {Error} Si la regex no es válida o no es segura
+ */
+function validatePatternTokenizer({ pattern, flags = '' }) {
+    if (typeof pattern !== 'string' || pattern.length === 0 || pattern.length > MAX_PATTERN_LENGTH) {
+        throw new Error(`tokenizer.pattern debe ser una regex de 1 a ${MAX_PATTERN_LENGTH} caracteres`);
+    }
+    if (typeof flags !== 'string' || !/^[gimsu]*$/.test(flags)) {
+        throw new Error('tokenizer.flags solo acepta las flags i, m y s (g y u se agregan siempre)');
+    }
+
+    // Compilar primero: findUnsafeConstruct parsea una regex que ya se sabe válida
+    let strategy;
+    try {
+        strategy = createPatternStrategy(pattern, flags);
+    } catch (error) {
+        throw new Error(`tokenizer.pattern inválido: ${error.message}`);
+    }
+
+    const unsafe = findUnsafeConstruct(pattern, flags);
+    if (unsafe) {
+        throw new Error(`tokenizer.pattern no puede tener ${unsafe}: puede tardar demasiado en algunas líneas`);
+    }
+    return strategy;
+}
+
+/**
+ * Carga un tokenizer desde un módulo en disco
+ * 
+ * El módulo debe exportar una función (line) => string[] o un objeto
+ * con un método tokenize.
+ * 
+ * @param {string} modulePath - Ruta al módulo
+ * @returns {Function} Estrategia (line) => string[]
+ */
+function loadTokenizerModule(modulePath) {
+    const loaded = require(path.resolve(modulePath));
+    const tokenize = typeof loaded === 'function' ? loaded : loaded && loaded.tokenize;
+
+    if (typeof tokenize !== 'function') {
+        throw new Error(`El módulo ${modulePath} no exporta una función de tokenización`);
+    }
+
+    return tokenize;
+}
+
+/**
+ * Indica si un valor de la opción tokenizer es una ruta a un módulo
+ * 
+ * @param {*} tokenizer - Valor de la opción
+ * @returns {boolean}
+ */
+function isTokenizerModulePath(tokenizer) {
+    return typeof tokenizer === 'string' && /[\\/]|\.[cm]?js$/.test(tokenizer);
+}
+
+const BUILTIN_TOKENIZERS = ['unicode', 'segmenter', 'legacy'];
+
+/**
+ * Resuelve la estrategia de tokenización a partir de las opciones
+ * 
+ * @param {*} tokenizer - Nombre, función, { pattern, flags } o ruta a módulo
+ * @param {string} locale - Locale para el segmenter
+ * @returns {Function} Estrategia (line) => string[]
+ */
+function resolveStrategy(tokenizer, locale) {
+    if (typeof tokenizer === 'function') {
+        return tokenizer;
+    }
+
+    if (tokenizer instanceof RegExp) {
+        return createPatternStrategy(tokenizer);
+    }
+
+    if (tokenizer && typeof tokenizer === 'object' && tokenizer.pattern) {
+        return createPatternStrategy(tokenizer.pattern, tokenizer.flags);
+    }
+
+    switch (tokenizer) {
+        case undefined:
+        case null:
+        case 'unicode':
+            return unicodeStrategy;
+        case 'segmenter':
+            return createSegmenterStrategy(locale);
+        case 'legacy':
+            return legacyStrategy;
+    }
+
+    if (isTokenizerModulePath(tokenizer)) {
+        return loadTokenizerModule(tokenizer);
+    }
+
+    throw new Error(`Tokenizer desconocido: ${tokenizer} (disponibles: ${BUILTIN_TOKENIZERS.join(', ')})`);
+}
+
+/**
+ * Crea una función que convierte una línea en palabras normalizadas
+ * 
+ * Orden de aplicación: normalización Unicode de la línea → minúsculas →
+ * tokenización → plegado de acentos (opcional) sobre cada palabra.
+ * 
+ * @param {Object} options - Opciones de tokenización
+ * @param {string|Function|Object} options.tokenizer - Estrategia (default: 'unicode')
+ * @param {string} options.locale - Locale para minúsculas y segmenter (default: sin locale)
+ * @param {string} options.normalization - Forma Unicode: NFC, NFD, NFKC o NFKD (default: ninguna)
+ * @param {boolean} options.foldAccents - Quitar diacríticos: "canción" → "cancion" (default: false)
+ * @returns {Function} Función (line) => string[]
+ */
+function createTokenizer(options = {}) {
+    const { tokenizer, locale, normalization, foldAccents = false } = options;
+
+    if (normalization && !NORMALIZATION_FORMS.includes(normalization)) {
+        throw new Error(`Forma de normalización inválida: ${normalization} (disponibles: ${NORMALIZATION_FORMS.join(', ')})`);
+    }
+
+    const strategy = resolveStrategy(tokenizer, locale);
+
+    return (line) => {
+        let text = normalization ? line.normalize(normalization) : line;
+        text = locale ? text.toLocaleLowerCase(locale) : text.toLowerCase();
+
+        const words = strategy(text);
+
+        if (!foldAccents) {
+            return words;
+        }
+
+        const folded = [];
+        for (const word of words) {
+            const plain = word.normalize('NFD').replace(COMBINING_DIACRITICS, '').normalize('NFC');
+            if (plain.length > 0) {
+                folded.push(plain);
+            }
+        }
+        return folded;
+    };
+}
+
+/**
+ * Extrae las opciones de tokenización de un objeto de opciones más amplio.
+ * El resultado es serializable si el tokenizer no es una función.
+ * 
+ * @param {Object} options - Opciones de countWords, CLI o Lambda
+ * @returns {Object} Solo { tokenizer, locale, normalization, foldAccents }
+ */
+function pickTokenizerOptions(options = {}) {
+    const { tokenizer, locale, normalization, foldAccents } = options;
+    return { tokenizer, locale, normalization, foldAccents };
+}
+
+module.exports = {
+    createTokenizer,
+    pickTokenizerOptions,
+    validatePatternTokenizer,
+    isTokenizerModulePath,
+    BUILTIN_TOKENIZERS,
+    NORMALIZATION_FORMS,
+    COMBINING_DIACRITICS
+};
@@ -0,0 +1,301 @@
+/**
+ * Watcher - Recuento incremental de un conjunto de archivos que cambia (--watch)
+ * 
+ * Cuenta todos los archivos una vez y después, cada `interval` ms, vuelve a
+ * expandir las rutas (para ver archivos nuevos) y compara el tamaño y la
+ * fecha de modificación de cada uno con los del último conteo (ver
+ * checkpoint.getFileStamp). Solo los archivos nuevos o modificados se cuentan
+ * de nuevo, con los workers del pool; el Map combinado se actualiza restando
+ * el conteo anterior del archivo y sumando el nuevo, sin tocar los demás. Los
+ * archivos borrados se restan de los totales.
+ * 
+ * Se revisa por sondeo en lugar de fs.watch: funciona igual en todos los
+ * sistemas y en discos de red, y un archivo que se sigue escribiendo mientras
+ * se cuenta simplemente se vuelve a contar en la siguiente revisión.
+ * 
+ * Solo conteo exacto de palabras: un sketch no permite restar, y las
+ * estadísticas léxicas, la legibilidad y las colocaciones se calculan con
+ * datos que no se guardan por archivo.
+ * 
+ * @module watcher
+ */
+
+const os = require('os');
+const { processFilesInParallel } = require('./parallelProcessor');
+const { createWorkerPool } = require('./workerPool');
+const { getFileStamp } = require('./checkpoint');
+const { mergeForms } = require('./stemmer');
+
+/**
+ * Milisegundos entre revisiones por defecto
+ */
+const DEFAULT_WATCH_INTERVAL = 2000;
+
+/**
+ * Valida las opciones de conteo para el modo watch
+ * 
+ * @param {Object} countOptions - Opciones de conteo (ver processFilesInParallel)
+ * @throws {Error} Si alguna opción no se puede actualizar de forma incremental
+ */
+function validateWatchOptions(countOptions) {
+    const unsupported = [
+        ['approximate', 'el modo aproximado'],
+        ['lexicalStats', 'las estadísticas léxicas'],
+        ['readability', 'la legibilidad'],
+        ['collocations', 'las colocaciones'],
+        ['checkpoint', 'los checkpoints']
+    ].filter(([option]) => countOptions[option]);
+
+    if (unsupported.length > 0) {
+        throw new Error(`El modo watch solo cuenta palabras; no se puede combinar con ${unsupported.map(([, label]) => label).join(', ')}`);
+    }
+}
+
+/**
+ * Resta los conteos de `map` de `target`, quitando las palabras que quedan en 0
+ */
+function subtractMap(target, map) {
+    for (const [word, count] of map) {
+        const remaining = (target.get(word) || 0) - count;
+        if (remaining > 0) {
+            target.set(word, remaining);
+        } else {
+            target.delete(word);
+        }
+    }
+}
+
+/**
+ * Crea los totales de un conjunto de archivos que se pueden actualizar por archivo
+ * 
+ * @param {number} ngram - Tamaño de n-grama de los conteos
+ * @returns {{set: Function, fail: Function, remove: Function, results: Function}}
+ */
+function createCorpusTotals(ngram = 1) {
+    // Resultado de cada archivo (con su wordMap) y error de los que fallaron
+    const entries = new Map();
+    const errors = new Map();
+    const combinedWordMap = new Map();
+    let totalWords = 0;
+    let totalLinesProcessed = 0;
+
+    // Deja de sumar el conteo actual del archivo, sin sacarlo de `entries`
+    const subtract = (filePath) => {
+        const entry = entries.get(filePath);
+        if (entry) {
+            subtractMap(combinedWordMap, entry.wordMap);
+            totalWords -= entry.totalWords;
+            totalLinesProcessed -= entry.linesProcessed;
+        }
+        errors.delete(filePath);
+    };
+
+    const remove = (filePath) => {
+        subtract(filePath);
+        entries.delete(filePath);
+    };
+
+    return {
+        /**
+         * Reemplaza el conteo de un archivo (resultado de processFilesInParallel con keepFileMaps).
+         * Un archivo que ya estaba conserva su lugar en la lista
+         */
+        set(entry) {
+            subtract(entry.filePath);
+            entries.set(entry.filePath, entry);
+            for (const [word, count] of entry.wordMap) {
+                combinedWordMap.set(word, (combinedWordMap.get(word) || 0) + count);
+            }
+            totalWords += entry.totalWords;
+            totalLinesProcessed += entry.linesProcessed;
+        },
+
+        /**
+         * Marca un archivo como fallido: su conteo anterior deja de sumarse
+         */
+        fail(filePath, error) {
+            remove(filePath);
+            errors.set(filePath, error);
+        },
+
+        remove,
+
+        /**
+         * Resultados con la forma de processFilesInParallel (ver report.buildReport)
+         */
+        results() {
+            const successful = [...entries.values()];
+            const forms = mergeForms(successful.map(entry => entry.forms));
+
+            return {
+                successful,
+                failed: [...errors].map(([filePath, error]) => ({ filePath, error })),
+                combinedWordMap,
+                totalWords,
+                totalUniqueWords: combinedWordMap.size,
+                totalLinesProcessed,
+                ngram,
+                approximate: null,
+                ...(forms && { forms })
+            };
+        }
+    };
+}
+
+/**
+ * Cuenta un conjunto de archivos y lo mantiene actualizado mientras cambia
+ * 
+ * @param {Function} expand - () => string[] con los archivos a contar; se llama en cada
+ *   revisión, así que los archivos nuevos que coincidan se agregan solos
+ * @param {Object} options - Opciones
+ * @param {Object} options.countOptions - Opciones de conteo de processFilesInParallel
+ *   (tokenizer, stopwords, ngram, stem...). Ver validateWatchOptions
+ * @param {number} options.interval - Milisegundos entre revisiones (default: 2000)
+ * @param {Object} options.pool - Pool de workers a usar. Si no se indica, se crea uno que
+ *   se destruye en close()
+ * @param {number} options.maxWorkers - Tamaño del pool propio (default: CPUs disponibles)
+ * @param {boolean} options.chunked - Dividir archivos grandes en rangos (default: false)
+ * @param {Function} options.onUpdate - (results, changes) después del primer conteo y de cada
+ *   revisión con cambios. results tiene la forma de processFilesInParallel y changes es
+ *   { initial, added, changed, removed }
+ * @param {Function} options.onError - (error) si falla una revisión; el watcher sigue
+ * @param {Function} options.log - Mensajes de los workers (default: ninguno)
+ * @returns {Promise<{results: Function, close: Function}>} Se resuelve tras el primer conteo;
+ *   close() deja de revisar y espera la revisión en curso
+ */
+async function watchFiles(expand, options = {}) {
+    const countOptions = options.countOptions ?? {};
+    const interval = options.interval ?? DEFAULT_WATCH_INTERVAL;
+    const onUpdate = options.onUpdate ?? (() => {});
+    const onError = options.onError ?? (() => {});
+    const log = options.log ?? (() => {});
+
+    if (!Number.isFinite(interval) || interval <= 0) {
+        throw new Error(`Intervalo de revisión inválido: ${options.interval} (debe ser un número de milisegundos > 0)`);
+    }
+    validateWatchOptions(countOptions);
+
+    const ownPool = !options.pool;
+    const pool = options.pool ?? createWorkerPool(options.maxWorkers ?? os.cpus().length);
+    const totals = createCorpusTotals(countOptions.ngram ?? 1);
+    // Marca { size, mtimeMs } de cada archivo al momento de su último conteo
+    const stamps = new Map();
+
+    const scan = async (initial) => {
+        const startTime = Date.now();
+        const current = new Map();
+        for (const filePath of expand()) {
+            const stamp = getFileStamp(filePath);
+            // Un archivo borrado entre la expansión y el stat se trata como borrado
+            if (stamp) {
+                current.set(filePath, stamp);
+            }
+        }
+
+        const removed = [...stamps.keys()].filter(filePath => !current.has(filePath));
+        const added = [];
+        const changed = [];
+        for (const [filePath, stamp] of current) {
+            const previous = stamps.get(filePath);
+            if (!previous) {
+                added.push(filePath);
+            } else if (previous.size !== stamp.size || previous.mtimeMs !== stamp.mtimeMs) {
+                changed.push(filePath);
+            }
+        }
+
+        if (!initial && added.length + changed.length + removed.length === 0) {
+            return;
+        }
+
+        for (const filePath of removed) {
+            totals.remove(filePath);
+            stamps.delete(filePath);
+        }
+
+        const pending = [...added, ...changed];
+        if (pending.length > 0) {
+            // La marca se toma antes de contar: un cambio durante el conteo se ve en la próxima revisión
+            for (const filePath of pending) {
+                stamps.set(filePath, current.get(filePath));
+            }
+
+            const results = await processFilesInParallel(pending, {
+                ...countOptions,
+                pool,
+                chunked: options.chunked,
+                minChunkSize: options.minChunkSize,
+                keepFileMaps: true,
+                verbose: false,
+                log
+            });
+            results.successful.forEach(entry => totals.set(entry));
+            results.failed.forEach(({ filePath, error }) => totals.fail(filePath, error));
+        }
+
+        onUpdate({
+            ...totals.results(),
+            totalDuration: ((Date.now() - startTime) / 1000).toFixed(2),
+            ...(countOptions.stem && { stem: countOptions.stem })
+        }, { initial, added, changed, removed });
+    };
+
+    let timer = null;
+    let running = null;
+    let closed = false;
+
+    const schedule = () => {
+        if (!closed) {
+            timer = setTimeout(() => {
+                running = scan(false)
+                    .catch(onError)
+                    .finally(() => {
+                        running = null;
+                        schedule();
+                    });
+            }, interval);
+        }
+    };
+
+    try {
+        await scan(true);
+    } catch (error) {
+        if (ownPool) {
+            await pool.destroy();
+        }
+        throw error;
+    }
+    schedule();
+
+    return {
+        /**
+         * Resultados actuales con la forma de processFilesInParallel
+         */
+        results() {
+            return totals.results();
+        },
+
+        /**
+         * Deja de revisar; espera la revisión en curso y destruye el pool propio
+         * 
+         * @returns {Promise<void>}
+         */
+        async close() {
+            closed = true;
+            clearTimeout(timer);
+            if (running) {
+                await running;
+            }
+            if (ownPool) {
+                await pool.destroy();
+            }
+        }
+    };
+}
+
+module.exports = {
+    watchFiles,
+    createCorpusTotals,
+    validateWatchOptions,
+    DEFAULT_WATCH_INTERVAL
+};
@@ -9,108 +9,521 @@
 
 const fs = require('fs');
 const readline = require('readline');
-const path = require('path');
+const { pipeline } = require('stream');
+const { createTokenizer } = require('./tokenizer');
+const { createFrequencySketch } = require('./sketch');
+const { createLexicalTracker, validateLexicalOptions, computeLexicalStats, formatLexicalStats } = require('./lexicalStats');
+const { createReadabilityTracker, validateReadabilityOptions, computeReadability, formatReadability } = require('./readability');
+const { createCollocationTracker, validateCollocationOptions, computeCollocations, formatCollocations } = require('./collocations');
+const { createStemmer, createFormsTracker, getSurfaceForms, formatTermLabel } = require('./stemmer');
+const { openInputStream, getSourcePath, getDisplayName } = require('./compression');
+const { createDecoderStream, resolveEncoding } = require('./encoding');
+const { createExtractor, resolveInputFormat, validateInputFormat, openEpubStream, parseFieldPath, AUTO_FORMAT } = require('./extractors');
+
+// Tokenizer por defecto (Unicode), reutilizado entre llamadas a normalizeLine
+const defaultTokenizer = createTokenizer();
 
 /**
  * Normaliza una línea de texto para extraer palabras limpias
  * 
  * @param {string} line - Línea de texto a procesar
+ * @param {Object} options - Opciones de tokenización (ver tokenizer.createTokenizer)
  * @returns {string[]} Array de palabras normalizadas
  */
-function normalizeLine(line) {
-    return line
-        .toLowerCase()
-        // Remover puntuación pero mantener caracteres de palabra y acentos
-        .replace(/[^\w\sáéíóúñüàèìòùâêîôûäëïöü]/gi, ' ')
-        // Dividir por cualquier espacio en blanco
-        .split(/\s+/)
-        // Filtrar strings vacíos y palabras de un solo caracter (opcional)
-        .filter(word => word.length > 0);
+function normalizeLine(line, options) {
+    const tokenize = options ? createTokenizer(options) : defaultTokenizer;
+    return tokenize(line);
 }
 
 /**
- * Cuenta las palabras en un archivo de texto usando streams
+ * Pasa las stop words por el mismo tokenizer que el texto
  * 
- * @param {string} filePath - Ruta al archivo a procesar
- * @param {Object} options - Opciones de configuración
- * @param {Function} options.onProgress - Callback para reportar progreso (linesProcessed)
- * @param {number} options.progressInterval - Cada cuántas líneas reportar progreso (default: 10000)
- * @returns {Promise<{wordMap: Map, totalWords: number, uniqueWords: number, linesProcessed: number}>}
+ * Así coinciden con las palabras contadas aunque se usen minúsculas por
+ * locale, plegado de acentos o una tokenización distinta.
+ * 
+ * @param {Set<string>|string[]} stopwords - Stop words sin normalizar
+ * @param {Function} tokenize - Tokenizer usado para el texto
+ * @returns {Set<string>|null} Stop words normalizadas, o null si no hay
  */
-async function countWords(filePath, options = {}) {
-    const { onProgress, progressInterval = 10000 } = options;
-    
-    // Verificar que el archivo existe antes de procesar
-    if (!fs.existsSync(filePath)) {
-        throw new Error(`ENOENT: El archivo no existe: ${filePath}`);
+function normalizeStopwords(stopwords, tokenize) {
+    if (!stopwords || (stopwords.size ?? stopwords.length) === 0) {
+        return null;
     }
-    
-    const stats = fs.statSync(filePath);
-    if (stats.isDirectory()) {
-        throw new Error(`EISDIR: La ruta es un directorio, no un archivo: ${filePath}`);
+
+    const normalized = new Set();
+    for (const entry of stopwords) {
+        for (const word of tokenize(entry)) {
+            normalized.add(word);
+        }
+    }
+    return normalized;
+}
+
+/**
+ * Valida las opciones de conteo y prepara el tokenizer, las stop words y la
+ * codificación antes de empezar a leer, para fallar rápido si son inválidas
+ * 
+ * @param {Object} options - Opciones de countWords o countStream
+ * @returns {{ngram: number, tokenize: Function, encoding: string, stopwords: Set<string>|null, inputFormat: string, stem: Function|null}}
+ */
+function prepareCount(options) {
+    const ngram = options.ngram ?? 1;
+
+    if (!Number.isInteger(ngram) || ngram < 1) {
+        throw new Error(`Tamaño de n-grama inválido: ${options.ngram} (debe ser un entero >= 1)`);
     }
 
-    const wordMap = new Map();
+    const tokenize = createTokenizer(options);
+    const encoding = resolveEncoding(options.encoding);
+    const stopwords = normalizeStopwords(options.stopwords, tokenize);
+    const inputFormat = validateInputFormat(options.inputFormat);
+    if (options.jsonField !== undefined) {
+        parseFieldPath(options.jsonField);
+    }
+    if (options.lexicalStats) {
+        validateLexicalOptions(options.lexicalStats);
+        if (options.approximate) {
+            throw new Error('Las estadísticas léxicas necesitan conteo exacto; no se pueden combinar con el modo aproximado');
+        }
+    }
+    if (options.readability) {
+        validateReadabilityOptions(options.readability);
+    }
+    if (options.collocations) {
+        validateCollocationOptions(options.collocations);
+        if (options.approximate) {
+            throw new Error('Las colocaciones necesitan conteo exacto; no se pueden combinar con el modo aproximado');
+        }
+    }
+    const stem = options.stem ? createStemmer(options.stem) : null;
+
+    return { ngram, tokenize, encoding, stopwords, inputFormat, stem };
+}
+
+/**
+ * Cuenta las palabras de un stream ya preparado por prepareCount
+ * 
+ * @param {stream.Readable} readable - Stream de bytes
+ * @param {Object} prepared - Resultado de prepareCount
+ * @param {string} inputFormat - Formato efectivo del contenido (ver módulo extractors)
+ * @param {Object} options - Opciones de conteo (onProgress, approximate, jsonField...)
+ * @returns {Promise<Object>} Mismo resultado que countStream
+ */
+async function consumeStream(readable, prepared, inputFormat, options) {
+    const { onProgress, progressInterval = 10000 } = options;
+    const { ngram, tokenize, encoding, stopwords, stem } = prepared;
+    // Quita el marcado de HTML, Markdown, subtítulos... (null para texto plano)
+    const extractor = createExtractor(inputFormat, options);
+
+    let wordMap = new Map();
     let totalWords = 0;
     let linesProcessed = 0;
 
-    // Crear stream de lectura con encoding UTF-8
-    const fileStream = fs.createReadStream(filePath, { 
-        encoding: 'utf8',
-        // highWaterMark controla el tamaño del buffer interno (default 64KB)
-        highWaterMark: 64 * 1024
-    });
+    // En modo aproximado el sketch reemplaza al Map: memoria fija sin importar el vocabulario
+    const sketch = options.approximate
+        ? createFrequencySketch(options.approximate === true ? {} : options.approximate)
+        : null;
+    // MATTR y crecimiento del vocabulario (ver módulo lexicalStats): dependen del orden de los términos
+    // En un rango (end definido) también guarda dónde aparece cada término, para rearmar Heaps
+    const tracker = options.lexicalStats
+        ? createLexicalTracker(options.lexicalStats, { range: options.end !== undefined })
+        : null;
+    // Oraciones, párrafos y sílabas (ver módulo readability): ve el texto sin filtrar stop words
+    const readability = options.readability ? createReadabilityTracker(options.readability, tokenize) : null;
+    // Co-apariciones de palabras (ver módulo collocations): sin stop words y dentro del párrafo
+    const collocations = options.collocations ? createCollocationTracker(options.collocations) : null;
+    // Formas de superficie de cada raíz; el sketch no guarda el vocabulario, así que tampoco sus formas
+    const forms = stem && !sketch ? createFormsTracker() : null;
+    const countTerm = sketch
+        ? (term) => sketch.add(term)
+        : tracker
+            ? (term) => {
+                wordMap.set(term, (wordMap.get(term) || 0) + 1);
+                tracker.add(term, wordMap.size);
+            }
+            // Map.get() retorna undefined si la key no existe
+            : (term) => wordMap.set(term, (wordMap.get(term) || 0) + 1);
+    const uniqueCount = () => (sketch ? sketch.uniqueEstimate() : wordMap.size);
+    // Últimas `ngram` palabras vistas; cruza saltos de línea dentro del párrafo
+    let window = [];
+
+    // Los bytes se decodifican con TextDecoder según la codificación pedida o detectada
+    const decoder = createDecoderStream(encoding);
+    const textStream = pipeline(readable, decoder, () => {});
 
     // readline maneja automáticamente los saltos de línea y buffers parciales
     const rl = readline.createInterface({
-        input: fileStream,
+        input: textStream,
         // crlfDelay: Infinity trata \r\n como un solo salto de línea
         crlfDelay: Infinity
     });
 
-    // Procesar línea por línea usando async iteration
-    for await (const line of rl) {
-        linesProcessed++;
-        
-        const words = normalizeLine(line);
+    // Cuenta una línea de texto ya extraída
+    const countLine = (line) => {
+        if (readability) {
+            readability.push(line);
+        }
+        const words = tokenize(line);
+
+        // Una línea en blanco cierra el párrafo: los n-gramas no la cruzan
+        if (line.trim().length === 0) {
+            window = [];
+            if (collocations) {
+                collocations.endParagraph();
+            }
+        }
         
         for (const word of words) {
+            // Las stop words se comparan con la palabra tal cual; lo demás usa la raíz
+            const term = stem ? stem(word) : word;
+
+            if (collocations && !(stopwords && stopwords.has(word))) {
+                collocations.add(term);
+            }
+
+            if (ngram === 1) {
+                if (stopwords && stopwords.has(word)) {
+                    continue;
+                }
+                totalWords++;
+                countTerm(term);
+                if (forms) {
+                    forms.add(term, word);
+                }
+                continue;
+            }
+
+            window.push(word);
+            if (window.length > ngram) {
+                window.shift();
+            }
+
+            // Se descartan los n-gramas que contienen alguna stop word
+            if (window.length < ngram || (stopwords && window.some(w => stopwords.has(w)))) {
+                continue;
+            }
+
             totalWords++;
-            // Map.get() retorna undefined si la key no existe
-            wordMap.set(word, (wordMap.get(word) || 0) + 1);
+            if (stem) {
+                const key = window.map(stem).join(' ');
+                countTerm(key);
+                if (forms) {
+                    forms.add(key, window.join(' '));
+                }
+            } else {
+                countTerm(window.join(' '));
+            }
+        }
+    };
+
+    // Procesar línea por línea usando async iteration
+    for await (const line of rl) {
+        linesProcessed++;
+
+        if (extractor) {
+            for (const text of extractor.push(line)) {
+                countLine(text);
+            }
+        } else {
+            countLine(line);
         }
 
         // Reportar progreso periódicamente si hay callback
         if (onProgress && linesProcessed % progressInterval === 0) {
             onProgress({
                 linesProcessed,
-                uniqueWords: wordMap.size,
+                uniqueWords: uniqueCount(),
                 totalWords
             });
         }
     }
 
+    if (extractor) {
+        for (const text of extractor.flush()) {
+            countLine(text);
+        }
+    }
+    if (readability) {
+        readability.flush();
+    }
+
+    if (sketch) {
+        wordMap = sketch.toMap();
+    }
+
     return {
         wordMap,
         totalWords,
-        uniqueWords: wordMap.size,
-        linesProcessed
+        uniqueWords: uniqueCount(),
+        linesProcessed,
+        ngram,
+        encoding: decoder.detectedEncoding,
+        inputFormat,
+        ...(extractor && extractor.skipped > 0 && { skippedRecords: extractor.skipped }),
+        ...(sketch && { sketch }),
+        ...(tracker && { lexical: tracker.result() }),
+        ...(readability && { readability: readability.result() }),
+        ...(collocations && { collocations: collocations.result() }),
+        ...(forms && { forms: forms.result() })
     };
 }
 
+/**
+ * Cuenta las palabras de cualquier stream legible (stdin, HTTP, un buffer en memoria...)
+ * 
+ * Es la base de countWords: lee el stream línea por línea, así que la memoria
+ * usada no depende del tamaño de la entrada. El stream debe entregar bytes
+ * (o strings, que se tratan como UTF-8); la decodificación sigue la opción encoding.
+ * 
+ * @param {stream.Readable} readable - Stream con el contenido a contar
+ * @param {Object} options - Opciones de configuración
+ * @param {Function} options.onProgress - Callback para reportar progreso (linesProcessed)
+ * @param {number} options.progressInterval - Cada cuántas líneas reportar progreso (default: 10000)
+ * @param {string|Function|Object} options.tokenizer - Estrategia de tokenización (default: 'unicode')
+ * @param {string} options.locale - Locale para minúsculas y segmenter
+ * @param {string} options.normalization - Forma Unicode a aplicar (NFC, NFD, NFKC, NFKD)
+ * @param {boolean} options.foldAccents - Quitar diacríticos de las palabras (default: false)
+ * @param {Set<string>|string[]} options.stopwords - Palabras a excluir del conteo (ver módulo stopwords)
+ * @param {number} options.ngram - Tamaño de la ventana: 1 cuenta palabras, 2 bigramas, 3 trigramas... (default: 1)
+ * @param {string} options.encoding - Codificación del contenido: 'auto' detecta BOM, UTF-16,
+ *   UTF-8 o Windows-1252; o cualquier etiqueta de TextDecoder (default: 'auto')
+ * @param {boolean|Object} options.approximate - Conteo aproximado con memoria acotada (ver módulo sketch).
+ *   true o { epsilon, delta, capacity }. wordMap contiene solo los heavy hitters con conteos
+ *   estimados, uniqueWords es una estimación y `sketch` permite combinar resultados (default: false)
+ * @param {string} options.inputFormat - Formato del contenido: 'text', 'markdown', 'html', 'srt' o 'jsonl'.
+ *   En un stream 'auto' equivale a 'text'; EPUB necesita un archivo (default: 'auto')
+ * @param {string} options.jsonField - Campo a contar de cada registro JSONL, con puntos para
+ *   campos anidados (default: 'text')
+ * @param {boolean|Object} options.lexicalStats - Seguir MATTR y crecimiento del vocabulario
+ *   durante la lectura: true o { window }. `lexical` trae los datos para computeLexicalStats
+ *   (ver módulo lexicalStats). Solo con conteo exacto (default: false)
+ * @param {boolean|string|Object} options.readability - Segmentar oraciones y párrafos y contar
+ *   sílabas: true, 'en', 'es' o { language }. `readability` trae los datos para
+ *   computeReadability (ver módulo readability) (default: false)
+ * @param {boolean|Object} options.collocations - Contar co-apariciones de palabras: true o
+ *   { window, minCount, topN }. `collocations` trae los datos para computeCollocations
+ *   (ver módulo collocations). Solo con conteo exacto (default: false)
+ * @param {boolean|string} options.stem - Contar raíces en lugar de palabras: true o 'en'
+ *   (Porter2), 'es' (Snowball). Las claves de wordMap son raíces y `forms` trae las formas
+ *   de superficie de cada una; en modo aproximado no hay `forms` (default: false)
+ * @returns {Promise<{wordMap: Map, totalWords: number, uniqueWords: number, linesProcessed: number, ngram: number, encoding: string, inputFormat: string, skippedRecords?: number, sketch?: Object, lexical?: Object, readability?: Object, collocations?: Object, forms?: Object}>}
+ */
+async function countStream(readable, options = {}) {
+    let prepared;
+    try {
+        prepared = prepareCount(options);
+        if (prepared.inputFormat === 'epub') {
+            throw new Error('EEPUB: Un EPUB es un archivo zip; no se puede leer desde un stream');
+        }
+    } catch (error) {
+        // Liberar el stream recibido (p. ej. un archivo ya abierto) si las opciones son inválidas
+        readable.destroy();
+        throw error;
+    }
+
+    const inputFormat = prepared.inputFormat === AUTO_FORMAT ? 'text' : prepared.inputFormat;
+    return consumeStream(readable, prepared, inputFormat, options);
+}
+
+/**
+ * Abre un archivo de entrada como stream de bytes
+ * 
+ * Verifica que exista y no sea un directorio; gzip, brotli y entradas de
+ * .zip se descomprimen de forma transparente (ver módulo compression) y un
+ * EPUB se lee como la secuencia de sus capítulos XHTML.
+ * 
+ * @param {string} filePath - Ruta al archivo (o "archivo.zip!/entrada")
+ * @param {string} requestedFormat - Formato pedido, ya validado ('auto' lo elige por la extensión)
+ * @param {Object} range - Rango de bytes a leer
+ * @param {number} range.start - Byte inicial (default: 0)
+ * @param {number} range.end - Byte final, exclusivo (default: fin del archivo)
+ * @returns {{stream: Readable, inputFormat: string}} Stream y formato resuelto
+ * @throws {Error} ENOENT o EISDIR si la ruta no es un archivo
+ */
+function openSourceStream(filePath, requestedFormat, range = {}) {
+    const { start = 0, end } = range;
+
+    // Verificar que el archivo existe antes de procesar
+    // (para una entrada "archivo.zip!/entrada" se verifica el .zip)
+    const sourcePath = getSourcePath(filePath);
+    if (!fs.existsSync(sourcePath)) {
+        throw new Error(`ENOENT: El archivo no existe: ${sourcePath}`);
+    }
+    
+    const stats = fs.statSync(sourcePath);
+    if (stats.isDirectory()) {
+        throw new Error(`EISDIR: La ruta es un directorio, no un archivo: ${filePath}`);
+    }
+
+    const inputFormat = resolveInputFormat(filePath, requestedFormat);
+    const stream = inputFormat === 'epub'
+        ? openEpubStream(filePath)
+        : openInputStream(filePath, {
+            // highWaterMark controla el tamaño del buffer interno (default 64KB)
+            highWaterMark: 64 * 1024,
+            start,
+            end
+        });
+
+    return { stream, inputFormat };
+}
+
+/**
+ * Cuenta las palabras en un archivo de texto usando streams
+ * 
+ * Abre el archivo (descomprimiéndolo si hace falta) y delega en countStream.
+ * Con inputFormat 'auto' el formato se elige por la extensión (.md, .html,
+ * .epub, .srt, .jsonl...; ver módulo extractors).
+ * 
+ * @param {string} filePath - Ruta al archivo a procesar
+ * @param {Object} options - Opciones de countStream, más:
+ * @param {number} options.start - Byte inicial del rango a procesar (default: 0)
+ * @param {number} options.end - Byte final del rango, exclusivo (default: fin del archivo)
+ * @returns {Promise<{wordMap: Map, totalWords: number, uniqueWords: number, linesProcessed: number, ngram: number, encoding: string, inputFormat: string, skippedRecords?: number, sketch?: Object, lexical?: Object, readability?: Object, collocations?: Object, forms?: Object}>}
+ */
+async function countWords(filePath, options = {}) {
+    const { start = 0, end } = options;
+
+    // Validar las opciones antes de abrir el archivo para fallar rápido
+    const prepared = prepareCount(options);
+    const { stream, inputFormat } = openSourceStream(filePath, prepared.inputFormat, { start, end });
+
+    return consumeStream(stream, prepared, inputFormat, options);
+}
+
+/**
+ * Separadores usados para alinear los rangos de splitFileIntoChunks: cuántos
+ * '\n' seguidos (con solo espacios entre ellos) cierran un rango.
+ * 'paragraph' corta tras una línea en blanco, necesario en modo n-grama
+ * porque la ventana de palabras cruza saltos de línea dentro del párrafo.
+ */
+const CHUNK_BOUNDARIES = {
+    line: 1,
+    paragraph: 2
+};
+
+/**
+ * Bytes que no cortan una línea en blanco (espacio, \t, \v, \f, \r)
+ */
+const BLANK_BYTES = new Set([0x20, 0x09, 0x0b, 0x0c, 0x0d]);
+
+/**
+ * Divide un archivo en rangos de bytes alineados a saltos de línea
+ * 
+ * Cada rango termina justo después de un '\n', así ninguna línea queda
+ * partida entre dos rangos y la suma de los conteos por rango es idéntica
+ * al conteo del archivo completo. Como '\n' nunca forma parte de una
+ * secuencia multibyte en UTF-8, los cortes tampoco parten caracteres.
+ * 
+ * @param {string} filePath - Ruta al archivo a dividir
+ * @param {number} numChunks - Cantidad deseada de rangos
+ * @param {Object} options - Opciones de división
+ * @param {string} options.boundary - 'line' (default) o 'paragraph' (tras una línea en blanco)
+ * @returns {Promise<Array<{start: number, end: number}>>} Rangos [start, end) no vacíos
+ */
+async function splitFileIntoChunks(filePath, numChunks, options = {}) {
+    const newlinesNeeded = CHUNK_BOUNDARIES[options.boundary || 'line'];
+    if (!newlinesNeeded) {
+        throw new Error(`Tipo de límite inválido: ${options.boundary}`);
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+    const chunks = [];
+
+    if (size === 0) {
+        return [{ start: 0, end: 0 }];
+    }
+
+    const targetSize = Math.ceil(size / Math.max(1, numChunks));
+    const handle = await fs.promises.open(filePath, 'r');
+    const probe = Buffer.alloc(64 * 1024);
+
+    try {
+        let start = 0;
+
+        while (start < size) {
+            let end = Math.min(start + targetSize, size);
+
+            // Avanzar hasta el siguiente separador para no partir líneas (o párrafos).
+            // El estado sigue de una lectura a la otra, así una línea en blanco
+            // de cualquier largo se reconoce aunque cruce el final del buffer
+            let position = end - 1;
+            let newlines = 0;
+            while (end < size) {
+                const { bytesRead } = await handle.read(probe, 0, probe.length, position);
+                let index = 0;
+                for (; index < bytesRead && newlines < newlinesNeeded; index++) {
+                    if (probe[index] === 0x0a) {
+                        newlines++;
+                    } else if (!BLANK_BYTES.has(probe[index])) {
+                        newlines = 0;
+                    }
+                }
+
+                if (newlines === newlinesNeeded) {
+                    end = position + index;
+                    break;
+                }
+
+                position += bytesRead;
+                if (bytesRead === 0 || position >= size) {
+                    end = size;
+                }
+            }
+
+            chunks.push({ start, end });
+            start = end;
+        }
+    } finally {
+        await handle.close();
+    }
+
+    return chunks;
+}
+
+/**
+ * Nombre en plural de los términos contados según el tamaño de n-grama
+ * 
+ * @param {number} ngram - Tamaño de n-grama
+ * @returns {string} 'PALABRAS', 'BIGRAMAS', 'TRIGRAMAS' o 'N-GRAMAS'
+ */
+function getTermLabel(ngram = 1) {
+    switch (ngram) {
+        case 1:
+            return 'PALABRAS';
+        case 2:
+            return 'BIGRAMAS';
+        case 3:
+            return 'TRIGRAMAS';
+        default:
+            return `${ngram}-GRAMAS`;
+    }
+}
+
 /**
  * Obtiene las N palabras más frecuentes de un Map de conteos
  * 
+ * En modo n-grama las claves son frases con las palabras separadas por
+ * un espacio ("captain ahab"), así que funciona igual sin cambios. Con
+ * stemming las claves son raíces; si se pasan sus formas de superficie,
+ * cada elemento las trae en `forms`, de la más a la menos frecuente.
+ * 
  * @param {Map} wordMap - Map con palabras y sus conteos
  * @param {number} n - Cantidad de palabras a retornar (default: 10)
- * @returns {Array<{word: string, count: number}>} Array ordenado de mayor a menor
+ * @param {Object} forms - Formas de superficie por raíz (ver módulo stemmer) (default: ninguna)
+ * @returns {Array<{word: string, count: number, forms?: string[]}>} Array ordenado de mayor a menor
  */
-function getTopWords(wordMap, n = 10) {
+function getTopWords(wordMap, n = 10, forms = null) {
     // Convertir Map a array de [palabra, conteo] y ordenar
-    return Array.from(wordMap.entries())
+    const top = Array.from(wordMap.entries())
         .sort((a, b) => b[1] - a[1]) // Ordenar por conteo descendente
-        .slice(0, n)
-        .map(([word, count]) => ({ word, count }));
+        .slice(0, n);
+
+    if (!forms) {
+        return top.map(([word, count]) => ({ word, count }));
+    }
+    const surfaceForms = getSurfaceForms(forms, top.map(([word]) => word));
+    return top.map(([word, count]) => ({ word, count, forms: surfaceForms.get(word) }));
 }
 
 /**
@@ -118,27 +531,70 @@ function getTopWords(wordMap, n = 10) {
  * 
  * @param {Object} results - Resultados del conteo
  * @param {string} filePath - Ruta del archivo procesado
+ * @param {number} topN - Cantidad de palabras en el top (default: 10)
  * @returns {string} String formateado para imprimir
  */
-function formatResults(results, filePath) {
-    const { wordMap, totalWords, uniqueWords, linesProcessed } = results;
-    const topWords = getTopWords(wordMap, 10);
-    const fileName = path.basename(filePath);
+function formatResults(results, filePath, topN = 10) {
+    const { wordMap, totalWords, uniqueWords, linesProcessed, ngram = 1 } = results;
+    const topWords = getTopWords(wordMap, topN, results.forms);
+    const fileName = getDisplayName(filePath);
+    const label = getTermLabel(ngram);
     
     let output = '\n';
     output += '═'.repeat(60) + '\n';
     output += `📄 Archivo: ${fileName}\n`;
     output += '─'.repeat(60) + '\n';
     output += `   Líneas procesadas: ${linesProcessed.toLocaleString()}\n`;
-    output += `   Total de palabras: ${totalWords.toLocaleString()}\n`;
-    output += `   Palabras únicas:   ${uniqueWords.toLocaleString()}\n`;
+    if (ngram === 1) {
+        output += `   Total de palabras: ${totalWords.toLocaleString()}\n`;
+        output += `   Palabras únicas:   ${uniqueWords.toLocaleString()}\n`;
+    } else {
+        output += `   Total de ${label.toLowerCase()}: ${totalWords.toLocaleString()}\n`;
+        output += `   ${label.charAt(0)}${label.slice(1).toLowerCase()} únicos: ${uniqueWords.toLocaleString()}\n`;
+    }
+    if (results.encoding) {
+        output += `   Codificación:      ${results.encoding}\n`;
+    }
+    if (results.inputFormat && results.inputFormat !== 'text') {
+        output += `   Formato:           ${results.inputFormat}\n`;
+    }
+    if (results.skippedRecords) {
+        output += `   Registros omitidos: ${results.skippedRecords.toLocaleString()} (JSON inválido o sin el campo)\n`;
+    }
+    if (results.sketch) {
+        output += `   Modo aproximado:   conteos ±${results.sketch.errorBound().toLocaleString()}, únicas estimadas\n`;
+    }
+    const readability = computeReadability(results.readability);
+    if (readability) {
+        output += '─'.repeat(60) + '\n';
+        output += '📖 LEGIBILIDAD:\n';
+        for (const line of formatReadability(readability)) {
+            output += `${line}\n`;
+        }
+    }
+    if (results.lexical) {
+        output += '─'.repeat(60) + '\n';
+        output += '📈 ESTADÍSTICAS LÉXICAS:\n';
+        for (const line of formatLexicalStats(computeLexicalStats(wordMap, results.lexical, { ngram }))) {
+            output += `${line}\n`;
+        }
+    }
+    if (results.collocations) {
+        output += '─'.repeat(60) + '\n';
+        output += `🔗 COLOCACIONES (ventana de ${results.collocations.window}):\n`;
+        for (const line of formatCollocations(computeCollocations(results.collocations))) {
+            output += `${line}\n`;
+        }
+    }
     output += '─'.repeat(60) + '\n';
-    output += '🏆 TOP 10 PALABRAS MÁS FRECUENTES:\n';
+    output += `🏆 TOP ${topWords.length} ${label} MÁS FRECUENTES:\n`;
     output += '─'.repeat(60) + '\n';
     
+    // Con stemming las etiquetas llevan las formas: la columna se ensancha a la más larga
+    const width = Math.max(20, ...topWords.map(item => formatTermLabel(item).length));
     topWords.forEach((item, index) => {
         const rank = (index + 1).toString().padStart(2, ' ');
-        const word = item.word.padEnd(20, ' ');
+        const word = formatTermLabel(item).padEnd(width, ' ');
         const count = item.count.toLocaleString().padStart(10, ' ');
         const bar = '█'.repeat(Math.min(Math.floor(item.count / topWords[0].count * 20), 20));
         output += `   ${rank}. ${word} ${count}  ${bar}\n`;
@@ -193,9 +649,14 @@ function mergeMaps(maps) {
 
 module.exports = {
     countWords,
+    countStream,
+    splitFileIntoChunks,
     getTopWords,
+    getTermLabel,
     formatResults,
     normalizeLine,
+    normalizeStopwords,
+    openSourceStream,
     mapToObject,
     objectToMap,
     mergeMaps
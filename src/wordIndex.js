@@ -0,0 +1,402 @@
+/**
+ * WordIndex - Índice persistente de conteos por archivo
+ * 
+ * Guarda el Map de palabras de cada archivo (resultado de countWords) en un
+ * directorio, para consultar conteos sin volver a leer los textos:
+ * 
+ *   .wordflux-index/
+ *   ├── manifest.json        # Opciones de conteo y metadatos de cada archivo
+ *   └── segments/
+ *       └── <id>.json.gz     # Palabras ordenadas y sus conteos (gzip)
+ * 
+ * Cada segmento guarda dos arrays paralelos { words, counts } con las
+ * palabras en orden lexicográfico: ocupa bastante menos que un objeto
+ * palabra → conteo y permite buscar por prefijo con búsqueda binaria.
+ * 
+ * La actualización es incremental: un archivo con el mismo tamaño y fecha
+ * de modificación no se vuelve a leer (o, con check 'hash', con el mismo
+ * SHA-256). Si la fecha cambió pero el contenido no, solo se actualizan
+ * sus metadatos.
+ * 
+ * @module wordIndex
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { countWords, getTopWords, mergeMaps } = require('./wordCounter');
+const { createTokenizer, pickTokenizerOptions } = require('./tokenizer');
+const { createStemmer } = require('./stemmer');
+const { isZipEntryPath, parseZipEntryPath, toZipEntryPath, getSourcePath, getDisplayName } = require('./compression');
+
+/**
+ * Versión del formato del índice
+ */
+const INDEX_VERSION = 1;
+
+/**
+ * Directorio del índice por defecto (relativo al directorio actual)
+ */
+const DEFAULT_INDEX_DIR = '.wordflux-index';
+
+/**
+ * Formas de detectar si un archivo cambió: 'mtime' compara tamaño y fecha
+ * (y confirma con el hash si difieren), 'hash' siempre calcula el SHA-256
+ */
+const CHANGE_CHECKS = ['mtime', 'hash'];
+
+const MANIFEST_NAME = 'manifest.json';
+const SEGMENTS_DIR = 'segments';
+
+/**
+ * Escribe un archivo de forma atómica (temporal + rename)
+ */
+function writeFileAtomic(filePath, data) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, data);
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Clave de un archivo en el índice: ruta absoluta (o "archivo.zip!/entrada" absoluta)
+ * 
+ * @param {string} filePath - Ruta del archivo
+ * @returns {string} Clave normalizada
+ */
+function toIndexKey(filePath) {
+    if (isZipEntryPath(filePath)) {
+        const { archivePath, entryName } = parseZipEntryPath(filePath);
+        return toZipEntryPath(path.resolve(archivePath), entryName);
+    }
+    return path.resolve(filePath);
+}
+
+/**
+ * SHA-256 del archivo fuente (para una entrada de .zip, el del .zip)
+ * 
+ * @param {string} filePath - Ruta del archivo
+ * @returns {Promise<string>} Hash en hexadecimal
+ */
+async function hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(getSourcePath(filePath))) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Opciones de conteo serializables y comparables entre corridas
+ * 
+ * @param {Object} countOptions - Opciones para countWords
+ * @returns {Object} Opciones con las stop words como array ordenado
+ */
+function normalizeCountOptions(countOptions) {
+    if (typeof countOptions.tokenizer === 'function') {
+        throw new Error('Un tokenizer función no se puede guardar en el índice; usa la ruta a un módulo que lo exporte');
+    }
+    if (countOptions.approximate) {
+        throw new Error('El índice guarda conteos exactos: no se puede usar con el modo aproximado');
+    }
+
+    const { onProgress, progressInterval, start, end, ...rest } = countOptions;
+    return JSON.parse(JSON.stringify({
+        ...rest,
+        stopwords: rest.stopwords ? [...rest.stopwords].sort() : undefined
+    }));
+}
+
+/**
+ * Primera posición de un array ordenado cuyo valor es >= target
+ */
+function lowerBound(sorted, target) {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (sorted[mid] < target) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+/**
+ * Abre (o crea al guardar) un índice de conteos
+ * 
+ * @param {string} indexDir - Directorio del índice (default: '.wordflux-index')
+ * @returns {Object} Índice con update, prune, files, countOf, top, prefix
+ */
+function createWordIndex(indexDir = DEFAULT_INDEX_DIR) {
+    const manifestPath = path.join(indexDir, MANIFEST_NAME);
+    const segmentsDir = path.join(indexDir, SEGMENTS_DIR);
+    // Segmentos ya leídos en esta consulta: clave → { words, counts }
+    const segmentCache = new Map();
+
+    let manifest = { version: INDEX_VERSION, countOptions: null, files: {} };
+    if (fs.existsSync(manifestPath)) {
+        try {
+            manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Índice corrupto: ${manifestPath} (${error.message})`);
+        }
+        if (manifest.version !== INDEX_VERSION) {
+            throw new Error(`Versión de índice no soportada en ${indexDir}: ${manifest.version} (esperada: ${INDEX_VERSION})`);
+        }
+    }
+
+    function save() {
+        fs.mkdirSync(segmentsDir, { recursive: true });
+        writeFileAtomic(manifestPath, JSON.stringify(manifest, null, 2));
+    }
+
+    function writeSegment(key, wordMap) {
+        const words = [...wordMap.keys()].sort();
+        const counts = words.map(word => wordMap.get(word));
+        const segment = `${crypto.createHash('sha1').update(key).digest('hex').slice(0, 16)}.json.gz`;
+
+        fs.mkdirSync(segmentsDir, { recursive: true });
+        writeFileAtomic(path.join(segmentsDir, segment), zlib.gzipSync(JSON.stringify({ words, counts })));
+        segmentCache.set(key, { words, counts });
+        return segment;
+    }
+
+    function readSegment(key) {
+        if (!segmentCache.has(key)) {
+            const segmentPath = path.join(segmentsDir, manifest.files[key].segment);
+            segmentCache.set(key, JSON.parse(zlib.gunzipSync(fs.readFileSync(segmentPath)).toString('utf8')));
+        }
+        return segmentCache.get(key);
+    }
+
+    function removeEntry(key) {
+        const entry = manifest.files[key];
+        delete manifest.files[key];
+        segmentCache.delete(key);
+        // Sin fs.rmSync({ force }), que no existe antes de Node 14.14
+        const segmentPath = path.join(segmentsDir, entry.segment);
+        if (fs.existsSync(segmentPath)) {
+            fs.unlinkSync(segmentPath);
+        }
+    }
+
+    /**
+     * Resuelve los archivos a consultar: ruta (relativa o absoluta) o nombre
+     * para mostrar (ej: "moby-dick.txt", "corpus.zip!/a.txt")
+     */
+    function selectFiles(selectors) {
+        const keys = Object.keys(manifest.files);
+        if (!selectors || selectors.length === 0) {
+            return keys;
+        }
+
+        const selected = new Set();
+        for (const selector of selectors) {
+            const key = toIndexKey(selector);
+            const matches = manifest.files[key]
+                ? [key]
+                : keys.filter(candidate => getDisplayName(candidate) === selector);
+            if (matches.length === 0) {
+                throw new Error(`El archivo no está en el índice: ${selector}`);
+            }
+            matches.forEach(match => selected.add(match));
+        }
+        return [...selected];
+    }
+
+    /**
+     * Normaliza el término consultado con el mismo tokenizer que el índice
+     * ("Whale" → "whale"; en modo n-grama, "Captain  Ahab" → "captain ahab").
+     * Si el índice cuenta raíces, `stem` reduce también el término ("Whales" → "whale")
+     */
+    function normalizeTerm(term, stem = false) {
+        const countOptions = manifest.countOptions || {};
+        const words = createTokenizer(pickTokenizerOptions(countOptions))(String(term));
+        return (stem && countOptions.stem ? words.map(createStemmer(countOptions.stem)) : words).join(' ');
+    }
+
+    return {
+        dir: indexDir,
+
+        /**
+         * Opciones de conteo con las que se creó el índice (null si está vacío)
+         */
+        get countOptions() {
+            return manifest.countOptions;
+        },
+
+        /**
+         * Archivos indexados con sus metadatos
+         * @returns {Array<{filePath: string, totalWords: number, uniqueWords: number, indexedAt: string}>}
+         */
+        files() {
+            return Object.entries(manifest.files).map(([filePath, entry]) => ({ filePath, ...entry }));
+        },
+
+        /**
+         * Indexa archivos nuevos o modificados
+         * 
+         * @param {string[]} files - Archivos a indexar
+         * @param {Object} countOptions - Opciones para countWords (tokenizer, stopwords, ngram...)
+         * @param {Object} options - Opciones
+         * @param {string} options.check - 'mtime' (default) o 'hash' (ver CHANGE_CHECKS)
+         * @param {Function} options.onFile - Callback ({filePath, status, error}) por archivo
+         * @returns {Promise<{added: string[], updated: string[], unchanged: string[], failed: Array, reset: boolean}>}
+         */
+        async update(files, countOptions = {}, options = {}) {
+            const check = options.check ?? 'mtime';
+            if (!CHANGE_CHECKS.includes(check)) {
+                throw new Error(`Verificación de cambios inválida: ${check} (opciones: ${CHANGE_CHECKS.join(', ')})`);
+            }
+
+            const normalized = normalizeCountOptions(countOptions);
+            const summary = { added: [], updated: [], unchanged: [], failed: [], reset: false };
+
+            // Conteos con otras opciones no son comparables: se descarta todo el índice
+            if (manifest.countOptions && JSON.stringify(manifest.countOptions) !== JSON.stringify(normalized)) {
+                Object.keys(manifest.files).forEach(removeEntry);
+                summary.reset = true;
+            }
+            manifest.countOptions = normalized;
+
+            for (const filePath of files) {
+                const key = toIndexKey(filePath);
+                const entry = manifest.files[key];
+                let status;
+
+                try {
+                    const { size, mtimeMs } = fs.statSync(getSourcePath(filePath));
+
+                    if (entry && check === 'mtime' && entry.size === size && entry.mtimeMs === mtimeMs) {
+                        status = 'unchanged';
+                    } else {
+                        const hash = await hashFile(filePath);
+
+                        if (entry && entry.hash === hash) {
+                            // Solo cambió la fecha (ej: touch, git checkout)
+                            Object.assign(entry, { size, mtimeMs });
+                            status = 'unchanged';
+                        } else {
+                            const results = await countWords(filePath, normalized);
+                            manifest.files[key] = {
+                                segment: writeSegment(key, results.wordMap),
+                                size,
+                                mtimeMs,
+                                hash,
+                                totalWords: results.totalWords,
+                                uniqueWords: results.uniqueWords,
+                                linesProcessed: results.linesProcessed,
+                                encoding: results.encoding,
+                                inputFormat: results.inputFormat,
+                                indexedAt: new Date().toISOString()
+                            };
+                            status = entry ? 'updated' : 'added';
+                        }
+                    }
+
+                    summary[status].push(key);
+                    // Guardar tras cada archivo: una corrida cortada conserva lo ya indexado
+                    save();
+                } catch (error) {
+                    status = 'failed';
+                    summary.failed.push({ filePath: key, error: { message: error.message, code: error.code || 'UNKNOWN' } });
+                }
+
+                if (options.onFile) {
+                    options.onFile({ filePath: key, status, error: status === 'failed' ? summary.failed[summary.failed.length - 1].error : undefined });
+                }
+            }
+
+            save();
+            return summary;
+        },
+
+        /**
+         * Quita del índice los archivos que ya no existen
+         * @returns {string[]} Archivos quitados
+         */
+        prune() {
+            const removed = Object.keys(manifest.files).filter(key => !fs.existsSync(getSourcePath(key)));
+            removed.forEach(removeEntry);
+            if (removed.length > 0) {
+                save();
+            }
+            return removed;
+        },
+
+        /**
+         * Conteo de una palabra (o n-grama) en cada archivo
+         * 
+         * @param {string} term - Palabra a buscar (se normaliza como al indexar)
+         * @param {Object} options - Opciones
+         * @param {string[]} options.files - Archivos a consultar (default: todos)
+         * @returns {{term: string, total: number, files: Array<{filePath: string, count: number}>}}
+         */
+        countOf(term, options = {}) {
+            const normalized = normalizeTerm(term, true);
+            const perFile = selectFiles(options.files).map((key) => {
+                const { words, counts } = readSegment(key);
+                const position = lowerBound(words, normalized);
+                return { filePath: key, count: words[position] === normalized ? counts[position] : 0 };
+            });
+
+            return {
+                term: normalized,
+                total: perFile.reduce((sum, file) => sum + file.count, 0),
+                files: perFile
+            };
+        },
+
+        /**
+         * Palabras más frecuentes sumando los archivos indicados
+         * 
+         * @param {number} n - Cantidad de palabras
+         * @param {Object} options - Opciones
+         * @param {string[]} options.files - Archivos a combinar (default: todos)
+         * @returns {Array<{word: string, count: number}>}
+         */
+        top(n = 10, options = {}) {
+            const maps = selectFiles(options.files).map((key) => {
+                const { words, counts } = readSegment(key);
+                return new Map(words.map((word, i) => [word, counts[i]]));
+            });
+            return getTopWords(mergeMaps(maps), n);
+        },
+
+        /**
+         * Palabras que empiezan con un prefijo, sumando los archivos indicados
+         * 
+         * @param {string} prefix - Prefijo (se normaliza como al indexar)
+         * @param {Object} options - Opciones
+         * @param {string[]} options.files - Archivos a consultar (default: todos)
+         * @param {number} options.limit - Máximo de palabras a devolver (default: todas)
+         * @returns {Array<{word: string, count: number}>} Ordenadas por conteo descendente
+         */
+        prefix(prefix, options = {}) {
+            const normalized = normalizeTerm(prefix);
+            if (normalized === '') {
+                throw new Error(`Prefijo vacío tras normalizar: "${prefix}"`);
+            }
+
+            const totals = new Map();
+            for (const key of selectFiles(options.files)) {
+                const { words, counts } = readSegment(key);
+                for (let i = lowerBound(words, normalized); i < words.length && words[i].startsWith(normalized); i++) {
+                    totals.set(words[i], (totals.get(words[i]) || 0) + counts[i]);
+                }
+            }
+            return getTopWords(totals, options.limit ?? Infinity);
+        }
+    };
+}
+
+module.exports = {
+    createWordIndex,
+    toIndexKey,
+    DEFAULT_INDEX_DIR,
+    CHANGE_CHECKS,
+    INDEX_VERSION
+};
@@ -1,14 +1,19 @@
 /**
  * Worker Thread para procesamiento paralelo de archivos
  * 
- * Este módulo se ejecuta en un thread separado y procesa un archivo
- * individual, enviando los resultados al proceso principal.
+ * Este módulo se ejecuta en un thread separado y procesa archivos,
+ * enviando los resultados al proceso principal. Funciona en dos modos:
+ * - One-shot: procesa el archivo indicado en workerData y termina
+ * - Pool: permanece vivo y procesa las tareas que llegan por mensajes
  * 
  * @module worker
  */
 
 const { parentPort, workerData } = require('worker_threads');
-const { countWords, mapToObject } = require('./wordCounter');
+const { countWords, countStream, mapToObject } = require('./wordCounter');
+const { searchFile, searchStream } = require('./concordance');
+const { openBufferStream } = require('./compression');
+const { resolveInputFormat } = require('./extractors');
 
 /**
  * Obtiene timestamp formateado para logs
@@ -20,10 +25,24 @@ function getTimestamp() {
 }
 
 /**
- * Procesa el archivo asignado a este worker
+ * Procesa el archivo (o el rango de bytes del archivo) asignado a este worker
+ * 
+ * @param {Object} task - Tarea a procesar
+ * @param {string} task.filePath - Ruta del archivo
+ * @param {number} task.workerId - ID del worker para logging
+ * @param {number} task.taskId - ID de la tarea (solo en modo pool)
+ * @param {number} task.start - Byte inicial del rango (opcional)
+ * @param {number} task.end - Byte final del rango, exclusivo (opcional)
+ * @param {string} task.encoding - Codificación ya detectada para todo el archivo (opcional, modo chunked)
+ * @param {string|Uint8Array} task.content - Contenido en memoria; si se indica, filePath es solo un nombre
+ * @param {string} task.compression - Compresión del contenido en memoria ('gzip', 'brotli' o null)
+ * @param {Object} task.countOptions - Opciones serializables para countWords (tokenizer, etc.)
+ * @param {Object} task.concordance - { query, context, limit }: buscar en vez de contar (ver módulo concordance)
  */
-async function processFile() {
-    const { filePath, workerId } = workerData;
+async function processFile(task) {
+    const { filePath, workerId, taskId, start, end, encoding, content, compression, countOptions = {}, concordance } = task;
+    const isChunk = start !== undefined && end !== undefined;
+    const target = isChunk ? `${filePath} [${start}-${end}]` : filePath;
     
     const startTime = Date.now();
     
@@ -31,23 +50,59 @@ async function processFile() {
         // Notificar inicio del procesamiento
         parentPort.postMessage({
             type: 'progress',
+            taskId,
             workerId,
             filePath,
-            message: `[${getTimestamp()}] 🔄 Worker ${workerId}: Iniciando procesamiento de ${filePath}`
+            message: `[${getTimestamp()}] 🔄 Worker ${workerId}: Iniciando procesamiento de ${target}`
         });
 
-        // Procesar el archivo con callback de progreso
-        const results = await countWords(filePath, {
+        // Procesar el archivo (o el contenido en memoria) con callback de progreso
+        const options = {
+            ...countOptions,
+            // En modo chunked el orquestador detecta la codificación una sola vez por archivo
+            ...(encoding && { encoding }),
             onProgress: (progress) => {
                 parentPort.postMessage({
                     type: 'progress',
+                    taskId,
                     workerId,
                     filePath,
+                    linesProcessed: progress.linesProcessed,
                     message: `[${getTimestamp()}] 📊 Worker ${workerId}: ${progress.linesProcessed.toLocaleString()} líneas procesadas...`
                 });
             },
-            progressInterval: 50000 // Reportar cada 50,000 líneas
-        });
+            progressInterval: 50000, // Reportar cada 50,000 líneas
+            start,
+            end
+        };
+        // El contenido en memoria no tiene extensión propia: el formato sale de su nombre
+        const contentOptions = content !== undefined
+            ? { ...options, inputFormat: resolveInputFormat(filePath, options.inputFormat) }
+            : null;
+
+        // Modo concordancia: una tarea por archivo, devuelve las apariciones en vez del Map
+        if (concordance) {
+            const results = contentOptions
+                ? await searchStream(openBufferStream(content, compression), { ...contentOptions, ...concordance })
+                : await searchFile(filePath, { ...options, ...concordance });
+            const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+            parentPort.postMessage({
+                type: 'complete',
+                taskId,
+                workerId,
+                filePath,
+                success: true,
+                duration,
+                data: results,
+                message: `[${getTimestamp()}] ✅ Worker ${workerId}: Completado ${target} en ${duration}s (${results.totalHits.toLocaleString()} apariciones)`
+            });
+            return;
+        }
+
+        const results = contentOptions
+            ? await countStream(openBufferStream(content, compression), contentOptions)
+            : await countWords(filePath, options);
 
         const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
@@ -55,17 +110,34 @@ async function processFile() {
         // Nota: Map no se puede serializar directamente, convertimos a objeto
         parentPort.postMessage({
             type: 'complete',
+            taskId,
             workerId,
             filePath,
+            start,
+            end,
             success: true,
             duration,
             data: {
                 wordMap: mapToObject(results.wordMap),
                 totalWords: results.totalWords,
                 uniqueWords: results.uniqueWords,
-                linesProcessed: results.linesProcessed
+                linesProcessed: results.linesProcessed,
+                ngram: results.ngram,
+                encoding: results.encoding,
+                inputFormat: results.inputFormat,
+                skippedRecords: results.skippedRecords,
+                // MATTR y muestras de Heaps del rango (solo con lexicalStats)
+                lexical: results.lexical,
+                // Oraciones, párrafos y sílabas del rango (solo con readability)
+                readability: results.readability,
+                // Tablas de co-apariciones del rango (solo con collocations)
+                collocations: results.collocations,
+                // Formas de superficie por raíz del rango (solo con stem)
+                forms: results.forms,
+                // Typed arrays del sketch (modo aproximado), clonables por postMessage
+                sketch: results.sketch ? results.sketch.serialize() : undefined
             },
-            message: `[${getTimestamp()}] ✅ Worker ${workerId}: Completado ${filePath} en ${duration}s (${results.uniqueWords.toLocaleString()} palabras únicas)`
+            message: `[${getTimestamp()}] ✅ Worker ${workerId}: Completado ${target} en ${duration}s (${results.uniqueWords.toLocaleString()} palabras únicas)`
         });
 
     } catch (error) {
@@ -74,21 +146,33 @@ async function processFile() {
         // Enviar error al proceso principal
         parentPort.postMessage({
             type: 'complete',
+            taskId,
             workerId,
             filePath,
+            start,
+            end,
             success: false,
             duration,
             error: {
                 message: error.message,
                 code: error.code || 'UNKNOWN'
             },
-            message: `[${getTimestamp()}] ❌ Worker ${workerId}: Error en ${filePath} - ${error.message}`
+            message: `[${getTimestamp()}] ❌ Worker ${workerId}: Error en ${target} - ${error.message}`
         });
     }
 }
 
-// Iniciar procesamiento cuando el worker arranca
-processFile();
+if (workerData && workerData.filePath) {
+    // Modo one-shot: procesar el archivo de workerData al arrancar
+    processFile(workerData);
+} else {
+    // Modo pool: procesar tareas una a la vez según llegan
+    parentPort.on('message', (message) => {
+        if (message.type === 'task') {
+            processFile(message.task);
+        }
+    });
+}
 
 
 
@@ -0,0 +1,298 @@
+/**
+ * WorkerPool - Pool persistente de Worker Threads con cola de trabajo
+ * 
+ * Mantiene N workers vivos que toman tareas de una cola a medida que
+ * terminan la anterior. Así un archivo lento no bloquea a los demás y
+ * no se paga el costo de crear un Worker por archivo. El pool puede
+ * compartirse entre varias llamadas (por ejemplo, invocaciones "warm"
+ * de Lambda que reutilizan el mismo proceso).
+ * 
+ * @module workerPool
+ */
+
+const { Worker } = require('worker_threads');
+const path = require('path');
+const os = require('os');
+
+const WORKER_PATH = path.join(__dirname, 'worker.js');
+
+/**
+ * Obtiene timestamp formateado para logs
+ * @returns {string} Timestamp en formato [YYYY-MM-DD HH:MM:SS]
+ */
+function getTimestamp() {
+    const now = new Date();
+    return now.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/**
+ * Crea un pool de workers persistentes
+ * 
+ * Los workers inactivos se marcan con unref() para que el pool no mantenga
+ * vivo el proceso: un CLI termina solo aunque no llame a destroy().
+ * 
+ * @param {number} size - Cantidad de workers (default: CPUs disponibles)
+ * @returns {{size: number, run: Function, destroy: Function, isDestroyed: Function}}
+ */
+function createWorkerPool(size = os.cpus().length) {
+    const poolSize = Math.max(1, size);
+    const slots = [];
+    const queue = [];
+    let nextTaskId = 1;
+    let destroyed = false;
+
+    /**
+     * Resuelve la tarea en curso de un slot como fallida (worker caído)
+     */
+    function failCurrentTask(slot, error) {
+        const current = slot.current;
+        if (!current) {
+            return;
+        }
+
+        slot.current = null;
+        current.resolve({
+            type: 'complete',
+            taskId: current.taskId,
+            workerId: slot.id,
+            filePath: current.task.filePath,
+            start: current.task.start,
+            end: current.task.end,
+            success: false,
+            error: {
+                message: error.message,
+                code: 'WORKER_ERROR'
+            },
+            message: `Worker ${slot.id} crashed: ${error.message}`
+        });
+    }
+
+    /**
+     * Levanta (o reemplaza) el worker de un slot
+     */
+    function spawn(slot) {
+        const worker = new Worker(WORKER_PATH);
+        slot.worker = worker;
+        worker.unref();
+
+        worker.on('message', (message) => {
+            const current = slot.current;
+            if (!current || message.taskId !== current.taskId) {
+                return;
+            }
+
+            if (message.type === 'progress' && current.onProgress) {
+                current.onProgress(message);
+            }
+
+            if (message.type === 'complete') {
+                slot.current = null;
+                current.resolve(message);
+                dispatch();
+            }
+        });
+
+        worker.on('error', (error) => {
+            // Un worker ya reemplazado (ver cancelTask) no tiene tarea del slot
+            if (slot.worker !== worker) {
+                return;
+            }
+            console.error(`[${getTimestamp()}] ❌ Worker ${slot.id} error fatal: ${error.message}`);
+            failCurrentTask(slot, error);
+        });
+
+        worker.on('exit', (code) => {
+            if (slot.worker !== worker) {
+                return;
+            }
+            if (code !== 0 && code !== null && !destroyed) {
+                console.error(`[${getTimestamp()}] ⚠️ Worker ${slot.id} terminó con código ${code}`);
+            }
+
+            failCurrentTask(slot, new Error(`Worker terminó con código ${code}`));
+
+            // Reemplazar el worker caído para que el pool conserve su tamaño
+            if (!destroyed) {
+                spawn(slot);
+                dispatch();
+            }
+        });
+    }
+
+    /**
+     * Asigna tareas de la cola a los workers libres
+     */
+    function dispatch() {
+        for (const slot of slots) {
+            if (queue.length === 0) {
+                break;
+            }
+
+            if (slot.current) {
+                continue;
+            }
+
+            const job = queue.shift();
+            slot.current = job;
+            slot.worker.ref();
+            slot.worker.postMessage({
+                type: 'task',
+                task: { ...job.task, taskId: job.taskId, workerId: slot.id }
+            });
+        }
+
+        // Los workers sin trabajo no deben mantener vivo el proceso
+        for (const slot of slots) {
+            if (!slot.current) {
+                slot.worker.unref();
+            }
+        }
+    }
+
+    /**
+     * Cancela una tarea: si está en cola se saca; si está corriendo se termina
+     * su worker (no hay otra forma de cortar un conteo en curso) y el slot
+     * sigue con uno nuevo
+     */
+    function cancelTask(job) {
+        const queued = queue.indexOf(job);
+        if (queued !== -1) {
+            queue.splice(queued, 1);
+        } else {
+            const slot = slots.find(candidate => candidate.current === job);
+            if (!slot) {
+                return;
+            }
+            slot.current = null;
+            const worker = slot.worker;
+            spawn(slot);
+            worker.terminate();
+            dispatch();
+        }
+
+        job.resolve({
+            type: 'complete',
+            taskId: job.taskId,
+            filePath: job.task.filePath,
+            start: job.task.start,
+            end: job.task.end,
+            success: false,
+            error: { message: 'Tarea cancelada', code: 'CANCELLED' },
+            message: `Tarea cancelada: ${job.task.filePath}`
+        });
+    }
+
+    for (let i = 0; i < poolSize; i++) {
+        const slot = { id: i + 1, worker: null, current: null };
+        slots.push(slot);
+        spawn(slot);
+    }
+
+    return {
+        size: poolSize,
+
+        /**
+         * Encola una tarea y espera su resultado
+         * 
+         * @param {Object} task - Tarea {filePath, start?, end?}
+         * @param {Object} options - Opciones
+         * @param {Function} options.onProgress - Callback para mensajes de progreso
+         * @param {AbortSignal} options.signal - Cancela la tarea: se resuelve como fallida con
+         *   código 'CANCELLED'
+         * @returns {Promise<Object>} Mensaje 'complete' del worker
+         */
+        run(task, options = {}) {
+            if (destroyed) {
+                return Promise.reject(new Error('El pool de workers ya fue destruido'));
+            }
+
+            const { signal } = options;
+            return new Promise((resolve) => {
+                const job = {
+                    taskId: nextTaskId++,
+                    task,
+                    onProgress: options.onProgress,
+                    resolve
+                };
+                queue.push(job);
+
+                if (signal) {
+                    const onAbort = () => cancelTask(job);
+                    job.resolve = (message) => {
+                        signal.removeEventListener('abort', onAbort);
+                        resolve(message);
+                    };
+                    if (signal.aborted) {
+                        cancelTask(job);
+                        return;
+                    }
+                    signal.addEventListener('abort', onAbort, { once: true });
+                }
+                dispatch();
+            });
+        },
+
+        /**
+         * Termina todos los workers. Las tareas pendientes se resuelven como fallidas.
+         * 
+         * @returns {Promise<void>}
+         */
+        async destroy() {
+            if (destroyed) {
+                return;
+            }
+            destroyed = true;
+
+            const error = new Error('El pool de workers fue destruido');
+            for (const job of queue.splice(0)) {
+                job.resolve({
+                    type: 'complete',
+                    taskId: job.taskId,
+                    filePath: job.task.filePath,
+                    start: job.task.start,
+                    end: job.task.end,
+                    success: false,
+                    error: { message: error.message, code: 'POOL_DESTROYED' },
+                    message: `Tarea cancelada: ${error.message}`
+                });
+            }
+
+            await Promise.all(slots.map(slot => {
+                failCurrentTask(slot, error);
+                return slot.worker.terminate();
+            }));
+        },
+
+        /**
+         * @returns {boolean} true si el pool ya fue destruido
+         */
+        isDestroyed() {
+            return destroyed;
+        }
+    };
+}
+
+// Pool compartido a nivel de módulo (sobrevive entre invocaciones warm de Lambda)
+let sharedPool = null;
+
+/**
+ * Obtiene el pool compartido del proceso, creándolo si no existe
+ * 
+ * El tamaño solo se usa al crear el pool; llamadas posteriores reciben el
+ * mismo pool para no cancelar tareas que otra llamada tenga en curso.
+ * 
+ * @param {number} size - Cantidad de workers (default: CPUs disponibles)
+ * @returns {Object} Pool de workers compartido
+ */
+function getSharedPool(size = os.cpus().length) {
+    if (!sharedPool || sharedPool.isDestroyed()) {
+        sharedPool = createWorkerPool(size);
+    }
+
+    return sharedPool;
+}
+
+module.exports = {
+    createWorkerPool,
+    getSharedPool
+};